@@ -1,11 +1,15 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
-import { ACHIEVEMENT_META, readAchievements } from './achievements';
+import { ACHIEVEMENT_META, achievementProgress, readAchievementStats, readAchievements } from './achievements';
 
 // PUBLIC_INTERFACE
 export default function AchievementsModal({ open, onClose }) {
-  /** Accessible modal dialog listing achievements with lock/unlock state and dates. */
+  /**
+   * Accessible modal dialog listing achievements with tier, lock/unlock state and dates, and a
+   * progress bar for counter achievements. Hidden achievements stay secret until unlocked.
+   */
   const [ach, setAch] = useState(readAchievements());
+  const [stats, setStats] = useState(null);
   const { t } = useTranslation();
   const closeBtnRef = useRef(null);
   const lastFocusedRef = useRef(null);
@@ -14,6 +18,7 @@ export default function AchievementsModal({ open, onClose }) {
     if (open) {
       lastFocusedRef.current = document.activeElement;
       setAch(readAchievements());
+      setStats(readAchievementStats());
       setTimeout(() => closeBtnRef.current?.focus(), 0);
       document.body.style.overflow = 'hidden';
     } else {
@@ -63,8 +68,11 @@ export default function AchievementsModal({ open, onClose }) {
           {list.map((meta) => {
             const unlocked = Boolean(ach[meta.key]);
             const ts = ach.unlockedAt?.[meta.key];
+            const secret = meta.hidden && !unlocked;
+            const title = secret ? t('achievements_secret_title') : t(`ach_${meta.key}_title`);
+            const progress = stats && !secret ? achievementProgress(meta, stats) : null;
             return (
-              <li key={meta.key} className="ngg-leaderboard-item" role="listitem">
+              <li key={meta.key} className="ngg-leaderboard-item" role="listitem" data-testid={`achievement-${meta.key}`}>
                 <div className="ngg-leaderboard-meta" style={{ gap: 12 }}>
                   <span
                     className="ngg-chip"
@@ -75,14 +83,25 @@ export default function AchievementsModal({ open, onClose }) {
                       borderColor: unlocked ? 'rgba(16,185,129,0.3)' : 'rgba(17,24,39,0.12)',
                     }}
                   >
-                    {meta.emoji} {unlocked ? t('achievements_unlocked') : t('achievements_locked')}
+                    {secret ? '❔' : meta.emoji} {unlocked ? t('achievements_unlocked') : t('achievements_locked')}
                   </span>
-                  <strong>{t(`ach_${meta.key}_title`)}</strong>
+                  <strong>{title}</strong>
+                  <span className={`ngg-chip ngg-tier-${meta.tier}`}>{t(`achievements_tier_${meta.tier}`)}</span>
                 </div>
                 <div className="ngg-leaderboard-stats" style={{ gap: 12 }}>
                   <span className="ngg-stat" style={{ color: 'var(--ocean-text)' }}>
-                    {t(`ach_${meta.key}_desc`)}
+                    {secret ? t('achievements_secret_desc') : t(`ach_${meta.key}_desc`)}
                   </span>
+                  {progress && (
+                    <span className="ngg-ach-progress">
+                      <progress
+                        max={progress.target}
+                        value={progress.current}
+                        aria-label={t('achievements_progress_aria', { title })}
+                      />
+                      <span>{t('achievements_progress', progress)}</span>
+                    </span>
+                  )}
                   <span className="ngg-date" aria-live="polite">
                     {unlocked && ts ? t('achievements_unlocked_at', { date: formatDate(ts) }) : t('achievements_not_yet')}
                   </span>
@@ -4,11 +4,19 @@ import { useTranslation } from 'react-i18next';
 // Import success sound from src so CRA bundles and serves the correct URL
 import successChimeUrl from './assets/success-chime.mp3';
 import LeaderboardModal from './LeaderboardModal';
-import { addResult } from './leaderboard';
+import { recordSession, sessionFromRound } from './sessions';
 import AchievementsModal from './AchievementsModal';
 import StatisticsModal from './StatisticsModal';
-import { incrementTotalGames } from './statistics';
-import { ACHIEVEMENT_META, readAchievements, unlockAchievements } from './achievements';
+import SessionHistoryModal from './SessionHistoryModal';
+import { incrementPuzzlesSolved, incrementTotalGames } from './statistics';
+import {
+  ACHIEVEMENT_META,
+  achievementRound,
+  evaluateAchievements,
+  readAchievementStats,
+  readAchievements,
+  unlockAchievements,
+} from './achievements';
 import {
   LEVELS,
   LEVEL_ORDER,
@@ -18,11 +26,48 @@ import {
   writeLevelProgress,
   getNextLevel,
 } from './levels';
+import {
+  CUSTOM_DIFFICULTY,
+  GAME_MODES,
+  HINT_TYPES,
+  STATUS,
+  attemptsRemainingOf,
+  defaultTimerSecondsOf,
+  gameReducer,
+  isHintAllowed,
+  startRound,
+} from './engine';
+import { getSessionSeed, setSessionSeed, writeDevSeed } from './random';
+import DailyChallengePanel from './DailyChallengePanel';
+import CustomDifficultyBuilder from './CustomDifficultyBuilder';
+import GuessHistory, { historyItemLabel } from './GuessHistory';
+import GuessAnalysisPanel from './GuessAnalysisPanel';
+import NumberLine from './NumberLine';
+import SharePanel from './SharePanel';
+import SurvivalSummary from './SurvivalSummary';
+import TimeAttackSummary from './TimeAttackSummary';
+import ChallengePanel from './ChallengePanel';
+import { challengeRoundOptions, readChallengeLink } from './challenge';
+import ReverseModePanel from './ReverseModePanel';
+import HotSeatPanel from './HotSeatPanel';
+import { createMatch, matchResult, recordMatchRound } from './hotseat';
+import ProfilesModal from './ProfilesModal';
+import { readProfileTheme, readProfiles, switchProfile, writeProfileTheme } from './profiles';
+import { readSavedLanguage } from './i18n';
+import { subscribeStorageErrors } from './storage';
+import BackupImportModal from './BackupImportModal';
+import { applyBackup, backupFileName, createBackup, parseBackup } from './backup';
+import { dailyChallengeFor, dailyKey, getDailyResult, recordDailyResult, startDailyAttempt } from './daily';
+import ResumeRoundModal from './ResumeRoundModal';
+import { clearActiveRound, elapsedSecondsSince, readActiveRound, saveActiveRound } from './resume';
+import { SHOT_CLOCK_OPTIONS, TIMER_SECONDS_OPTIONS, readTimerSettings, writeTimerSettings } from './timerSettings';
+import { summarizeTimeAttack } from './timeAttack';
 
 /**
  * Number Guessing Game - Ocean Professional themed
  * Single page, centered layout with header, guess input, difficulty selector, feedback, attempts, score, and reset button.
  * Self-contained; no backend calls. Includes keyboard accessibility and focus management.
+ * Round rules live in ./engine; this component renders engine state and performs side effects for its events.
  */
 
 // Ocean Professional theme tokens (synced with CSS vars in App.css)
@@ -37,75 +82,10 @@ const THEME = {
   text: '#111827',
 };
 
-// Difficulty presets
-const DIFFICULTIES = {
-  easy: { label: 'Easy', min: 1, max: 20 },
-  medium: { label: 'Medium', min: 1, max: 50 },
-  hard: { label: 'Hard', min: 1, max: 100 },
-};
-
-// PUBLIC_INTERFACE
-// Fixed penalty per hint usage applied to final score on win
-const HINT_PENALTY = 100;
-
-/** PUBLIC_INTERFACE
- * Default Timer Challenge durations by difficulty (in seconds)
- * These are distinct for the challenge countdown.
- */
-const TIMER_CHALLENGE_DEFAULTS = {
-  easy: 30,
-  medium: 45,
-  hard: 60,
-};
-
-// internal helper to clamp a number between min and max
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
-
-/** PUBLIC_INTERFACE
- * Time bonus up to +50% when winning with full time left in Timer Challenge.
- * finalScore = max(0, baseScore - hintPenalty) * (1 + (remaining/total) * TIME_BONUS_WEIGHT)
- */
-const TIME_BONUS_WEIGHT = 0.5;
-
 // PUBLIC_INTERFACE
 // Volume constant for success sound (0.0 - 1.0)
 const SUCCESS_SOUND_VOLUME = 0.6;
 
-// PUBLIC_INTERFACE
-// Clamp final score to a reasonable upper bound to avoid runaway values.
-const MAX_FINAL_SCORE = 5000;
-
-// PUBLIC_INTERFACE
-// Maximum allowed attempts per difficulty
-const MAX_ATTEMPTS = {
-  easy: 6,
-  medium: 8,
-  hard: 10,
-};
-
-// PUBLIC_INTERFACE
-// Hint types for this game
-const HINT_TYPES = {
-  parity: 'parity',
-  range: 'range',
-  digit: 'digit',
-  proximity: 'proximity',
-};
-
-// PUBLIC_INTERFACE
-// Guess history entry shape helper
-function makeHistoryEntry(index, value, result) {
-  return {
-    index,
-    value,
-    result, // 'too low' | 'too high' | 'correct'
-    ts: Date.now(),
-    id: `${Date.now()}-${index}-${value}-${result}`,
-  };
-}
-
 /** PUBLIC_INTERFACE
  * Format seconds to mm:ss (or s for under a minute if desired)
  */
@@ -116,6 +96,17 @@ function formatSeconds(total) {
   return `${String(m)}:${String(s).padStart(2, '0')}`;
 }
 
+// Monotonic clock the Timer Challenge deadline is kept on (changing the system time cannot move it)
+function clockNow() {
+  return typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now();
+}
+
+// Countdown seconds worth announcing to screen readers: the start, every fifth second and each
+// second of the final stretch (the last 10 seconds, or the last third of a shorter clock)
+function isAnnouncedSecond(seconds, total) {
+  return seconds === total || seconds % 5 === 0 || seconds <= Math.min(10, Math.ceil(total / 3));
+}
+
 /** PUBLIC_INTERFACE
  * Main application component for the Number Guessing Game.
  * Manages theme, game state, and renders the UI.
@@ -128,84 +119,134 @@ function App() {
       i18n.changeLanguage(lang);
     }
   }, [lang, i18n]);
-  /** State
-   * Place 'range' before any usage in initializers to avoid TDZ issues.
-   */
-  const [theme, setTheme] = useState('light'); // kept to respect existing template behavior
+  /** State */
+  const [theme, setTheme] = useState(() => readProfileTheme()); // saved per player profile
+
+  // Player profiles: each keeps its own levels, stats, achievements, leaderboard, language and theme
+  const [profiles, setProfiles] = useState(() => readProfiles());
+  const [profilesOpen, setProfilesOpen] = useState(false);
+  const currentProfile = profiles.profiles.find((p) => p.id === profiles.activeId);
 
   // Levels: unlocked progress and current level
   const [unlockedLevels, setUnlockedLevels] = useState(() => readLevelProgress());
   const [level, setLevel] = useState(() => LEVELS.BEGINNER);
   const [unlockMessage, setUnlockMessage] = useState(''); // aria-live message for unlocks
 
-  // PUBLIC_INTERFACE
-  // difficulty selection persisted in state, default Medium; will be preset by level
-  const [difficulty, setDifficulty] = useState('medium');
-
-  const [range, setRange] = useState(() => {
-    const d = DIFFICULTIES['medium'];
-    return { min: d.min, max: d.max };
-  });
-
-  const [secret, setSecret] = useState(() => {
-    // initialize secret using explicit min/max to avoid referencing 'range' before it's initialized
-    const d = DIFFICULTIES['medium'];
-    return generateSecret(d.min, d.max);
-  });
+  // A friend's challenge link opens on their round (see ./challenge); { ok: false } for edited links
+  const [challengeLink] = useState(() => readChallengeLink());
+  const incomingChallenge = challengeLink?.ok ? challengeLink.challenge : null;
+
+  // An unfinished round saved before a reload (see ./resume), awaiting Resume round / Start new.
+  // A challenge link opens on the friend's round first; the prompt waits until that round is left.
+  const [savedRound, setSavedRound] = useState(() => readActiveRound());
+
+  // Timer Challenge round time and shot clock chosen by the player (see ./timerSettings)
+  const [timerSettings, setTimerSettings] = useState(() => readTimerSettings());
+
+  // Engine round state; the level preset decides the opening difficulty unless a challenge link sets the round
+  const [game, setGame] = useState(
+    () =>
+      startRound(
+        incomingChallenge
+          ? { ...challengeRoundOptions(incomingChallenge), sessionSeed: getSessionSeed() }
+          : {
+              difficulty: LEVEL_PRESET_DIFFICULTY[LEVELS.BEGINNER] || 'easy',
+              timerSeconds: timerSettings.seconds,
+              shotClock: timerSettings.shotClock,
+              sessionSeed: getSessionSeed(),
+            }
+      ).state
+  );
+  // The challenge is the opening round only; any new round leaves it
+  const inChallengeRound = Boolean(challengeLink) && game.round === 0;
+  // Latest engine state for dispatches that run outside render (timer interval, async handlers)
+  const gameRef = useRef(game);
+  // When the current round started, for session durations
+  const roundStartedAtRef = useRef(Date.now());
+  // A round chosen in the resume prompt, committed once its settings are back in place
+  const pendingResumeRef = useRef(null);
+  // Set while a resumed round is committed, so it keeps its saved start time and number line use
+  const restoredRoundRef = useRef(false);
+  const {
+    difficulty,
+    range,
+    status,
+    attempts,
+    score,
+    history,
+    hintTypesUsed,
+    timerChallenge,
+    timeLeft,
+    totalTime,
+    puzzle,
+    puzzleAnswered,
+    puzzleRetryUsed,
+    puzzleLocked,
+  } = game;
   const [input, setInput] = useState('');
-  const [feedback, setFeedback] = useState('');
-  // status: 'playing' | 'won' | 'timeout' | 'out_of_attempts'
-  const [status, setStatus] = useState('playing');
-  const [attempts, setAttempts] = useState(0);
-  const [score, setScore] = useState(0); // track score based on attempts and difficulty
 
   // Leaderboard modal visibility
   const [leaderboardOpen, setLeaderboardOpen] = useState(false);
 
   // Achievements state
-  const [achievements, setAchievements] = useState(() => readAchievements());
   const [achievementsOpen, setAchievementsOpen] = useState(false);
   const [statisticsOpen, setStatisticsOpen] = useState(false);
+  const [sessionsOpen, setSessionsOpen] = useState(false);
   const [achToast, setAchToast] = useState(''); // announcement text for newly unlocked
   const achLiveRef = useRef(null); // aria-live for achievements
-  const [roundNewlyUnlocked, setRoundNewlyUnlocked] = useState([]); // to show chips on win
 
-  // Hint state:
-  // count of hint types used (penalty per unique type)
-  const [hintTypesUsed, setHintTypesUsed] = useState({
-    [HINT_TYPES.parity]: false,
-    [HINT_TYPES.range]: false,
-    [HINT_TYPES.digit]: false,
-    [HINT_TYPES.proximity]: false,
-  });
-  const [lastHint, setLastHint] = useState('');
-  const hintCount = Object.values(hintTypesUsed).filter(Boolean).length;
+  // Saving problems (storage full or blocked): progress is kept for this session only
+  const [storageError, setStorageError] = useState(null);
+  useEffect(() => subscribeStorageErrors((err) => setStorageError((prev) => prev || err.type)), []);
+
+  // Backup import: the parsed file (or its validation error) awaiting a merge/replace choice
+  const [pendingImport, setPendingImport] = useState({ backup: null, error: null });
+  const importInputRef = useRef(null);
+  const [roundNewlyUnlocked, setRoundNewlyUnlocked] = useState([]); // to show chips on win
 
   // Attempts remaining derived from difficulty and attempts used
-  const maxAttempts = MAX_ATTEMPTS[difficulty];
-  const attemptsRemaining = Math.max(0, maxAttempts - attempts);
+  const attemptsRemaining = attemptsRemainingOf(game);
+  // Whole seconds shown for the countdowns; the engine keeps milliseconds
+  const secondsLeft = Math.ceil(timeLeft);
+  const shotSecondsLeft = Math.ceil(game.shotLeft ?? 0);
 
-  // Guess History state: array of { index, value, result, ts, id }
-  const [history, setHistory] = useState([]);
-  const [repeatWarning, setRepeatWarning] = useState(''); // inline warning for repeated guesses
   const [historyLive, setHistoryLive] = useState(''); // aria-live updates for history
 
-  // Timer Challenge Mode (distinct dedicated mode)
-  const [timerChallenge, setTimerChallenge] = useState(false);
-  const [timeLeft, setTimeLeft] = useState(TIMER_CHALLENGE_DEFAULTS[difficulty]);
-  const [totalTime, setTotalTime] = useState(TIMER_CHALLENGE_DEFAULTS[difficulty]);
-  const [winTimeBonusPct, setWinTimeBonusPct] = useState(0); // for UI breakdown on success
+  // Timer Challenge Mode (distinct dedicated mode); countdown state lives in the engine
   const timerRef = useRef(null);
   const lastAnnouncedRef = useRef(null); // to avoid SR spam
-
-  // Puzzle Mode state
-  const [puzzleMode, setPuzzleMode] = useState(false);
-  const [puzzle, setPuzzle] = useState(null); // { id, type, promptKey, options: [{key, correct}], defaultHintType }
-  const [puzzleAnswered, setPuzzleAnswered] = useState(false);
-  const [puzzleRetryUsed, setPuzzleRetryUsed] = useState(false);
-  const [puzzleFeedback, setPuzzleFeedback] = useState(''); // localized text
-  const [puzzleAria, setPuzzleAria] = useState(''); // aria-live region
-  const [puzzleLocked, setPuzzleLocked] = useState(false);
+  const lastShotAnnouncedRef = useRef(null);
+
+  // Puzzle Mode toggle; puzzle state lives in the engine
+  const [puzzleMode, setPuzzleMode] = useState(() => Boolean(incomingChallenge?.puzzleMode));
+
+  // Number line under the guess form; winning with it hidden for the whole round earns an achievement
+  const [numberLineOn, setNumberLineOn] = useState(true);
+  const numberLineUsedRef = useRef(true);
+
+  // Daily Challenge: one shared, date-seeded round per day; result kept apart from the leaderboard
+  const [dailyMode, setDailyMode] = useState(false);
+  const [dailyDate, setDailyDate] = useState(() => dailyKey());
+  const [dailyResult, setDailyResult] = useState(null);
+  const dailyPlaying = Boolean(game.daily) && status === STATUS.playing;
+
+  // Game mode: classic, bulls-and-cows (both use the guess form) or reverse (the computer guesses)
+  const [gameMode, setGameMode] = useState(() => incomingChallenge?.mode || GAME_MODES.classic);
+  const usesGuessForm = gameMode !== GAME_MODES.reverse;
+  const codeMode = Boolean(game.code);
+  // Time Attack runs one clock over many secrets, single-player, with the timer always on
+  const timeAttackRun = Boolean(game.timeAttack);
+  // Survival runs ever wider rounds on one attempt pool, single-player and untimed
+  const survivalRun = Boolean(game.survival);
+  // Runs end with a summary of their own in place of the single-round analysis and share panels
+  const runMode = timeAttackRun || survivalRun;
+
+  // Custom difficulty builder visibility (opened from the "Custom" difficulty option)
+  const [customBuilderOpen, setCustomBuilderOpen] = useState(false);
+
+  // Hot-seat multiplayer: players take turns on one device over a best-of-N match
+  const [hotSeatOn, setHotSeatOn] = useState(false);
+  const [match, setMatch] = useState(null);
 
   /** Refs for accessibility and UX */
   const inputRef = useRef(null);
@@ -221,32 +262,58 @@ function App() {
   // Apply theme token to document for CSS var selection (light/dark switch retained)
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', theme);
+    writeProfileTheme(theme);
   }, [theme]);
 
-  // On mount, load level progress and preset difficulty for current level
   useEffect(() => {
-    const saved = readLevelProgress();
-    setUnlockedLevels(saved);
-    // Default to Beginner if not unlocked set present
-    const initialLevel = LEVELS.BEGINNER;
-    setLevel(initialLevel);
-    const presetDiff = LEVEL_PRESET_DIFFICULTY[initialLevel] || 'easy';
-    applyDifficultyPreset(presetDiff);
-
-    // load achievements once
-    try {
-      setAchievements(readAchievements());
-    } catch {
-      // ignore
+    if (restoredRoundRef.current) {
+      restoredRoundRef.current = false;
+      return;
     }
+    roundStartedAtRef.current = Date.now();
+    numberLineUsedRef.current = numberLineOn;
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [game.round]);
+
+  // Events the resumed round raises (a clock that ran out while away) are handled with its own settings
+  useEffect(() => {
+    const pending = pendingResumeRef.current;
+    if (!pending) return;
+    pendingResumeRef.current = null;
+    dispatch({ type: 'resumeRound', ...pending });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [savedRound]);
+
+  // Snapshot the round in progress on every change so a reload can resume it
+  useEffect(() => {
+    // Keep the saved round until the player has chosen what to do with it; a friend's challenge
+    // round is played from its link, never saved over the player's own round
+    if (savedRound || inChallengeRound) return;
+    if (!usesGuessForm) {
+      clearActiveRound();
+      return;
+    }
+    saveActiveRound(game, {
+      level,
+      puzzleMode,
+      numberLineOn,
+      numberLineUsed: numberLineUsedRef.current,
+      startedAt: roundStartedAtRef.current,
+      match,
+    });
+  }, [game, savedRound, inChallengeRound, usesGuessForm, level, puzzleMode, numberLineOn, match]);
 
   // Derived info
   const placeholder = useMemo(
-    () => t('guessPlaceholder', { min: range.min, max: range.max }),
-    [range, t]
+    () =>
+      game.code
+        ? t('code_placeholder', { length: game.code.length })
+        : t('guessPlaceholder', { min: range.min, max: range.max }),
+    [range, game.code, t]
   );
+  const feedback = game.message ? t(game.message.key, game.message.params) : '';
+  const repeatWarning = game.repeatWarning ? t(game.repeatWarning.key, game.repeatWarning.params) : '';
+  const puzzleFeedback = game.puzzleMessage ? t(game.puzzleMessage.key) : '';
 
   // PUBLIC_INTERFACE
   const toggleTheme = () => {
@@ -254,54 +321,46 @@ function App() {
   };
 
   /** Logic */
-  // Make generateSecret independent from component closure by always requiring min/max
-  function generateSecret(min, max) {
-    const value = Math.floor(Math.random() * (max - min + 1)) + min;
-    return value;
+  // Run an engine action, commit the next state and react to its events
+  function dispatch(action) {
+    const { state, events } = gameReducer(gameRef.current, action);
+    gameRef.current = state;
+    setGame(state);
+    return handleEngineEvents(events, state);
   }
 
-  // Helper: apply difficulty preset and reset game state
-  function applyDifficultyPreset(nextDifficulty) {
-    setDifficulty(nextDifficulty);
-    const preset = DIFFICULTIES[nextDifficulty];
-    // Update range and new secret according to difficulty
-    setRange({ min: preset.min, max: preset.max });
-    setSecret(generateSecret(preset.min, preset.max));
-
-    // Reset round state
+  // Start a new round keeping the current mode toggles; overrides pick e.g. a new difficulty
+  function startNewRound(overrides = {}) {
+    const current = gameRef.current;
     setInput('');
-    setFeedback('');
-    setAttempts(0);
-    setStatus('playing');
-    setScore(0);
-    resetHints();
-    resetHistory();
+    setHistoryLive('');
     setRoundNewlyUnlocked([]);
-
-    // Timer and puzzle resets
-    resetAndMaybeStartTimer(nextDifficulty);
-    resetPuzzleState(levelIndex(level) + attempts);
-
+    dispatch({
+      type: 'startRound',
+      difficulty: current.difficulty,
+      custom: current.custom,
+      mode: current.mode,
+      allowRepeats: Boolean(current.code && current.code.allowRepeats),
+      timerChallenge: current.timerChallenge,
+      timerSeconds: timerSettings.seconds,
+      shotClock: timerSettings.shotClock,
+      players: current.players ? current.players.map((p) => p.name) : null,
+      sessionSeed: getSessionSeed(),
+      ...overrides,
+    });
     // Return focus to input for accessibility
     setTimeout(() => inputRef.current?.focus(), 0);
   }
 
-  /**
-   * Compute a proportional base score for a win (without time bonus).
-   * Fewer attempts yield higher score, scaled by the difficulty (range max).
-   * PUBLIC_INTERFACE
-   */
-  function computeScore(attemptCount, rangeMax) {
-    // Avoid division by zero; clamp to sensible values
-    const maxVal = Math.max(1, Number(rangeMax));
-    const raw = Math.round((1000 * (maxVal - attemptCount + 1)) / maxVal);
-    return Math.max(0, raw);
+  // Helper: apply difficulty preset and reset game state
+  function applyDifficultyPreset(nextDifficulty) {
+    startNewRound({ difficulty: nextDifficulty });
   }
 
   // Internal: Clear and stop timer
   function clearTimer() {
     if (timerRef.current) {
-      clearInterval(timerRef.current);
+      clearTimeout(timerRef.current);
       timerRef.current = null;
     }
   }
@@ -335,182 +394,189 @@ function App() {
     }
   }
 
-  // PUBLIC_INTERFACE
-  // Reset timer based on current difficulty and (re)start when Timer Challenge is enabled
-  function resetAndMaybeStartTimer(nextDifficulty = difficulty) {
-    const duration = TIMER_CHALLENGE_DEFAULTS[nextDifficulty];
-    setTotalTime(duration);
-    setTimeLeft(duration);
-    setWinTimeBonusPct(0);
+  // Timer Challenge clock: the engine counts down to a deadline (see tick), so this only wakes it
+  // as each displayed second runs out; late, throttled or doubled timers cannot add time
+  useEffect(() => {
     clearTimer();
-    if (timerChallenge && status === 'playing') {
-      // Start ticking every 1s
-      timerRef.current = setInterval(() => {
-        setTimeLeft((prev) => {
-          const next = prev - 1;
-          if (next <= 0) {
-            // Timeout reached -> loss state (no success sound here)
-            clearTimer();
-            setStatus('timeout');
-            setFeedback(t('feedback_timeout_round_over'));
-            // Do not alter history on timeout per requirements
-            setTimeout(() => playAgainRef.current?.focus(), 0);
-            try { incrementTotalGames(); } catch {}
-            return 0;
-          }
-          return next;
-        });
-      }, 1000);
+    if (!usesGuessForm || !timerChallenge || status !== STATUS.playing) return undefined;
+    // A new round, turn, shot or toggle arms the clocks; the armed state re-runs this effect
+    if (game.deadline == null || (game.shotClock && game.shotDeadline == null)) {
+      dispatch({ type: 'tick', now: clockNow() });
+      return undefined;
     }
-  }
-
-  // Start/stop timer on challenge toggle
-  useEffect(() => {
-    if (timerChallenge) {
-      resetAndMaybeStartTimer(difficulty);
-    } else {
-      clearTimer();
+    function schedule() {
+      const now = clockNow();
+      const untilNextSecond = (deadline) => Math.max(1, (deadline - now) % 1000 || 1000);
+      const { deadline, shotDeadline } = gameRef.current;
+      timerRef.current = setTimeout(() => {
+        dispatch({ type: 'tick', now: clockNow() });
+        if (gameRef.current.status === STATUS.playing && gameRef.current.deadline != null) schedule();
+      }, Math.min(untilNextSecond(deadline), shotDeadline != null ? untilNextSecond(shotDeadline) : Infinity));
     }
+    schedule();
+    // Background tabs throttle timers: catch up as soon as the tab is shown again
+    function onVisibilityChange() {
+      if (document.visibilityState === 'visible') dispatch({ type: 'tick', now: clockNow() });
+    }
+    document.addEventListener('visibilitychange', onVisibilityChange);
     return () => {
       clearTimer();
+      document.removeEventListener('visibilitychange', onVisibilityChange);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [timerChallenge]);
-
-  // Stop timer when status changes out of 'playing' (e.g., win or timeout or out_of_attempts)
-  useEffect(() => {
-    if (status !== 'playing') {
-      clearTimer();
-      // close/lock puzzle panel when round ends
-      setPuzzleLocked(true);
-    } else if (timerChallenge) {
-      resetAndMaybeStartTimer(difficulty);
-      // ensure puzzle is available for a new playing round
-      resetPuzzleState(levelIndex(level) + attempts);
-    }
-    return () => {};
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [status]);
+  }, [usesGuessForm, timerChallenge, status, game.round, game.deadline, game.shotDeadline]);
 
   // Update countdown announcement without spamming
   const timerAriaText = useMemo(() => {
     if (!timerChallenge || status !== 'playing') return '';
-    const announce = timeLeft <= 10 || timeLeft % 5 === 0 || timeLeft === totalTime;
-    if (announce && lastAnnouncedRef.current !== timeLeft) {
-      lastAnnouncedRef.current = timeLeft;
-      return `${t('timer_challenge_countdown', { time: formatSeconds(timeLeft) })}`;
+    if (isAnnouncedSecond(secondsLeft, totalTime) && lastAnnouncedRef.current !== secondsLeft) {
+      lastAnnouncedRef.current = secondsLeft;
+      return `${t('timer_challenge_countdown', { time: formatSeconds(secondsLeft) })}`;
     }
     return '';
-  }, [timeLeft, timerChallenge, status, totalTime, t]);
-
-  // Deterministic small puzzle pool for tests; rotate based on attempts + level index
-  const PUZZLES = [
-    // Riddle/trivia
-    { id: 'riddle_sky', type: 'riddle', promptKey: 'puzzle_riddle_sky_prompt', options: [
-      { key: 'puzzle_opt_blue', correct: true },
-      { key: 'puzzle_opt_green', correct: false },
-      { key: 'puzzle_opt_red', correct: false },
-    ], defaultHintType: HINT_TYPES.range },
-    // Arithmetic
-    { id: 'arith_12_7', type: 'arith', promptKey: 'puzzle_arith_12_7_prompt', options: [
-      { key: 'puzzle_opt_19', correct: true },
-      { key: 'puzzle_opt_20', correct: false },
-      { key: 'puzzle_opt_18', correct: false },
-    ], defaultHintType: HINT_TYPES.parity },
-    // Pattern
-    { id: 'seq_pow2', type: 'sequence', promptKey: 'puzzle_seq_2x_prompt', options: [
-      { key: 'puzzle_opt_32', correct: true },
-      { key: 'puzzle_opt_24', correct: false },
-      { key: 'puzzle_opt_20', correct: false },
-    ], defaultHintType: HINT_TYPES.digit },
-  ];
-
-  function levelIndex(lvl) {
-    return LEVEL_ORDER.indexOf(lvl);
+  }, [secondsLeft, timerChallenge, status, totalTime, t]);
+
+  // The shot clock is announced on the same schedule
+  const shotAriaText = useMemo(() => {
+    if (!timerChallenge || !game.shotClock || status !== 'playing') return '';
+    if (isAnnouncedSecond(shotSecondsLeft, game.shotClock) && lastShotAnnouncedRef.current !== shotSecondsLeft) {
+      lastShotAnnouncedRef.current = shotSecondsLeft;
+      return t('shot_clock_countdown', { time: formatSeconds(shotSecondsLeft) });
+    }
+    return '';
+  }, [shotSecondsLeft, timerChallenge, game.shotClock, status, t]);
+
+  // Save the chosen round time / shot clock; a round in progress restarts its clock with them
+  function changeTimerSettings(patch) {
+    const next = writeTimerSettings(patch);
+    setTimerSettings(next);
+    if (status === STATUS.playing) {
+      dispatch({ type: 'setTimerChallenge', enabled: timerChallenge, timerSeconds: next.seconds, shotClock: next.shotClock });
+    }
   }
 
-  function nextPuzzleForRound(seed = 0) {
-    // Deterministic rotation using seed
-    const idx = Math.abs(seed) % PUZZLES.length;
-    return PUZZLES[idx];
+  // Continue the saved round with the settings it was played under; its clock is charged for the time away
+  function resumeSavedRound() {
+    const { state, context, savedAt } = savedRound;
+    setSavedRound(null);
+    if (state.round !== gameRef.current.round) restoredRoundRef.current = true;
+    roundStartedAtRef.current = context.startedAt ?? Date.now();
+    numberLineUsedRef.current = context.numberLineUsed;
+    setNumberLineOn(context.numberLineOn);
+    setLevel(context.level);
+    setPuzzleMode(context.puzzleMode);
+    setGameMode(state.mode);
+    setHotSeatOn(Boolean(state.players));
+    setMatch(context.match);
+    setDailyMode(Boolean(state.daily));
+    if (state.daily) setDailyDate(state.daily);
+    setDailyResult(null);
+    setCustomBuilderOpen(false);
+    setInput('');
+    pendingResumeRef.current = { state, elapsedSeconds: elapsedSecondsSince(savedAt) };
+    setTimeout(() => inputRef.current?.focus(), 0);
   }
 
-  function resetPuzzleState(seed = 0) {
-    setPuzzle(nextPuzzleForRound(seed));
-    setPuzzleAnswered(false);
-    setPuzzleRetryUsed(false);
-    setPuzzleFeedback('');
-    setPuzzleAria('');
-    setPuzzleLocked(false);
+  // Drop the saved round and keep the fresh one
+  function discardSavedRound() {
+    clearActiveRound();
+    setSavedRound(null);
   }
 
-  function applyHintByType(type) {
-    switch (type) {
-      case HINT_TYPES.parity:
-        return handleParityHint();
-      case HINT_TYPES.range:
-        return handleRangeHint();
-      case HINT_TYPES.digit:
-        return handleDigitHint();
-      case HINT_TYPES.proximity:
-        return handleProximityHint();
-      default:
-        return handleRangeHint();
+  // PUBLIC_INTERFACE
+  function resetGame() {
+    // A finished daily round cannot be replayed; go back to regular rounds
+    if (dailyMode) setDailyMode(false);
+    // A decided hot-seat match rolls over into a rematch with the same players
+    if (match && matchResult(match).decided) setMatch(createMatch(match.players, match.bestOf));
+    startNewRound();
+  }
+
+  // PUBLIC_INTERFACE
+  function handleHotSeatToggle(enabled) {
+    setHotSeatOn(enabled);
+    if (!enabled) {
+      setMatch(null);
+      if (gameRef.current.players) startNewRound({ players: null });
     }
   }
 
-  // Reset all hint state
-  function resetHints() {
-    setHintTypesUsed({
-      [HINT_TYPES.parity]: false,
-      [HINT_TYPES.range]: false,
-      [HINT_TYPES.digit]: false,
-      [HINT_TYPES.proximity]: false,
+  // PUBLIC_INTERFACE
+  function startHotSeatMatch(names, bestOf) {
+    setMatch(createMatch(names, bestOf));
+    startNewRound({ players: names });
+  }
+
+  // PUBLIC_INTERFACE
+  function handleDailyToggle(enabled) {
+    if (!enabled) {
+      setDailyMode(false);
+      setDailyResult(null);
+      if (game.daily) startNewRound();
+      return;
+    }
+    const challenge = dailyChallengeFor(new Date());
+    setCustomBuilderOpen(false);
+    setDailyMode(true);
+    setDailyDate(challenge.dateKey);
+    const existing = getDailyResult(challenge.dateKey);
+    setDailyResult(existing);
+    if (existing || !startDailyAttempt(challenge.dateKey)) return;
+    startNewRound({
+      difficulty: challenge.difficulty,
+      seed: challenge.seed,
+      timerChallenge: false,
+      daily: challenge.dateKey,
     });
-    setLastHint('');
   }
 
-  // Reset guess history for new round
-  function resetHistory() {
-    setHistory([]);
-    setRepeatWarning('');
-    setHistoryLive('');
+  // Score the day's single attempt when a daily round finishes
+  function finishDailyRound(state) {
+    if (!state.daily) return;
+    const result = recordDailyResult(state.daily, {
+      status: state.status,
+      attempts: state.attempts,
+      score: state.score,
+    });
+    setDailyResult(result);
   }
 
-  // PUBLIC_INTERFACE
-  function resetGame() {
-    setSecret(generateSecret(range.min, range.max));
-    setInput('');
-    setFeedback('');
-    setAttempts(0);
-    setStatus('playing');
-    setScore(0);
-    resetHints();
-    resetHistory();
-    setRoundNewlyUnlocked([]);
-    resetAndMaybeStartTimer(difficulty);
-    resetPuzzleState(levelIndex(level) + attempts);
-    setTimeout(() => inputRef.current?.focus(), 0);
+  // Dev setting: pin a seed for this and future sessions (empty clears it) and replay it now
+  function applyDevSeed(e) {
+    e.preventDefault();
+    const value = String(new FormData(e.target).get('devSeed') || '').trim();
+    writeDevSeed(value);
+    setSessionSeed(value || null);
+    startNewRound(value ? { seed: value } : {});
   }
 
   // PUBLIC_INTERFACE
   function handleDifficultyChange(e) {
-    const next = e.target.value;
-    setDifficulty(next);
-    const preset = DIFFICULTIES[next];
-    setRange({ min: preset.min, max: preset.max });
-    setSecret(generateSecret(preset.min, preset.max));
-    setInput('');
-    setFeedback('');
-    setAttempts(0);
-    setStatus('playing');
-    setScore(0);
-    resetHints();
-    resetHistory();
-    setRoundNewlyUnlocked([]);
-    resetAndMaybeStartTimer(next);
-    resetPuzzleState(levelIndex(level) + attempts);
-    setTimeout(() => inputRef.current?.focus(), 0);
+    // "Custom" opens the builder; the round starts once a valid config is applied
+    if (e.target.value === CUSTOM_DIFFICULTY) {
+      setCustomBuilderOpen(true);
+      return;
+    }
+    setCustomBuilderOpen(false);
+    startNewRound({ difficulty: e.target.value });
+  }
+
+  // PUBLIC_INTERFACE
+  function handleGameModeChange(nextMode) {
+    if (!Object.values(GAME_MODES).includes(nextMode)) return;
+    setGameMode(nextMode);
+    if (nextMode === GAME_MODES.timeAttack || nextMode === GAME_MODES.survival) {
+      setHotSeatOn(false);
+      setMatch(null);
+    }
+    // Modes played on the guess form start a fresh engine round in that mode
+    if (nextMode !== GAME_MODES.reverse) startNewRound({ mode: nextMode });
+  }
+
+  // PUBLIC_INTERFACE
+  function applyCustomDifficulty(config) {
+    setCustomBuilderOpen(false);
+    startNewRound({ difficulty: CUSTOM_DIFFICULTY, custom: config });
   }
 
   // PUBLIC_INTERFACE
@@ -519,9 +585,68 @@ function App() {
     if (!unlockedLevels.has(nextLevel)) return;
     setLevel(nextLevel);
     // Apply preset difficulty but allow user to change later
+    setCustomBuilderOpen(false);
     const preset = LEVEL_PRESET_DIFFICULTY[nextLevel] || 'medium';
     applyDifficultyPreset(preset);
-    resetPuzzleState(levelIndex(nextLevel));
+  }
+
+  // PUBLIC_INTERFACE
+  function handleProfileSwitch(id) {
+    // Load the profile's own progress and settings, then start over at its opening level
+    if (!switchProfile(id)) return;
+    setProfiles(readProfiles());
+    setUnlockedLevels(readLevelProgress());
+    setLevel(LEVELS.BEGINNER);
+    setLang(readSavedLanguage());
+    setTheme(readProfileTheme());
+    setDailyMode(false);
+    setDailyResult(null);
+    setHotSeatOn(false);
+    setMatch(null);
+    setCustomBuilderOpen(false);
+    const profileTimer = readTimerSettings();
+    setTimerSettings(profileTimer);
+    startNewRound({
+      difficulty: LEVEL_PRESET_DIFFICULTY[LEVELS.BEGINNER] || 'easy',
+      custom: null,
+      players: null,
+      timerSeconds: profileTimer.seconds,
+      shotClock: profileTimer.shotClock,
+    });
+    // Offer the profile's own unfinished round, if it left one
+    setSavedRound(readActiveRound());
+  }
+
+  // PUBLIC_INTERFACE
+  function handleExportData() {
+    // Download the active profile's data as a JSON backup file
+    const blob = new Blob([JSON.stringify(createBackup(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = backupFileName();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // PUBLIC_INTERFACE
+  async function handleImportFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const result = parseBackup(await file.text());
+    setPendingImport(result.ok ? { backup: result.backup, error: null } : { backup: null, error: result.errorKey });
+  }
+
+  // PUBLIC_INTERFACE
+  function confirmImport(mode) {
+    const { language, theme: importedTheme } = applyBackup(pendingImport.backup, mode);
+    setPendingImport({ backup: null, error: null });
+    setUnlockedLevels(readLevelProgress());
+    if (language) setLang(language);
+    if (importedTheme) setTheme(importedTheme);
   }
 
   // Check and unlock next level on a win (single round)
@@ -543,300 +668,128 @@ function App() {
     }, 0);
   }
 
-  function validateInput(value) {
-    if (value.trim() === '') return { ok: false, message: t('guessLabel') };
-    const num = Number(value);
-    if (Number.isNaN(num)) return { ok: false, message: t('submitGuessTitle') };
-    if (!Number.isInteger(num)) return { ok: false, message: t('submitGuessTitle') };
-    if (num < range.min || num > range.max) {
-      return { ok: false, message: t('guessPlaceholder', { min: range.min, max: range.max }) };
-    }
-    return { ok: true, value: num };
-  }
-
-  // Check if guess was already made in current round
-  function isRepeatGuess(num) {
-    return history.some((h) => h.value === num);
+  // Check if the raw input repeats a guess of the current round (codes compare as digit strings)
+  function isRepeatGuess(raw) {
+    const value = codeMode ? String(raw).trim() : Number(raw);
+    return history.some((h) => h.value === value);
   }
 
-  async function handleSubmit(e) {
-    e.preventDefault();
-    if (status === 'won' || status === 'timeout' || status === 'out_of_attempts') return;
-
-    const validation = validateInput(input);
-    if (!validation.ok) {
-      setFeedback(validation.message);
-      setTimeout(() => feedbackRef.current?.focus(), 0);
-      return;
-    }
-
-    const guess = validation.value;
-
-    // Prevent repeated guesses: warn and ignore, do not decrement attempts, do not add to history
-    if (isRepeatGuess(guess)) {
-      const msg = t('repeat_warning', { guess });
-      setRepeatWarning(msg);
-      // subtle focus for SR users; don't change attempts
-      setTimeout(() => feedbackRef.current?.focus(), 0);
-      return;
-    } else {
-      // clear any prior repeat warning on a new, unique guess
-      if (repeatWarning) setRepeatWarning('');
-    }
-
-    const nextAttempts = attempts + 1;
-    let resultLabel = '';
-    if (guess === secret) {
-      resultLabel = 'correct';
-    } else if (guess < secret) {
-      resultLabel = 'too low';
-    } else {
-      resultLabel = 'too high';
+  // Add the finished round to the session log (the leaderboard and statistics are derived from it)
+  function logSession(state, player = null) {
+    try {
+      recordSession(
+        sessionFromRound(state, { level, startedAt: roundStartedAtRef.current, puzzleMode, player, language: i18n.language })
+      );
+    } catch {
+      // ignore storage errors
     }
+  }
 
-    // Update attempts only for first-time valid guesses
-    setAttempts(nextAttempts);
-
-    // Update guess history
-    setHistory((prev) => {
-      const entry = makeHistoryEntry(prev.length + 1, guess, resultLabel);
-      const next = [...prev, entry];
-      // Announce politely for screen readers
-      setHistoryLive(t('history_item_aria', { value: guess, result: resultLabel }));
-      return next;
-    });
-
-    if (resultLabel === 'correct') {
-      const baseScore = computeScore(nextAttempts, range.max);
-      const penalty = Math.min(baseScore, hintCount * HINT_PENALTY);
-      let finalBase = Math.max(0, baseScore - penalty);
-      let finalScore = finalBase;
-      let timeBonusPct = 0;
-
-      if (timerChallenge && totalTime > 0) {
-        const bonus = 1 + (Math.max(0, timeLeft) / totalTime) * TIME_BONUS_WEIGHT;
-        timeBonusPct = Math.round((bonus - 1) * 100);
-        finalScore = Math.round(clamp(finalBase * bonus, 0, MAX_FINAL_SCORE));
-      } else {
-        finalScore = Math.round(clamp(finalBase, 0, MAX_FINAL_SCORE));
+  // Evaluate the achievement registry for a finished round (persist across sessions)
+  function checkAchievements(state, player = null) {
+    try {
+      const round = achievementRound(state, { player, level, puzzleMode, numberLineUsed: numberLineUsedRef.current });
+      const current = readAchievements();
+      const { newly } = unlockAchievements(current, evaluateAchievements(round, readAchievementStats(), current), Date.now());
+      setRoundNewlyUnlocked(newly);
+      if (newly.length > 0) {
+        const titles = newly.map((k) => t(`ach_${k}_title`, { defaultValue: ACHIEVEMENT_META[k]?.title || k })).join(' & ');
+        const msg = t('achievement_unlocked_toast', { titles });
+        setAchToast(msg);
+        setTimeout(() => {
+          if (achLiveRef.current) achLiveRef.current.textContent = msg;
+        }, 0);
+        // auto-hide toast after a short delay
+        setTimeout(() => setAchToast(''), 3000);
       }
+    } catch {
+      // no-op
+    }
+  }
 
-      setScore(finalScore);
-      setWinTimeBonusPct(timeBonusPct);
-
-      try {
-        addResult({
-          timestamp: Date.now(),
-          difficulty,
-          attempts: nextAttempts,
-          score: finalScore,
-          timerChallenge: Boolean(timerChallenge),
-          timeRemaining: timerChallenge ? Math.max(0, timeLeft) : null,
-          totalTime: timerChallenge ? totalTime : null,
-        });
-      } catch {
-        // ignore storage errors
-      }
+  // Side effects for a finished, won round: persistence, sound, level unlocks and achievements
+  async function handleWin(event, state) {
+    finishDailyRound(state);
+    logSession(state, event.player || null);
+    if (state.players) setMatch((m) => recordMatchRound(m, { winner: event.player, score: event.score }));
 
-      await playSuccessSound();
+    await playSuccessSound();
 
-      setFeedback(
-        timerChallenge
-          ? t('feedback_correct_timebonus', {
-              secret,
-              score: finalScore,
-              bonus: timeBonusPct,
-            })
-          : t('feedback_correct', { secret, score: finalScore })
-      );
-      setStatus('won');
-
-      try { incrementTotalGames(); } catch {}
-      // Unlock next level for wins only (not losses/timeouts)
-      unlockNextLevelIfEligible(level);
-
-      // Achievements unlock evaluation (persist across sessions)
-      try {
-        const current = readAchievements();
-        const toUnlock = [];
-        if (nextAttempts === 1) toUnlock.push('firstTryWin');
-        if (hintCount === 0) toUnlock.push('noHintsWin');
-        if (toUnlock.length > 0) {
-          const { next, newly } = unlockAchievements(current, toUnlock, Date.now());
-          setAchievements(next);
-          setRoundNewlyUnlocked(newly);
-          if (newly.length > 0) {
-            const titles = newly.map(k => ACHIEVEMENT_META[k]?.title || k).join(' & ');
-            const msg = t('achievement_unlocked_toast', { titles });
-            setAchToast(msg);
-            setTimeout(() => {
-              if (achLiveRef.current) achLiveRef.current.textContent = msg;
-            }, 0);
-            // auto-hide toast after a short delay
-            setTimeout(() => setAchToast(''), 3000);
-          }
-        } else {
-          setRoundNewlyUnlocked([]);
-        }
-      } catch {
-        // no-op
-      }
+    try { incrementTotalGames(); } catch {}
+    // Unlock next level for wins only (not losses/timeouts); custom rules can be made trivial, so they don't count
+    if (state.difficulty !== CUSTOM_DIFFICULTY) unlockNextLevelIfEligible(level);
 
-      setTimeout(() => playAgainRef.current?.focus(), 0);
-      clearTimer();
-      return;
-    }
+    checkAchievements(state, event.player || null);
 
-    // Incorrect guess path
-    if (resultLabel === 'too low') {
-      setFeedback(t('feedback_low'));
-    } else {
-      setFeedback(t('feedback_high'));
-    }
-    vibrateOnWrongGuess();
-    setTimeout(() => feedbackRef.current?.focus(), 0);
-
-    // After processing wrong guess, check attempts remaining and end round if zero
-    const remaining = maxAttempts - nextAttempts;
-    if (remaining <= 0) {
-      setStatus('out_of_attempts');
-      setFeedback(t('feedback_out_attempts'));
-      setTimeout(() => playAgainRef.current?.focus(), 0);
-      try { incrementTotalGames(); } catch {}
-      clearTimer();
-    }
+    setTimeout(() => playAgainRef.current?.focus(), 0);
   }
 
-  // PUBLIC_INTERFACE
-  function announceHint(text, typeKey) {
-    setLastHint(text);
-    setFeedback(text);
-    // Only apply penalty once per hint type
-    setHintTypesUsed((prev) => {
-      if (!prev[typeKey]) {
-        return { ...prev, [typeKey]: true };
+  // React to engine events with UI side effects
+  async function handleEngineEvents(events, state) {
+    for (const event of events) {
+      switch (event.type) {
+        case 'invalid_guess':
+        case 'repeat_guess':
+        case 'hint':
+          setTimeout(() => feedbackRef.current?.focus(), 0);
+          break;
+        case 'guess_recorded':
+          // Announce politely for screen readers
+          setHistoryLive(historyItemLabel(t, event.entry));
+          break;
+        case 'wrong_guess':
+          vibrateOnWrongGuess();
+          setTimeout(() => feedbackRef.current?.focus(), 0);
+          break;
+        case 'secret_solved':
+        case 'survival_round_won':
+          // The run rolls straight on to the next secret: chime, no end-of-round handling
+          playSuccessSound();
+          break;
+        case 'secret_missed':
+        case 'shot_clock_expired':
+          // The live feedback line says so; focus stays in the guess field being typed in
+          vibrateOnWrongGuess();
+          break;
+        case 'won':
+          await handleWin(event, state);
+          break;
+        case 'turn_changed':
+          // Append to the guess announcement so screen readers hear whose turn is next
+          setHistoryLive((prev) => `${prev} ${t('hotseat_turn', { player: event.player })}`.trim());
+          break;
+        case 'lost':
+          finishDailyRound(state);
+          logSession(state);
+          if (state.players) setMatch((m) => recordMatchRound(m, { winner: null, score: 0 }));
+          setTimeout(() => playAgainRef.current?.focus(), 0);
+          try { incrementTotalGames(); } catch {}
+          checkAchievements(state);
+          break;
+        case 'puzzle_solved':
+          // Optional stat: increment puzzlesSolved count
+          incrementPuzzlesSolved();
+          break;
+        default:
+          break;
       }
-      return prev;
-    });
-    setTimeout(() => feedbackRef.current?.focus(), 0);
-  }
-
-  // PUBLIC_INTERFACE
-  function handleParityHint() {
-    if (status !== 'playing') return;
-    const parity = secret % 2 === 0 ? t('hint_parity_text', { parity: 'even' }) : t('hint_parity_text', { parity: 'odd' });
-    announceHint(parity, HINT_TYPES.parity);
-  }
-
-  // PUBLIC_INTERFACE
-  function handleRangeHint() {
-    if (status !== 'playing') return;
-    const totalSpan = range.max - range.min + 1;
-    const targetWidth = Math.min(Math.max(5, Math.floor(totalSpan / 3)), Math.max(3, totalSpan - 2));
-    const half = Math.floor(targetWidth / 2);
-    let start = Math.max(range.min, secret - half);
-    let end = start + targetWidth - 1;
-    if (end > range.max) {
-      end = range.max;
-      start = Math.max(range.min, end - targetWidth + 1);
-    }
-    if (start === range.min && end === range.max && totalSpan > 5) {
-      start = range.min + 1;
-      end = range.max - 1;
     }
-    if (secret < start) start = secret;
-    if (secret > end) end = secret;
-
-    const text = t('hint_range_text', { start, end });
-    announceHint(text, HINT_TYPES.range);
   }
 
-  // PUBLIC_INTERFACE
-  function handleDigitHint() {
-    if (status !== 'playing') return;
-    const s = String(secret);
-    const startDigit = s[0];
-    const text =
-      s.length === 1
-        ? t('hint_digit_text_single', { digit: startDigit })
-        : t('hint_digit_text_multi', { digit: startDigit });
-    announceHint(text, HINT_TYPES.digit);
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (status === 'won' || status === 'timeout' || status === 'out_of_attempts') return;
+    await dispatch({ type: 'guess', input, now: clockNow() });
   }
 
   // PUBLIC_INTERFACE
-  function handleProximityHint() {
+  function requestHint(type) {
     if (status !== 'playing') return;
-    if (attempts <= 0) {
-      announceHint(t('hint_proximity_need_guess'), HINT_TYPES.proximity);
-      return;
-    }
-    let msg = '';
-    const thresholdVeryClose = 3;
-    const thresholdHot = 6;
-    const thresholdWarm = 12;
-    let lastGuess = null;
-
-    const parsed = Number(input);
-    if (!Number.isNaN(parsed) && Number.isInteger(parsed) && parsed >= range.min && parsed <= range.max) {
-      lastGuess = parsed;
-    }
-
-    if (lastGuess != null) {
-      const delta = Math.abs(secret - lastGuess);
-      if (delta === 0) {
-        msg = t('hint_proximity_already_correct');
-      } else if (delta <= thresholdVeryClose) {
-        msg = t('hint_proximity_very_close');
-      } else if (delta <= thresholdHot) {
-        msg = t('hint_proximity_hot');
-      } else if (delta <= thresholdWarm) {
-        msg = t('hint_proximity_warm');
-      } else {
-        msg = t('hint_proximity_cold');
-      }
-    } else {
-      msg = t('hint_proximity_after_valid');
-    }
-
-    announceHint(msg, HINT_TYPES.proximity);
+    dispatch({ type: 'useHint', hintType: type, input });
   }
 
   function handlePuzzleAnswer(option, preferredHintType = null) {
-    if (!puzzle || puzzleLocked || status !== 'playing') return;
-    const isCorrect = Boolean(option?.correct);
-    if (isCorrect) {
-      setPuzzleAnswered(true);
-      setPuzzleLocked(true);
-      const hintType = preferredHintType || puzzle.defaultHintType || HINT_TYPES.range;
-      // Announce feedback
-      const msg = t('puzzle_correct');
-      setPuzzleFeedback(msg);
-      setPuzzleAria(msg);
-      // Apply selected hint immediately (consumes and penalizes as usual)
-      applyHintByType(hintType);
-      // Optional stat: increment puzzlesSolved count
-      try {
-        const raw = window.localStorage.getItem('ngg_stats_v1');
-        let parsed = raw ? JSON.parse(raw) : { totalGames: 0 };
-        if (!parsed || typeof parsed !== 'object') parsed = { totalGames: 0 };
-        parsed.puzzlesSolved = (parsed.puzzlesSolved || 0) + 1;
-        window.localStorage.setItem('ngg_stats_v1', JSON.stringify(parsed));
-      } catch {}
-      return;
-    } else {
-      // wrong answer -> allow a single retry then lock
-      if (!puzzleRetryUsed) {
-        setPuzzleRetryUsed(true);
-        const msg = t('puzzle_incorrect_retry');
-        setPuzzleFeedback(msg);
-        setPuzzleAria(msg);
-      } else {
-        setPuzzleLocked(true);
-        const msg = t('puzzle_incorrect_locked');
-        setPuzzleFeedback(msg);
-        setPuzzleAria(msg);
-      }
-    }
+    dispatch({ type: 'answerPuzzle', correct: Boolean(option?.correct), hintType: preferredHintType, input });
   }
 
   function onKeyDown(e) {
@@ -850,14 +803,9 @@ function App() {
     window.matchMedia &&
     window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
-  const playingDisabled = status === 'won' || status === 'timeout' || status === 'out_of_attempts';
-
-  // Badge color classes mapping
-  function badgeClass(result) {
-    if (result === 'correct') return 'ngg-chip guess-correct';
-    if (result === 'too high') return 'ngg-chip guess-high';
-    return 'ngg-chip guess-low';
-  }
+  // Also disabled while showing an already-played Daily Challenge
+  const playingDisabled =
+    status === 'won' || status === 'timeout' || status === 'out_of_attempts' || (dailyMode && !game.daily);
 
   // UI helpers
   const isUnlocked = (lvl) => unlockedLevels.has(lvl);
@@ -887,6 +835,32 @@ function App() {
             </p>
           </div>
           <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            {/* Profile switcher */}
+            <select
+              id="profile"
+              aria-label={t('profile_label')}
+              className="ngg-input"
+              style={{ maxWidth: 160 }}
+              value={profiles.activeId}
+              onChange={(e) => handleProfileSwitch(e.target.value)}
+              disabled={dailyPlaying}
+              data-testid="profile-select"
+            >
+              {profiles.profiles.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.avatar} {p.name}
+                </option>
+              ))}
+            </select>
+            <button
+              className="theme-toggle"
+              onClick={() => setProfilesOpen(true)}
+              aria-label={t('profiles_manage')}
+              title={currentProfile ? `${currentProfile.avatar} ${currentProfile.name}` : undefined}
+            >
+              {t('profiles_manage')}
+            </button>
+
             {/* Levels panel */}
             <div role="group" aria-label={t('levels')} style={{ display: 'flex', gap: 6 }}>
               {LEVEL_ORDER.map((lvl) => {
@@ -900,7 +874,7 @@ function App() {
                     aria-label={`${t(`level_${lvl}`)} ${t('levels')}${!unlocked ? ' ' + t('levelLocked') : ''}`}
                     aria-pressed={active}
                     onClick={() => unlocked && handleLevelChange(lvl)}
-                    disabled={!unlocked}
+                    disabled={!unlocked || dailyPlaying}
                     title={!unlocked ? `${t(`level_${lvl}`)} ${t('levelLocked')}` : `${t(`level_${lvl}`)}: ${LEVEL_DESCRIPTIONS[lvl]}`}
                     style={{
                       opacity: unlocked ? 1 : 0.5,
@@ -962,10 +936,28 @@ function App() {
             >
               {t('openStatistics')}
             </button>
+            <button
+              className="theme-toggle"
+              onClick={() => setSessionsOpen(true)}
+              aria-label={t('openSessions')}
+              title={t('openSessions')}
+              data-testid="open-sessions"
+            >
+              {t('openSessions')}
+            </button>
           </div>
         </div>
       </header>
 
+      {storageError ? (
+        <div className="ngg-storage-alert" role="alert" data-testid="storage-error">
+          <span>{t(`storage_error_${storageError}`)}</span>
+          <button type="button" className="ngg-btn-secondary" onClick={() => setStorageError(null)}>
+            {t('storage_error_dismiss')}
+          </button>
+        </div>
+      ) : null}
+
       {/* Achievements aria-live region */}
       <div className="sr-only" aria-live="polite" aria-atomic="true" ref={achLiveRef}>
         {achToast}
@@ -987,6 +979,27 @@ function App() {
             {unlockMessage}
           </div>
 
+          {/* Game mode selector */}
+          <div className="ngg-form">
+            <label htmlFor="gameMode" className="ngg-label">
+              {t('game_mode_label')}
+            </label>
+            <select
+              id="gameMode"
+              className="ngg-input"
+              value={gameMode}
+              onChange={(e) => handleGameModeChange(e.target.value)}
+              disabled={dailyMode}
+              data-testid="game-mode-select"
+            >
+              {Object.values(GAME_MODES).map((mode) => (
+                <option key={mode} value={mode}>
+                  {t(`game_mode_${mode}`)}
+                </option>
+              ))}
+            </select>
+          </div>
+
           {/* Difficulty selector and Timer Challenge toggle */}
           <div className="ngg-form" role="group" aria-labelledby="difficulty-label">
             <label id="difficulty-label" htmlFor="difficulty" className="ngg-label">
@@ -997,398 +1010,588 @@ function App() {
                 id="difficulty"
                 aria-label={t('difficultyLabel')}
                 className="ngg-input"
-                value={difficulty}
+                value={customBuilderOpen ? CUSTOM_DIFFICULTY : difficulty}
                 onChange={handleDifficultyChange}
+                disabled={dailyPlaying}
               >
                 <option value="easy">{t('difficultyEasy')}</option>
                 <option value="medium">{t('difficultyMedium')}</option>
                 <option value="hard">{t('difficultyHard')}</option>
+                <option value={CUSTOM_DIFFICULTY}>{t('difficultyCustom')}</option>
               </select>
             </div>
+            {difficulty === CUSTOM_DIFFICULTY && !customBuilderOpen && !dailyPlaying && (
+              <button
+                type="button"
+                className="ngg-btn-secondary"
+                onClick={() => setCustomBuilderOpen(true)}
+                data-testid="custom-edit"
+                style={{ borderColor: THEME.secondary, color: THEME.secondary, justifySelf: 'start' }}
+              >
+                {t('custom_edit')}
+              </button>
+            )}
+            {customBuilderOpen && (
+              <CustomDifficultyBuilder
+                initialConfig={game.custom}
+                onApply={applyCustomDifficulty}
+                onCancel={() => setCustomBuilderOpen(false)}
+              />
+            )}
 
-            <div className="ngg-input-row" style={{ gridTemplateColumns: 'auto 1fr' }}>
-              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-                <input
-                  id="timerChallenge"
-                  type="checkbox"
-                  checked={timerChallenge}
-                  onChange={(e) => setTimerChallenge(e.target.checked)}
-                  aria-label={t('timerChallengeEnableLabel')}
-                />
-                <label htmlFor="timerChallenge" className="ngg-label" style={{ margin: 0 }}>
-                  {t('timerChallengeEnableLabel')}
-                </label>
-              </div>
-              {timerChallenge && status === 'playing' && (
-                <div
-                  aria-live="polite"
-                  aria-atomic="true"
-                  className="ngg-attempts"
-                  style={{ textAlign: 'right' }}
-                >
-                  <span aria-hidden="true">⏱ {formatSeconds(timeLeft)}</span>
-                  <span className="sr-only">{timerAriaText}</span>
-                </div>
-              )}
-
-              {/* Puzzle Mode toggle */}
+            {usesGuessForm && (
               <div className="ngg-input-row" style={{ gridTemplateColumns: 'auto 1fr' }}>
                 <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                   <input
-                    id="puzzleMode"
+                    id="timerChallenge"
                     type="checkbox"
-                    checked={puzzleMode}
-                    onChange={(e) => {
-                      setPuzzleMode(e.target.checked);
-                      if (e.target.checked && status === 'playing') {
-                        resetPuzzleState(levelIndex(level) + attempts);
-                      }
-                    }}
-                    aria-label={t('puzzle_mode_enable_label')}
-                    data-testid="toggle-puzzle-mode"
+                    checked={timerChallenge}
+                    onChange={(e) => dispatch({ type: 'setTimerChallenge', enabled: e.target.checked })}
+                    aria-label={t('timerChallengeEnableLabel')}
+                    disabled={dailyMode || runMode}
                   />
-                  <label htmlFor="puzzleMode" className="ngg-label" style={{ margin: 0 }}>
-                    {t('puzzle_mode_enable_label')}
+                  <label htmlFor="timerChallenge" className="ngg-label" style={{ margin: 0 }}>
+                    {t('timerChallengeEnableLabel')}
                   </label>
                 </div>
-              </div>
+                {timerChallenge && status === 'playing' && (
+                  <div className="ngg-attempts" style={{ textAlign: 'right' }}>
+                    <div aria-live="polite" aria-atomic="true">
+                      <span aria-hidden="true">⏱ {formatSeconds(secondsLeft)}</span>
+                      <span className="sr-only">{timerAriaText}</span>
+                    </div>
+                    {timeAttackRun ? (
+                      <div data-testid="time-attack-progress">
+                        {t('time_attack_progress', { count: summarizeTimeAttack(game.timeAttack.secrets).solved })}
+                      </div>
+                    ) : null}
+                    {game.shotClock ? (
+                      <div aria-live="polite" aria-atomic="true" data-testid="shot-clock">
+                        <span aria-hidden="true">🎯 {formatSeconds(shotSecondsLeft)}</span>
+                        <span className="sr-only">{shotAriaText}</span>
+                      </div>
+                    ) : null}
+                  </div>
+                )}
+                {timerChallenge && !dailyMode && !timeAttackRun && (
+                  <div
+                    style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, gridColumn: '1 / -1' }}
+                    data-testid="timer-settings"
+                  >
+                    <label htmlFor="timerSeconds" className="ngg-label" style={{ margin: 0 }}>
+                      {t('timer_round_time_label')}
+                    </label>
+                    <select
+                      id="timerSeconds"
+                      className="ngg-input"
+                      value={timerSettings.seconds ?? ''}
+                      onChange={(e) => changeTimerSettings({ seconds: e.target.value ? Number(e.target.value) : null })}
+                    >
+                      <option value="">{t('timer_round_time_default', { time: formatSeconds(defaultTimerSecondsOf(game)) })}</option>
+                      {TIMER_SECONDS_OPTIONS.map((seconds) => (
+                        <option key={seconds} value={seconds}>
+                          {formatSeconds(seconds)}
+                        </option>
+                      ))}
+                    </select>
+                    <label htmlFor="shotClock" className="ngg-label" style={{ margin: 0 }}>
+                      {t('shot_clock_label')}
+                    </label>
+                    <select
+                      id="shotClock"
+                      className="ngg-input"
+                      value={timerSettings.shotClock ?? ''}
+                      onChange={(e) => changeTimerSettings({ shotClock: e.target.value ? Number(e.target.value) : null })}
+                    >
+                      <option value="">{t('shot_clock_off')}</option>
+                      {SHOT_CLOCK_OPTIONS.map((seconds) => (
+                        <option key={seconds} value={seconds}>
+                          {t('shot_clock_option', { time: formatSeconds(seconds) })}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
 
-              {/* Puzzle Panel */}
-              {puzzleMode && status === 'playing' && puzzle && (
-                <div
-                  className="ngg-puzzle-panel"
-                  data-testid="puzzle-panel"
-                  style={{
-                    marginTop: 8,
-                    border: '1px solid var(--border-color, rgba(17,24,39,0.12))',
-                    borderRadius: 12,
-                    padding: 12,
-                    background: 'linear-gradient(180deg, rgba(37,99,235,0.05), rgba(255,255,255,0.8))'
-                  }}
-                >
-                  <div className="sr-only" aria-live="polite" aria-atomic="true">
-                    {puzzleAria}
+                {/* Daily Challenge toggle (classic single-player rounds only) */}
+                {gameMode === GAME_MODES.classic && !hotSeatOn && (
+                  <div className="ngg-input-row" style={{ gridTemplateColumns: 'auto 1fr' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                      <input
+                        id="dailyChallenge"
+                        type="checkbox"
+                        checked={dailyMode}
+                        onChange={(e) => handleDailyToggle(e.target.checked)}
+                        aria-label={t('daily_mode_enable_label')}
+                        data-testid="toggle-daily-challenge"
+                      />
+                      <label htmlFor="dailyChallenge" className="ngg-label" style={{ margin: 0 }}>
+                        {t('daily_mode_enable_label')}
+                      </label>
+                    </div>
                   </div>
-                  <div className="ngg-label" style={{ marginBottom: 6 }}>
-                    {t('puzzle_mode_title')}
+                )}
+
+                {/* Bulls-and-cows code rules */}
+                {codeMode && (
+                  <div className="ngg-input-row" style={{ gridTemplateColumns: 'auto 1fr' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                      <input
+                        id="allowRepeats"
+                        type="checkbox"
+                        checked={game.code.allowRepeats}
+                        onChange={(e) => startNewRound({ allowRepeats: e.target.checked })}
+                        data-testid="toggle-code-repeats"
+                      />
+                      <label htmlFor="allowRepeats" className="ngg-label" style={{ margin: 0 }}>
+                        {t('code_allow_repeats_label')}
+                      </label>
+                    </div>
                   </div>
-                  <div style={{ fontSize: 14, marginBottom: 8 }}>
-                    {t(puzzle.promptKey)}
+                )}
+                {dailyMode && <DailyChallengePanel dateKey={dailyDate} result={dailyResult} />}
+                {inChallengeRound && <ChallengePanel challenge={incomingChallenge} invalid={!challengeLink.ok} state={game} />}
+
+                {/* Hot-seat multiplayer toggle */}
+                <div className="ngg-input-row" style={{ gridTemplateColumns: 'auto 1fr' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                    <input
+                      id="hotSeat"
+                      type="checkbox"
+                      checked={hotSeatOn}
+                      onChange={(e) => handleHotSeatToggle(e.target.checked)}
+                      disabled={dailyMode || runMode}
+                      data-testid="toggle-hotseat"
+                    />
+                    <label htmlFor="hotSeat" className="ngg-label" style={{ margin: 0 }}>
+                      {t('hotseat_toggle_label')}
+                    </label>
+                  </div>
+                </div>
+                {hotSeatOn && <HotSeatPanel match={match} game={game} onStart={startHotSeatMatch} />}
+
+                {/* Number line toggle (number rounds only) */}
+                {!codeMode && (
+                  <div className="ngg-input-row" style={{ gridTemplateColumns: 'auto 1fr' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                      <input
+                        id="numberLine"
+                        type="checkbox"
+                        checked={numberLineOn}
+                        onChange={(e) => {
+                          setNumberLineOn(e.target.checked);
+                          if (e.target.checked) numberLineUsedRef.current = true;
+                        }}
+                        data-testid="toggle-number-line"
+                      />
+                      <label htmlFor="numberLine" className="ngg-label" style={{ margin: 0 }}>
+                        {t('numberline_toggle_label')}
+                      </label>
+                    </div>
+                  </div>
+                )}
+
+                {/* Puzzle Mode toggle */}
+                <div className="ngg-input-row" style={{ gridTemplateColumns: 'auto 1fr' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                    <input
+                      id="puzzleMode"
+                      type="checkbox"
+                      checked={puzzleMode}
+                      onChange={(e) => {
+                        setPuzzleMode(e.target.checked);
+                        if (e.target.checked && status === 'playing') {
+                          dispatch({ type: 'resetPuzzle' });
+                        }
+                      }}
+                      aria-label={t('puzzle_mode_enable_label')}
+                      data-testid="toggle-puzzle-mode"
+                    />
+                    <label htmlFor="puzzleMode" className="ngg-label" style={{ margin: 0 }}>
+                      {t('puzzle_mode_enable_label')}
+                    </label>
                   </div>
-                  <div role="group" aria-label={t('puzzle_options_aria')} style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
-                    {puzzle.options.map((opt, idx) => (
+                </div>
+
+                {/* Puzzle Panel */}
+                {puzzleMode && status === 'playing' && puzzle && (
+                  <div
+                    className="ngg-puzzle-panel"
+                    data-testid="puzzle-panel"
+                    style={{
+                      marginTop: 8,
+                      border: '1px solid var(--border-color, rgba(17,24,39,0.12))',
+                      borderRadius: 12,
+                      padding: 12,
+                      background: 'linear-gradient(180deg, rgba(37,99,235,0.05), rgba(255,255,255,0.8))'
+                    }}
+                  >
+                    <div className="sr-only" aria-live="polite" aria-atomic="true">
+                      {puzzleFeedback}
+                    </div>
+                    <div className="ngg-label" style={{ marginBottom: 6 }}>
+                      {t('puzzle_mode_title')}
+                    </div>
+                    <div style={{ fontSize: 14, marginBottom: 8 }}>
+                      {t(puzzle.promptKey)}
+                    </div>
+                    <div role="group" aria-label={t('puzzle_options_aria')} style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+                      {puzzle.options.map((opt, idx) => (
+                        <button
+                          key={String(idx)}
+                          type="button"
+                          className="ngg-btn-secondary"
+                          disabled={puzzleLocked}
+                          onClick={() => handlePuzzleAnswer(opt, null)}
+                          data-testid={`puzzle-opt-${idx}`}
+                          style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
+                          title={t(opt.key)}
+                          aria-label={t(opt.key)}
+                        >
+                          {t(opt.key)}
+                        </button>
+                      ))}
+                    </div>
+
+                    {/* On correct, allow selecting which clue to grant immediately */}
+                    <div style={{ marginTop: 10 }}>
+                      <span className="ngg-attempts" aria-live="polite">{puzzleFeedback}</span>
+                    </div>
+                    <div style={{ marginTop: 10, display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                      <span className="ngg-label" style={{ alignSelf: 'center' }}>{t('puzzle_choose_clue')}</span>
                       <button
-                        key={String(idx)}
                         type="button"
                         className="ngg-btn-secondary"
-                        disabled={puzzleLocked}
-                        onClick={() => handlePuzzleAnswer(opt, null)}
-                        data-testid={`puzzle-opt-${idx}`}
+                        disabled={!puzzleAnswered || (puzzleLocked && !puzzleAnswered) || !isHintAllowed(game, HINT_TYPES.range)}
+                        onClick={() => handlePuzzleAnswer({ correct: true }, HINT_TYPES.range)}
+                        data-testid="puzzle-clue-range"
                         style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
-                        title={t(opt.key)}
-                        aria-label={t(opt.key)}
+                        aria-label={t('hint_range_aria')}
                       >
-                        {t(opt.key)}
+                        {t('hint_range_btn')}
+                      </button>
+                      <button
+                        type="button"
+                        className="ngg-btn-secondary"
+                        disabled={!puzzleAnswered || !isHintAllowed(game, HINT_TYPES.parity)}
+                        onClick={() => handlePuzzleAnswer({ correct: true }, HINT_TYPES.parity)}
+                        data-testid="puzzle-clue-parity"
+                        style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
+                        aria-label={t('hint_parity_aria')}
+                      >
+                        {t('hint_parity_btn')}
+                      </button>
+                      <button
+                        type="button"
+                        className="ngg-btn-secondary"
+                        disabled={!puzzleAnswered || !isHintAllowed(game, HINT_TYPES.digit)}
+                        onClick={() => handlePuzzleAnswer({ correct: true }, HINT_TYPES.digit)}
+                        data-testid="puzzle-clue-digit"
+                        style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
+                        aria-label={t('hint_digit_aria')}
+                      >
+                        {t('hint_digit_btn')}
+                      </button>
+                      <button
+                        type="button"
+                        className="ngg-btn-secondary"
+                        disabled={!puzzleAnswered || !isHintAllowed(game, HINT_TYPES.proximity)}
+                        onClick={() => handlePuzzleAnswer({ correct: true }, HINT_TYPES.proximity)}
+                        data-testid="puzzle-clue-proximity"
+                        style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
+                        aria-label={t('hint_proximity_aria')}
+                      >
+                        {t('hint_proximity_btn')}
                       </button>
-                    ))}
-                  </div>
-
-                  {/* On correct, allow selecting which clue to grant immediately */}
-                  <div style={{ marginTop: 10 }}>
-                    <span className="ngg-attempts" aria-live="polite">{puzzleFeedback}</span>
-                  </div>
-                  <div style={{ marginTop: 10, display: 'flex', gap: 8, flexWrap: 'wrap' }}>
-                    <span className="ngg-label" style={{ alignSelf: 'center' }}>{t('puzzle_choose_clue')}</span>
-                    <button
-                      type="button"
-                      className="ngg-btn-secondary"
-                      disabled={!puzzleAnswered || (puzzleLocked && !puzzleAnswered)}
-                      onClick={() => handlePuzzleAnswer({ correct: true }, HINT_TYPES.range)}
-                      data-testid="puzzle-clue-range"
-                      style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
-                      aria-label={t('hint_range_aria')}
-                    >
-                      {t('hint_range_btn')}
-                    </button>
-                    <button
-                      type="button"
-                      className="ngg-btn-secondary"
-                      disabled={!puzzleAnswered}
-                      onClick={() => handlePuzzleAnswer({ correct: true }, HINT_TYPES.parity)}
-                      data-testid="puzzle-clue-parity"
-                      style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
-                      aria-label={t('hint_parity_aria')}
-                    >
-                      {t('hint_parity_btn')}
-                    </button>
-                    <button
-                      type="button"
-                      className="ngg-btn-secondary"
-                      disabled={!puzzleAnswered}
-                      onClick={() => handlePuzzleAnswer({ correct: true }, HINT_TYPES.digit)}
-                      data-testid="puzzle-clue-digit"
-                      style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
-                      aria-label={t('hint_digit_aria')}
-                    >
-                      {t('hint_digit_btn')}
-                    </button>
-                    <button
-                      type="button"
-                      className="ngg-btn-secondary"
-                      disabled={!puzzleAnswered}
-                      onClick={() => handlePuzzleAnswer({ correct: true }, HINT_TYPES.proximity)}
-                      data-testid="puzzle-clue-proximity"
-                      style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
-                      aria-label={t('hint_proximity_aria')}
-                    >
-                      {t('hint_proximity_btn')}
-                    </button>
-                  </div>
-                  {puzzleRetryUsed && !puzzleAnswered && !puzzleLocked ? (
-                    <div className="ngg-attempts" aria-live="polite" style={{ marginTop: 8 }}>
-                      {t('puzzle_retry_note')}
                     </div>
-                  ) : null}
-                </div>
-              )}
-              {timerChallenge && status === 'timeout' && (
-                <div aria-live="polite" className="ngg-attempts" style={{ textAlign: 'right', color: THEME.error }}>
-                  ⏱ {t('timerUp')}
-                </div>
-              )}
-            </div>
-          </div>
-
-          <form className="ngg-form" onSubmit={handleSubmit}>
-            <label htmlFor="guess" className="ngg-label">
-              {t('guessLabel')}
-            </label>
-            <div className="ngg-input-row">
-              <input
-                id="guess"
-                ref={inputRef}
-                type="number"
-                inputMode="numeric"
-                pattern="[0-9]*"
-                className="ngg-input"
-                min={range.min}
-                max={range.max}
-                placeholder={placeholder}
-                value={input}
-                onChange={(e) => setInput(e.target.value)}
-                onKeyDown={onKeyDown}
-                disabled={playingDisabled}
-                aria-describedby="feedback attempts score"
-                aria-invalid={feedback && status === 'playing' ? 'true' : 'false'}
-              />
-              <button
-                type="submit"
-                className="ngg-btn"
-                style={{ backgroundColor: THEME.primary }}
-                disabled={playingDisabled || (input && isRepeatGuess(Number(input)))}
-                aria-disabled={playingDisabled || (input && isRepeatGuess(Number(input)))}
-                title={input && isRepeatGuess(Number(input)) ? t('repeat_warning', { guess: Number(input) }) : t('submitGuessTitle')}
-              >
-                {t('guessButton')}
-              </button>
-            </div>
-          </form>
-
-          <div className="ngg-status">
-            <p
-              id="feedback"
-              tabIndex={-1}
-              ref={feedbackRef}
-              className={`ngg-feedback ${status === 'won' ? 'won' : feedback ? 'hint' : ''} ${status === 'won' && !prefersReducedMotion ? 'ngg-bounce' : ''}`}
-              aria-live="polite"
-            >
-              {feedback || t('feedback_start')}
-            </p>
-
-            {/* Repeat warning inline, non-disruptive */}
-            {repeatWarning && status === 'playing' && (
-              <p className="ngg-attempts" role="alert" aria-live="polite" style={{ color: THEME.error }}>
-                {repeatWarning}
-              </p>
-            )}
-
-            {/* Attempts Counters */}
-            <div aria-live="polite" aria-atomic="true">
-              <p id="attempts" className="ngg-attempts">
-                {t('attempts_used', { count: attempts })}
-              </p>
-              <p className="ngg-attempts">
-                {t('attempts_remaining', { count: attemptsRemaining })} <strong aria-live="polite" ref={attemptsLiveRef}>{attemptsRemaining}</strong>
-                <span className="sr-only">{t('attempts_remaining', { count: attemptsRemaining })}</span>
-              </p>
-            </div>
-
-            {status === 'won' && (
-              <>
-                <p id="score" className="ngg-attempts" aria-live="polite">
-                  {t('score_label', { score })}
-                </p>
-                {timerChallenge && (
-                  <p className="ngg-attempts" aria-live="polite">
-                    {t('time_bonus_breakdown', { percent: winTimeBonusPct })}
-                  </p>
+                    {puzzleRetryUsed && !puzzleAnswered && !puzzleLocked ? (
+                      <div className="ngg-attempts" aria-live="polite" style={{ marginTop: 8 }}>
+                        {t('puzzle_retry_note')}
+                      </div>
+                    ) : null}
+                  </div>
                 )}
-                {roundNewlyUnlocked.length > 0 && (
-                  <div className="ngg-ach-wrap" aria-live="polite">
-                    {roundNewlyUnlocked.map((key) => {
-                      const meta = ACHIEVEMENT_META[key];
-                      return (
-                        <span key={key} className="ngg-ach-chip" role="img" aria-label={`${meta.title} ${t('achievements_unlocked')}`}>
-                          {meta.emoji} {meta.title}
-                        </span>
-                      );
-                    })}
+                {timerChallenge && status === 'timeout' && (
+                  <div aria-live="polite" className="ngg-attempts" style={{ textAlign: 'right', color: THEME.error }}>
+                    ⏱ {t('timerUp')}
                   </div>
                 )}
-              </>
+              </div>
             )}
-            <p className="ngg-attempts" aria-live="polite">
-              {t('current_range', { min: range.min, max: range.max, label: t(`difficulty_${difficulty}`) })}
-            </p>
           </div>
 
-          {/* Guess History */}
-          <section
-            aria-labelledby="guess-history-title"
-            style={{ marginTop: 12 }}
-          >
-            <h3 id="guess-history-title" className="ngg-label" style={{ marginBottom: 8 }}>
-              {t('history_title')}
-            </h3>
-            <div className="sr-only" aria-live="polite" aria-atomic="true" ref={historyLiveRef}>
-              {historyLive}
-            </div>
-            <ul
-              role="list"
-              aria-label={t('history_title')}
-              style={{
-                listStyle: 'none',
-                margin: 0,
-                padding: 0,
-                border: '1px solid var(--border-color, rgba(17,24,39,0.12))',
-                borderRadius: 12,
-                background: 'linear-gradient(180deg, rgba(255,255,255,0.95), rgba(255,255,255,0.9))',
-                maxHeight: '180px',
-                overflow: 'auto'
-              }}
-            >
-              {history.length === 0 ? (
-                <li className="ngg-empty" aria-label={t('history_none')}>{t('history_none')}</li>
-              ) : (
-                history.map((h) => (
-                  <li
-                    key={h.id}
-                    role="listitem"
-                    aria-label={t('history_item_aria', { value: h.value, result: h.result })}
-                    style={{
-                      display: 'flex',
-                      alignItems: 'center',
-                      justifyContent: 'space-between',
-                      padding: '8px 12px',
-                      borderBottom: '1px solid rgba(17,24,39,0.08)',
-                    }}
+          {usesGuessForm ? (
+            <>
+              <form className="ngg-form" onSubmit={handleSubmit}>
+                <label htmlFor="guess" className="ngg-label">
+                  {t('guessLabel')}
+                </label>
+                <div className="ngg-input-row">
+                  <input
+                    id="guess"
+                    ref={inputRef}
+                    type={codeMode ? 'text' : 'number'}
+                    inputMode="numeric"
+                    pattern="[0-9]*"
+                    autoComplete="off"
+                    className="ngg-input"
+                    min={codeMode ? undefined : range.min}
+                    max={codeMode ? undefined : range.max}
+                    maxLength={codeMode ? game.code.length : undefined}
+                    placeholder={placeholder}
+                    value={input}
+                    onChange={(e) => setInput(e.target.value)}
+                    onKeyDown={onKeyDown}
+                    disabled={playingDisabled}
+                    aria-describedby="feedback attempts score"
+                    aria-invalid={feedback && status === 'playing' ? 'true' : 'false'}
+                  />
+                  <button
+                    type="submit"
+                    className="ngg-btn"
+                    style={{ backgroundColor: THEME.primary }}
+                    disabled={playingDisabled || (input && isRepeatGuess(input))}
+                    aria-disabled={playingDisabled || (input && isRepeatGuess(input))}
+                    title={input && isRepeatGuess(input) ? t('repeat_warning', { guess: input }) : t('submitGuessTitle')}
                   >
-                    <span style={{ fontWeight: 700 }}>#{h.index} — {h.value}</span>
-                    <span className={badgeClass(h.result)}>{h.result}</span>
-                  </li>
-                ))
+                    {t('guessButton')}
+                  </button>
+                </div>
+              </form>
+
+              {numberLineOn && !codeMode && (
+                <NumberLine
+                  range={range}
+                  history={history}
+                  value={input}
+                  onPick={(n) => setInput(String(n))}
+                  disabled={playingDisabled}
+                />
               )}
-            </ul>
-          </section>
-
-          <div className="ngg-actions">
-            {status === 'won' || status === 'timeout' || status === 'out_of_attempts' ? (
-              <>
-                <button
-                  ref={playAgainRef}
-                  className="ngg-btn-secondary"
-                  onClick={resetGame}
-                  style={{ borderColor: THEME.secondary, color: THEME.secondary }}
-                >
-                  {status === 'won' ? t('play_again') : t('new_game')}
-                </button>
-              </>
-            ) : (
-              <>
-                <button
-                  className="ngg-btn-secondary"
-                  onClick={resetGame}
-                  type="button"
-                  style={{ borderColor: THEME.secondary, color: THEME.secondary, marginRight: 8 }}
+
+              <div className="ngg-status">
+                <p
+                  id="feedback"
+                  tabIndex={-1}
+                  ref={feedbackRef}
+                  className={`ngg-feedback ${status === 'won' ? 'won' : feedback ? 'hint' : ''} ${status === 'won' && !prefersReducedMotion ? 'ngg-bounce' : ''}`}
+                  aria-live="polite"
                 >
-                  {t('reset')}
-                </button>
+                  {feedback || t('feedback_start')}
+                </p>
 
-                {/* Hints */}
-                <div role="group" aria-label={t('hint_group')} style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 8 }}>
-                  <button
-                    className="ngg-btn-secondary"
-                    type="button"
-                    onClick={handleParityHint}
-                    aria-label={t('hint_parity_aria')}
-                    disabled={playingDisabled || hintTypesUsed[HINT_TYPES.parity]}
-                    title={t('hint_parity_aria')}
-                    style={{ borderColor: THEME.secondary, color: THEME.secondary }}
-                  >
-                    {t('hint_parity_btn')}
-                  </button>
-                  <button
-                    className="ngg-btn-secondary"
-                    type="button"
-                    onClick={handleRangeHint}
-                    aria-label={t('hint_range_aria')}
-                    disabled={playingDisabled || hintTypesUsed[HINT_TYPES.range]}
-                    title={t('hint_range_aria')}
-                    style={{ borderColor: THEME.secondary, color: THEME.secondary }}
-                  >
-                    {t('hint_range_btn')}
-                  </button>
-                  <button
-                    className="ngg-btn-secondary"
-                    type="button"
-                    onClick={handleDigitHint}
-                    aria-label={t('hint_digit_aria')}
-                    disabled={playingDisabled || hintTypesUsed[HINT_TYPES.digit]}
-                    title={t('hint_digit_aria')}
-                    style={{ borderColor: THEME.secondary, color: THEME.secondary }}
-                  >
-                    {t('hint_digit_btn')}
-                  </button>
-                  <button
-                    className="ngg-btn-secondary"
-                    type="button"
-                    onClick={handleProximityHint}
-                    aria-label={t('hint_proximity_aria')}
-                    disabled={playingDisabled || hintTypesUsed[HINT_TYPES.proximity]}
-                    title={t('hint_proximity_aria')}
-                    style={{ borderColor: THEME.secondary, color: THEME.secondary }}
-                  >
-                    {t('hint_proximity_btn')}
-                  </button>
+                {/* Repeat warning inline, non-disruptive */}
+                {repeatWarning && status === 'playing' && (
+                  <p className="ngg-attempts" role="alert" aria-live="polite" style={{ color: THEME.error }}>
+                    {repeatWarning}
+                  </p>
+                )}
+
+                {/* Attempts Counters */}
+                <div aria-live="polite" aria-atomic="true">
+                  <p id="attempts" className="ngg-attempts">
+                    {t('attempts_used', { count: attempts })}
+                  </p>
+                  <p className="ngg-attempts">
+                    {t('attempts_remaining', { count: attemptsRemaining })} <strong aria-live="polite" ref={attemptsLiveRef}>{attemptsRemaining}</strong>
+                    <span className="sr-only">{t('attempts_remaining', { count: attemptsRemaining })}</span>
+                  </p>
+                  {survivalRun && status === 'playing' && (
+                    <p className="ngg-attempts" data-testid="survival-progress">
+                      {t('survival_progress', { round: game.survival.rounds.length + 1, min: range.min, max: range.max })}
+                    </p>
+                  )}
                 </div>
-                <p className="ngg-attempts" aria-live="polite" style={{ marginTop: 8 }}>
-                  {t('hints_note')}
+
+                {status === 'won' && (
+                  <>
+                    <p id="score" className="ngg-attempts" aria-live="polite">
+                      {t('score_label', { score })}
+                    </p>
+                    {timerChallenge && (
+                      <p className="ngg-attempts" aria-live="polite">
+                        {t('time_bonus_breakdown', { percent: game.timeBonusPct })}
+                      </p>
+                    )}
+                    {roundNewlyUnlocked.length > 0 && (
+                      <div className="ngg-ach-wrap" aria-live="polite">
+                        {roundNewlyUnlocked.map((key) => {
+                          const meta = ACHIEVEMENT_META[key];
+                          const title = t(`ach_${key}_title`, { defaultValue: meta?.title || key });
+                          return (
+                            <span key={key} className="ngg-ach-chip" role="img" aria-label={`${title} ${t('achievements_unlocked')}`}>
+                              {meta?.emoji} {title}
+                            </span>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </>
+                )}
+                <p className="ngg-attempts" aria-live="polite">
+                  {codeMode
+                    ? t(game.code.allowRepeats ? 'code_rules_repeats' : 'code_rules', {
+                        length: game.code.length,
+                        label: t(`difficulty_${difficulty}`),
+                      })
+                    : t('current_range', { min: range.min, max: range.max, label: t(`difficulty_${difficulty}`) })}
                 </p>
-              </>
-            )}
-          </div>
+              </div>
+
+              {/* Guess History */}
+              <GuessHistory history={history} liveText={historyLive} liveRef={historyLiveRef} />
+
+              {/* Guess-quality analysis once a number round is over; Time Attack and Survival runs get their summary instead */}
+              {status !== STATUS.playing && timeAttackRun && <TimeAttackSummary state={game} />}
+              {status !== STATUS.playing && survivalRun && <SurvivalSummary state={game} />}
+              {status !== STATUS.playing && !codeMode && !runMode && <GuessAnalysisPanel history={history} range={range} />}
+
+              {/* Share the finished round: summary, result card and challenge link */}
+              {status !== STATUS.playing && !runMode && (
+                <SharePanel state={game} puzzleMode={puzzleMode} playerName={currentProfile?.name} />
+              )}
+
+              <div className="ngg-actions">
+                {status === 'won' || status === 'timeout' || status === 'out_of_attempts' ? (
+                  <>
+                    <button
+                      ref={playAgainRef}
+                      className="ngg-btn-secondary"
+                      onClick={resetGame}
+                      style={{ borderColor: THEME.secondary, color: THEME.secondary }}
+                    >
+                      {status === 'won' ? t('play_again') : t('new_game')}
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      className="ngg-btn-secondary"
+                      onClick={resetGame}
+                      type="button"
+                      disabled={dailyPlaying}
+                      style={{ borderColor: THEME.secondary, color: THEME.secondary, marginRight: 8 }}
+                    >
+                      {t('reset')}
+                    </button>
+
+                    {/* Hints */}
+                    <div role="group" aria-label={t('hint_group')} style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 8 }}>
+                      <button
+                        className="ngg-btn-secondary"
+                        type="button"
+                        onClick={() => requestHint(HINT_TYPES.parity)}
+                        aria-label={t('hint_parity_aria')}
+                        disabled={playingDisabled || hintTypesUsed[HINT_TYPES.parity] || !isHintAllowed(game, HINT_TYPES.parity)}
+                        title={t('hint_parity_aria')}
+                        style={{ borderColor: THEME.secondary, color: THEME.secondary }}
+                      >
+                        {t('hint_parity_btn')}
+                      </button>
+                      <button
+                        className="ngg-btn-secondary"
+                        type="button"
+                        onClick={() => requestHint(HINT_TYPES.range)}
+                        aria-label={t('hint_range_aria')}
+                        disabled={playingDisabled || hintTypesUsed[HINT_TYPES.range] || !isHintAllowed(game, HINT_TYPES.range)}
+                        title={t('hint_range_aria')}
+                        style={{ borderColor: THEME.secondary, color: THEME.secondary }}
+                      >
+                        {t('hint_range_btn')}
+                      </button>
+                      <button
+                        className="ngg-btn-secondary"
+                        type="button"
+                        onClick={() => requestHint(HINT_TYPES.digit)}
+                        aria-label={t('hint_digit_aria')}
+                        disabled={playingDisabled || hintTypesUsed[HINT_TYPES.digit] || !isHintAllowed(game, HINT_TYPES.digit)}
+                        title={t('hint_digit_aria')}
+                        style={{ borderColor: THEME.secondary, color: THEME.secondary }}
+                      >
+                        {t('hint_digit_btn')}
+                      </button>
+                      <button
+                        className="ngg-btn-secondary"
+                        type="button"
+                        onClick={() => requestHint(HINT_TYPES.proximity)}
+                        aria-label={t('hint_proximity_aria')}
+                        disabled={playingDisabled || hintTypesUsed[HINT_TYPES.proximity] || !isHintAllowed(game, HINT_TYPES.proximity)}
+                        title={t('hint_proximity_aria')}
+                        style={{ borderColor: THEME.secondary, color: THEME.secondary }}
+                      >
+                        {t('hint_proximity_btn')}
+                      </button>
+                    </div>
+                    <p className="ngg-attempts" aria-live="polite" style={{ marginTop: 8 }}>
+                      {t('hints_note')}
+                    </p>
+                  </>
+                )}
+              </div>
+            </>
+          ) : (
+            <ReverseModePanel range={range} seed={game.seed} />
+          )}
         </section>
 
         <footer className="ngg-footer">
           <p>
             {t('themeLabel')}: <strong>{THEME.name}</strong>
           </p>
+          <div style={{ display: 'flex', gap: 8, justifyContent: 'center', marginBottom: 8 }}>
+            <button type="button" className="ngg-btn-secondary" onClick={handleExportData} data-testid="export-data">
+              {t('backup_export')}
+            </button>
+            <button
+              type="button"
+              className="ngg-btn-secondary"
+              onClick={() => importInputRef.current?.click()}
+              data-testid="import-data"
+            >
+              {t('backup_import')}
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportFile}
+              style={{ display: 'none' }}
+              aria-label={t('backup_import')}
+              data-testid="import-file"
+            />
+          </div>
+          <p title={t('round_seed_hint')} data-testid="round-seed">
+            {t('round_seed_label')}: <code>{game.seed}</code>
+          </p>
+          {process.env.NODE_ENV === 'development' && (
+            <form onSubmit={applyDevSeed} style={{ display: 'flex', gap: 8, justifyContent: 'center' }}>
+              <label htmlFor="devSeed" className="ngg-label" style={{ margin: 0, alignSelf: 'center' }}>
+                {t('dev_seed_label')}
+              </label>
+              <input id="devSeed" name="devSeed" className="ngg-input" style={{ maxWidth: 160 }} defaultValue={game.seed} />
+              <button type="submit" className="ngg-btn-secondary">{t('dev_seed_apply')}</button>
+            </form>
+          )}
         </footer>
       </main>
 
       <LeaderboardModal open={leaderboardOpen} onClose={() => setLeaderboardOpen(false)} />
       <AchievementsModal open={achievementsOpen} onClose={() => setAchievementsOpen(false)} />
       <StatisticsModal open={statisticsOpen} onClose={() => setStatisticsOpen(false)} />
+      <SessionHistoryModal open={sessionsOpen} onClose={() => setSessionsOpen(false)} />
+      <BackupImportModal
+        backup={pendingImport.backup}
+        error={pendingImport.error}
+        onImport={confirmImport}
+        onClose={() => setPendingImport({ backup: null, error: null })}
+      />
+      <ResumeRoundModal saved={inChallengeRound ? null : savedRound} onResume={resumeSavedRound} onDiscard={discardSavedRound} />
+      <ProfilesModal
+        open={profilesOpen}
+        onClose={() => setProfilesOpen(false)}
+        onSwitch={handleProfileSwitch}
+        onChanged={() => setProfiles(readProfiles())}
+      />
     </div>
   );
 }
@@ -1,5 +1,6 @@
 import { render, screen, fireEvent, act } from '@testing-library/react';
 import App from './App';
+import { readTimerSettings } from './timerSettings';
 
 // Mock Audio and vibrate APIs to prevent flakiness and allow call assertions
 class MockAudioElement {
@@ -233,3 +234,43 @@ test('Timer resets on New Game and on difficulty change (Timer Challenge enabled
   });
   expect(screen.queryByText(/Time’s up!|Time's up!/i)).toBeNull();
 });
+
+test('the countdown follows the clock and catches up when a throttled tab is shown again', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.change(document.getElementById('difficulty'), { target: { value: 'easy' } });
+  fireEvent.click(screen.getByLabelText(/Enable Timer Challenge/i));
+  act(() => {
+    jest.advanceTimersByTime(10000);
+  });
+  expect(screen.getByText('⏱ 20s')).toBeInTheDocument();
+
+  // A background tab's timers barely run, but the clock keeps going
+  const shown = performance.now() + 15500;
+  jest.spyOn(performance, 'now').mockReturnValue(shown);
+  act(() => {
+    document.dispatchEvent(new Event('visibilitychange'));
+  });
+  expect(screen.getByText('⏱ 5s')).toBeInTheDocument();
+  performance.now.mockRestore();
+});
+
+test('a chosen round time and shot clock apply to the round and are kept for the next ones', () => {
+  window.localStorage.clear();
+  render(<App />);
+  fireEvent.change(document.getElementById('difficulty'), { target: { value: 'easy' } });
+  fireEvent.click(screen.getByLabelText(/Enable Timer Challenge/i));
+  fireEvent.change(screen.getByLabelText('Round time'), { target: { value: '60' } });
+  fireEvent.change(screen.getByLabelText('Shot clock'), { target: { value: '5' } });
+  expect(screen.getByText('⏱ 1:00')).toBeInTheDocument();
+  expect(screen.getByTestId('shot-clock').textContent).toMatch(/^🎯 5s/);
+
+  // No guess within 5 seconds costs an attempt and starts the next shot
+  act(() => {
+    jest.advanceTimersByTime(5000);
+  });
+  expect(screen.getByText('Too slow! The shot clock ran out and cost an attempt. Attempts left: 5.')).toBeInTheDocument();
+  expect(screen.getByTestId('shot-clock').textContent).toMatch(/^🎯 5s/);
+  expect(screen.getByText('⏱ 55s')).toBeInTheDocument();
+  expect(readTimerSettings()).toEqual({ seconds: 60, shotClock: 5 });
+});
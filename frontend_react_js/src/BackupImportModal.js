@@ -0,0 +1,128 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { IMPORT_MODES, previewImport } from './backup';
+
+// PUBLIC_INTERFACE
+export default function BackupImportModal({ backup, error, onImport, onClose }) {
+  /**
+   * Accessible dialog previewing what importing a backup file would change, with
+   * Merge / Replace / Cancel actions. Shows the validation error instead when the file is unusable.
+   */
+  const { t } = useTranslation();
+  const closeBtnRef = useRef(null);
+  const open = Boolean(backup || error);
+  const preview = useMemo(() => (backup ? previewImport(backup) : null), [backup]);
+
+  useEffect(() => {
+    if (open) setTimeout(() => closeBtnRef.current?.focus(), 0);
+  }, [open]);
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose?.();
+    }
+  }
+
+  if (!open) return null;
+
+  const rows = preview
+    ? [
+        preview.sessions.incoming
+          ? t('backup_preview_sessions', { incoming: preview.sessions.incoming, added: preview.sessions.added })
+          : null,
+        t('backup_preview_results', {
+          incoming: preview.results.incoming,
+          added: preview.results.added,
+          duplicates: preview.results.duplicates,
+        }),
+        t('backup_preview_levels', { count: preview.levelsAdded.length }),
+        t('backup_preview_achievements', { count: preview.achievementsAdded.length }),
+        t('backup_preview_daily', { count: preview.dailyAdded }),
+        t('backup_preview_presets', { count: preview.presetsAdded }),
+        preview.statistics.incoming
+          ? t('backup_preview_stats', {
+              currentGames: preview.statistics.current.totalGames,
+              incomingGames: preview.statistics.incoming.totalGames,
+              currentPuzzles: preview.statistics.current.puzzlesSolved,
+              incomingPuzzles: preview.statistics.incoming.puzzlesSolved,
+            })
+          : null,
+        preview.language.incoming && preview.language.incoming !== preview.language.current
+          ? t('backup_preview_language', { language: t(`language_${preview.language.incoming}`) })
+          : null,
+        preview.theme.incoming && preview.theme.incoming !== preview.theme.current
+          ? t('backup_preview_theme', {
+              theme: preview.theme.incoming === 'dark' ? t('themeToggleDark') : t('themeToggleLight'),
+            })
+          : null,
+      ].filter(Boolean)
+    : [];
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="backup-import-title"
+      className="ngg-leaderboard-backdrop"
+      onKeyDown={onKeyDown}
+      data-testid="backup-import-modal"
+    >
+      <div className="ngg-leaderboard-modal">
+        <div className="ngg-leaderboard-header">
+          <h2 id="backup-import-title" className="ngg-leaderboard-title">
+            {t('backup_import_title')}
+          </h2>
+          <button
+            ref={closeBtnRef}
+            className="ngg-btn-secondary"
+            style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
+            onClick={() => onClose?.()}
+          >
+            {t('backup_cancel')}
+          </button>
+        </div>
+
+        {error ? (
+          <p className="ngg-attempts" role="alert" style={{ color: 'var(--ocean-error)' }}>
+            {t(error)}
+          </p>
+        ) : (
+          <>
+            {backup.exportedAt ? (
+              <p className="ngg-attempts">
+                {t('backup_preview_source', {
+                  name: backup.profile ? `${backup.profile.avatar || ''} ${backup.profile.name}`.trim() : '—',
+                  date: new Date(backup.exportedAt).toLocaleString(),
+                })}
+              </p>
+            ) : null}
+            <ul className="ngg-leaderboard-list" aria-label={t('backup_preview_title')} data-testid="backup-preview">
+              {rows.map((row) => (
+                <li key={row} className="ngg-leaderboard-item">
+                  {row}
+                </li>
+              ))}
+            </ul>
+            <p className="ngg-attempts">{t('backup_modes_help')}</p>
+            <div className="ngg-actions">
+              <button type="button" className="ngg-btn" onClick={() => onImport?.(IMPORT_MODES.merge)} data-testid="backup-merge">
+                {t('backup_merge')}
+              </button>
+              <button
+                type="button"
+                className="ngg-btn-secondary"
+                onClick={() => {
+                  if (window.confirm(t('backup_replace_confirm'))) onImport?.(IMPORT_MODES.replace);
+                }}
+                data-testid="backup-replace"
+              >
+                {t('backup_replace')}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { compareChallenge } from './challenge';
+import { STATUS } from './engine';
+
+// PUBLIC_INTERFACE
+export default function ChallengePanel({ challenge, invalid = false, state }) {
+  /**
+   * Banner for a round opened from a challenge link: whose challenge it is and the result to
+   * beat, then both results side by side once the round is over. `invalid` explains that a
+   * damaged or edited link was ignored.
+   */
+  const { t } = useTranslation();
+  const challenger = challenge?.challenger || null;
+  const over = state.status !== STATUS.playing;
+
+  let banner;
+  if (invalid) banner = t('challenge_invalid');
+  else if (!challenger) banner = t('challenge_banner_plain');
+  else if (challenger.outcome === STATUS.won) banner = t('challenge_banner', challenger);
+  else banner = t('challenge_banner_unsolved', challenger);
+
+  const mine = { attempts: state.attempts, score: state.status === STATUS.won ? state.score : 0, outcome: state.status };
+  const verdict = challenger && over ? compareChallenge(challenger, mine) : null;
+
+  return (
+    <div
+      className="ngg-puzzle-panel"
+      data-testid="challenge-panel"
+      style={{
+        marginTop: 8,
+        border: '1px solid var(--border-color, rgba(17,24,39,0.12))',
+        borderRadius: 12,
+        padding: 12,
+        background: 'linear-gradient(180deg, rgba(37,99,235,0.06), rgba(255,255,255,0.8))',
+      }}
+    >
+      <p className="ngg-attempts" role={invalid ? 'alert' : undefined} data-testid="challenge-banner" style={{ margin: 0 }}>
+        {banner}
+      </p>
+      {verdict && (
+        <>
+          <table className="ngg-stats-table" data-testid="challenge-comparison" style={{ marginTop: 8 }}>
+            <caption className="sr-only">{t('challenge_comparison_caption')}</caption>
+            <thead>
+              <tr>
+                <th scope="col">
+                  <span className="sr-only">{t('challenge_col_measure')}</span>
+                </th>
+                <th scope="col">{challenger.name}</th>
+                <th scope="col">{t('challenge_you')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <th scope="row">{t('challenge_row_result')}</th>
+                <td>{t(`sessions_outcome_${challenger.outcome}`)}</td>
+                <td>{t(`sessions_outcome_${mine.outcome}`)}</td>
+              </tr>
+              <tr>
+                <th scope="row">{t('challenge_row_attempts')}</th>
+                <td>{challenger.attempts}</td>
+                <td>{mine.attempts}</td>
+              </tr>
+              <tr>
+                <th scope="row">{t('challenge_row_score')}</th>
+                <td>{challenger.score}</td>
+                <td>{mine.score}</td>
+              </tr>
+            </tbody>
+          </table>
+          <p className="ngg-attempts" aria-live="polite" data-testid="challenge-verdict">
+            {t(`challenge_verdict_${verdict}`, { name: challenger.name })}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
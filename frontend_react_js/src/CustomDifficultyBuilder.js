@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { HINT_TYPES } from './engine';
+import {
+  CUSTOM_LIMITS,
+  binarySearchAttempts,
+  defaultCustomConfig,
+  deleteCustomPreset,
+  readCustomPresets,
+  saveCustomPreset,
+  validateCustomConfig,
+} from './customDifficulty';
+
+const FIELDS = [
+  { name: 'min', labelKey: 'custom_min_label' },
+  { name: 'max', labelKey: 'custom_max_label' },
+  { name: 'maxAttempts', labelKey: 'custom_attempts_label' },
+  { name: 'timerSeconds', labelKey: 'custom_timer_label' },
+];
+
+function toForm(config) {
+  return {
+    min: String(config.min),
+    max: String(config.max),
+    maxAttempts: String(config.maxAttempts),
+    timerSeconds: String(config.timerSeconds),
+    hintTypes: [...config.hintTypes],
+  };
+}
+
+// PUBLIC_INTERFACE
+export default function CustomDifficultyBuilder({ initialConfig, onApply, onCancel }) {
+  /** Inline builder for a custom difficulty with validation and named presets saved in localStorage */
+  const { t } = useTranslation();
+  const [form, setForm] = useState(() => toForm(initialConfig || defaultCustomConfig()));
+  const [presets, setPresets] = useState(() => readCustomPresets());
+  const [presetName, setPresetName] = useState('');
+  const [selectedPreset, setSelectedPreset] = useState('');
+  const [status, setStatus] = useState('');
+
+  const validation = validateCustomConfig(form);
+  const errors = validation.ok ? {} : validation.errors;
+  const minNum = Number(form.min);
+  const maxNum = Number(form.max);
+  const needed =
+    !errors.min && !errors.max ? binarySearchAttempts(minNum, maxNum) : null;
+
+  function setField(name, value) {
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setStatus('');
+  }
+
+  function toggleHint(type, enabled) {
+    setForm((prev) => ({
+      ...prev,
+      hintTypes: enabled ? [...prev.hintTypes, type] : prev.hintTypes.filter((h) => h !== type),
+    }));
+  }
+
+  function handleApply(e) {
+    e.preventDefault();
+    if (validation.ok) onApply?.(validation.config);
+  }
+
+  function handleSavePreset() {
+    const saved = saveCustomPreset(presetName, form);
+    if (!saved) {
+      setStatus(t(presetName.trim() ? 'custom_preset_invalid' : 'custom_preset_name_required'));
+      return;
+    }
+    setPresets(readCustomPresets());
+    setSelectedPreset(saved.name);
+    setStatus(t('custom_preset_saved', { name: saved.name }));
+  }
+
+  function handleLoadPreset(name) {
+    setSelectedPreset(name);
+    const preset = presets.find((p) => p.name === name);
+    if (!preset) return;
+    setForm(toForm(preset.config));
+    setPresetName(preset.name);
+    setStatus('');
+  }
+
+  function handleDeletePreset() {
+    if (!selectedPreset) return;
+    setPresets(deleteCustomPreset(selectedPreset));
+    setStatus(t('custom_preset_deleted', { name: selectedPreset }));
+    setSelectedPreset('');
+  }
+
+  return (
+    <form
+      className="ngg-puzzle-panel"
+      data-testid="custom-builder"
+      onSubmit={handleApply}
+      aria-labelledby="custom-builder-title"
+      noValidate
+      style={{
+        marginTop: 8,
+        border: '1px solid var(--border-color, rgba(17,24,39,0.12))',
+        borderRadius: 12,
+        padding: 12,
+        background: 'linear-gradient(180deg, rgba(37,99,235,0.05), rgba(255,255,255,0.8))',
+      }}
+    >
+      <div id="custom-builder-title" className="ngg-label" style={{ marginBottom: 6 }}>
+        {t('custom_builder_title')}
+      </div>
+
+      {presets.length > 0 && (
+        <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+          <select
+            className="ngg-input"
+            aria-label={t('custom_preset_load_label')}
+            value={selectedPreset}
+            onChange={(e) => handleLoadPreset(e.target.value)}
+            data-testid="custom-preset-select"
+          >
+            <option value="">{t('custom_preset_load_label')}</option>
+            {presets.map((p) => (
+              <option key={p.name} value={p.name}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="ngg-btn-secondary"
+            onClick={handleDeletePreset}
+            disabled={!selectedPreset}
+            style={{ borderColor: 'var(--ocean-error)', color: 'var(--ocean-error)' }}
+          >
+            {t('custom_preset_delete')}
+          </button>
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
+        {FIELDS.map(({ name, labelKey }) => (
+          <div key={name}>
+            <label htmlFor={`custom-${name}`} className="ngg-label" style={{ fontSize: 13 }}>
+              {t(labelKey)}
+            </label>
+            <input
+              id={`custom-${name}`}
+              type="number"
+              inputMode="numeric"
+              className="ngg-input"
+              value={form[name]}
+              onChange={(e) => setField(name, e.target.value)}
+              aria-invalid={errors[name] ? 'true' : 'false'}
+              aria-describedby={errors[name] ? `custom-${name}-error` : undefined}
+            />
+            {errors[name] && (
+              <p id={`custom-${name}-error`} className="ngg-attempts" style={{ color: 'var(--ocean-error)', margin: '4px 0 0' }}>
+                {t(errors[name].key, errors[name].params)}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {needed != null && (
+        <p className="ngg-attempts" aria-live="polite" data-testid="custom-needed-attempts">
+          {t('custom_binary_search_note', { count: needed })}
+        </p>
+      )}
+
+      <fieldset style={{ border: 'none', padding: 0, margin: '8px 0' }}>
+        <legend className="ngg-label" style={{ fontSize: 13 }}>
+          {t('custom_hints_label')}
+        </legend>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12 }}>
+          {Object.values(HINT_TYPES).map((type) => (
+            <label key={type} style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+              <input
+                type="checkbox"
+                checked={form.hintTypes.includes(type)}
+                onChange={(e) => toggleHint(type, e.target.checked)}
+              />
+              {t(`hint_${type}_btn`)}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center' }}>
+        <input
+          className="ngg-input"
+          type="text"
+          maxLength={CUSTOM_LIMITS.presetName.maxLength}
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder={t('custom_preset_name_placeholder')}
+          aria-label={t('custom_preset_name_placeholder')}
+          style={{ flex: 1, minWidth: 120 }}
+        />
+        <button type="button" className="ngg-btn-secondary" onClick={handleSavePreset} disabled={!validation.ok}>
+          {t('custom_preset_save')}
+        </button>
+      </div>
+      <p className="ngg-attempts" aria-live="polite" role="status">
+        {status}
+      </p>
+
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button type="submit" className="ngg-btn" disabled={!validation.ok} data-testid="custom-apply">
+          {t('custom_apply')}
+        </button>
+        <button type="button" className="ngg-btn-secondary" onClick={() => onCancel?.()}>
+          {t('custom_cancel')}
+        </button>
+      </div>
+    </form>
+  );
+}
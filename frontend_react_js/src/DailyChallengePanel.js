@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { computeDailyStreak, formatCountdown, msUntilNextDaily, readDailyResults } from './daily';
+
+// PUBLIC_INTERFACE
+export default function DailyChallengePanel({ dateKey, result }) {
+  /** Daily Challenge status: today's result (if played), win streaks and a countdown to the next challenge. */
+  const { t } = useTranslation();
+  const [remainingMs, setRemainingMs] = useState(() => msUntilNextDaily());
+
+  useEffect(() => {
+    const id = setInterval(() => setRemainingMs(msUntilNextDaily()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  const streak = computeDailyStreak(readDailyResults(), dateKey);
+
+  return (
+    <div
+      className="ngg-puzzle-panel"
+      data-testid="daily-panel"
+      style={{
+        marginTop: 8,
+        border: '1px solid var(--border-color, rgba(17,24,39,0.12))',
+        borderRadius: 12,
+        padding: 12,
+        background: 'linear-gradient(180deg, rgba(245,158,11,0.06), rgba(255,255,255,0.8))',
+      }}
+    >
+      <div className="ngg-label" style={{ marginBottom: 6 }}>
+        {t('daily_title', { date: dateKey })}
+      </div>
+      {result ? (
+        <p className="ngg-attempts" aria-live="polite" data-testid="daily-result">
+          {result.status === 'won'
+            ? t('daily_result_won', { attempts: result.attempts, score: result.score })
+            : t('daily_result_lost')}
+        </p>
+      ) : (
+        <p className="ngg-attempts">{t('daily_one_attempt_note')}</p>
+      )}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12 }}>
+        <span className="ngg-chip" data-testid="daily-streak">
+          🔥 {t('daily_streak', { count: streak.current })}
+        </span>
+        <span className="ngg-chip">{t('daily_longest_streak', { count: streak.longest })}</span>
+        {/* Countdown is visual only; announcing every second would spam screen readers */}
+        <span className="ngg-chip" data-testid="daily-countdown">
+          ⏳ {t('daily_next_in')} <span aria-hidden="true">{formatCountdown(remainingMs)}</span>
+          <span className="sr-only">{formatCountdown(Math.floor(remainingMs / 60000) * 60000)}</span>
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { analyzeGuesses } from './analysis';
+import { formatRate } from './statistics';
+
+const bits = (value) => value.toFixed(1);
+
+// PUBLIC_INTERFACE
+export default function GuessAnalysisPanel({ history, range }) {
+  /**
+   * End-of-round teaching panel comparing each guess with optimal binary search: the interval
+   * still possible before it, the midpoint guess, bits gained versus the midpoint's, and wasted
+   * guesses outside the interval. Summarizes attempts against optimal play and overall efficiency.
+   */
+  const { t } = useTranslation();
+  const analysis = useMemo(() => analyzeGuesses(range, history), [range, history]);
+
+  if (analysis.attempts === 0) return null;
+
+  return (
+    <section className="ngg-analysis" aria-labelledby="guess-analysis-title" data-testid="guess-analysis">
+      <h3 id="guess-analysis-title" className="ngg-label">
+        {t('analysis_title')}
+      </h3>
+      <p className="ngg-attempts" aria-live="polite" data-testid="guess-analysis-summary">
+        {t('analysis_summary', {
+          attempts: analysis.attempts,
+          optimal: analysis.optimalAttempts,
+          efficiency: formatRate(analysis.efficiency),
+          wasted: analysis.wasted,
+        })}
+      </p>
+      <div style={{ overflowX: 'auto' }}>
+        <table className="ngg-stats-table">
+          <caption className="sr-only">{t('analysis_caption')}</caption>
+          <thead>
+            <tr>
+              <th scope="col">{t('analysis_col_guess')}</th>
+              <th scope="col">{t('analysis_col_feasible')}</th>
+              <th scope="col">{t('analysis_col_ideal')}</th>
+              <th scope="col">{t('analysis_col_bits')}</th>
+              <th scope="col">{t('analysis_col_note')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {analysis.steps.map((step) => {
+              let note = '';
+              if (step.wasted) note = t('analysis_wasted');
+              else if (step.result === 'correct') note = t('analysis_found');
+              else if (step.bits >= step.idealBits - 1e-9) note = t('analysis_optimal');
+              return (
+                <tr key={step.value} className={step.wasted ? 'ngg-analysis-wasted' : undefined}>
+                  <th scope="row">{step.value}</th>
+                  <td>{t('analysis_interval', { min: step.feasible.min, max: step.feasible.max })}</td>
+                  <td>{step.ideal}</td>
+                  <td>{t('analysis_bits_value', { bits: bits(step.bits), ideal: bits(step.idealBits) })}</td>
+                  <td>{note}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
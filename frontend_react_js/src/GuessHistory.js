@@ -0,0 +1,100 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+
+// PUBLIC_INTERFACE
+export function badgeClass(result) {
+  /** Badge color classes mapping for a history entry result */
+  if (result === 'correct') return 'ngg-chip guess-correct';
+  if (result === 'too high') return 'ngg-chip guess-high';
+  return 'ngg-chip guess-low';
+}
+
+// PUBLIC_INTERFACE
+export function historyItemLabel(t, entry) {
+  /** Accessible description of a history entry; code guesses read out their bulls and cows, hot-seat guesses who made them */
+  const label =
+    typeof entry.bulls === 'number'
+      ? t('history_item_code_aria', { value: entry.value, bulls: entry.bulls, cows: entry.cows })
+      : t('history_item_aria', { value: entry.value, result: entry.result });
+  return entry.player ? `${t('player_chip_aria', { player: entry.player })}: ${label}` : label;
+}
+
+// PUBLIC_INTERFACE
+export default function GuessHistory({ history, liveText = '', liveRef = null, highlightIds = [], title }) {
+  /**
+   * Guess history list with result chips and a polite live region.
+   * Entries listed in `highlightIds` are outlined (e.g. contradicting answers in Reverse mode).
+   */
+  const { t } = useTranslation();
+  const heading = title || t('history_title');
+  return (
+    <section
+      aria-labelledby="guess-history-title"
+      style={{ marginTop: 12 }}
+    >
+      <h3 id="guess-history-title" className="ngg-label" style={{ marginBottom: 8 }}>
+        {heading}
+      </h3>
+      <div className="sr-only" aria-live="polite" aria-atomic="true" ref={liveRef}>
+        {liveText}
+      </div>
+      <ul
+        role="list"
+        aria-label={t('history_title')}
+        style={{
+          listStyle: 'none',
+          margin: 0,
+          padding: 0,
+          border: '1px solid var(--border-color, rgba(17,24,39,0.12))',
+          borderRadius: 12,
+          background: 'linear-gradient(180deg, rgba(255,255,255,0.95), rgba(255,255,255,0.9))',
+          maxHeight: '180px',
+          overflow: 'auto'
+        }}
+      >
+        {history.length === 0 ? (
+          <li className="ngg-empty" aria-label={t('history_none')}>{t('history_none')}</li>
+        ) : (
+          history.map((h) => {
+            const highlighted = highlightIds.includes(h.id);
+            return (
+              <li
+                key={h.id}
+                role="listitem"
+                aria-label={historyItemLabel(t, h)}
+                aria-current={highlighted ? 'true' : undefined}
+                data-conflict={highlighted ? 'true' : undefined}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  padding: '8px 12px',
+                  borderBottom: '1px solid rgba(17,24,39,0.08)',
+                  outline: highlighted ? '2px solid var(--ocean-error)' : undefined,
+                  outlineOffset: highlighted ? -2 : undefined,
+                }}
+              >
+                <span style={{ fontWeight: 700 }}>
+                  #{h.index} — {h.value}
+                  {h.player ? (
+                    <span className="ngg-chip" style={{ marginLeft: 8, fontWeight: 400 }} aria-hidden="true">
+                      👤 {h.player}
+                    </span>
+                  ) : null}
+                </span>
+                {typeof h.bulls === 'number' && h.result !== 'correct' ? (
+                  <span style={{ display: 'flex', gap: 6 }} aria-hidden="true">
+                    <span className="ngg-chip guess-bulls" title={t('code_bulls_title')}>🐂 {h.bulls}</span>
+                    <span className="ngg-chip guess-cows" title={t('code_cows_title')}>🐄 {h.cows}</span>
+                  </span>
+                ) : (
+                  <span className={badgeClass(h.result)}>{h.result}</span>
+                )}
+              </li>
+            );
+          })
+        )}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { hintCountOf } from './engine';
+import { BEST_OF_OPTIONS, HOTSEAT_LIMITS, matchResult, validatePlayerNames } from './hotseat';
+
+const panelStyle = {
+  marginTop: 8,
+  border: '1px solid var(--border-color, rgba(17,24,39,0.12))',
+  borderRadius: 12,
+  padding: 12,
+  background: 'linear-gradient(180deg, rgba(37,99,235,0.05), rgba(255,255,255,0.8))',
+};
+
+// PUBLIC_INTERFACE
+export default function HotSeatPanel({ match, game, onStart }) {
+  /**
+   * Hot-seat multiplayer: player setup before a match, then whose turn it is,
+   * per-player attempt/hint counters for the round and the best-of-N scoreboard.
+   */
+  const { t } = useTranslation();
+  const [names, setNames] = useState(['', '']);
+  const [bestOf, setBestOf] = useState(3);
+  const [error, setError] = useState(null);
+
+  function handleStart(e) {
+    e.preventDefault();
+    const result = validatePlayerNames(names);
+    if (!result.ok) {
+      setError(result);
+      return;
+    }
+    setError(null);
+    onStart?.(result.names, bestOf);
+  }
+
+  if (!match) {
+    return (
+      <form style={panelStyle} onSubmit={handleStart} data-testid="hotseat-setup" noValidate>
+        <div className="ngg-label" style={{ marginBottom: 6 }}>
+          {t('hotseat_setup_title')}
+        </div>
+        {names.map((name, i) => (
+          <div key={String(i)} style={{ display: 'flex', gap: 8, marginBottom: 6 }}>
+            <input
+              className="ngg-input"
+              type="text"
+              value={name}
+              maxLength={HOTSEAT_LIMITS.nameMaxLength}
+              onChange={(e) => setNames(names.map((n, j) => (j === i ? e.target.value : n)))}
+              aria-label={t('hotseat_player_name', { number: i + 1 })}
+              placeholder={t('hotseat_player_name', { number: i + 1 })}
+            />
+            {names.length > HOTSEAT_LIMITS.minPlayers && (
+              <button
+                type="button"
+                className="ngg-btn-secondary"
+                onClick={() => setNames(names.filter((_, j) => j !== i))}
+                aria-label={t('hotseat_remove_player', { number: i + 1 })}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center' }}>
+          <button
+            type="button"
+            className="ngg-btn-secondary"
+            onClick={() => setNames([...names, ''])}
+            disabled={names.length >= HOTSEAT_LIMITS.maxPlayers}
+          >
+            {t('hotseat_add_player')}
+          </button>
+          <label htmlFor="hotseatBestOf" className="ngg-label" style={{ margin: 0 }}>
+            {t('hotseat_best_of_label')}
+          </label>
+          <select
+            id="hotseatBestOf"
+            className="ngg-input"
+            style={{ width: 'auto' }}
+            value={bestOf}
+            onChange={(e) => setBestOf(Number(e.target.value))}
+          >
+            {BEST_OF_OPTIONS.map((n) => (
+              <option key={n} value={n}>
+                {t('hotseat_best_of', { count: n })}
+              </option>
+            ))}
+          </select>
+        </div>
+        {error && (
+          <p className="ngg-attempts" role="alert" style={{ color: 'var(--ocean-error)' }}>
+            {t(error.errorKey, error.params)}
+          </p>
+        )}
+        <button type="submit" className="ngg-btn" style={{ marginTop: 8 }} data-testid="hotseat-start">
+          {t('hotseat_start')}
+        </button>
+      </form>
+    );
+  }
+
+  const result = matchResult(match);
+  const roundPlayers = game.players || [];
+  const current = roundPlayers[game.turn];
+  const playing = game.status === 'playing';
+
+  return (
+    <div style={panelStyle} data-testid="hotseat-panel">
+      <div className="ngg-label" style={{ marginBottom: 6 }}>
+        {t('hotseat_round_of', { round: Math.min(match.rounds.length + 1, match.bestOf), bestOf: match.bestOf })}
+      </div>
+      {playing && current && (
+        <p className="ngg-feedback hint" aria-live="assertive" data-testid="hotseat-turn">
+          {t('hotseat_turn', { player: current.name })}
+        </p>
+      )}
+      {result.decided && (
+        <p className="ngg-feedback won" aria-live="polite" data-testid="hotseat-match-result">
+          {result.winner ? t('hotseat_match_winner', { player: result.winner }) : t('hotseat_match_draw')}
+        </p>
+      )}
+      <table className="ngg-hotseat-table" style={{ width: '100%', borderCollapse: 'collapse', fontSize: 14 }}>
+        <caption className="sr-only">{t('hotseat_scoreboard')}</caption>
+        <thead>
+          <tr>
+            <th scope="col" style={{ textAlign: 'left' }}>{t('hotseat_col_player')}</th>
+            <th scope="col">{t('hotseat_col_wins')}</th>
+            <th scope="col">{t('hotseat_col_points')}</th>
+            <th scope="col">{t('hotseat_col_attempts')}</th>
+            <th scope="col">{t('hotseat_col_hints')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {match.players.map((name) => {
+            const standing = result.standings.find((s) => s.name === name);
+            const inRound = roundPlayers.find((p) => p.name === name);
+            const isTurn = playing && current && current.name === name;
+            return (
+              <tr key={name} aria-current={isTurn ? 'true' : undefined} style={{ fontWeight: isTurn ? 700 : 400 }}>
+                <th scope="row" style={{ textAlign: 'left' }}>
+                  {isTurn ? '▶ ' : ''}
+                  {name}
+                </th>
+                <td style={{ textAlign: 'center' }}>{standing.wins}</td>
+                <td style={{ textAlign: 'center' }}>{standing.points}</td>
+                <td style={{ textAlign: 'center' }}>
+                  {inRound ? `${inRound.attempts}/${game.maxAttempts}` : '—'}
+                </td>
+                <td style={{ textAlign: 'center' }}>{inRound ? hintCountOf(inRound) : '—'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
-import { clearResults, getBestAttempts, getHighScores, readResults } from './leaderboard';
+import { clearResults, getBestAttempts, getHighScores, listCategories, readResults } from './leaderboard';
 
 // PUBLIC_INTERFACE
 export default function LeaderboardModal({ open, onClose }) {
@@ -10,6 +10,8 @@ export default function LeaderboardModal({ open, onClose }) {
   const [scores, setScores] = useState([]);
   const [attempts, setAttempts] = useState([]);
   const [hasData, setHasData] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [category, setCategory] = useState(''); // '' = all; otherwise a resultCategory() value
   const dialogRef = useRef(null);
   const closeBtnRef = useRef(null);
   const lastFocusedRef = useRef(null);
@@ -34,17 +36,22 @@ export default function LeaderboardModal({ open, onClose }) {
     }
   }, [open]);
 
-  function refresh() {
-    setScores(getHighScores(10));
-    setAttempts(getBestAttempts(10));
-    setHasData(readResults().length > 0);
+  function refresh(selected = '') {
+    const all = readResults();
+    const known = listCategories(all);
+    const active = known.some((c) => c.key === selected) ? selected : '';
+    setCategories(known);
+    setCategory(active);
+    setScores(getHighScores(10, active || null));
+    setAttempts(getBestAttempts(10, active || null));
+    setHasData(all.length > 0);
   }
 
   function handleClear() {
     const ok = window.confirm(t('leaderboard_clear_confirm'));
     if (!ok) return;
     clearResults();
-    refresh();
+    refresh(category);
   }
 
   function onKeyDown(e) {
@@ -102,6 +109,21 @@ export default function LeaderboardModal({ open, onClose }) {
             {t('leaderboard_tab_attempts')}
           </button>
           <div style={{ flex: 1 }} />
+          <select
+            className="ngg-input"
+            aria-label={t('leaderboard_category_label')}
+            value={category}
+            onChange={(e) => refresh(e.target.value)}
+            data-testid="leaderboard-category"
+            style={{ width: 'auto', marginRight: 8 }}
+          >
+            <option value="">{t('leaderboard_category_all')}</option>
+            {categories.map((c) => (
+              <option key={c.key} value={c.key}>
+                {categoryLabel(t, c)}
+              </option>
+            ))}
+          </select>
           <button
             className="ngg-btn-secondary"
             style={{ borderColor: 'var(--ocean-error)', color: 'var(--ocean-error)' }}
@@ -162,10 +184,46 @@ function formatDate(ts) {
   }
 }
 
-function DifficultyTag({ difficulty }) {
-  const { t } = useTranslation();
+function categoryLabel(t, { difficulty, custom, mode, code }) {
+  if (mode === 'time_attack') {
+    return t('time_attack_category', { label: categoryLabel(t, { difficulty, custom, mode: 'classic', code }) });
+  }
+  if (mode === 'survival') {
+    return t('survival_category', { label: categoryLabel(t, { difficulty, mode: 'classic' }) });
+  }
+  if (mode === 'bulls_cows' && code) {
+    return t(code.allowRepeats ? 'bulls_cows_category_repeats' : 'bulls_cows_category', { length: code.length });
+  }
+  if (difficulty === 'custom' && custom) {
+    return t('custom_params_summary', {
+      min: custom.min,
+      max: custom.max,
+      attempts: custom.maxAttempts,
+      seconds: custom.timerSeconds,
+    });
+  }
   const key = difficulty === 'easy' ? 'difficulty_easy' : difficulty === 'hard' ? 'difficulty_hard' : 'difficulty_medium';
-  const label = t(key);
+  return t(key);
+}
+
+// Attempts of a win, or what a run achieved: secrets solved (Time Attack) or rounds survived (Survival)
+function runStatLabel(t, entry) {
+  if (entry.mode === 'time_attack') return t('time_attack_solved_label', { count: entry.solved ?? 0 });
+  if (entry.mode === 'survival') return t('survival_rounds_label', { count: entry.solved ?? 0 });
+  return t('attempts_label', { count: entry.attempts });
+}
+
+// Timer Challenge configuration of a win: round time and shot clock (entries from before they were recorded have neither)
+function timerLabel(t, entry) {
+  if (typeof entry.totalTime !== 'number') return t('leaderboard_timer');
+  return entry.shotClock
+    ? t('leaderboard_timer_shot', { seconds: entry.totalTime, shot: entry.shotClock })
+    : t('leaderboard_timer_config', { seconds: entry.totalTime });
+}
+
+function DifficultyTag({ difficulty, custom, mode, code }) {
+  const { t } = useTranslation();
+  const label = categoryLabel(t, { difficulty, custom, mode, code });
   return <span className={`ngg-chip diff-${difficulty}`}>{label}</span>;
 }
 
@@ -174,15 +232,21 @@ function LeaderboardRow({ entry, variant }) {
   return (
     <li className="ngg-leaderboard-item">
       <div className="ngg-leaderboard-meta">
-        <DifficultyTag difficulty={entry.difficulty} />
+        <DifficultyTag difficulty={entry.difficulty} custom={entry.custom} mode={entry.mode} code={entry.code} />
         {entry.timerChallenge ? (
-          <span className="ngg-chip" title="Timer Challenge" aria-label="Timer Challenge">⏱</span>
+          <span className="ngg-chip" title={timerLabel(t, entry)} aria-label={timerLabel(t, entry)}>
+            ⏱{typeof entry.totalTime === 'number' ? ` ${entry.totalTime}s` : ''}
+            {entry.shotClock ? ` · 🎯 ${entry.shotClock}s` : ''}
+          </span>
+        ) : null}
+        {entry.player ? (
+          <span className="ngg-chip" aria-label={t('player_chip_aria', { player: entry.player })}>👤 {entry.player}</span>
         ) : null}
         <span className="ngg-date">{formatDate(entry.timestamp)}</span>
       </div>
       <div className="ngg-leaderboard-stats">
         <span className="ngg-stat">
-          {t('attempts_label', { count: entry.attempts })}
+          {runStatLabel(t, entry)}
         </span>
         <span className="ngg-stat">
           {t('score_label', { score: entry.score })}
@@ -0,0 +1,100 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { feasibleInterval } from './analysis';
+
+function markerClass(result) {
+  if (result === 'correct') return 'ngg-line-marker guess-correct';
+  if (result === 'too high') return 'ngg-line-marker guess-high';
+  return 'ngg-line-marker guess-low';
+}
+
+// PUBLIC_INTERFACE
+export default function NumberLine({ range, history, value, onPick, disabled = false }) {
+  /**
+   * Interactive number line from range.min to range.max. Numbers ruled out by too-low / too-high
+   * results are shaded and each guess is marked in its result colour. Clicking the line or using
+   * the arrow keys (PageUp/PageDown, Home/End for bigger steps) calls `onPick(n)` to fill the guess.
+   */
+  const { t } = useTranslation();
+  const { min, max } = range;
+  const span = Math.max(1, max - min);
+  const pct = (n) => ((n - min) / span) * 100;
+  const feasible = feasibleInterval(range, history);
+  const numeric = Number(value);
+  const current = value !== '' && Number.isInteger(numeric) && numeric >= min && numeric <= max ? numeric : null;
+  const clamp = (n) => Math.min(max, Math.max(min, n));
+
+  function onKeyDown(e) {
+    const start = current ?? Math.floor((feasible.min + feasible.max) / 2);
+    const big = Math.max(1, Math.round(span / 10));
+    const next = {
+      ArrowRight: start + 1,
+      ArrowUp: start + 1,
+      ArrowLeft: start - 1,
+      ArrowDown: start - 1,
+      PageUp: start + big,
+      PageDown: start - big,
+      Home: feasible.min,
+      End: feasible.max,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    // The first key press picks the middle of the feasible interval
+    onPick(clamp(current == null && e.key.startsWith('Arrow') ? start : next));
+  }
+
+  function onClick(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (!rect.width) return;
+    const ratio = (e.clientX - rect.left) / rect.width;
+    onPick(clamp(Math.round(min + ratio * span)));
+  }
+
+  const ruledOut = [
+    feasible.min > min ? { from: min, to: Math.min(max, feasible.min - 1) } : null,
+    feasible.max < max ? { from: Math.max(min, feasible.max + 1), to: max } : null,
+  ].filter(Boolean);
+  const possible = feasible.min <= feasible.max ? t('numberline_possible', feasible) : t('numberline_none');
+
+  return (
+    <div className="ngg-numberline" data-testid="number-line">
+      <div
+        className="ngg-numberline-track"
+        role="slider"
+        tabIndex={disabled ? -1 : 0}
+        aria-label={t('numberline_label')}
+        aria-valuemin={min}
+        aria-valuemax={max}
+        aria-valuenow={current ?? undefined}
+        aria-valuetext={current == null ? possible : `${current}. ${possible}`}
+        aria-disabled={disabled || undefined}
+        onKeyDown={disabled ? undefined : onKeyDown}
+        onClick={disabled ? undefined : onClick}
+      >
+        {ruledOut.map((r) => (
+          <span
+            key={r.from}
+            className="ngg-numberline-ruled-out"
+            data-testid="number-line-ruled-out"
+            style={{ left: `${pct(r.from)}%`, width: `${Math.max(0.5, pct(r.to) - pct(r.from))}%` }}
+          />
+        ))}
+        {history.map((h) => (
+          <span
+            key={h.id || h.value}
+            className={markerClass(h.result)}
+            data-testid="number-line-marker"
+            title={`${h.value}: ${h.result}`}
+            style={{ left: `${pct(h.value)}%` }}
+            aria-hidden="true"
+          />
+        ))}
+        {current != null && <span className="ngg-numberline-cursor" style={{ left: `${pct(current)}%` }} aria-hidden="true" />}
+      </div>
+      <div className="ngg-numberline-scale" aria-hidden="true">
+        <span>{min}</span>
+        <span>{max}</span>
+      </div>
+    </div>
+  );
+}
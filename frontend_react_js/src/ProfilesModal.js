@@ -0,0 +1,210 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  PROFILE_AVATARS,
+  PROFILE_NAME_MAX_LENGTH,
+  createProfile,
+  deleteProfile,
+  readProfiles,
+  updateProfile,
+} from './profiles';
+
+function AvatarSelect({ id, value, onChange, label }) {
+  return (
+    <select id={id} className="ngg-input" style={{ width: 'auto' }} value={value} onChange={onChange} aria-label={label}>
+      {PROFILE_AVATARS.map((a) => (
+        <option key={a} value={a}>
+          {a}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function ProfileRow({ profile, active, onSwitch, onChanged }) {
+  const { t } = useTranslation();
+  const [name, setName] = useState(profile.name);
+  const [error, setError] = useState(null);
+
+  function handleRename(e) {
+    e.preventDefault();
+    const result = updateProfile(profile.id, { name });
+    setError(result.ok ? null : result);
+    if (result.ok) onChanged();
+  }
+
+  function handleDelete() {
+    const ok = window.confirm(t('profile_delete_confirm', { name: profile.name }));
+    if (!ok) return;
+    if (deleteProfile(profile.id)) onChanged();
+  }
+
+  return (
+    <li className="ngg-leaderboard-item" aria-current={active ? 'true' : undefined} data-testid="profile-row">
+      <form onSubmit={handleRename} style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', width: '100%' }}>
+        <AvatarSelect
+          id={`profile-avatar-${profile.id}`}
+          value={profile.avatar}
+          label={t('profile_avatar_label', { name: profile.name })}
+          onChange={(e) => {
+            updateProfile(profile.id, { avatar: e.target.value });
+            onChanged();
+          }}
+        />
+        <input
+          className="ngg-input"
+          style={{ flex: 1, minWidth: 120 }}
+          value={name}
+          maxLength={PROFILE_NAME_MAX_LENGTH}
+          onChange={(e) => setName(e.target.value)}
+          aria-label={t('profile_name_label', { name: profile.name })}
+        />
+        <button type="submit" className="ngg-btn-secondary" disabled={name.trim() === profile.name}>
+          {t('profile_rename')}
+        </button>
+        {active ? (
+          <span className="ngg-chip">{t('profile_active')}</span>
+        ) : (
+          <button type="button" className="ngg-btn-secondary" onClick={() => onSwitch(profile.id)}>
+            {t('profile_switch')}
+          </button>
+        )}
+        <button type="button" className="ngg-btn-secondary" onClick={handleDelete} aria-label={t('profile_delete_aria', { name: profile.name })}>
+          {t('profile_delete')}
+        </button>
+      </form>
+      {error && (
+        <p className="ngg-attempts" role="alert" style={{ color: 'var(--ocean-error)', margin: 0 }}>
+          {t(error.errorKey, error.params)}
+        </p>
+      )}
+    </li>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function ProfilesModal({ open, onClose, onSwitch, onChanged }) {
+  /**
+   * Accessible dialog to create, rename, re-avatar, switch and delete player profiles.
+   * `onSwitch(id)` is called to change the active profile; `onChanged()` after any registry edit.
+   */
+  const { t } = useTranslation();
+  const [registry, setRegistry] = useState(() => readProfiles());
+  const [newName, setNewName] = useState('');
+  const [newAvatar, setNewAvatar] = useState(PROFILE_AVATARS[1]);
+  const [error, setError] = useState(null);
+  const closeBtnRef = useRef(null);
+  const lastFocusedRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      lastFocusedRef.current = document.activeElement;
+      setRegistry(readProfiles());
+      setTimeout(() => closeBtnRef.current?.focus(), 0);
+    } else if (lastFocusedRef.current && typeof lastFocusedRef.current.focus === 'function') {
+      setTimeout(() => lastFocusedRef.current.focus(), 0);
+    }
+  }, [open]);
+
+  function handleChanged() {
+    const before = registry.activeId;
+    const next = readProfiles();
+    setRegistry(next);
+    // Deleting the active profile moves play to another one
+    if (next.activeId !== before) onSwitch?.(next.activeId);
+    else onChanged?.();
+  }
+
+  function handleCreate(e) {
+    e.preventDefault();
+    const result = createProfile(newName, newAvatar);
+    if (!result.ok) {
+      setError(result);
+      return;
+    }
+    setError(null);
+    setNewName('');
+    setRegistry(readProfiles());
+    onSwitch?.(result.profile.id);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose?.();
+    }
+  }
+
+  if (!open) return null;
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="profiles-title"
+      className="ngg-leaderboard-backdrop"
+      onKeyDown={onKeyDown}
+      data-testid="profiles-modal"
+    >
+      <div className="ngg-leaderboard-modal">
+        <div className="ngg-leaderboard-header">
+          <h2 id="profiles-title" className="ngg-leaderboard-title">
+            {t('profiles_title')}
+          </h2>
+          <button
+            ref={closeBtnRef}
+            className="ngg-btn-secondary"
+            style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
+            onClick={() => onClose?.()}
+            aria-label={t('profiles_close')}
+          >
+            {t('profiles_close')}
+          </button>
+        </div>
+
+        <p className="ngg-attempts">{t('profiles_intro')}</p>
+        <ul className="ngg-leaderboard-list" aria-label={t('profiles_title')}>
+          {registry.profiles.map((p) => (
+            <ProfileRow
+              key={`${p.id}:${p.name}`}
+              profile={p}
+              active={p.id === registry.activeId}
+              onSwitch={(id) => {
+                onSwitch?.(id);
+                setRegistry(readProfiles());
+              }}
+              onChanged={handleChanged}
+            />
+          ))}
+        </ul>
+
+        <form onSubmit={handleCreate} style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', marginTop: 12 }} noValidate>
+          <AvatarSelect
+            id="new-profile-avatar"
+            value={newAvatar}
+            label={t('profile_new_avatar_label')}
+            onChange={(e) => setNewAvatar(e.target.value)}
+          />
+          <input
+            className="ngg-input"
+            style={{ flex: 1, minWidth: 120 }}
+            value={newName}
+            maxLength={PROFILE_NAME_MAX_LENGTH}
+            onChange={(e) => setNewName(e.target.value)}
+            aria-label={t('profile_new_name_label')}
+            placeholder={t('profile_new_name_label')}
+            data-testid="new-profile-name"
+          />
+          <button type="submit" className="ngg-btn" data-testid="create-profile">
+            {t('profile_create')}
+          </button>
+        </form>
+        {error && (
+          <p className="ngg-attempts" role="alert" style={{ color: 'var(--ocean-error)' }}>
+            {t(error.errorKey, error.params)}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
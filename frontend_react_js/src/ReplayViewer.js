@@ -0,0 +1,159 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { historyItemLabel } from './GuessHistory';
+import NumberLine from './NumberLine';
+import { sessionReplay } from './replay';
+import { formatDuration } from './statistics';
+
+// Delay between steps while playing
+const REPLAY_STEP_MS = 1200;
+
+function describeStep(t, step) {
+  let text;
+  switch (step.kind) {
+    case 'guess':
+      return historyItemLabel(t, step);
+    case 'hint':
+      text = t('replay_hint', {
+        type: t(`hint_${step.hintType}_btn`, { defaultValue: step.hintType }),
+        text: t(step.key, step.params),
+      });
+      break;
+    case 'puzzle':
+      text = step.correct ? t('replay_puzzle_solved') : t('replay_puzzle_wrong');
+      break;
+    default:
+      text = step.shotClock ? t('replay_shot_clock') : t('replay_timeout');
+  }
+  return step.player ? `${t('player_chip_aria', { player: step.player })}: ${text}` : text;
+}
+
+function stepClass(step) {
+  if (step.kind !== 'guess') return 'ngg-replay-step';
+  if (step.result === 'correct') return 'ngg-replay-step guess-correct';
+  if (step.result === 'too high') return 'ngg-replay-step guess-high';
+  return 'ngg-replay-step guess-low';
+}
+
+// Time into the round and the countdown left, when recorded
+function stepTimes(t, step, origin) {
+  return [
+    step.ts != null && origin != null ? t('replay_elapsed', { time: formatDuration((step.ts - origin) / 1000) }) : null,
+    step.timeLeft != null ? t('replay_timer', { time: formatDuration(step.timeLeft) }) : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+// PUBLIC_INTERFACE
+export default function ReplayViewer({ session, onBack }) {
+  /**
+   * Step-through replay of a logged round: each guess with its feedback, hints and puzzle answers
+   * in the order they happened, with the time into the round and the Timer Challenge countdown
+   * at each step. Play/pause, step and a scrubber move through it; number rounds also show the
+   * number line as it stood at the current step.
+   */
+  const { t } = useTranslation();
+  const steps = useMemo(() => sessionReplay(session), [session]);
+  const total = steps.length;
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const backBtnRef = useRef(null);
+  const origin = session.startedAt ?? steps.find((s) => s.ts != null)?.ts ?? null;
+  const timed = steps.some((s) => s.ts != null);
+
+  // The row's Replay button is gone once the viewer opens; keep keyboard focus inside the dialog
+  useEffect(() => {
+    backBtnRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (position >= total) {
+      setPlaying(false);
+      return undefined;
+    }
+    const id = setTimeout(() => setPosition((p) => Math.min(total, p + 1)), REPLAY_STEP_MS);
+    return () => clearTimeout(id);
+  }, [playing, position, total]);
+
+  function togglePlay() {
+    if (!playing && position >= total) setPosition(0);
+    setPlaying((p) => !p);
+  }
+
+  function goTo(next) {
+    setPlaying(false);
+    setPosition(Math.min(total, Math.max(0, next)));
+  }
+
+  const shown = steps.slice(0, position);
+  const current = position > 0 ? steps[position - 1] : null;
+  const lineHistory = shown
+    .filter((s) => s.kind === 'guess')
+    .map((s, i) => ({ id: `${i}-${s.value}`, value: s.value, result: s.result }));
+
+  return (
+    <section className="ngg-replay" aria-labelledby="replay-title" data-testid="replay-viewer">
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', justifyContent: 'space-between' }}>
+        <h3 id="replay-title" className="ngg-label" style={{ margin: 0 }}>
+          {t('replay_title', { date: new Date(session.finishedAt).toLocaleString() })}
+        </h3>
+        <button ref={backBtnRef} type="button" className="ngg-btn-secondary" onClick={() => onBack?.()} data-testid="replay-back">
+          {t('replay_back')}
+        </button>
+      </div>
+
+      {total === 0 ? (
+        <p className="ngg-attempts">{t('replay_empty')}</p>
+      ) : (
+        <>
+          <div className="ngg-replay-controls" role="group" aria-label={t('replay_controls')}>
+            <button type="button" className="ngg-btn-secondary" onClick={() => goTo(position - 1)} disabled={position === 0} data-testid="replay-prev">
+              {t('replay_prev')}
+            </button>
+            <button type="button" className="ngg-btn-secondary" onClick={togglePlay} aria-pressed={playing} data-testid="replay-play">
+              {playing ? t('replay_pause') : t('replay_play')}
+            </button>
+            <button type="button" className="ngg-btn-secondary" onClick={() => goTo(position + 1)} disabled={position >= total} data-testid="replay-next">
+              {t('replay_next')}
+            </button>
+            <label htmlFor="replay-scrub" className="sr-only">
+              {t('replay_scrub')}
+            </label>
+            <input
+              id="replay-scrub"
+              type="range"
+              min={0}
+              max={total}
+              value={position}
+              onChange={(e) => goTo(Number(e.target.value))}
+              aria-valuetext={t('replay_position', { step: position, total })}
+              data-testid="replay-scrub"
+            />
+          </div>
+
+          <p className="ngg-attempts" aria-live="polite" data-testid="replay-current">
+            {t('replay_position', { step: position, total })}
+            {' · '}
+            {current ? describeStep(t, current) : t('replay_start')}
+          </p>
+          {!timed && <p className="ngg-attempts">{t('replay_no_times')}</p>}
+
+          {session.range && (
+            <NumberLine range={session.range} history={lineHistory} value="" onPick={() => {}} disabled />
+          )}
+
+          <ol className="ngg-replay-steps" data-testid="replay-steps">
+            {shown.map((step, i) => (
+              <li key={i} className={stepClass(step)} aria-current={i === position - 1 ? 'step' : undefined} data-testid="replay-step">
+                <span>{describeStep(t, step)}</span>
+                <span className="ngg-leaderboard-meta">{stepTimes(t, step, origin)}</span>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+
+// PUBLIC_INTERFACE
+export default function ResumeRoundModal({ saved, onResume, onDiscard }) {
+  /**
+   * Alert dialog shown on load when an unfinished round was saved (see ./resume): a summary of
+   * where it stopped, with Resume round / Start new. Timer Challenge rounds warn that the clock
+   * kept running while away.
+   */
+  const { t } = useTranslation();
+  const resumeBtnRef = useRef(null);
+
+  useEffect(() => {
+    if (saved) setTimeout(() => resumeBtnRef.current?.focus(), 0);
+  }, [saved]);
+
+  if (!saved) return null;
+
+  const { state } = saved;
+  const label = t(`difficulty_${state.difficulty}`, { defaultValue: state.difficulty });
+  const summary = state.code
+    ? t('resume_summary_code', { label, length: state.code.length, attempts: state.attempts, max: state.maxAttempts })
+    : t('resume_summary_number', {
+        label,
+        min: state.range.min,
+        max: state.range.max,
+        attempts: state.attempts,
+        maxAttempts: state.maxAttempts,
+      });
+
+  return (
+    <div
+      role="alertdialog"
+      aria-modal="true"
+      aria-labelledby="resume-round-title"
+      aria-describedby="resume-round-summary"
+      className="ngg-leaderboard-backdrop"
+      data-testid="resume-round-modal"
+    >
+      <div className="ngg-leaderboard-modal">
+        <div className="ngg-leaderboard-header">
+          <h2 id="resume-round-title" className="ngg-leaderboard-title">
+            {t('resume_title')}
+          </h2>
+        </div>
+        <div id="resume-round-summary">
+          <p className="ngg-attempts" data-testid="resume-summary">
+            {summary}
+          </p>
+          {state.players && <p className="ngg-attempts">{t('resume_players', { players: state.players.map((p) => p.name).join(', ') })}</p>}
+          {state.daily && <p className="ngg-attempts">{t('resume_daily', { date: state.daily })}</p>}
+          {state.timerChallenge && <p className="ngg-attempts">{t('resume_timer_note')}</p>}
+        </div>
+        <div className="ngg-actions">
+          <button ref={resumeBtnRef} type="button" className="ngg-btn" onClick={() => onResume?.()} data-testid="resume-round">
+            {t('resume_continue')}
+          </button>
+          <button type="button" className="ngg-btn-secondary" onClick={() => onDiscard?.()} data-testid="resume-discard">
+            {t('resume_start_new')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import GuessHistory from './GuessHistory';
+import {
+  REVERSE_ANSWERS,
+  REVERSE_STATUS,
+  REVERSE_STRATEGIES,
+  reverseReducer,
+  startReverseRound,
+} from './reverse';
+
+// Keyboard shortcuts, ignored while typing in a form field
+const SHORTCUTS = {
+  h: { type: 'answerReverse', answer: REVERSE_ANSWERS.tooHigh },
+  l: { type: 'answerReverse', answer: REVERSE_ANSWERS.tooLow },
+  c: { type: 'answerReverse', answer: REVERSE_ANSWERS.correct },
+  u: { type: 'undoReverseAnswer' },
+};
+
+// PUBLIC_INTERFACE
+export default function ReverseModePanel({ range, seed }) {
+  /** Reverse mode: the player picks a number in `range` and answers the computer's guesses */
+  const { t } = useTranslation();
+  const [strategy, setStrategy] = useState(REVERSE_STRATEGIES.binary);
+  const [roundNo, setRoundNo] = useState(0);
+  const [round, setRound] = useState(() => startReverseRound({ range, strategy, seed: `${seed}:reverse` }).state);
+  const roundRef = useRef(round);
+
+  function dispatch(action) {
+    const { state } = reverseReducer(roundRef.current, action);
+    roundRef.current = state;
+    setRound(state);
+  }
+
+  function restart(nextStrategy = strategy) {
+    const next = roundNo + 1;
+    setRoundNo(next);
+    dispatch({ type: 'startReverseRound', range, strategy: nextStrategy, seed: `${seed}:reverse-${next}` });
+  }
+
+  // A new range (difficulty change) or session seed starts over
+  useEffect(() => {
+    dispatch({ type: 'startReverseRound', range, strategy, seed: `${seed}:reverse` });
+    setRoundNo(0);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [range.min, range.max, seed]);
+
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+      const tag = e.target?.tagName;
+      if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+      const action = SHORTCUTS[String(e.key).toLowerCase()];
+      if (!action) return;
+      e.preventDefault();
+      dispatch(action);
+    }
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  const playing = round.status === REVERSE_STATUS.playing;
+  const answerButtons = [
+    { answer: REVERSE_ANSWERS.tooHigh, labelKey: 'reverse_answer_high', shortcut: 'H' },
+    { answer: REVERSE_ANSWERS.tooLow, labelKey: 'reverse_answer_low', shortcut: 'L' },
+    { answer: REVERSE_ANSWERS.correct, labelKey: 'reverse_answer_correct', shortcut: 'C' },
+  ];
+
+  return (
+    <div data-testid="reverse-panel">
+      <div className="ngg-form">
+        <label htmlFor="reverseStrategy" className="ngg-label">
+          {t('reverse_strategy_label')}
+        </label>
+        <select
+          id="reverseStrategy"
+          className="ngg-input"
+          value={strategy}
+          onChange={(e) => {
+            setStrategy(e.target.value);
+            restart(e.target.value);
+          }}
+        >
+          {Object.values(REVERSE_STRATEGIES).map((s) => (
+            <option key={s} value={s}>
+              {t(`reverse_strategy_${s}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="ngg-status">
+        <p className="ngg-attempts">{t('reverse_think_of_number', { min: range.min, max: range.max })}</p>
+        {playing && (
+          <p className="ngg-feedback hint" data-testid="reverse-guess">
+            {t('reverse_computer_guess', { value: round.guess })}
+          </p>
+        )}
+        <p
+          className={`ngg-feedback ${round.status === REVERSE_STATUS.won ? 'won' : ''}`}
+          role={round.conflict ? 'alert' : undefined}
+          aria-live="polite"
+          data-testid="reverse-message"
+          style={round.conflict ? { color: 'var(--ocean-error)' } : undefined}
+        >
+          {round.status !== REVERSE_STATUS.playing ? t(round.message.key, round.message.params) : ''}
+        </p>
+        <p className="ngg-attempts">{t('reverse_guesses_made', { count: round.history.length })}</p>
+      </div>
+
+      <div role="group" aria-label={t('reverse_answers_group')} style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+        {answerButtons.map(({ answer, labelKey, shortcut }) => (
+          <button
+            key={answer}
+            type="button"
+            className="ngg-btn-secondary"
+            onClick={() => dispatch({ type: 'answerReverse', answer })}
+            disabled={!playing}
+            aria-keyshortcuts={shortcut}
+            style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
+          >
+            {t(labelKey)} <kbd aria-hidden="true">{shortcut}</kbd>
+          </button>
+        ))}
+        <button
+          type="button"
+          className="ngg-btn-secondary"
+          onClick={() => dispatch({ type: 'undoReverseAnswer' })}
+          disabled={round.history.length === 0}
+          aria-keyshortcuts="U"
+        >
+          {t('reverse_undo')} <kbd aria-hidden="true">U</kbd>
+        </button>
+      </div>
+
+      <GuessHistory history={round.history} highlightIds={round.conflict ? round.conflict.entryIds : []} />
+
+      <div className="ngg-actions">
+        <button type="button" className="ngg-btn-secondary" onClick={() => restart()}>
+          {round.status === REVERSE_STATUS.won ? t('play_again') : t('new_game')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { RUN_MODES } from './engine';
+import { RETENTION_OPTIONS, clearSessions, readRetention, readSessions, writeRetention } from './sessions';
+import { formatDuration } from './statistics';
+import ReplayViewer from './ReplayViewer';
+
+function SessionRow({ session, onReplay }) {
+  const { t } = useTranslation();
+  const duration = session.startedAt != null ? (session.finishedAt - session.startedAt) / 1000 : null;
+  const details = [
+    session.level,
+    session.timerChallenge ? t('sessions_flag_timer') : null,
+    session.daily ? t('sessions_flag_daily') : null,
+    session.players ? session.players.join(', ') : null,
+    session.puzzle ? t(`sessions_puzzle_${session.puzzle}`) : null,
+  ].filter(Boolean);
+
+  return (
+    <li className="ngg-leaderboard-item" data-testid="session-row">
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 4, width: '100%' }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center' }}>
+          <span className="ngg-chip" data-testid="session-outcome">
+            {t(`sessions_outcome_${session.outcome}`)}
+          </span>
+          {session.player ? <span className="ngg-chip">{session.player}</span> : null}
+          <strong>{t(`difficulty_${session.difficulty}`, { defaultValue: session.difficulty })}</strong>
+          <span>
+            {t('sessions_summary', {
+              attempts: session.attempts,
+              max: session.maxAttempts ?? '—',
+              score: session.score,
+            })}
+          </span>
+        </div>
+        <div className="ngg-leaderboard-meta">
+          {new Date(session.finishedAt).toLocaleString()}
+          {duration != null ? ` · ${t('sessions_duration', { duration: formatDuration(duration) })}` : ''}
+          {details.length > 0 ? ` · ${details.join(' · ')}` : ''}
+        </div>
+        <div className="ngg-leaderboard-meta">
+          {t('sessions_hints', {
+            hints: session.hints.length > 0
+              ? session.hints.map((h) => t(`hint_${h}_btn`, { defaultValue: h })).join(', ')
+              : t('sessions_none'),
+          })}
+        </div>
+        <div className="ngg-leaderboard-meta" data-testid="session-guesses">
+          {t('sessions_guesses', { guesses: session.guesses.length > 0 ? session.guesses.join(', ') : t('sessions_none') })}
+        </div>
+        {/* Runs guess at many secrets, which one number line cannot replay */}
+        {!RUN_MODES.includes(session.mode) && (
+          <div>
+            <button
+              type="button"
+              className="ngg-btn-secondary"
+              onClick={() => onReplay(session)}
+              aria-label={t('replay_open_aria', { date: new Date(session.finishedAt).toLocaleString() })}
+              data-testid="session-replay"
+            >
+              {t('replay_open')}
+            </button>
+          </div>
+        )}
+      </div>
+    </li>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function SessionHistoryModal({ open, onClose, onCleared }) {
+  /**
+   * Accessible dialog listing the active profile's finished rounds, newest first, with the
+   * retention settings for the log and a way to clear it. `onCleared()` runs after clearing.
+   * Any round can be opened in the replay viewer.
+   */
+  const { t } = useTranslation();
+  const [sessions, setSessions] = useState([]);
+  const [retention, setRetention] = useState(() => readRetention());
+  const [replaying, setReplaying] = useState(null);
+  const closeBtnRef = useRef(null);
+  const lastFocusedRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      lastFocusedRef.current = document.activeElement;
+      setSessions(readSessions());
+      setRetention(readRetention());
+      setReplaying(null);
+      setTimeout(() => closeBtnRef.current?.focus(), 0);
+    } else if (lastFocusedRef.current && typeof lastFocusedRef.current.focus === 'function') {
+      setTimeout(() => lastFocusedRef.current.focus(), 0);
+    }
+  }, [open]);
+
+  function changeRetention(patch) {
+    setRetention(writeRetention(patch));
+    setSessions(readSessions());
+  }
+
+  function handleClear() {
+    if (!window.confirm(t('sessions_clear_confirm'))) return;
+    clearSessions();
+    setSessions([]);
+    onCleared?.();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose?.();
+    }
+  }
+
+  if (!open) return null;
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="sessions-title"
+      className="ngg-leaderboard-backdrop"
+      onKeyDown={onKeyDown}
+      data-testid="sessions-modal"
+    >
+      <div className="ngg-leaderboard-modal">
+        <div className="ngg-leaderboard-header">
+          <h2 id="sessions-title" className="ngg-leaderboard-title">
+            {t('sessions_title')}
+          </h2>
+          <button
+            ref={closeBtnRef}
+            className="ngg-btn-secondary"
+            style={{ borderColor: 'var(--ocean-secondary)', color: 'var(--ocean-secondary)' }}
+            onClick={() => onClose?.()}
+            aria-label={t('sessions_close')}
+          >
+            {t('sessions_close')}
+          </button>
+        </div>
+
+        {replaying ? (
+          <ReplayViewer session={replaying} onBack={() => setReplaying(null)} />
+        ) : (
+          <>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, alignItems: 'center', marginBottom: 8 }}>
+              <label htmlFor="sessions-max" className="ngg-label" style={{ margin: 0 }}>
+                {t('sessions_retention_max')}
+              </label>
+              <select
+                id="sessions-max"
+                className="ngg-input"
+                style={{ width: 'auto' }}
+                value={retention.maxSessions}
+                onChange={(e) => changeRetention({ maxSessions: Number(e.target.value) })}
+              >
+                {RETENTION_OPTIONS.maxSessions.map((n) => (
+                  <option key={n} value={n}>
+                    {t('sessions_retention_max_option', { count: n })}
+                  </option>
+                ))}
+              </select>
+              <label htmlFor="sessions-age" className="ngg-label" style={{ margin: 0 }}>
+                {t('sessions_retention_age')}
+              </label>
+              <select
+                id="sessions-age"
+                className="ngg-input"
+                style={{ width: 'auto' }}
+                value={retention.maxAgeDays}
+                onChange={(e) => changeRetention({ maxAgeDays: Number(e.target.value) })}
+              >
+                {RETENTION_OPTIONS.maxAgeDays.map((d) => (
+                  <option key={d} value={d}>
+                    {d === 0 ? t('sessions_retention_forever') : t('sessions_retention_age_option', { count: d })}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <p className="ngg-attempts" aria-live="polite">
+              {t('sessions_count', { count: sessions.length })}
+            </p>
+            {sessions.length === 0 ? (
+              <p className="ngg-attempts">{t('sessions_empty')}</p>
+            ) : (
+              <ul className="ngg-leaderboard-list" aria-label={t('sessions_title')}>
+                {sessions.map((s) => (
+                  <SessionRow key={s.id} session={s} onReplay={setReplaying} />
+                ))}
+              </ul>
+            )}
+
+            <div className="ngg-actions">
+              <button
+                type="button"
+                className="ngg-btn-secondary"
+                onClick={handleClear}
+                disabled={sessions.length === 0}
+                data-testid="sessions-clear"
+              >
+                {t('sessions_clear')}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
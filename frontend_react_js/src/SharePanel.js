@@ -0,0 +1,75 @@
+import React, { useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { challengeUrl } from './challenge';
+import { copyText, renderShareCard, shareResult, shareSummary } from './share';
+
+// PUBLIC_INTERFACE
+export default function SharePanel({ state, puzzleMode = false, playerName = null }) {
+  /**
+   * Share options for a finished round: the spoiler-free summary (via the Web Share API or the
+   * clipboard), the challenge link on its own, and the PNG result card as a download.
+   * The link carries `playerName`'s result for single-player rounds.
+   */
+  const { t } = useTranslation();
+  const [notice, setNotice] = useState('');
+  const text = useMemo(() => shareSummary(t, state).join('\n'), [t, state]);
+  const url = useMemo(() => {
+    const by = playerName && !state.players
+      ? { name: playerName, attempts: state.attempts, score: state.score, outcome: state.status }
+      : null;
+    return challengeUrl(state, { puzzleMode, by });
+  }, [state, puzzleMode, playerName]);
+
+  async function handleShare() {
+    const image = await renderShareCard(t, state);
+    const outcome = await shareResult({ title: t('appTitle'), text, url, image });
+    if (outcome !== 'cancelled') setNotice(t(`share_notice_${outcome}`));
+  }
+
+  async function handleCopyLink() {
+    setNotice((await copyText(url)) ? t('share_notice_link_copied') : t('share_notice_failed'));
+  }
+
+  async function handleDownload() {
+    const image = await renderShareCard(t, state);
+    if (!image) {
+      setNotice(t('share_notice_no_image'));
+      return;
+    }
+    const href = URL.createObjectURL(image);
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = 'number-guessing-result.png';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(href), 0);
+  }
+
+  return (
+    <section className="ngg-share" aria-labelledby="share-title" data-testid="share-panel">
+      <h3 id="share-title" className="ngg-label">
+        {t('share_title')}
+      </h3>
+      <pre className="ngg-share-text" data-testid="share-text">
+        {text}
+      </pre>
+      <div className="ngg-actions" style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+        <button type="button" className="ngg-btn" onClick={handleShare} data-testid="share-button">
+          {t('share_button')}
+        </button>
+        {url && (
+          <button type="button" className="ngg-btn-secondary" onClick={handleCopyLink} data-testid="share-copy-link">
+            {t('share_copy_link')}
+          </button>
+        )}
+        <button type="button" className="ngg-btn-secondary" onClick={handleDownload} data-testid="share-download">
+          {t('share_download')}
+        </button>
+      </div>
+      <p className="ngg-attempts" aria-live="polite" data-testid="share-notice">
+        {notice}
+      </p>
+    </section>
+  );
+}
@@ -1,33 +1,97 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
-import { readResults } from './leaderboard';
-import { computeStatisticsFromLeaderboard, formatDuration, readStats } from './statistics';
+import { readSessions } from './sessions';
+import StatsCharts from './StatsCharts';
+import {
+  STATS_DIFFICULTIES,
+  bestSurvivalRun,
+  breakdownSessions,
+  computeStatisticsFromSessions,
+  formatDuration,
+  formatRate,
+  readStats,
+  summarizeSessions,
+} from './statistics';
+
+const BREAKDOWN_GROUPS = [
+  { key: 'difficulty', label: (t, key) => t(`difficulty_${key}`) },
+  { key: 'level', label: (t, key) => t(`level_${key}`) },
+  { key: 'mode', label: (t, key) => t(`stats_mode_${key}`) },
+];
+
+function BreakdownTable({ group, rows }) {
+  const { t } = useTranslation();
+  const rate = (value) => (value == null ? t('stats_not_available') : formatRate(value));
+  return (
+    <div style={{ overflowX: 'auto', marginTop: 12 }}>
+      <table className="ngg-stats-table" data-testid={`stats-breakdown-${group.key}`}>
+        <caption className="ngg-label" style={{ textAlign: 'left' }}>
+          {t(`stats_breakdown_${group.key}`)}
+        </caption>
+        <thead>
+          <tr>
+            <th scope="col" style={{ textAlign: 'left' }}>{t(`stats_col_${group.key}`)}</th>
+            <th scope="col">{t('stats_col_games')}</th>
+            <th scope="col">{t('stats_win_rate')}</th>
+            <th scope="col">{t('stats_col_streak')}</th>
+            <th scope="col">{t('stats_col_timeouts')}</th>
+            <th scope="col">{t('stats_col_out_of_attempts')}</th>
+            <th scope="col">{t('stats_hint_usage')}</th>
+            <th scope="col">{t('stats_puzzle_rate')}</th>
+            <th scope="col">{t('stats_efficiency')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ key, stats }) => (
+            <tr key={key}>
+              <th scope="row" style={{ textAlign: 'left' }}>{group.label(t, key)}</th>
+              <td>{stats.games}</td>
+              <td>{rate(stats.winRate)}</td>
+              <td>{t('stats_streak_value', { current: stats.currentStreak, longest: stats.longestStreak })}</td>
+              <td>{stats.losses.timeout}</td>
+              <td>{stats.losses.outOfAttempts}</td>
+              <td>{rate(stats.hintUsageRate)}</td>
+              <td>{rate(stats.puzzleSolveRate)}</td>
+              <td>{rate(stats.efficiency)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
 
 // PUBLIC_INTERFACE
 export default function StatisticsModal({ open, onClose }) {
-  /** Accessible Statistics modal dialog displaying aggregate gameplay metrics. */
+  /**
+   * Accessible Statistics modal dialog displaying gameplay metrics from the session log, with
+   * per-difficulty, per-level and per-mode breakdowns and a difficulty filter.
+   */
   const { t } = useTranslation();
-  const [stats, setStats] = useState({
-    totalGames: 0,
-    highestScore: 0,
-    fastestWinSeconds: null,
-    averageAttempts: 0,
-  });
+  const [sessions, setSessions] = useState([]);
+  const [storedTotalGames, setStoredTotalGames] = useState(0);
+  const [difficultyFilter, setDifficultyFilter] = useState('all');
   const closeBtnRef = useRef(null);
   const lastFocusedRef = useRef(null);
 
   const refresh = () => {
-    const entries = readResults();
-    const stored = readStats();
-    const computed = computeStatisticsFromLeaderboard(entries, stored?.totalGames ?? null);
-    // Prefer stored totalGames if present and >= computed baseline
-    const totalGames =
-      stored && typeof stored.totalGames === 'number'
-        ? Math.max(stored.totalGames, computed.totalGames)
-        : computed.totalGames;
-    setStats({ ...computed, totalGames });
+    setSessions(readSessions());
+    setStoredTotalGames(readStats().totalGames);
   };
 
+  const filtered = useMemo(
+    () => (difficultyFilter === 'all' ? sessions : sessions.filter((s) => s.difficulty === difficultyFilter)),
+    [sessions, difficultyFilter]
+  );
+  // The lifetime counter is not split by difficulty, so it only applies to the unfiltered view
+  const stats = useMemo(
+    () => computeStatisticsFromSessions(filtered, difficultyFilter === 'all' ? storedTotalGames : null),
+    [filtered, difficultyFilter, storedTotalGames]
+  );
+  const summary = useMemo(() => summarizeSessions(filtered), [filtered]);
+  const breakdown = useMemo(() => breakdownSessions(filtered), [filtered]);
+  const bestRun = useMemo(() => bestSurvivalRun(filtered), [filtered]);
+
   useEffect(() => {
     if (open) {
       lastFocusedRef.current = document.activeElement;
@@ -49,8 +113,9 @@ export default function StatisticsModal({ open, onClose }) {
     }
   }
 
-  const cards = useMemo(
-    () => [
+  const cards = useMemo(() => {
+    const rate = (value) => (value == null ? t('stats_not_available') : formatRate(value));
+    return [
       {
         key: 'total',
         title: t('stats_total_games'),
@@ -71,7 +136,7 @@ export default function StatisticsModal({ open, onClose }) {
         value:
           stats.fastestWinSeconds == null
             ? t('stats_not_available')
-            : formatDuration(stats.fastestWinSeconds),
+            : formatDuration(stats.fastestWinSeconds, { tenths: true }),
         icon: '⏱️',
         testid: 'stats-fastest-win',
       },
@@ -82,9 +147,57 @@ export default function StatisticsModal({ open, onClose }) {
         icon: '📊',
         testid: 'stats-average-attempts',
       },
-    ],
-    [stats, t]
-  );
+      {
+        key: 'winRate',
+        title: t('stats_win_rate'),
+        value: rate(summary.winRate),
+        icon: '✅',
+        testid: 'stats-win-rate',
+      },
+      {
+        key: 'streak',
+        title: t('stats_streak'),
+        value: t('stats_streak_value', { current: summary.currentStreak, longest: summary.longestStreak }),
+        icon: '🔥',
+        testid: 'stats-streak',
+      },
+      {
+        key: 'losses',
+        title: t('stats_losses'),
+        value: t('stats_losses_value', { timeout: summary.losses.timeout, outOfAttempts: summary.losses.outOfAttempts }),
+        icon: '💔',
+        testid: 'stats-losses',
+      },
+      {
+        key: 'hints',
+        title: t('stats_hint_usage'),
+        value: rate(summary.hintUsageRate),
+        icon: '💡',
+        testid: 'stats-hint-usage',
+      },
+      {
+        key: 'puzzles',
+        title: t('stats_puzzle_rate'),
+        value: rate(summary.puzzleSolveRate),
+        icon: '🧩',
+        testid: 'stats-puzzle-rate',
+      },
+      {
+        key: 'efficiency',
+        title: t('stats_efficiency'),
+        value: rate(summary.efficiency),
+        icon: '🎯',
+        testid: 'stats-efficiency',
+      },
+      {
+        key: 'bestRun',
+        title: t('stats_best_run'),
+        value: bestRun ? t('stats_best_run_value', { rounds: bestRun.survived, max: bestRun.peakRange }) : t('stats_not_available'),
+        icon: '🛡️',
+        testid: 'stats-best-run',
+      },
+    ];
+  }, [stats, summary, bestRun, t]);
 
   if (!open) return null;
 
@@ -113,6 +226,27 @@ export default function StatisticsModal({ open, onClose }) {
           </button>
         </div>
 
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 12 }}>
+          <label htmlFor="stats-difficulty-filter" className="ngg-label" style={{ margin: 0 }}>
+            {t('stats_filter_label')}
+          </label>
+          <select
+            id="stats-difficulty-filter"
+            className="ngg-input"
+            style={{ width: 'auto' }}
+            value={difficultyFilter}
+            onChange={(e) => setDifficultyFilter(e.target.value)}
+            data-testid="stats-difficulty-filter"
+          >
+            <option value="all">{t('stats_filter_all')}</option>
+            {STATS_DIFFICULTIES.map((d) => (
+              <option key={d} value={d}>
+                {t(`difficulty_${d}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+
         <div
           className="stats-grid"
           role="group"
@@ -149,6 +283,18 @@ export default function StatisticsModal({ open, onClose }) {
           ))}
         </div>
 
+        {filtered.length === 0 ? (
+          <p className="ngg-attempts" style={{ marginTop: 12 }}>{t('stats_breakdown_empty')}</p>
+        ) : (
+          BREAKDOWN_GROUPS.map((group) =>
+            breakdown[group.key].length > 0 ? (
+              <BreakdownTable key={group.key} group={group} rows={breakdown[group.key]} />
+            ) : null
+          )
+        )}
+
+        <StatsCharts sessions={filtered} />
+
         <div className="ngg-leaderboard-hint" style={{ marginTop: 12 }}>
           {t('statistics_hint')}
         </div>
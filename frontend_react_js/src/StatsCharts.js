@@ -0,0 +1,178 @@
+import React, { useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { attemptDistribution, scoreTrend, trendDirection } from './statistics';
+
+// Rolling-average window and how many recent wins the trend shows
+const TREND_WINDOW = 5;
+const TREND_MAX_POINTS = 100;
+
+const WIDTH = 320;
+const PAD = { top: 10, right: 10, bottom: 26, left: 34 };
+
+function DataTable({ caption, columns, rows, testid }) {
+  const { t } = useTranslation();
+  return (
+    <details className="ngg-chart-table">
+      <summary>{t('chart_show_table')}</summary>
+      <table className="ngg-stats-table" data-testid={testid}>
+        <caption className="sr-only">{caption}</caption>
+        <thead>
+          <tr>
+            {columns.map((c) => (
+              <th key={c} scope="col">
+                {c}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row[0]}>
+              <th scope="row">{row[0]}</th>
+              {row.slice(1).map((cell, i) => (
+                <td key={columns[i + 1]}>{cell}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  );
+}
+
+function AttemptHistogram({ difficulty, wins, buckets }) {
+  const { t } = useTranslation();
+  const height = 140;
+  const id = `chart-attempts-${difficulty}`;
+  const label = t(`difficulty_${difficulty}`);
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = height - PAD.top - PAD.bottom;
+  const maxCount = Math.max(...buckets.map((b) => b.count));
+  const slot = plotW / buckets.length;
+  const peak = buckets.reduce((best, b) => (b.count > best.count ? b : best), buckets[0]);
+  const summary = t('chart_attempts_summary', { difficulty: label, wins, attempts: peak.attempts, count: peak.count });
+
+  return (
+    <figure className="ngg-chart" data-testid={id}>
+      <figcaption className="ngg-label">{t('chart_attempts_title', { difficulty: label })}</figcaption>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} role="img" aria-labelledby={`${id}-title`} aria-describedby={`${id}-summary`}>
+        <title id={`${id}-title`}>{t('chart_attempts_title', { difficulty: label })}</title>
+        <line x1={PAD.left} y1={PAD.top + plotH} x2={WIDTH - PAD.right} y2={PAD.top + plotH} className="ngg-chart-axis" />
+        <text x={PAD.left - 6} y={PAD.top + 4} textAnchor="end" className="ngg-chart-tick">
+          {maxCount}
+        </text>
+        <text x={PAD.left - 6} y={PAD.top + plotH} textAnchor="end" className="ngg-chart-tick">
+          0
+        </text>
+        {buckets.map((b, i) => {
+          const h = maxCount > 0 ? (b.count / maxCount) * plotH : 0;
+          const x = PAD.left + i * slot + slot * 0.15;
+          return (
+            <g key={b.attempts}>
+              <rect x={x} y={PAD.top + plotH - h} width={slot * 0.7} height={h} className="ngg-chart-bar" />
+              <text x={x + slot * 0.35} y={height - 10} textAnchor="middle" className="ngg-chart-tick">
+                {b.attempts}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <p id={`${id}-summary`} className="sr-only" aria-live="polite">
+        {summary}
+      </p>
+      <DataTable
+        caption={t('chart_attempts_title', { difficulty: label })}
+        columns={[t('chart_col_attempts'), t('chart_col_wins')]}
+        rows={buckets.map((b) => [b.attempts, b.count])}
+        testid={`${id}-table`}
+      />
+    </figure>
+  );
+}
+
+function ScoreTrendChart({ points }) {
+  const { t } = useTranslation();
+  const height = 160;
+  const id = 'chart-score-trend';
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = height - PAD.top - PAD.bottom;
+  const maxScore = Math.max(1, ...points.map((p) => p.score));
+  const x = (i) => PAD.left + (points.length > 1 ? (i / (points.length - 1)) * plotW : plotW / 2);
+  const y = (v) => PAD.top + plotH - (v / maxScore) * plotH;
+  const line = (key) => points.map((p, i) => `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+  const direction = trendDirection(points);
+  const summary =
+    points.length === 1
+      ? t('chart_trend_single', { score: points[0].score })
+      : t('chart_trend_summary', {
+          count: points.length,
+          window: TREND_WINDOW,
+          first: points[0].average,
+          last: points[points.length - 1].average,
+          direction: t(`chart_trend_${direction}`),
+        });
+
+  return (
+    <figure className="ngg-chart" data-testid={id}>
+      <figcaption className="ngg-label">{t('chart_trend_title')}</figcaption>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} role="img" aria-labelledby={`${id}-title`} aria-describedby={`${id}-summary`}>
+        <title id={`${id}-title`}>{t('chart_trend_title')}</title>
+        <line x1={PAD.left} y1={PAD.top + plotH} x2={WIDTH - PAD.right} y2={PAD.top + plotH} className="ngg-chart-axis" />
+        <text x={PAD.left - 6} y={PAD.top + 4} textAnchor="end" className="ngg-chart-tick">
+          {maxScore}
+        </text>
+        <text x={PAD.left - 6} y={PAD.top + plotH} textAnchor="end" className="ngg-chart-tick">
+          0
+        </text>
+        <polyline points={line('score')} className="ngg-chart-line ngg-chart-line--score" />
+        {points.map((p, i) => (
+          <circle key={`${p.finishedAt}-${i}`} cx={x(i)} cy={y(p.score)} r={2.5} className="ngg-chart-dot" />
+        ))}
+        <polyline points={line('average')} className="ngg-chart-line ngg-chart-line--average" />
+      </svg>
+      <div className="ngg-chart-legend" aria-hidden="true">
+        <span className="ngg-chart-key ngg-chart-key--score">{t('chart_legend_score')}</span>
+        <span className="ngg-chart-key ngg-chart-key--average">{t('chart_legend_average', { window: TREND_WINDOW })}</span>
+      </div>
+      <p id={`${id}-summary`} className="sr-only" aria-live="polite">
+        {summary}
+      </p>
+      <DataTable
+        caption={t('chart_trend_title')}
+        columns={[t('chart_col_round'), t('chart_col_date'), t('chart_col_score'), t('chart_legend_average', { window: TREND_WINDOW })]}
+        rows={points.map((p, i) => [i + 1, new Date(p.finishedAt).toLocaleDateString(), p.score, p.average])}
+        testid={`${id}-table`}
+      />
+    </figure>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function StatsCharts({ sessions }) {
+  /**
+   * SVG charts for the Statistics modal: attempts-to-win histograms per difficulty and the score
+   * trend of recent wins with a rolling average. Each chart has a screen-reader summary and a
+   * data table fallback.
+   */
+  const { t } = useTranslation();
+  const distribution = useMemo(() => attemptDistribution(sessions), [sessions]);
+  const trend = useMemo(() => scoreTrend(sessions, TREND_WINDOW).slice(-TREND_MAX_POINTS), [sessions]);
+
+  return (
+    <section className="ngg-charts" aria-labelledby="stats-charts-title" data-testid="stats-charts">
+      <h3 id="stats-charts-title" className="ngg-label">
+        {t('stats_charts_title')}
+      </h3>
+      {trend.length === 0 ? (
+        <p className="ngg-attempts">{t('chart_empty')}</p>
+      ) : (
+        <div className="ngg-charts-grid">
+          <ScoreTrendChart points={trend} />
+          {distribution.map((d) => (
+            <AttemptHistogram key={d.difficulty} {...d} />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
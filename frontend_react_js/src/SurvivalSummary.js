@@ -0,0 +1,59 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { summarizeSurvival } from './survival';
+
+// PUBLIC_INTERFACE
+export default function SurvivalSummary({ state }) {
+  /**
+   * End-of-run panel for Survival: rounds survived, the widest range reached and hints used, then
+   * one row per round with its range, outcome, attempts, hints, the attempts it refilled and its points.
+   */
+  const { t } = useTranslation();
+  if (!state.survival) return null;
+  const { rounds } = state.survival;
+  const totals = summarizeSurvival(rounds);
+
+  return (
+    <section className="ngg-analysis" aria-labelledby="survival-summary-title" data-testid="survival-summary">
+      <h3 id="survival-summary-title" className="ngg-label">
+        {t('survival_summary_title')}
+      </h3>
+      <p className="ngg-attempts" data-testid="survival-totals">
+        {t('survival_summary_totals', totals)}
+      </p>
+      {rounds.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table className="ngg-stats-table">
+            <caption className="sr-only">{t('survival_summary_caption')}</caption>
+            <thead>
+              <tr>
+                <th scope="col">#</th>
+                <th scope="col">{t('survival_col_range')}</th>
+                <th scope="col">{t('survival_col_secret')}</th>
+                <th scope="col">{t('survival_col_result')}</th>
+                <th scope="col">{t('survival_col_attempts')}</th>
+                <th scope="col">{t('survival_col_hints')}</th>
+                <th scope="col">{t('survival_col_refill')}</th>
+                <th scope="col">{t('survival_col_points')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rounds.map((r) => (
+                <tr key={r.index} data-testid={`survival-round-${r.index}`}>
+                  <th scope="row">{r.index}</th>
+                  <td>{`${r.range.min}–${r.range.max}`}</td>
+                  <td>{r.secret}</td>
+                  <td>{t(`survival_outcome_${r.outcome}`)}</td>
+                  <td>{r.attempts}</td>
+                  <td>{r.hints.length}</td>
+                  <td>{r.refill > 0 ? `+${r.refill}` : '—'}</td>
+                  <td>{r.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { summarizeTimeAttack } from './timeAttack';
+
+// PUBLIC_INTERFACE
+export default function TimeAttackSummary({ state }) {
+  /**
+   * End-of-run panel for Time Attack: secrets solved, missed and the efficiency bonus, then one
+   * row per secret of the run with its outcome, attempts and the guesses made (from its history).
+   */
+  const { t } = useTranslation();
+  if (!state.timeAttack) return null;
+  const { secrets } = state.timeAttack;
+  const totals = summarizeTimeAttack(secrets);
+
+  return (
+    <section className="ngg-analysis" aria-labelledby="time-attack-summary-title" data-testid="time-attack-summary">
+      <h3 id="time-attack-summary-title" className="ngg-label">
+        {t('time_attack_summary_title')}
+      </h3>
+      <p className="ngg-attempts" data-testid="time-attack-totals">
+        {t('time_attack_summary_totals', totals)}
+      </p>
+      {secrets.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table className="ngg-stats-table">
+            <caption className="sr-only">{t('time_attack_summary_caption')}</caption>
+            <thead>
+              <tr>
+                <th scope="col">#</th>
+                <th scope="col">{t('time_attack_col_secret')}</th>
+                <th scope="col">{t('time_attack_col_result')}</th>
+                <th scope="col">{t('time_attack_col_attempts')}</th>
+                <th scope="col">{t('time_attack_col_points')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {secrets.map((s) => (
+                <tr key={s.index} data-testid={`time-attack-secret-${s.index}`}>
+                  <th scope="row">{s.index}</th>
+                  <td>{s.secret}</td>
+                  <td>{t(`time_attack_outcome_${s.outcome}`)}</td>
+                  <td>{t('time_attack_attempts_value', { count: s.attempts, guesses: s.history.map((h) => h.value).join(', ') })}</td>
+                  <td>{s.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
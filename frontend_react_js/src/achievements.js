@@ -1,58 +1,209 @@
+import { analyzeGuesses } from './analysis';
+import { DIFFICULTIES, GAME_MODES, HINT_TYPES, RUN_MODES, STATUS, hintCountOf } from './engine';
+import { LANGUAGES } from './i18n';
+import { LEVELS } from './levels';
+import { profileKey } from './profiles';
+import { readSessions } from './sessions';
+import { readStats } from './statistics';
+import { summarizeSurvival } from './survival';
+import { readJSON, writeJSON } from './storage';
+
 const STORAGE_KEY = 'ngg_achievements';
+const KEY_PATTERN = /^\w{1,40}$/;
 
 /**
- * Shape:
+ * Shape (any achievement key may appear; keys unknown to this version, e.g. from a newer
+ * backup, are kept as they are):
  * {
- *   firstTryWin: boolean,
- *   noHintsWin: boolean,
- *   unlockedAt: { firstTryWin?: number, noHintsWin?: number }
+ *   [key]: boolean,
+ *   unlockedAt: { [key]?: number }
  * }
  */
 
-const DEFAULT_ACHIEVEMENTS = Object.freeze({
-  firstTryWin: false,
-  noHintsWin: false,
-  unlockedAt: {},
-});
+// PUBLIC_INTERFACE
+export const ACHIEVEMENT_TIERS = ['bronze', 'silver', 'gold'];
+
+// PUBLIC_INTERFACE
+/**
+ * The achievement registry. Each entry declares how it is earned:
+ * - `unlocks(round, stats)`: true when the finished round earns it (round from achievementRound,
+ *   stats from achievementStats over the session log, this round included)
+ * - `progress(stats)`: { current, target } for counters; earned once current reaches target
+ * `tier` is one of ACHIEVEMENT_TIERS; `hidden` ones show as a secret until unlocked.
+ * Titles and descriptions are English fallbacks for the ach_<key>_title / _desc translations.
+ */
+export const ACHIEVEMENT_META = {
+  firstTryWin: {
+    key: 'firstTryWin',
+    title: 'First-Try Win',
+    description: 'Win a round in exactly 1 attempt.',
+    emoji: '⚡',
+    tier: 'gold',
+    unlocks: (round) => round.outcome === STATUS.won && round.attempts === 1,
+  },
+  noHintsWin: {
+    key: 'noHintsWin',
+    title: 'No-Hints Win',
+    description: 'Win a round without using any hints.',
+    emoji: '🧠',
+    tier: 'bronze',
+    unlocks: (round) => round.outcome === STATUS.won && round.hintCount === 0,
+  },
+  puristWin: {
+    key: 'puristWin',
+    title: 'Purist',
+    description: 'Win a number round with the number line hidden the whole time.',
+    emoji: '🙈',
+    tier: 'silver',
+    hidden: true,
+    unlocks: (round) => round.outcome === STATUS.won && !round.code && !round.numberLineUsed,
+  },
+  hardWins: {
+    key: 'hardWins',
+    title: 'Hard Grinder',
+    description: 'Win 10 hard rounds.',
+    emoji: '🏔️',
+    tier: 'silver',
+    progress: (stats) => ({ current: stats.winsByDifficulty.hard || 0, target: 10 }),
+  },
+  timeKeeper: {
+    key: 'timeKeeper',
+    title: 'Time Keeper',
+    description: 'Win a Timer Challenge round with at least 80% of the time left.',
+    emoji: '⏱️',
+    tier: 'silver',
+    unlocks: (round) => round.outcome === STATUS.won && round.timerChallenge && round.timeLeft >= 0.8 * round.totalTime,
+  },
+  puzzleFirstTry: {
+    key: 'puzzleFirstTry',
+    title: 'Puzzle Ace',
+    description: 'Solve a Puzzle Mode puzzle without needing the retry.',
+    emoji: '🧩',
+    tier: 'bronze',
+    unlocks: (round) => round.puzzle === 'solved' && !round.puzzleRetryUsed,
+  },
+  expertNoHints: {
+    key: 'expertNoHints',
+    title: 'Unaided Expert',
+    description: 'Win an Expert level round without using any hints.',
+    emoji: '🎓',
+    tier: 'gold',
+    unlocks: (round) => round.outcome === STATUS.won && round.level === LEVELS.EXPERT && round.hintCount === 0,
+  },
+  winStreak: {
+    key: 'winStreak',
+    title: 'On Fire',
+    description: 'Win 5 rounds in a row.',
+    emoji: '🔥',
+    tier: 'silver',
+    progress: (stats) => ({ current: stats.streak, target: 5 }),
+  },
+  lastChanceWin: {
+    key: 'lastChanceWin',
+    title: 'Down to the Wire',
+    description: 'Win a round with your very last attempt.',
+    emoji: '😅',
+    tier: 'bronze',
+    hidden: true,
+    unlocks: (round) => round.outcome === STATUS.won && round.maxAttempts > 1 && round.attempts === round.maxAttempts,
+  },
+  allHintsWin: {
+    key: 'allHintsWin',
+    title: 'Hint Collector',
+    description: 'Use every hint type in one round and still win.',
+    emoji: '🧰',
+    tier: 'bronze',
+    unlocks: (round) => round.outcome === STATUS.won && Object.values(HINT_TYPES).every((type) => round.hintTypes.includes(type)),
+  },
+  polyglot: {
+    key: 'polyglot',
+    title: 'Polyglot',
+    description: 'Win a round in every language.',
+    emoji: '🌐',
+    tier: 'gold',
+    progress: (stats) => ({ current: stats.languagesWon.length, target: LANGUAGES.length }),
+  },
+  centurion: {
+    key: 'centurion',
+    title: 'Centurion',
+    description: 'Play 100 games.',
+    emoji: '💯',
+    tier: 'gold',
+    progress: (stats) => ({ current: stats.gamesPlayed, target: 100 }),
+  },
+  binarySearchWin: {
+    key: 'binarySearchWin',
+    title: 'Binary Searcher',
+    description: 'Win a number round in two or more guesses, each one as good as the midpoint.',
+    emoji: '🎯',
+    tier: 'gold',
+    unlocks: (round) => round.outcome === STATUS.won && round.attempts > 1 && round.efficiency === 1,
+  },
+  survivor: {
+    key: 'survivor',
+    title: 'Survivor',
+    description: 'Survive 5 rounds in one Survival run.',
+    emoji: '🛡️',
+    tier: 'bronze',
+    unlocks: (round) => round.survival != null && round.survival.survived >= 5,
+  },
+  enduranceRun: {
+    key: 'enduranceRun',
+    title: 'Endurance',
+    description: 'Survive 10 rounds in one Survival run.',
+    emoji: '🏃',
+    tier: 'gold',
+    unlocks: (round) => round.survival != null && round.survival.survived >= 10,
+  },
+  survivalThousand: {
+    key: 'survivalThousand',
+    title: 'Into the Thousands',
+    description: 'Reach the 1–1000 range in a Survival run.',
+    emoji: '🗻',
+    tier: 'silver',
+    unlocks: (round) => round.survival != null && round.survival.peakRange >= 1000,
+  },
+  unaidedSurvivor: {
+    key: 'unaidedSurvivor',
+    title: 'Lone Survivor',
+    description: 'Survive 5 rounds of a Survival run without using any hints.',
+    emoji: '🐺',
+    tier: 'silver',
+    hidden: true,
+    unlocks: (round) => round.survival != null && round.survival.survived >= 5 && round.survival.hintsUsed === 0,
+  },
+};
+
+// PUBLIC_INTERFACE
+export function normalizeAchievements(parsed) {
+  /** Validate a stored or imported achievements object; null if unusable */
+  if (!parsed || typeof parsed !== 'object') return null;
+  const out = { unlockedAt: {} };
+  for (const key of Object.keys(ACHIEVEMENT_META)) out[key] = false;
+  for (const [key, value] of Object.entries(parsed)) {
+    if (key !== 'unlockedAt' && KEY_PATTERN.test(key) && value === true) out[key] = true;
+  }
+  const unlockedAt = parsed.unlockedAt && typeof parsed.unlockedAt === 'object' ? parsed.unlockedAt : {};
+  for (const [key, at] of Object.entries(unlockedAt)) {
+    if (out[key] === true && typeof at === 'number') out.unlockedAt[key] = at;
+  }
+  return out;
+}
 
 // PUBLIC_INTERFACE
 export function readAchievements() {
   /**
-   * Read achievements object from localStorage. Returns defaults if absent/invalid.
+   * Read achievements object from storage. Returns defaults if absent/invalid.
    */
-  try {
-    const raw = window.localStorage.getItem(STORAGE_KEY);
-    if (!raw) return { ...DEFAULT_ACHIEVEMENTS, unlockedAt: {} };
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== 'object') {
-      return { ...DEFAULT_ACHIEVEMENTS, unlockedAt: {} };
-    }
-    const firstTryWin = Boolean(parsed.firstTryWin);
-    const noHintsWin = Boolean(parsed.noHintsWin);
-    const unlockedAt = parsed.unlockedAt && typeof parsed.unlockedAt === 'object'
-      ? { ...parsed.unlockedAt }
-      : {};
-    return { firstTryWin, noHintsWin, unlockedAt };
-  } catch {
-    return { ...DEFAULT_ACHIEVEMENTS, unlockedAt: {} };
-  }
+  return readJSON(profileKey(STORAGE_KEY), normalizeAchievements, normalizeAchievements({}));
 }
 
 // PUBLIC_INTERFACE
 export function writeAchievements(ach) {
   /**
-   * Persist achievements object safely to localStorage.
+   * Persist achievements object; returns false when it could not be saved.
    */
-  try {
-    const safe = {
-      firstTryWin: Boolean(ach.firstTryWin),
-      noHintsWin: Boolean(ach.noHintsWin),
-      unlockedAt: { ...(ach.unlockedAt || {}) },
-    };
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(safe));
-  } catch {
-    // no-op on quota or serialization errors
-  }
+  return writeJSON(profileKey(STORAGE_KEY), normalizeAchievements(ach) || normalizeAchievements({}));
 }
 
 // PUBLIC_INTERFACE
@@ -77,17 +228,94 @@ export function unlockAchievements(current, keysToUnlock, timestamp = Date.now()
 }
 
 // PUBLIC_INTERFACE
-export const ACHIEVEMENT_META = {
-  firstTryWin: {
-    key: 'firstTryWin',
-    title: 'First-Try Win',
-    description: 'Win a round in exactly 1 attempt.',
-    emoji: '⚡',
-  },
-  noHintsWin: {
-    key: 'noHintsWin',
-    title: 'No-Hints Win',
-    description: 'Win a round without using any hints.',
-    emoji: '🧠',
-  },
-};
+export function achievementRound(state, { player = null, level = null, puzzleMode = false, numberLineUsed = false } = {}) {
+  /**
+   * The facts about a finished round that unlock rules look at. Attempts and hints are the
+   * winning `player`'s own in hot-seat rounds, whose per-turn clock leaves timeLeft null.
+   * `efficiency` rates every guess by what it guaranteed (see analyzeGuesses), so only midpoint
+   * play reaches 1, however lucky the feedback. `survival` sums up a Survival run (see
+   * summarizeSurvival; null for other rounds).
+   */
+  const own = (player && state.players && state.players.find((p) => p.name === player)) || state;
+  let puzzle = null;
+  if (puzzleMode && state.puzzle) {
+    if (state.puzzleAnswered) puzzle = 'solved';
+    else puzzle = state.puzzleRetryUsed ? 'failed' : 'unanswered';
+  }
+  const numberRound = !state.code && state.mode !== GAME_MODES.reverse;
+  return {
+    outcome: state.status,
+    difficulty: state.difficulty,
+    level,
+    mode: state.mode,
+    code: Boolean(state.code),
+    attempts: own.attempts,
+    maxAttempts: state.maxAttempts,
+    hintCount: hintCountOf(own),
+    hintTypes: Object.keys(own.hintTypesUsed).filter((k) => own.hintTypesUsed[k]),
+    timerChallenge: Boolean(state.timerChallenge),
+    timeLeft: state.timerChallenge && !state.players ? Math.max(0, state.timeLeft) : null,
+    totalTime: state.timerChallenge ? state.totalTime : null,
+    score: state.status === STATUS.won ? state.score : 0,
+    puzzle,
+    puzzleRetryUsed: Boolean(state.puzzleRetryUsed),
+    efficiency: numberRound ? analyzeGuesses(state.range, state.history).efficiency : null,
+    numberLineUsed: Boolean(numberLineUsed),
+    survival: state.survival ? summarizeSurvival(state.survival.rounds) : null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function achievementStats(sessions, { totalGames = 0 } = {}) {
+  /**
+   * Cumulative counters over the session log: { rounds, wins, winsByDifficulty, streak (wins in a
+   * row up to the latest round; Time Attack and Survival runs always end lost, so they are
+   * skipped), languagesWon, gamesPlayed (the lifetime counter when higher) }
+   */
+  const winsByDifficulty = Object.fromEntries(Object.keys(DIFFICULTIES).map((d) => [d, 0]));
+  const languagesWon = new Set();
+  let wins = 0;
+  for (const s of sessions) {
+    if (s.outcome !== STATUS.won) continue;
+    wins += 1;
+    winsByDifficulty[s.difficulty] = (winsByDifficulty[s.difficulty] || 0) + 1;
+    if (s.language) languagesWon.add(s.language);
+  }
+  const newestFirst = sessions.filter((s) => !RUN_MODES.includes(s.mode)).sort((a, b) => b.finishedAt - a.finishedAt);
+  const firstMiss = newestFirst.findIndex((s) => s.outcome !== STATUS.won);
+  return {
+    rounds: sessions.length,
+    wins,
+    winsByDifficulty,
+    streak: firstMiss === -1 ? newestFirst.length : firstMiss,
+    languagesWon: LANGUAGES.filter((l) => languagesWon.has(l)),
+    gamesPlayed: Math.max(sessions.length, totalGames),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function readAchievementStats() {
+  /** achievementStats for the active profile's session log and lifetime game counter */
+  return achievementStats(readSessions(), { totalGames: readStats().totalGames });
+}
+
+// PUBLIC_INTERFACE
+export function achievementProgress(meta, stats) {
+  /** { current, target } for counter achievements (current capped at target); null otherwise */
+  if (!meta.progress) return null;
+  const { current, target } = meta.progress(stats);
+  return { current: Math.min(current, target), target };
+}
+
+// PUBLIC_INTERFACE
+export function evaluateAchievements(round, stats, current = readAchievements()) {
+  /** Keys of registered achievements earned by this round that `current` does not have yet */
+  return Object.values(ACHIEVEMENT_META)
+    .filter((meta) => !current[meta.key])
+    .filter((meta) => {
+      if (meta.unlocks && meta.unlocks(round, stats)) return true;
+      const progress = achievementProgress(meta, stats);
+      return Boolean(progress) && progress.current >= progress.target;
+    })
+    .map((meta) => meta.key);
+}
@@ -1,6 +1,17 @@
 import { render, screen, fireEvent, act } from '@testing-library/react';
 import App from './App';
-import { readAchievements } from './achievements';
+import AchievementsModal from './AchievementsModal';
+import {
+  achievementRound,
+  achievementStats,
+  evaluateAchievements,
+  normalizeAchievements,
+  readAchievements,
+  writeAchievements,
+} from './achievements';
+import { answerPuzzle, applyHint, gameReducer, startRound } from './engine';
+import { LEVELS } from './levels';
+import { clearSessions, writeSessions } from './sessions';
 
 // Helpers
 function bruteForceWin(max) {
@@ -128,3 +139,130 @@ test('Multiple achievements can unlock in the same win', () => {
   // UI should show score and may have achievement chips
   expect(screen.getByText(/Score:/i)).toBeInTheDocument();
 });
+
+function hardWins(count) {
+  return Array.from({ length: count }, (_, i) => ({ id: `w${i}`, finishedAt: i + 1, outcome: 'won', difficulty: 'hard' }));
+}
+
+const LOSS = { id: 'lost', finishedAt: 100, outcome: 'timeout', difficulty: 'easy' };
+
+function play(state, guesses) {
+  return guesses.reduce((s, g) => gameReducer(s, { type: 'guess', input: String(g) }).state, state);
+}
+
+function earned(state, options = {}, sessions = [LOSS]) {
+  return evaluateAchievements(achievementRound(state, { numberLineUsed: true, ...options }), achievementStats(sessions), normalizeAchievements({}));
+}
+
+test('the registry unlocks from round predicates and from counters reaching their target', () => {
+  const won = gameReducer(startRound({ difficulty: 'easy', secret: 7 }).state, { type: 'guess', input: '7' }).state;
+  const round = achievementRound(won, { numberLineUsed: true });
+  const none = normalizeAchievements({});
+  expect(evaluateAchievements(round, achievementStats([...hardWins(9), LOSS]), none)).toEqual(['firstTryWin', 'noHintsWin']);
+  expect(evaluateAchievements(round, achievementStats([...hardWins(10), LOSS]), { ...none, firstTryWin: true })).toEqual([
+    'noHintsWin',
+    'hardWins',
+  ]);
+  expect(evaluateAchievements({ ...round, numberLineUsed: false, outcome: 'timeout' }, achievementStats([]), none)).toEqual([]);
+});
+
+test('storage keeps any achievement key and drops junk', () => {
+  const stored = normalizeAchievements({
+    noHintsWin: true,
+    fromNewerVersion: true,
+    'bad key': true,
+    notUnlocked: 'yes',
+    unlockedAt: { noHintsWin: 5, fromNewerVersion: 6, notUnlocked: 7 },
+  });
+  expect(stored).toEqual({
+    ...normalizeAchievements({}),
+    noHintsWin: true,
+    fromNewerVersion: true,
+    unlockedAt: { noHintsWin: 5, fromNewerVersion: 6 },
+  });
+  writeAchievements(stored);
+  expect(readAchievements()).toEqual(stored);
+});
+
+test('the modal shows tiers, progress bars and keeps hidden achievements secret', () => {
+  clearSessions();
+  writeSessions(hardWins(3));
+  render(<AchievementsModal open onClose={() => {}} />);
+  const grinder = screen.getByTestId('achievement-hardWins');
+  expect(grinder.textContent).toMatch(/Hard Grinder.*Silver.*3\/10/);
+  const bar = screen.getByRole('progressbar', { name: 'Progress towards Hard Grinder' });
+  expect(bar).toHaveAttribute('value', '3');
+  expect(bar).toHaveAttribute('max', '10');
+  expect(screen.getByTestId('achievement-puristWin').textContent).toMatch(/Secret achievement.*Keep playing to discover it/);
+  expect(screen.queryByText('Purist')).toBeNull();
+  clearSessions();
+});
+
+test('catalogue: time, last attempt, binary search, every hint, puzzle and Expert rules', () => {
+  const easy = (options) => startRound({ difficulty: 'easy', secret: 7, ...options }).state;
+  expect(earned(play(easy({ timerChallenge: true }), [7]))).toContain('timeKeeper');
+  // A hot-seat clock runs per turn, so a fresh turn's full clock is no Time Keeper win
+  expect(earned(play(easy({ timerChallenge: true, players: ['Ann', 'Bo'] }), [3, 7]), { player: 'Bo' })).not.toContain('timeKeeper');
+  expect(earned(play(easy(), [1, 2, 3, 4, 5, 7]))).toContain('lastChanceWin');
+  expect(earned(play(easy(), [10, 5, 7]))).toContain('binarySearchWin');
+  expect(earned(play(easy(), [15, 7]))).not.toContain('binarySearchWin');
+  // An edge guess that happened to leave one number is lucky, not binary search
+  expect(earned(play(easy({ secret: 20 }), [19, 20]))).not.toContain('binarySearchWin');
+
+  const hinted = ['parity', 'range', 'digit', 'proximity'].reduce((s, hintType) => applyHint(s, { hintType }).state, easy());
+  expect(earned(play(hinted, [7]))).toEqual(expect.arrayContaining(['allHintsWin', 'firstTryWin']));
+  expect(earned(play(hinted, [7]))).not.toContain('noHintsWin');
+
+  const solved = answerPuzzle(easy(), { correct: true }).state;
+  expect(earned(play(solved, [1, 2, 3, 4, 5, 6]), { puzzleMode: true })).toEqual(['puzzleFirstTry']);
+  const retried = answerPuzzle(answerPuzzle(easy(), { correct: false }).state, { correct: true }).state;
+  expect(earned(play(retried, [7]), { puzzleMode: true })).not.toContain('puzzleFirstTry');
+
+  const expert = startRound({ difficulty: 'hard', secret: 50 }).state;
+  expect(earned(play(expert, [50]), { level: LEVELS.EXPERT })).toContain('expertNoHints');
+  expect(earned(play(expert, [50]), { level: LEVELS.INTERMEDIATE })).not.toContain('expertNoHints');
+});
+
+test('catalogue: streaks, languages and games played come from the session log', () => {
+  const won = (id, finishedAt, language) => ({ id, finishedAt, outcome: 'won', difficulty: 'easy', language });
+  const log = [won('a', 6, 'hi'), won('b', 5, 'te'), won('c', 4, 'en'), won('d', 3, 'te'), { ...LOSS, finishedAt: 2 }];
+  const stats = achievementStats(log, { totalGames: 99 });
+  expect(stats).toMatchObject({ streak: 4, languagesWon: ['en', 'te', 'hi'], gamesPlayed: 99 });
+  const round = achievementRound(play(startRound({ difficulty: 'easy', secret: 7 }).state, [8, 7]), { numberLineUsed: true });
+  const keys = evaluateAchievements(round, stats, normalizeAchievements({}));
+  expect(keys).toContain('polyglot');
+  expect(keys).not.toContain('winStreak');
+  expect(keys).not.toContain('centurion');
+  expect(evaluateAchievements(round, achievementStats([won('e', 7, 'en'), ...log], { totalGames: 100 }), normalizeAchievements({}))).toEqual(
+    expect.arrayContaining(['winStreak', 'centurion'])
+  );
+});
+
+test('catalogue: a finished Time Attack or Survival run does not break the win streak', () => {
+  const won = (id, finishedAt) => ({ id, finishedAt, outcome: 'won', difficulty: 'easy' });
+  const run = { id: 'r', finishedAt: 3, outcome: 'timeout', difficulty: 'easy', mode: 'time_attack', solved: 6 };
+  const survival = { id: 's', finishedAt: 3.5, outcome: 'out_of_attempts', difficulty: 'easy', mode: 'survival', solved: 2 };
+  const log = [won('a', 5), won('b', 4), survival, run, won('c', 2), won('d', 1)];
+  expect(achievementStats(log)).toMatchObject({ rounds: 6, wins: 4, streak: 4 });
+  const round = achievementRound(play(startRound({ difficulty: 'easy', secret: 7 }).state, [7]));
+  expect(evaluateAchievements(round, achievementStats([won('e', 6), ...log]), normalizeAchievements({}))).toContain('winStreak');
+});
+
+test('catalogue: Survival milestones count the rounds survived, the widest range and hints', () => {
+  const survive = (rounds, hinted = false) => {
+    let state = startRound({ difficulty: 'medium', mode: 'survival', seed: 'milestones' }).state;
+    for (let i = 0; i < rounds; i++) {
+      if (hinted && i === 0) state = applyHint(state, { hintType: 'parity' }).state;
+      state = play(state, [state.secret]);
+    }
+    const misses = Array.from({ length: state.maxAttempts + 1 }, (_, i) => i + 1).filter((n) => n !== state.secret);
+    return play(state, misses.slice(0, state.maxAttempts));
+  };
+  const five = survive(5);
+  expect(five.status).toBe('out_of_attempts');
+  expect(earned(five)).toEqual(expect.arrayContaining(['survivor', 'survivalThousand', 'unaidedSurvivor']));
+  expect(earned(five)).not.toContain('enduranceRun');
+  expect(earned(survive(5, true))).not.toContain('unaidedSurvivor');
+  expect(earned(survive(4))).not.toContain('survivor');
+  expect(earned(survive(10))).toContain('enduranceRun');
+});
@@ -0,0 +1,105 @@
+/**
+ * Guess-quality analysis for number rounds, measured against optimal binary search.
+ *
+ * Each guess is judged on the interval of numbers still possible before it (the feasible
+ * interval): the information it guaranteed, in bits (judged by the larger side it could have
+ * left, whatever the feedback turned out to be), is compared with what the midpoint of that
+ * interval would have guaranteed. Guesses outside the interval teach nothing and are flagged
+ * as wasted. Only the too-high / too-low feedback narrows the interval; hints are not counted.
+ */
+
+import { RUN_MODES } from './engine';
+
+function log2(x) {
+  return Math.log(x) / Math.log(2);
+}
+
+function sizeOf(interval) {
+  return Math.max(0, interval.max - interval.min + 1);
+}
+
+// PUBLIC_INTERFACE
+export function optimalAttempts(range) {
+  /** Attempts binary search needs in the worst case to find any number in `range` */
+  const size = sizeOf(range);
+  return size > 0 ? Math.floor(log2(size)) + 1 : 0;
+}
+
+// PUBLIC_INTERFACE
+export function idealGuess(interval) {
+  /** The midpoint guess of a feasible interval, and the bits it guarantees: { value, bits } */
+  const size = sizeOf(interval);
+  const value = Math.floor((interval.min + interval.max) / 2);
+  if (size <= 1) return { value, bits: 0 };
+  const worst = Math.max(1, value - interval.min, interval.max - value);
+  return { value, bits: log2(size / worst) };
+}
+
+// PUBLIC_INTERFACE
+export function analyzeGuesses(range, history) {
+  /**
+   * Analyse a round's guesses (`history` entries { value, result } with result 'too low' |
+   * 'too high' | 'correct'). Returns:
+   * { steps: [{ value, result, feasible: { min, max }, remaining: { min, max }, ideal, bits, idealBits, wasted }],
+   *   attempts, optimalAttempts, wasted, efficiency }
+   * `bits` are what the guess guaranteed in the worst case, so a lucky edge guess that happened
+   * to narrow things down still scores low. `efficiency` (0..1, null without guesses) averages
+   * each guess's bits as a share of the ideal midpoint's.
+   */
+  let feasible = { min: range.min, max: range.max };
+  let total = 0;
+  const steps = history.map(({ value, result }) => {
+    const before = feasible;
+    const size = sizeOf(before);
+    const ideal = idealGuess(before);
+    const wasted = value < before.min || value > before.max;
+    let remaining = before;
+    if (!wasted) {
+      if (result === 'correct') remaining = { min: value, max: value };
+      else if (result === 'too low') remaining = { min: value + 1, max: before.max };
+      else if (result === 'too high') remaining = { min: before.min, max: value - 1 };
+    }
+    const worst = Math.max(1, value - before.min, before.max - value);
+    const bits = wasted || size === 0 ? 0 : log2(size / worst);
+    let quality;
+    if (wasted) quality = 0;
+    else quality = ideal.bits > 0 ? Math.min(1, bits / ideal.bits) : 1;
+    total += quality;
+    feasible = remaining;
+    return { value, result, feasible: before, remaining, ideal: ideal.value, bits, idealBits: ideal.bits, wasted };
+  });
+  return {
+    steps,
+    attempts: steps.length,
+    optimalAttempts: optimalAttempts(range),
+    wasted: steps.filter((s) => s.wasted).length,
+    efficiency: steps.length > 0 ? total / steps.length : null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function feasibleInterval(range, history) {
+  /** Numbers still possible after the guesses in `history`: { min, max } (the whole range before any guess) */
+  const { steps } = analyzeGuesses(range, history);
+  return steps.length > 0 ? steps[steps.length - 1].remaining : { min: range.min, max: range.max };
+}
+
+// PUBLIC_INTERFACE
+export function sessionEfficiency(session) {
+  /**
+   * Guess efficiency of a logged number round, recomputed from its range, secret and guesses;
+   * null for code rounds, rounds without guesses, sessions logged without a range and runs
+   * (RUN_MODES), whose guesses were made against many secrets.
+   */
+  if (RUN_MODES.includes(session.mode)) return null;
+  if (!session.range || typeof session.secret !== 'number' || session.guesses.length === 0) return null;
+  const history = session.guesses
+    .filter((g) => typeof g === 'number')
+    .map((value) => {
+      let result = 'correct';
+      if (value < session.secret) result = 'too low';
+      else if (value > session.secret) result = 'too high';
+      return { value, result };
+    });
+  return analyzeGuesses(session.range, history).efficiency;
+}
@@ -0,0 +1,87 @@
+import { render, screen } from '@testing-library/react';
+import './i18n';
+import GuessAnalysisPanel from './GuessAnalysisPanel';
+import { analyzeGuesses, idealGuess, optimalAttempts, sessionEfficiency } from './analysis';
+import { summarizeSessions } from './statistics';
+
+const RANGE = { min: 1, max: 20 };
+
+test('optimal play and the ideal midpoint guess', () => {
+  expect(optimalAttempts(RANGE)).toBe(5);
+  expect(optimalAttempts({ min: 1, max: 100 })).toBe(7);
+  expect(idealGuess({ min: 1, max: 20 })).toEqual({ value: 10, bits: Math.log2(20 / 10) });
+  expect(idealGuess({ min: 7, max: 7 }).bits).toBe(0);
+});
+
+test('binary search guesses are fully efficient', () => {
+  const analysis = analyzeGuesses(RANGE, [
+    { value: 10, result: 'too low' },
+    { value: 15, result: 'too high' },
+    { value: 12, result: 'too low' },
+    { value: 13, result: 'correct' },
+  ]);
+  expect(analysis.attempts).toBe(4);
+  expect(analysis.optimalAttempts).toBe(5);
+  expect(analysis.wasted).toBe(0);
+  expect(analysis.efficiency).toBe(1);
+  expect(analysis.steps.map((s) => [s.feasible.min, s.feasible.max])).toEqual([[1, 20], [11, 20], [11, 14], [13, 14]]);
+  expect(analysis.steps[1].ideal).toBe(15);
+});
+
+test('guesses outside the feasible interval are wasted and lower efficiency', () => {
+  const analysis = analyzeGuesses(RANGE, [
+    { value: 2, result: 'too low' },
+    { value: 1, result: 'too low' },
+    { value: 11, result: 'correct' },
+  ]);
+  const [edge, wasted] = analysis.steps;
+  expect(edge.bits).toBeCloseTo(Math.log2(20 / 18));
+  expect(edge.idealBits).toBeCloseTo(1);
+  expect(wasted).toMatchObject({ wasted: true, bits: 0, remaining: { min: 3, max: 20 } });
+  expect(analysis.wasted).toBe(1);
+  expect(analysis.efficiency).toBeLessThan(0.5);
+});
+
+test('a lucky edge guess scores by what it risked, below the midpoint', () => {
+  const range = { min: 1, max: 100 };
+  const lucky = analyzeGuesses(range, [
+    { value: 99, result: 'too low' },
+    { value: 100, result: 'correct' },
+  ]);
+  const midpoint = analyzeGuesses(range, [{ value: 50, result: 'too low' }]);
+  expect(lucky.steps[0].bits).toBeCloseTo(Math.log2(100 / 98));
+  expect(lucky.steps[0].bits).toBeLessThan(midpoint.steps[0].bits);
+  expect(midpoint.efficiency).toBe(1);
+  expect(lucky.efficiency).toBeLessThan(0.6);
+});
+
+test('efficiency is recomputed from logged number rounds and averaged in statistics', () => {
+  const base = { outcome: 'won', difficulty: 'easy', hints: [], puzzle: null, range: RANGE, secret: 13 };
+  const perfect = { ...base, finishedAt: 2, guesses: [10, 15, 12, 13] };
+  const sloppy = { ...base, finishedAt: 1, guesses: [2, 1, 13] };
+  expect(sessionEfficiency(perfect)).toBe(1);
+  expect(sessionEfficiency({ ...perfect, range: null })).toBeNull();
+  expect(sessionEfficiency({ ...perfect, secret: '1234' })).toBeNull();
+  const { efficiency } = summarizeSessions([perfect, sloppy]);
+  expect(efficiency).toBeCloseTo((1 + sessionEfficiency(sloppy)) / 2);
+});
+
+test('analysis panel lists each guess with its interval, bits and flags', () => {
+  render(
+    <GuessAnalysisPanel
+      range={RANGE}
+      history={[
+        { id: 'a', value: 10, result: 'too low' },
+        { id: 'b', value: 5, result: 'too low' },
+        { id: 'c', value: 16, result: 'correct' },
+      ]}
+    />
+  );
+  expect(screen.getByTestId('guess-analysis-summary').textContent).toMatch(/3 attempts; binary search needs at most 5.*Wasted guesses: 1/);
+  const rows = screen.getAllByRole('row').slice(1);
+  expect(rows.map((r) => r.textContent)).toEqual([
+    expect.stringMatching(/^101–20101.0 \/ 1.0As good as the midpoint$/),
+    expect.stringMatching(/^511–2015.*Wasted/),
+    expect.stringMatching(/^1611–2015.*Found it/),
+  ]);
+});
@@ -0,0 +1,206 @@
+/**
+ * Export and import of the active profile's game data as one versioned JSON file, so players
+ * can move their progress between browsers and devices.
+ *
+ * File shape (BACKUP_VERSION 1):
+ * { format: 'ngg-backup', version: 1, schemaVersion, exportedAt,
+ *   profile: { name, avatar },
+ *   data: { sessions, results, statistics, achievements, levels: string[], daily, settings: { language, theme, customPresets } } }
+ * `results` (the leaderboard view of `sessions`) is still written so older versions can read the file;
+ * backups made before the session log carry `results` only.
+ *
+ * Importing either merges into the current data (sessions and results deduplicated by id, counters
+ * and unlocks kept at their best, current settings kept) or replaces it outright.
+ */
+
+import { mergeResults, normalizeResults, readResults } from './leaderboard';
+import { clearSessions, mergeSessions, normalizeSessions, readSessions } from './sessions';
+import { normalizeStats, readStats, writeStats } from './statistics';
+import { normalizeAchievements, readAchievements, writeAchievements } from './achievements';
+import { normalizeLevelProgress, readLevelProgress, writeLevelProgress } from './levels';
+import { normalizeDailyResults, readDailyResults, writeDailyResults } from './daily';
+import { deleteCustomPreset, readCustomPresets, saveCustomPreset, validateCustomConfig } from './customDifficulty';
+import { activeProfile, readProfileTheme, writeProfileTheme } from './profiles';
+import { persistLanguage, readSavedLanguage } from './i18n';
+import { SCHEMA_VERSION } from './storage';
+
+const BACKUP_FORMAT = 'ngg-backup';
+
+// PUBLIC_INTERFACE
+export const BACKUP_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export const IMPORT_MODES = {
+  merge: 'merge',
+  replace: 'replace',
+};
+
+const LANGUAGES = ['en', 'te', 'hi'];
+
+// PUBLIC_INTERFACE
+export function createBackup(now = Date.now()) {
+  /** Snapshot of the active profile's data in the backup file shape */
+  const profile = activeProfile();
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    profile: profile ? { name: profile.name, avatar: profile.avatar } : null,
+    data: {
+      sessions: readSessions(),
+      results: readResults(),
+      statistics: readStats(),
+      achievements: readAchievements(),
+      levels: Array.from(readLevelProgress()),
+      daily: readDailyResults(),
+      settings: {
+        language: readSavedLanguage(),
+        theme: readProfileTheme(),
+        customPresets: readCustomPresets(),
+      },
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function backupFileName(now = new Date()) {
+  /** Download name, e.g. number-guessing-backup-2024-05-01.json */
+  return `number-guessing-backup-${now.toISOString().slice(0, 10)}.json`;
+}
+
+function normalizeSettings(raw) {
+  const settings = raw && typeof raw === 'object' ? raw : {};
+  const presets = Array.isArray(settings.customPresets) ? settings.customPresets : [];
+  return {
+    language: LANGUAGES.includes(settings.language) ? settings.language : null,
+    theme: settings.theme === 'dark' || settings.theme === 'light' ? settings.theme : null,
+    customPresets: presets
+      .filter((p) => p && typeof p.name === 'string' && p.name.trim())
+      .map((p) => ({ name: p.name.trim(), result: validateCustomConfig(p.config) }))
+      .filter((p) => p.result.ok)
+      .map((p) => ({ name: p.name, config: p.result.config })),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function parseBackup(text) {
+  /**
+   * Parse and validate a backup file's text. Sections are validated like stored data: invalid
+   * entries are dropped and missing sections left empty.
+   * Returns { ok: true, backup } or { ok: false, errorKey }.
+   */
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { ok: false, errorKey: 'backup_error_json' };
+  }
+  if (!parsed || parsed.format !== BACKUP_FORMAT || !parsed.data || typeof parsed.data !== 'object') {
+    return { ok: false, errorKey: 'backup_error_format' };
+  }
+  if (typeof parsed.version !== 'number' || parsed.version > BACKUP_VERSION) {
+    return { ok: false, errorKey: 'backup_error_version' };
+  }
+  const { data } = parsed;
+  const levels = normalizeLevelProgress({ unlocked: data.levels });
+  return {
+    ok: true,
+    backup: {
+      exportedAt: typeof parsed.exportedAt === 'string' ? parsed.exportedAt : null,
+      profile: parsed.profile && typeof parsed.profile.name === 'string' ? parsed.profile : null,
+      sessions: normalizeSessions(data.sessions) || [],
+      results: (normalizeResults(data.results) || []).filter((e) => typeof e.id === 'string'),
+      statistics: normalizeStats(data.statistics),
+      achievements: normalizeAchievements(data.achievements),
+      levels: levels ? Array.from(levels) : [],
+      daily: normalizeDailyResults(data.daily) || {},
+      settings: normalizeSettings(data.settings),
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function previewImport(backup) {
+  /**
+   * Summarize what importing would change for the active profile:
+   * { sessions: { incoming, added }, results: { incoming, added, duplicates }, levelsAdded, achievementsAdded, dailyAdded,
+   *   presetsAdded, statistics: { current, incoming }, language: { current, incoming }, theme: { current, incoming } }
+   */
+  const ids = new Set(readResults().map((e) => e.id));
+  const added = backup.results.filter((e) => !ids.has(e.id)).length;
+  const sessionIds = new Set(readSessions().map((s) => s.id));
+  const levels = readLevelProgress();
+  const achievements = readAchievements();
+  const daily = readDailyResults();
+  const presets = new Set(readCustomPresets().map((p) => p.name));
+  return {
+    sessions: {
+      incoming: backup.sessions.length,
+      added: backup.sessions.filter((s) => !sessionIds.has(s.id)).length,
+    },
+    results: { incoming: backup.results.length, added, duplicates: backup.results.length - added },
+    levelsAdded: backup.levels.filter((l) => !levels.has(l)),
+    achievementsAdded: backup.achievements
+      ? Object.keys(backup.achievements).filter((k) => backup.achievements[k] === true && !achievements[k])
+      : [],
+    dailyAdded: Object.keys(backup.daily).filter((k) => !daily[k]).length,
+    presetsAdded: backup.settings.customPresets.filter((p) => !presets.has(p.name)).length,
+    statistics: { current: readStats(), incoming: backup.statistics },
+    language: { current: readSavedLanguage(), incoming: backup.settings.language },
+    theme: { current: readProfileTheme(), incoming: backup.settings.theme },
+  };
+}
+
+function mergeAchievements(current, incoming) {
+  const out = { ...current, unlockedAt: { ...current.unlockedAt } };
+  for (const [key, value] of Object.entries(incoming)) {
+    if (key === 'unlockedAt' || value !== true) continue;
+    out[key] = true;
+    const at = incoming.unlockedAt[key];
+    if (typeof at === 'number' && !(out.unlockedAt[key] <= at)) out.unlockedAt[key] = at;
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function applyBackup(backup, mode = IMPORT_MODES.merge) {
+  /**
+   * Import a parsed backup into the active profile. Merge keeps everything already saved and
+   * adds what is new; replace overwrites every section with the backup's (settings included).
+   * Returns { language, theme } to apply in the UI (null when unchanged).
+   */
+  if (mode === IMPORT_MODES.replace) {
+    clearSessions();
+    mergeSessions(backup.sessions);
+    mergeResults(backup.results);
+    writeStats(backup.statistics || { totalGames: 0, puzzlesSolved: 0 });
+    writeAchievements(backup.achievements || {});
+    writeLevelProgress(new Set(backup.levels));
+    writeDailyResults(backup.daily);
+    for (const p of readCustomPresets()) deleteCustomPreset(p.name);
+    for (const p of backup.settings.customPresets) saveCustomPreset(p.name, p.config);
+    const { language, theme } = backup.settings;
+    if (language) persistLanguage(language);
+    if (theme) writeProfileTheme(theme);
+    return { language, theme };
+  }
+
+  mergeSessions(backup.sessions);
+  mergeResults(backup.results);
+  if (backup.statistics) {
+    const current = readStats();
+    writeStats({
+      totalGames: Math.max(current.totalGames, backup.statistics.totalGames),
+      puzzlesSolved: Math.max(current.puzzlesSolved, backup.statistics.puzzlesSolved),
+    });
+  }
+  if (backup.achievements) writeAchievements(mergeAchievements(readAchievements(), backup.achievements));
+  writeLevelProgress(new Set([...readLevelProgress(), ...backup.levels]));
+  writeDailyResults({ ...backup.daily, ...readDailyResults() });
+  const presets = new Set(readCustomPresets().map((p) => p.name));
+  for (const p of backup.settings.customPresets) {
+    if (!presets.has(p.name)) saveCustomPreset(p.name, p.config);
+  }
+  return { language: null, theme: null };
+}
@@ -0,0 +1,78 @@
+import { IMPORT_MODES, applyBackup, createBackup, parseBackup, previewImport } from './backup';
+import { addResult, readResults } from './leaderboard';
+import { incrementPuzzlesSolved, incrementTotalGames, readStats } from './statistics';
+import { readAchievements, unlockAchievements } from './achievements';
+import { LEVELS, readLevelProgress, writeLevelProgress } from './levels';
+import { readCustomPresets, saveCustomPreset } from './customDifficulty';
+import { readSessions, recordSession } from './sessions';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+function exportedFile() {
+  addResult({ timestamp: 1, difficulty: 'easy', attempts: 2, score: 800 });
+  addResult({ timestamp: 2, difficulty: 'hard', attempts: 5, score: 600 });
+  incrementTotalGames();
+  incrementTotalGames();
+  incrementPuzzlesSolved();
+  unlockAchievements(readAchievements(), ['firstTryWin'], 1234);
+  writeLevelProgress(new Set([LEVELS.BEGINNER, LEVELS.INTERMEDIATE]));
+  saveCustomPreset('Tiny', { min: 1, max: 5, maxAttempts: 3, timerSeconds: 20, hintTypes: ['parity'] });
+  const text = JSON.stringify(createBackup(Date.UTC(2024, 4, 1)));
+  window.localStorage.clear();
+  return text;
+}
+
+test('parseBackup rejects non-JSON, foreign and newer files', () => {
+  expect(parseBackup('{oops').errorKey).toBe('backup_error_json');
+  expect(parseBackup('{"hello":1}').errorKey).toBe('backup_error_format');
+  expect(parseBackup(JSON.stringify({ format: 'ngg-backup', version: 99, data: {} })).errorKey).toBe('backup_error_version');
+});
+
+test('an exported file restores every section with replace', () => {
+  const { ok, backup } = parseBackup(exportedFile());
+  expect(ok).toBe(true);
+  addResult({ timestamp: 9, difficulty: 'medium', attempts: 1, score: 1000 });
+
+  applyBackup(backup, IMPORT_MODES.replace);
+  expect(readResults().map((r) => r.timestamp)).toEqual([2, 1]);
+  expect(readStats()).toEqual({ totalGames: 2, puzzlesSolved: 1 });
+  expect(readAchievements()).toMatchObject({ firstTryWin: true, unlockedAt: { firstTryWin: 1234 } });
+  expect(Array.from(readLevelProgress())).toEqual([LEVELS.BEGINNER, LEVELS.INTERMEDIATE]);
+  expect(readCustomPresets().map((p) => p.name)).toEqual(['Tiny']);
+});
+
+test('merge previews and adds only what is new, deduplicated by result id', () => {
+  const text = exportedFile();
+  const { backup } = parseBackup(text);
+  applyBackup(backup, IMPORT_MODES.merge);
+  addResult({ timestamp: 9, difficulty: 'medium', attempts: 1, score: 1000 });
+  incrementTotalGames();
+  incrementTotalGames();
+  incrementTotalGames();
+
+  const preview = previewImport(backup);
+  expect(preview.results).toEqual({ incoming: 2, added: 0, duplicates: 2 });
+  expect(preview.levelsAdded).toEqual([]);
+
+  applyBackup(backup, IMPORT_MODES.merge);
+  expect(readResults()).toHaveLength(3);
+  expect(readStats()).toEqual({ totalGames: 5, puzzlesSolved: 1 });
+});
+
+test('the session log travels in the file, losses included; older results-only files still import', () => {
+  recordSession({ finishedAt: 3, outcome: 'timeout', difficulty: 'easy', attempts: 4, score: 0, guesses: [1, 2, 3, 4] });
+  const text = exportedFile();
+  const { backup } = parseBackup(text);
+  expect(previewImport(backup).sessions).toEqual({ incoming: 3, added: 3 });
+  applyBackup(backup, IMPORT_MODES.merge);
+  expect(readSessions().map((s) => s.outcome)).toEqual(['timeout', 'won', 'won']);
+  expect(readSessions()[0].guesses).toEqual([1, 2, 3, 4]);
+
+  window.localStorage.clear();
+  const legacy = JSON.parse(text);
+  delete legacy.data.sessions;
+  applyBackup(parseBackup(JSON.stringify(legacy)).backup, IMPORT_MODES.replace);
+  expect(readSessions().map((s) => s.finishedAt)).toEqual([2, 1]);
+});
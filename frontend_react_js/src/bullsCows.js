@@ -0,0 +1,86 @@
+/**
+ * Bulls-and-cows rules (Mastermind-style digit codes) used by the engine's 'bulls_cows' mode.
+ * A code is a string of N digits (leading zeros allowed). Each guess scores
+ * bulls (right digit, right place) and cows (right digit, wrong place).
+ */
+
+import { randomInt } from './random';
+
+// PUBLIC_INTERFACE
+// Code length, attempt budget and Timer Challenge duration per difficulty
+export const BULLS_COWS_PRESETS = {
+  easy: { length: 3, maxAttempts: 10, timerSeconds: 90 },
+  medium: { length: 4, maxAttempts: 10, timerSeconds: 120 },
+  hard: { length: 5, maxAttempts: 12, timerSeconds: 180 },
+};
+
+// PUBLIC_INTERFACE
+export function generateCode(length, allowRepeats, random) {
+  /** Draw a code of `length` digits from the generator; without repeats every digit is distinct */
+  const pool = '0123456789'.split('');
+  let out = '';
+  for (let i = 0; i < length; i++) {
+    const pick = randomInt(random, 0, pool.length - 1);
+    out += pool[pick];
+    if (!allowRepeats) pool.splice(pick, 1);
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function validateCode(value, { length, allowRepeats = false }) {
+  /**
+   * Validate raw code input: digits only, exact length, and distinct digits unless repeats are allowed.
+   * Returns { ok: true, value } (a digit string) or { ok: false, messageKey, params }.
+   */
+  const raw = String(value ?? '').trim();
+  if (raw === '') return { ok: false, messageKey: 'code_error_empty', params: { length } };
+  if (!/^[0-9]+$/.test(raw)) return { ok: false, messageKey: 'code_error_digits' };
+  if (raw.length !== length) return { ok: false, messageKey: 'code_error_length', params: { length } };
+  if (!allowRepeats && new Set(raw).size !== raw.length) return { ok: false, messageKey: 'code_error_repeats' };
+  return { ok: true, value: raw };
+}
+
+// PUBLIC_INTERFACE
+export function scoreCode(secret, guessed) {
+  /** Count { bulls, cows } of a guess against the secret (repeated digits are matched at most once) */
+  let bulls = 0;
+  const secretLeft = {};
+  const guessLeft = {};
+  for (let i = 0; i < secret.length; i++) {
+    if (guessed[i] === secret[i]) {
+      bulls += 1;
+    } else {
+      secretLeft[secret[i]] = (secretLeft[secret[i]] || 0) + 1;
+      guessLeft[guessed[i]] = (guessLeft[guessed[i]] || 0) + 1;
+    }
+  }
+  let cows = 0;
+  for (const digit of Object.keys(guessLeft)) {
+    cows += Math.min(guessLeft[digit], secretLeft[digit] || 0);
+  }
+  return { bulls, cows };
+}
+
+// PUBLIC_INTERFACE
+export function computeCodeScore(attemptCount, maxAttempts, length) {
+  /**
+   * Base score for cracking a code: fewer attempts score higher, longer codes are worth more
+   * (a 4-digit code solved on the first try scores 1000).
+   */
+  const budget = Math.max(1, maxAttempts);
+  const raw = Math.round((1000 * (length / 4) * (budget - attemptCount + 1)) / budget);
+  return Math.max(0, raw);
+}
+
+// PUBLIC_INTERFACE
+export function codeDigitHint(secret, history) {
+  /**
+   * Digit hint variant for codes: reveal one position's digit, preferring a position
+   * no guess has matched yet. Returns { key, params } with a 1-based position.
+   */
+  const solved = (i) => history.some((h) => String(h.value)[i] === secret[i]);
+  let index = 0;
+  while (index < secret.length - 1 && solved(index)) index += 1;
+  return { key: 'hint_digit_code', params: { position: index + 1, digit: secret[index] } };
+}
@@ -0,0 +1,47 @@
+import { codeDigitHint, computeCodeScore, generateCode, scoreCode, validateCode } from './bullsCows';
+import { createRandom } from './random';
+
+test('generateCode draws digit codes, distinct unless repeats are allowed', () => {
+  const random = createRandom('codes');
+  for (let i = 0; i < 50; i++) {
+    const code = generateCode(5, false, random);
+    expect(code).toMatch(/^[0-9]{5}$/);
+    expect(new Set(code).size).toBe(5);
+  }
+  expect(generateCode(4, true, () => 0)).toBe('0000');
+  expect(generateCode(4, false, () => 0)).toBe('0123');
+});
+
+test('validateCode checks digits, length and repeats', () => {
+  const rules = { length: 4, allowRepeats: false };
+  expect(validateCode('', rules)).toEqual({ ok: false, messageKey: 'code_error_empty', params: { length: 4 } });
+  expect(validateCode('12a4', rules).messageKey).toBe('code_error_digits');
+  expect(validateCode('-123', rules).messageKey).toBe('code_error_digits');
+  expect(validateCode('123', rules)).toEqual({ ok: false, messageKey: 'code_error_length', params: { length: 4 } });
+  expect(validateCode('1123', rules).messageKey).toBe('code_error_repeats');
+  expect(validateCode('1123', { length: 4, allowRepeats: true })).toEqual({ ok: true, value: '1123' });
+  expect(validateCode(' 0123 ', rules)).toEqual({ ok: true, value: '0123' });
+});
+
+test('scoreCode counts bulls and cows, matching repeated digits once', () => {
+  expect(scoreCode('1234', '1234')).toEqual({ bulls: 4, cows: 0 });
+  expect(scoreCode('1234', '4321')).toEqual({ bulls: 0, cows: 4 });
+  expect(scoreCode('1234', '1243')).toEqual({ bulls: 2, cows: 2 });
+  expect(scoreCode('1234', '5678')).toEqual({ bulls: 0, cows: 0 });
+  expect(scoreCode('1122', '2211')).toEqual({ bulls: 0, cows: 4 });
+  expect(scoreCode('1123', '1111')).toEqual({ bulls: 2, cows: 0 });
+  expect(scoreCode('1203', '3111')).toEqual({ bulls: 0, cows: 2 });
+});
+
+test('computeCodeScore rewards fewer attempts and longer codes', () => {
+  expect(computeCodeScore(1, 10, 4)).toBe(1000);
+  expect(computeCodeScore(10, 10, 4)).toBe(100);
+  expect(computeCodeScore(1, 12, 5)).toBe(1250);
+  expect(computeCodeScore(3, 10, 3)).toBeLessThan(computeCodeScore(3, 10, 4));
+});
+
+test('codeDigitHint reveals a position no guess has matched yet', () => {
+  expect(codeDigitHint('4071', [])).toEqual({ key: 'hint_digit_code', params: { position: 1, digit: '4' } });
+  const history = [{ value: '4921' }, { value: '3051' }];
+  expect(codeDigitHint('4071', history).params).toEqual({ position: 3, digit: '7' });
+});
@@ -0,0 +1,202 @@
+/**
+ * Challenge links: a URL that recreates a finished round for a friend and carries the
+ * challenger's result so both can be compared at the end.
+ *
+ * `?challenge=<payload>.<checksum>` (or the same in the hash) holds a base64url JSON payload:
+ * { v: 1, seed, difficulty, mode, range: [min, max], attempts, timer: seconds, timed: boolean,
+ *   time: seconds, shot: seconds|null, hints: string[], repeats: boolean, puzzle: boolean,
+ *   by: { name, attempts, score, outcome } | null }
+ * `timer` is the difficulty's own Timer Challenge duration, `time` the round time actually
+ * played and `shot` the shot clock (links from before they were chosen have neither).
+ * The checksum makes hand edits (say, a better score) evident: such links are rejected.
+ * Plain `?seed=&difficulty=` links from earlier versions are still read; they carry no result.
+ */
+
+import { CUSTOM_DIFFICULTY, DIFFICULTIES, GAME_MODES, MAX_ATTEMPTS, STATUS, TIMER_CHALLENGE_DEFAULTS, defaultTimerSecondsOf } from './engine';
+import { validateCustomConfig } from './customDifficulty';
+import { hashSeed } from './random';
+
+const CHALLENGE_PARAM = 'challenge';
+const CHALLENGE_VERSION = 1;
+const CHECKSUM_SALT = 'ngg-challenge';
+const MAX_SEED_LENGTH = 64;
+const MAX_NAME_LENGTH = 30;
+const LINK_MODES = [GAME_MODES.classic, GAME_MODES.bullsCows];
+
+function toBase64Url(text) {
+  const binary = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return decodeURIComponent(Array.from(binary, (c) => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+}
+
+function checksum(body) {
+  return hashSeed(`${CHECKSUM_SALT}:${body}`).toString(36);
+}
+
+const isInt = (v) => Number.isInteger(v);
+const seconds = (v) => (isInt(v) && v > 0 ? v : null);
+
+// PUBLIC_INTERFACE
+export function encodeChallenge(state, { puzzleMode = false, by = null } = {}) {
+  /**
+   * Tamper-evident `challenge` parameter value for a round: its seed and rules, plus the
+   * challenger's result `by` ({ name, attempts, score, outcome }) when given
+   */
+  const payload = {
+    v: CHALLENGE_VERSION,
+    seed: state.seed,
+    difficulty: state.difficulty,
+    mode: state.mode || GAME_MODES.classic,
+    range: [state.range.min, state.range.max],
+    attempts: state.maxAttempts,
+    timer: defaultTimerSecondsOf(state),
+    timed: Boolean(state.timerChallenge),
+    time: state.totalTime,
+    shot: state.shotClock ?? null,
+    hints: state.allowedHints || [],
+    repeats: Boolean(state.code && state.code.allowRepeats),
+    puzzle: Boolean(puzzleMode),
+    by: by ? { name: String(by.name).slice(0, MAX_NAME_LENGTH), attempts: by.attempts, score: by.score, outcome: by.outcome } : null,
+  };
+  const body = toBase64Url(JSON.stringify(payload));
+  return `${body}.${checksum(body)}`;
+}
+
+function normalizeChallenger(by) {
+  if (by == null) return null;
+  if (typeof by.name !== 'string' || !by.name.trim() || by.name.length > MAX_NAME_LENGTH) return undefined;
+  if (!isInt(by.attempts) || by.attempts < 0 || !isInt(by.score) || by.score < 0) return undefined;
+  if (![STATUS.won, STATUS.timeout, STATUS.outOfAttempts].includes(by.outcome)) return undefined;
+  return { name: by.name.trim(), attempts: by.attempts, score: by.score, outcome: by.outcome };
+}
+
+// Round rules of a payload: the preset when range, budget and timer match it, else a custom config
+function rulesOf(p) {
+  const preset = DIFFICULTIES[p.difficulty];
+  if (p.mode === GAME_MODES.bullsCows) return preset ? { difficulty: p.difficulty, custom: null } : null;
+  if (
+    preset &&
+    preset.min === p.range[0] &&
+    preset.max === p.range[1] &&
+    MAX_ATTEMPTS[p.difficulty] === p.attempts &&
+    TIMER_CHALLENGE_DEFAULTS[p.difficulty] === p.timer
+  ) {
+    return { difficulty: p.difficulty, custom: null };
+  }
+  const result = validateCustomConfig({ min: p.range[0], max: p.range[1], maxAttempts: p.attempts, timerSeconds: p.timer, hintTypes: p.hints });
+  return result.ok ? { difficulty: CUSTOM_DIFFICULTY, custom: result.config } : null;
+}
+
+// PUBLIC_INTERFACE
+export function decodeChallenge(value) {
+  /**
+   * Check and decode a `challenge` parameter value. Returns { ok: true, challenge } with
+   * challenge { seed, difficulty, custom, mode, timerChallenge, timerSeconds, shotClock, allowRepeats,
+   * puzzleMode, challenger } (timerSeconds is null when the round ran at the difficulty's own duration),
+   * or { ok: false } when the checksum does not match or the payload is not a valid round.
+   */
+  try {
+    const [body, sum, ...rest] = String(value || '').split('.');
+    if (!body || rest.length > 0 || sum !== checksum(body)) return { ok: false };
+    const p = JSON.parse(fromBase64Url(body));
+    if (!p || p.v !== CHALLENGE_VERSION) return { ok: false };
+    if (typeof p.seed !== 'string' || !p.seed || p.seed.length > MAX_SEED_LENGTH) return { ok: false };
+    if (!LINK_MODES.includes(p.mode) || !Array.isArray(p.range) || !p.range.every(isInt)) return { ok: false };
+    if (!isInt(p.attempts) || !isInt(p.timer) || p.timer <= 0 || !Array.isArray(p.hints)) return { ok: false };
+    const rules = rulesOf(p);
+    const challenger = normalizeChallenger(p.by);
+    if (!rules || challenger === undefined) return { ok: false };
+    return {
+      ok: true,
+      challenge: {
+        seed: p.seed,
+        ...rules,
+        mode: p.mode,
+        timerChallenge: Boolean(p.timed),
+        timerSeconds: seconds(p.time) !== p.timer ? seconds(p.time) : null,
+        shotClock: seconds(p.shot),
+        allowRepeats: Boolean(p.repeats),
+        puzzleMode: Boolean(p.puzzle),
+        challenger,
+      },
+    };
+  } catch {
+    return { ok: false };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function challengeUrl(state, options = {}, location = window.location) {
+  /**
+   * Link that starts the same round for whoever opens it, carrying the challenger's result
+   * (`options.by`) and Puzzle Mode (`options.puzzleMode`). Null for rounds it cannot recreate.
+   */
+  if (!LINK_MODES.includes(state.mode || GAME_MODES.classic) || !state.range) return null;
+  const params = new URLSearchParams({ [CHALLENGE_PARAM]: encodeChallenge(state, options) });
+  return `${location.origin}${location.pathname}?${params.toString()}`;
+}
+
+function readPlainLink(params) {
+  const seed = (params.get('seed') || '').trim();
+  const difficulty = params.get('difficulty');
+  if (!seed || !DIFFICULTIES[difficulty]) return null;
+  const mode = params.get('mode') || GAME_MODES.classic;
+  if (!LINK_MODES.includes(mode)) return null;
+  return {
+    ok: true,
+    challenge: {
+      seed,
+      difficulty,
+      custom: null,
+      mode,
+      timerChallenge: params.get('timer') === '1',
+      timerSeconds: null,
+      shotClock: null,
+      allowRepeats: params.get('repeats') === '1',
+      puzzleMode: params.get('puzzle') === '1',
+      challenger: null,
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function readChallengeLink(location = typeof window !== 'undefined' ? window.location : { search: '', hash: '' }) {
+  /**
+   * The challenge in the page URL (query, then hash): null when there is none, otherwise
+   * the decodeChallenge result ({ ok: false } for damaged or edited links)
+   */
+  try {
+    const query = new URLSearchParams(location.search || '');
+    const hash = new URLSearchParams((location.hash || '').replace(/^#/, ''));
+    const value = query.get(CHALLENGE_PARAM) || hash.get(CHALLENGE_PARAM);
+    if (value) return decodeChallenge(value);
+    return readPlainLink(query);
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function challengeRoundOptions(challenge) {
+  /** startRound options recreating a challenge's round */
+  const { seed, difficulty, custom, mode, timerChallenge, timerSeconds, shotClock, allowRepeats } = challenge;
+  return { seed, difficulty, custom, mode, timerChallenge, timerSeconds, shotClock, allowRepeats };
+}
+
+// PUBLIC_INTERFACE
+export function compareChallenge(challenger, mine) {
+  /**
+   * Who did better on the same round: 'you' | 'them' | 'tie'. A solve beats a miss; between
+   * two solves fewer attempts wins, then the higher score.
+   */
+  const solved = (r) => r.outcome === STATUS.won;
+  if (solved(challenger) !== solved(mine)) return solved(mine) ? 'you' : 'them';
+  if (!solved(mine)) return 'tie';
+  if (mine.attempts !== challenger.attempts) return mine.attempts < challenger.attempts ? 'you' : 'them';
+  if (mine.score !== challenger.score) return mine.score > challenger.score ? 'you' : 'them';
+  return 'tie';
+}
@@ -0,0 +1,115 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import App from './App';
+import { challengeRoundOptions, challengeUrl, compareChallenge, decodeChallenge, encodeChallenge, readChallengeLink } from './challenge';
+import { startRound } from './engine';
+
+const LOCATION = { origin: 'https://example.test', pathname: '/play' };
+const BY = { name: 'Ravi', attempts: 4, score: 812, outcome: 'won' };
+
+afterEach(() => {
+  window.history.replaceState({}, '', '/');
+});
+
+function relink(state, options) {
+  return decodeChallenge(encodeChallenge(state, options));
+}
+
+test('a challenge recreates the exact round with the challenger result', () => {
+  const original = startRound({ difficulty: 'hard', timerChallenge: true, seed: 'xyz-3' }).state;
+  const url = challengeUrl(original, { puzzleMode: true, by: BY }, LOCATION);
+  expect(url).toMatch(/^https:\/\/example\.test\/play\?challenge=[\w-]+\.[0-9a-z]+$/);
+
+  const link = readChallengeLink({ search: new URL(url).search, hash: '' });
+  expect(link).toEqual({
+    ok: true,
+    challenge: {
+      seed: 'xyz-3',
+      difficulty: 'hard',
+      custom: null,
+      mode: 'classic',
+      timerChallenge: true,
+      timerSeconds: null,
+      shotClock: null,
+      allowRepeats: false,
+      puzzleMode: true,
+      challenger: BY,
+    },
+  });
+  const replayed = startRound(challengeRoundOptions(link.challenge)).state;
+  expect(replayed.secret).toBe(original.secret);
+  expect(replayed.puzzle).toEqual(original.puzzle);
+});
+
+test('custom ranges and budgets, code rounds and hash links come through', () => {
+  const custom = { min: -50, max: 50, maxAttempts: 9, timerSeconds: 20, hintTypes: ['parity'] };
+  const customRound = startRound({ difficulty: 'custom', custom, seed: 'c1' }).state;
+  const { challenge } = relink(customRound);
+  expect(challenge).toMatchObject({ difficulty: 'custom', custom });
+  expect(startRound(challengeRoundOptions(challenge)).state.secret).toBe(customRound.secret);
+
+  const codeRound = startRound({ difficulty: 'medium', mode: 'bulls_cows', allowRepeats: true, seed: 'k9' }).state;
+  const code = relink(codeRound).challenge;
+  expect(startRound(challengeRoundOptions(code)).state.secret).toBe(codeRound.secret);
+
+  const hash = `#challenge=${encodeChallenge(codeRound)}`;
+  expect(readChallengeLink({ search: '', hash }).challenge).toEqual(code);
+
+  const timedRound = startRound({ difficulty: 'medium', timerChallenge: true, timerSeconds: 90, shotClock: 8, seed: 't1' }).state;
+  const timed = relink(timedRound).challenge;
+  expect(timed).toMatchObject({ difficulty: 'medium', custom: null, timerSeconds: 90, shotClock: 8 });
+  expect(startRound(challengeRoundOptions(timed)).state).toMatchObject({ totalTime: 90, shotClock: 8, secret: timedRound.secret });
+});
+
+test('edited or damaged links are rejected; plain seed links still work', () => {
+  const value = encodeChallenge(startRound({ difficulty: 'easy', seed: 'abc' }).state, { by: BY });
+  const [body, sum] = value.split('.');
+  const forged = btoa(atob(body.replace(/-/g, '+').replace(/_/g, '/')).replace('"score":812', '"score":999'));
+  expect(decodeChallenge(`${forged}.${sum}`)).toEqual({ ok: false });
+  expect(decodeChallenge(`${body}.${sum}x`)).toEqual({ ok: false });
+  expect(decodeChallenge(body)).toEqual({ ok: false });
+  expect(readChallengeLink({ search: '?challenge=nonsense', hash: '' })).toEqual({ ok: false });
+
+  expect(readChallengeLink({ search: '', hash: '' })).toBeNull();
+  expect(readChallengeLink({ search: '?seed=abc&difficulty=medium&timer=1', hash: '' }).challenge).toMatchObject({
+    seed: 'abc',
+    difficulty: 'medium',
+    timerChallenge: true,
+    challenger: null,
+  });
+});
+
+test('a solve beats a miss, then fewer attempts, then a higher score', () => {
+  const lost = { attempts: 6, score: 0, outcome: 'out_of_attempts' };
+  expect(compareChallenge(BY, lost)).toBe('them');
+  expect(compareChallenge(lost, BY)).toBe('you');
+  expect(compareChallenge(BY, { ...BY, attempts: 3 })).toBe('you');
+  expect(compareChallenge(BY, { ...BY, score: 700 })).toBe('them');
+  expect(compareChallenge(BY, { ...BY })).toBe('tie');
+  expect(compareChallenge(lost, { ...lost, outcome: 'timeout' })).toBe('tie');
+});
+
+test('the app opens on the challenge, shows the target and compares results at the end', () => {
+  const original = startRound({ difficulty: 'easy', seed: 'friend' }).state;
+  window.history.replaceState({}, '', `/?challenge=${encodeChallenge(original, { by: BY })}`);
+  render(<App />);
+  expect(screen.getByTestId('challenge-banner').textContent).toBe("You're playing Ravi's challenge: beat 4 attempts / 812 points");
+
+  const input = screen.getByLabelText(/Enter your guess/i);
+  fireEvent.change(input, { target: { value: String(original.secret) } });
+  fireEvent.click(screen.getByRole('button', { name: /^Guess$/i }));
+
+  const rows = within(screen.getByTestId('challenge-comparison')).getAllByRole('row');
+  expect(rows.map((r) => r.textContent)).toEqual(['MeasureRaviYou', 'ResultWonWon', 'Attempts41', expect.stringMatching(/^Score812\d+$/)]);
+  expect(screen.getByTestId('challenge-verdict').textContent).toBe("You beat Ravi's challenge!");
+
+  // A new round leaves the challenge
+  fireEvent.click(screen.getByRole('button', { name: /Play Again/i }));
+  expect(screen.queryByTestId('challenge-panel')).toBeNull();
+});
+
+test('an edited link is ignored with a notice', () => {
+  window.history.replaceState({}, '', '/?challenge=abc.def');
+  render(<App />);
+  expect(screen.getByTestId('challenge-banner')).toHaveAttribute('role', 'alert');
+  expect(document.getElementById('difficulty').value).toBe('easy');
+});
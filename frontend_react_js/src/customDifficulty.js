@@ -0,0 +1,135 @@
+import { DIFFICULTIES, HINT_TYPES, MAX_ATTEMPTS, TIMER_CHALLENGE_DEFAULTS } from './engine';
+import { readJSON, writeJSON } from './storage';
+
+const STORAGE_KEY = 'ngg_custom_presets_v1';
+
+/**
+ * Custom difficulty builder: range, attempt budget, timer duration and allowed hints.
+ * A config is shaped:
+ * { min: number, max: number, maxAttempts: number, timerSeconds: number, hintTypes: string[] }
+ * Named presets are stored under STORAGE_KEY as { [name]: config }.
+ */
+
+// PUBLIC_INTERFACE
+// Accepted bounds for the builder fields
+export const CUSTOM_LIMITS = {
+  value: { min: -1000000000, max: 1000000000 },
+  maxAttempts: { min: 1, max: 100 },
+  timerSeconds: { min: 10, max: 3600 },
+  presetName: { maxLength: 30 },
+};
+
+// PUBLIC_INTERFACE
+export function defaultCustomConfig() {
+  /** Builder starting point: the Medium preset with every hint allowed */
+  return {
+    min: DIFFICULTIES.medium.min,
+    max: DIFFICULTIES.medium.max,
+    maxAttempts: MAX_ATTEMPTS.medium,
+    timerSeconds: TIMER_CHALLENGE_DEFAULTS.medium,
+    hintTypes: Object.values(HINT_TYPES),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function binarySearchAttempts(min, max) {
+  /** Guesses binary search needs to guarantee finding any value in [min, max]: ceil(log2(size + 1)) */
+  let remaining = Math.max(0, max - min + 1);
+  let count = 0;
+  while (remaining > 0) {
+    remaining = Math.floor(remaining / 2);
+    count += 1;
+  }
+  return count;
+}
+
+function integerField(value, bounds, errors, field) {
+  const raw = String(value ?? '').trim();
+  const num = Number(raw);
+  if (raw === '' || !Number.isInteger(num)) {
+    errors[field] = { key: 'custom_error_integer' };
+    return null;
+  }
+  if (num < bounds.min || num > bounds.max) {
+    errors[field] = { key: 'custom_error_bounds', params: { min: bounds.min, max: bounds.max } };
+    return null;
+  }
+  return num;
+}
+
+// PUBLIC_INTERFACE
+export function validateCustomConfig(raw) {
+  /**
+   * Validate builder input (numbers or strings straight from the form).
+   * The attempt budget must be enough to always win with binary search.
+   * Returns { ok: true, config } or { ok: false, errors: { [field]: { key, params } } }.
+   */
+  const errors = {};
+  const min = integerField(raw?.min, CUSTOM_LIMITS.value, errors, 'min');
+  const max = integerField(raw?.max, CUSTOM_LIMITS.value, errors, 'max');
+  const maxAttempts = integerField(raw?.maxAttempts, CUSTOM_LIMITS.maxAttempts, errors, 'maxAttempts');
+  const timerSeconds = integerField(raw?.timerSeconds, CUSTOM_LIMITS.timerSeconds, errors, 'timerSeconds');
+
+  if (min != null && max != null && max <= min) {
+    errors.max = { key: 'custom_error_order' };
+  }
+  if (!errors.min && !errors.max && maxAttempts != null) {
+    const needed = binarySearchAttempts(min, max);
+    if (maxAttempts < needed) {
+      errors.maxAttempts = { key: 'custom_error_unwinnable', params: { needed } };
+    }
+  }
+
+  const requested = Array.isArray(raw?.hintTypes) ? raw.hintTypes : [];
+  const hintTypes = Object.values(HINT_TYPES).filter((type) => requested.includes(type));
+
+  if (Object.keys(errors).length > 0) return { ok: false, errors };
+  return { ok: true, config: { min, max, maxAttempts, timerSeconds, hintTypes } };
+}
+
+// PUBLIC_INTERFACE
+export function customConfigKey(config) {
+  /** Stable id of a config, used to keep results of different custom rules apart */
+  const hints = (config.hintTypes || []).map((type) => type[0]).join('') || '-';
+  return `${config.min}..${config.max}/${config.maxAttempts}a/${config.timerSeconds}s/${hints}`;
+}
+
+function normalizePresets(parsed) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+  return Object.entries(parsed)
+    .map(([name, config]) => ({ name, result: validateCustomConfig(config) }))
+    .filter(({ name, result }) => name.trim() && result.ok)
+    .map(({ name, result }) => ({ name, config: result.config }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// PUBLIC_INTERFACE
+export function readCustomPresets() {
+  /** Saved presets as [{ name, config }] sorted by name; invalid entries are dropped */
+  return readJSON(STORAGE_KEY, normalizePresets, []);
+}
+
+function writeCustomPresets(presets) {
+  const out = {};
+  for (const { name, config } of presets) out[name] = config;
+  return writeJSON(STORAGE_KEY, out);
+}
+
+// PUBLIC_INTERFACE
+export function saveCustomPreset(name, rawConfig) {
+  /** Save (or overwrite) a named preset. Returns the saved { name, config } or null when invalid. */
+  const trimmed = String(name || '').trim().slice(0, CUSTOM_LIMITS.presetName.maxLength);
+  const result = validateCustomConfig(rawConfig);
+  if (!trimmed || !result.ok) return null;
+  const preset = { name: trimmed, config: result.config };
+  writeCustomPresets([...readCustomPresets().filter((p) => p.name !== trimmed), preset]);
+  return preset;
+}
+
+// PUBLIC_INTERFACE
+export function deleteCustomPreset(name) {
+  /** Remove a named preset; returns the remaining presets */
+  const remaining = readCustomPresets().filter((p) => p.name !== name);
+  writeCustomPresets(remaining);
+  return remaining;
+}
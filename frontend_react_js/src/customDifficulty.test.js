@@ -0,0 +1,69 @@
+import {
+  binarySearchAttempts,
+  customConfigKey,
+  defaultCustomConfig,
+  deleteCustomPreset,
+  readCustomPresets,
+  saveCustomPreset,
+  validateCustomConfig,
+} from './customDifficulty';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('binarySearchAttempts is the worst case of a binary search over the range', () => {
+  expect(binarySearchAttempts(1, 1)).toBe(1);
+  expect(binarySearchAttempts(1, 20)).toBe(5);
+  expect(binarySearchAttempts(1, 100)).toBe(7);
+  expect(binarySearchAttempts(-1000000, 1000000)).toBe(21);
+});
+
+test('validateCustomConfig accepts negative and large ranges and normalizes form strings', () => {
+  const result = validateCustomConfig({
+    min: '-1000000',
+    max: '1000000',
+    maxAttempts: '21',
+    timerSeconds: '120',
+    hintTypes: ['range', 'bogus', 'parity'],
+  });
+  expect(result).toEqual({
+    ok: true,
+    config: { min: -1000000, max: 1000000, maxAttempts: 21, timerSeconds: 120, hintTypes: ['parity', 'range'] },
+  });
+  expect(validateCustomConfig(defaultCustomConfig()).ok).toBe(true);
+});
+
+test('validateCustomConfig reports field errors, including unwinnable budgets', () => {
+  const base = defaultCustomConfig();
+  expect(validateCustomConfig({ ...base, min: '1.5' }).errors.min.key).toBe('custom_error_integer');
+  expect(validateCustomConfig({ ...base, max: '' }).errors.max.key).toBe('custom_error_integer');
+  expect(validateCustomConfig({ ...base, max: 5, min: 5 }).errors.max.key).toBe('custom_error_order');
+  expect(validateCustomConfig({ ...base, timerSeconds: 1 }).errors.timerSeconds.key).toBe('custom_error_bounds');
+  expect(validateCustomConfig({ ...base, min: 1, max: 100, maxAttempts: 6 }).errors.maxAttempts).toEqual({
+    key: 'custom_error_unwinnable',
+    params: { needed: 7 },
+  });
+});
+
+test('presets are saved by name, overwritten, listed sorted and deleted', () => {
+  const config = { ...defaultCustomConfig(), min: -10, max: 10 };
+  expect(saveCustomPreset('  ', config)).toBeNull();
+  expect(saveCustomPreset('bad', { ...config, maxAttempts: 1 })).toBeNull();
+
+  saveCustomPreset('Zeta', config);
+  saveCustomPreset('Alpha', defaultCustomConfig());
+  saveCustomPreset('Zeta', { ...config, maxAttempts: 20 });
+
+  const presets = readCustomPresets();
+  expect(presets.map((p) => p.name)).toEqual(['Alpha', 'Zeta']);
+  expect(presets[1].config.maxAttempts).toBe(20);
+
+  expect(deleteCustomPreset('Alpha').map((p) => p.name)).toEqual(['Zeta']);
+  expect(readCustomPresets()).toHaveLength(1);
+});
+
+test('customConfigKey identifies a rule set', () => {
+  expect(customConfigKey({ min: -5, max: 5, maxAttempts: 4, timerSeconds: 30, hintTypes: [] })).toBe('-5..5/4a/30s/-');
+  expect(customConfigKey(defaultCustomConfig())).toBe('1..50/8a/45s/prdp');
+});
@@ -0,0 +1,156 @@
+import { hashSeed } from './random';
+import { profileKey } from './profiles';
+import { readJSON, writeJSON } from './storage';
+
+const STORAGE_KEY = 'ngg_daily_v1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAILY_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Daily Challenge: one shared round per calendar day, derived from the date.
+ * Results live under their own key (not the leaderboard), shaped:
+ * { [dateKey: 'YYYY-MM-DD']: { status: 'playing'|'won'|'timeout'|'out_of_attempts'|'abandoned',
+ *   attempts: number, score: number, startedAt: number, finishedAt: number|null } }
+ */
+
+// PUBLIC_INTERFACE
+export function dailyKey(date = new Date()) {
+  /** Local calendar day as 'YYYY-MM-DD' */
+  const d = new Date(date);
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+// PUBLIC_INTERFACE
+export function dailyChallengeFor(date = new Date()) {
+  /**
+   * The day's challenge: everyone gets the same seed (hence secret and puzzle) and difficulty.
+   * Returns { dateKey, seed, difficulty }.
+   */
+  const dateKey = dailyKey(date);
+  const seed = `daily-${dateKey}`;
+  return {
+    dateKey,
+    seed,
+    difficulty: DAILY_DIFFICULTIES[hashSeed(seed) % DAILY_DIFFICULTIES.length],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function normalizeDailyResults(parsed) {
+  /** Validate stored or imported daily results keyed by date; null if unusable */
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+  const out = {};
+  for (const [key, r] of Object.entries(parsed)) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(key) && r && typeof r.status === 'string') {
+      out[key] = {
+        status: r.status,
+        attempts: typeof r.attempts === 'number' ? r.attempts : 0,
+        score: typeof r.score === 'number' ? r.score : 0,
+        startedAt: typeof r.startedAt === 'number' ? r.startedAt : 0,
+        finishedAt: typeof r.finishedAt === 'number' ? r.finishedAt : null,
+      };
+    }
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function readDailyResults() {
+  /** Read all daily results keyed by date, {} if absent/invalid */
+  return readJSON(profileKey(STORAGE_KEY), normalizeDailyResults, {});
+}
+
+// PUBLIC_INTERFACE
+export function writeDailyResults(results) {
+  /** Persist all daily results keyed by date */
+  return writeJSON(profileKey(STORAGE_KEY), results || {});
+}
+
+// PUBLIC_INTERFACE
+export function getDailyResult(dateKey) {
+  /**
+   * The recorded result for a day, or null if not yet attempted.
+   * A round that was started but never finished counts as 'abandoned': one scored attempt per day.
+   */
+  const r = readDailyResults()[dateKey];
+  if (!r) return null;
+  return r.status === 'playing' ? { ...r, status: 'abandoned' } : r;
+}
+
+// PUBLIC_INTERFACE
+export function startDailyAttempt(dateKey, timestamp = Date.now()) {
+  /** Claim the day's single attempt. Returns false if it was already used. */
+  const results = readDailyResults();
+  if (results[dateKey]) return false;
+  results[dateKey] = { status: 'playing', attempts: 0, score: 0, startedAt: timestamp, finishedAt: null };
+  writeDailyResults(results);
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function recordDailyResult(dateKey, { status, attempts = 0, score = 0 }, timestamp = Date.now()) {
+  /** Finish the day's attempt. Only an in-progress (or unclaimed) attempt can be scored. */
+  const results = readDailyResults();
+  const current = results[dateKey];
+  if (current && current.status !== 'playing') return current;
+  const next = {
+    status,
+    attempts,
+    score,
+    startedAt: current ? current.startedAt : timestamp,
+    finishedAt: timestamp,
+  };
+  results[dateKey] = next;
+  writeDailyResults(results);
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function computeDailyStreak(results, today = dailyKey()) {
+  /**
+   * Streaks count consecutive calendar days with a won daily challenge.
+   * The current streak is still alive if today has not been played yet but yesterday was won.
+   * Returns { current, longest }.
+   */
+  const wonDays = Object.keys(results || {})
+    .filter((k) => results[k]?.status === 'won')
+    .map((k) => Math.round(Date.parse(`${k}T00:00:00Z`) / DAY_MS))
+    .sort((a, b) => a - b);
+
+  let longest = 0;
+  let run = 0;
+  for (let i = 0; i < wonDays.length; i++) {
+    run = i > 0 && wonDays[i] === wonDays[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const won = new Set(wonDays);
+  const todayDay = Math.round(Date.parse(`${today}T00:00:00Z`) / DAY_MS);
+  let day = won.has(todayDay) ? todayDay : todayDay - 1;
+  let current = 0;
+  while (won.has(day)) {
+    current += 1;
+    day -= 1;
+  }
+  return { current, longest };
+}
+
+// PUBLIC_INTERFACE
+export function msUntilNextDaily(now = new Date()) {
+  /** Milliseconds until the next local midnight, when the next challenge opens */
+  const d = new Date(now);
+  const next = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+  return Math.max(0, next.getTime() - d.getTime());
+}
+
+// PUBLIC_INTERFACE
+export function formatCountdown(ms) {
+  /** Format milliseconds as hh:mm:ss */
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return [h, m, s].map((n) => String(n).padStart(2, '0')).join(':');
+}
@@ -0,0 +1,68 @@
+import {
+  computeDailyStreak,
+  dailyChallengeFor,
+  dailyKey,
+  formatCountdown,
+  getDailyResult,
+  msUntilNextDaily,
+  recordDailyResult,
+  startDailyAttempt,
+} from './daily';
+import { startRound } from './engine';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('dailyKey formats the local calendar day', () => {
+  expect(dailyKey(new Date(2024, 0, 5, 23, 59))).toBe('2024-01-05');
+  expect(dailyKey(new Date(2024, 11, 31))).toBe('2024-12-31');
+});
+
+test('the challenge is the same for everyone on a given day', () => {
+  const a = dailyChallengeFor(new Date(2024, 2, 10, 8));
+  const b = dailyChallengeFor(new Date(2024, 2, 10, 21));
+  expect(a).toEqual(b);
+  expect(a.seed).toBe('daily-2024-03-10');
+  expect(['easy', 'medium', 'hard']).toContain(a.difficulty);
+
+  const ra = startRound({ difficulty: a.difficulty, seed: a.seed, daily: a.dateKey }).state;
+  const rb = startRound({ difficulty: b.difficulty, seed: b.seed, daily: b.dateKey }).state;
+  expect(rb.secret).toBe(ra.secret);
+  expect(ra.daily).toBe('2024-03-10');
+});
+
+test('only one attempt per day is scored; an unfinished attempt counts as abandoned', () => {
+  expect(getDailyResult('2024-03-10')).toBeNull();
+  expect(startDailyAttempt('2024-03-10', 1)).toBe(true);
+  expect(startDailyAttempt('2024-03-10', 2)).toBe(false);
+  expect(getDailyResult('2024-03-10').status).toBe('abandoned');
+
+  const won = recordDailyResult('2024-03-10', { status: 'won', attempts: 3, score: 400 }, 5);
+  expect(won).toEqual({ status: 'won', attempts: 3, score: 400, startedAt: 1, finishedAt: 5 });
+  const retry = recordDailyResult('2024-03-10', { status: 'won', attempts: 1, score: 900 }, 9);
+  expect(retry.score).toBe(400);
+});
+
+test('streaks count consecutive won days', () => {
+  const results = {
+    '2024-03-01': { status: 'won' },
+    '2024-03-02': { status: 'won' },
+    '2024-03-03': { status: 'won' },
+    '2024-03-05': { status: 'out_of_attempts' },
+    '2024-03-06': { status: 'won' },
+    '2024-03-07': { status: 'won' },
+  };
+  expect(computeDailyStreak(results, '2024-03-07')).toEqual({ current: 2, longest: 3 });
+  // today not played yet: yesterday's streak is still alive
+  expect(computeDailyStreak(results, '2024-03-08')).toEqual({ current: 2, longest: 3 });
+  expect(computeDailyStreak(results, '2024-03-09').current).toBe(0);
+  expect(computeDailyStreak({}, '2024-03-09')).toEqual({ current: 0, longest: 0 });
+});
+
+test('countdown runs to the next local midnight', () => {
+  expect(msUntilNextDaily(new Date(2024, 2, 10, 23, 59, 30))).toBe(30 * 1000);
+  expect(formatCountdown(30 * 1000)).toBe('00:00:30');
+  expect(formatCountdown(((5 * 60 + 7) * 60 + 9) * 1000 + 500)).toBe('05:07:09');
+  expect(formatCountdown(-1)).toBe('00:00:00');
+});
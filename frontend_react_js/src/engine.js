@@ -0,0 +1,1080 @@
+/**
+ * Headless game engine for the Number Guessing Game.
+ *
+ * Every rule that decides a round lives here as pure functions over a plain,
+ * serializable state object. Each action returns `{ state, events }`:
+ * - state: the next round state (the input state is never mutated)
+ * - events: what happened, for the view to react to (sounds, storage, focus)
+ *
+ * User-facing text is expressed as i18n keys + params so that any front end
+ * can translate it. Randomness comes from the round seed (see ./random), so a
+ * round is reproducible from `state.seed` alone.
+ */
+
+import { createRandom, makeSeed, randomInt, roundSeed } from './random';
+import { BULLS_COWS_PRESETS, codeDigitHint, computeCodeScore, generateCode, scoreCode, validateCode } from './bullsCows';
+import { TIME_ATTACK_MISS_PENALTY, TIME_ATTACK_SECONDS, summarizeTimeAttack, timeAttackPoints } from './timeAttack';
+import { summarizeSurvival, survivalRangeOf, survivalRefill, survivalStartingPool } from './survival';
+
+// PUBLIC_INTERFACE
+// Difficulty presets
+export const DIFFICULTIES = {
+  easy: { label: 'Easy', min: 1, max: 20 },
+  medium: { label: 'Medium', min: 1, max: 50 },
+  hard: { label: 'Hard', min: 1, max: 100 },
+};
+
+// PUBLIC_INTERFACE
+// Maximum allowed attempts per difficulty
+export const MAX_ATTEMPTS = {
+  easy: 6,
+  medium: 8,
+  hard: 10,
+};
+
+// PUBLIC_INTERFACE
+// Fixed penalty per hint usage applied to final score on win
+export const HINT_PENALTY = 100;
+
+/** PUBLIC_INTERFACE
+ * Default Timer Challenge durations by difficulty (in seconds)
+ * These are distinct for the challenge countdown.
+ */
+export const TIMER_CHALLENGE_DEFAULTS = {
+  easy: 30,
+  medium: 45,
+  hard: 60,
+};
+
+/** PUBLIC_INTERFACE
+ * Time bonus up to +50% when winning with full time left in Timer Challenge at the default duration.
+ * finalScore = max(0, baseScore - hintPenalty) * (1 + (remaining/total) * weight), where the
+ * weight scales with the chosen timer settings (see timeBonusWeightOf).
+ */
+export const TIME_BONUS_WEIGHT = 0.5;
+
+/** PUBLIC_INTERFACE
+ * Extra time bonus weight of a per-guess shot clock at SHOT_CLOCK_REFERENCE_SECONDS per guess;
+ * tighter shot clocks weigh more, looser ones less.
+ */
+export const SHOT_CLOCK_BONUS_WEIGHT = 0.25;
+
+// PUBLIC_INTERFACE
+// Shot clock length (seconds per guess) that earns exactly SHOT_CLOCK_BONUS_WEIGHT
+export const SHOT_CLOCK_REFERENCE_SECONDS = 10;
+
+// PUBLIC_INTERFACE
+// Clamp final score to a reasonable upper bound to avoid runaway values.
+export const MAX_FINAL_SCORE = 5000;
+
+// PUBLIC_INTERFACE
+// Hint types for this game
+export const HINT_TYPES = {
+  parity: 'parity',
+  range: 'range',
+  digit: 'digit',
+  proximity: 'proximity',
+};
+
+// PUBLIC_INTERFACE
+// Game modes: 'classic' (the player guesses) | 'reverse' (the computer guesses, see ./reverse)
+// | 'bulls_cows' (the player cracks a digit code, see ./bullsCows)
+// | 'time_attack' (as many secrets as possible before one countdown runs out, see ./timeAttack)
+// | 'survival' (ever wider rounds on one shared attempt pool, see ./survival)
+export const GAME_MODES = {
+  classic: 'classic',
+  reverse: 'reverse',
+  bullsCows: 'bulls_cows',
+  timeAttack: 'time_attack',
+  survival: 'survival',
+};
+
+// PUBLIC_INTERFACE
+// Run-based modes: one session spans a string of secrets and always ends lost, so the
+// single-round records (win rate, streaks, guess efficiency, replays) leave them out
+export const RUN_MODES = [GAME_MODES.timeAttack, GAME_MODES.survival];
+
+// PUBLIC_INTERFACE
+// Difficulty id of rounds built from a custom config (see ./customDifficulty)
+export const CUSTOM_DIFFICULTY = 'custom';
+
+// PUBLIC_INTERFACE
+// Round status values: 'playing' | 'won' | 'timeout' | 'out_of_attempts'
+export const STATUS = {
+  playing: 'playing',
+  won: 'won',
+  timeout: 'timeout',
+  outOfAttempts: 'out_of_attempts',
+};
+
+// PUBLIC_INTERFACE
+// Small puzzle pool; each round draws one from its seeded generator
+export const PUZZLES = [
+  // Riddle/trivia
+  { id: 'riddle_sky', type: 'riddle', promptKey: 'puzzle_riddle_sky_prompt', options: [
+    { key: 'puzzle_opt_blue', correct: true },
+    { key: 'puzzle_opt_green', correct: false },
+    { key: 'puzzle_opt_red', correct: false },
+  ], defaultHintType: HINT_TYPES.range },
+  // Arithmetic
+  { id: 'arith_12_7', type: 'arith', promptKey: 'puzzle_arith_12_7_prompt', options: [
+    { key: 'puzzle_opt_19', correct: true },
+    { key: 'puzzle_opt_20', correct: false },
+    { key: 'puzzle_opt_18', correct: false },
+  ], defaultHintType: HINT_TYPES.parity },
+  // Pattern
+  { id: 'seq_pow2', type: 'sequence', promptKey: 'puzzle_seq_2x_prompt', options: [
+    { key: 'puzzle_opt_32', correct: true },
+    { key: 'puzzle_opt_24', correct: false },
+    { key: 'puzzle_opt_20', correct: false },
+  ], defaultHintType: HINT_TYPES.digit },
+];
+
+// internal helper to clamp a number between min and max
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function isOver(state) {
+  return state.status !== STATUS.playing;
+}
+
+// Whole seconds for a timer setting, or null when unset or invalid
+function positiveSeconds(value) {
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+function emptyHintTypes() {
+  return {
+    [HINT_TYPES.parity]: false,
+    [HINT_TYPES.range]: false,
+    [HINT_TYPES.digit]: false,
+    [HINT_TYPES.proximity]: false,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function difficultySettings(difficulty, custom = null) {
+  /**
+   * Resolve the round rules for a difficulty: { range, maxAttempts, totalTime, allowedHints }.
+   * A 'custom' difficulty reads them from the (already validated) custom config.
+   */
+  if (difficulty === CUSTOM_DIFFICULTY && custom) {
+    return {
+      range: { min: custom.min, max: custom.max },
+      maxAttempts: custom.maxAttempts,
+      totalTime: custom.timerSeconds,
+      allowedHints: Object.values(HINT_TYPES).filter((type) => custom.hintTypes.includes(type)),
+    };
+  }
+  const preset = DIFFICULTIES[difficulty] || DIFFICULTIES.medium;
+  return {
+    range: { min: preset.min, max: preset.max },
+    maxAttempts: MAX_ATTEMPTS[difficulty] || MAX_ATTEMPTS.medium,
+    totalTime: TIMER_CHALLENGE_DEFAULTS[difficulty] || TIMER_CHALLENGE_DEFAULTS.medium,
+    allowedHints: Object.values(HINT_TYPES),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function defaultTimerSecondsOf(state) {
+  /** The Timer Challenge duration of a round's difficulty (or code preset), before any chosen round time */
+  if (state.timeAttack) return TIME_ATTACK_SECONDS;
+  return state.code ? BULLS_COWS_PRESETS[state.difficulty].timerSeconds : difficultySettings(state.difficulty, state.custom).totalTime;
+}
+
+// PUBLIC_INTERFACE
+export function timeBonusWeightOf({ totalTime, defaultTime = totalTime, shotClock = null }) {
+  /**
+   * Time bonus weight for the chosen Timer Challenge settings. A round shorter than the
+   * difficulty's default duration weighs more (half the time, twice the weight) and a longer
+   * one less, within 0.5x..2x; a shot clock adds its own share, scaled the same way.
+   */
+  const pace = totalTime > 0 ? clamp(defaultTime / totalTime, 0.5, 2) : 1;
+  const shot = shotClock > 0 ? SHOT_CLOCK_BONUS_WEIGHT * clamp(SHOT_CLOCK_REFERENCE_SECONDS / shotClock, 0.5, 2) : 0;
+  return TIME_BONUS_WEIGHT * pace + shot;
+}
+
+// PUBLIC_INTERFACE
+export function isHintAllowed(state, type) {
+  /** Whether the round's rules offer this hint type (custom difficulties may restrict them) */
+  return !state.allowedHints || state.allowedHints.includes(type);
+}
+
+// PUBLIC_INTERFACE
+export function rangeSizeOf(range) {
+  /** Number of candidate values in an inclusive range */
+  return range.max - range.min + 1;
+}
+
+// PUBLIC_INTERFACE
+export function generateSecret(min, max, random) {
+  /** Uniform integer in [min, max] drawn from the given generator (fresh seed when omitted) */
+  return randomInt(random || createRandom(makeSeed()), min, max);
+}
+
+// PUBLIC_INTERFACE
+export function nextPuzzleForRound(random) {
+  /** Draw the round's puzzle from its generator (fresh seed when omitted) */
+  return PUZZLES[randomInt(random || createRandom(makeSeed()), 0, PUZZLES.length - 1)];
+}
+
+// PUBLIC_INTERFACE
+export function makeHistoryEntry(index, value, result) {
+  /** Guess history entry shape helper; bulls-and-cows entries also carry { bulls, cows } */
+  return {
+    index,
+    value,
+    result, // 'too low' | 'too high' | 'correct' | 'scored' (a code guess that is not a full match)
+    ts: Date.now(),
+    id: `${Date.now()}-${index}-${value}-${result}`,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function hintCountOf(state) {
+  /** Number of distinct hint types used this round (each one is penalized once) */
+  return Object.values(state.hintTypesUsed).filter(Boolean).length;
+}
+
+// PUBLIC_INTERFACE
+export function runHistoryOf(state) {
+  /** Every guess of the round in order; in Time Attack and Survival, across all the secrets of the run */
+  if (state.timeAttack) return [...state.timeAttack.secrets.flatMap((s) => s.history), ...state.history];
+  if (state.survival) return [...state.survival.rounds.flatMap((r) => r.history), ...state.history];
+  return state.history;
+}
+
+// PUBLIC_INTERFACE
+export function attemptsRemainingOf(state) {
+  /** Attempts left in the round (for the player whose turn it is in hot-seat rounds), never negative */
+  const used = state.players ? state.players[state.turn].attempts : state.attempts;
+  return Math.max(0, state.maxAttempts - used);
+}
+
+// PUBLIC_INTERFACE
+export function currentPlayerOf(state) {
+  /** The hot-seat player whose turn it is, or null in single-player rounds */
+  return state.players ? state.players[state.turn] : null;
+}
+
+// Update the current hot-seat player's record
+function patchCurrentPlayer(state, patch) {
+  return state.players.map((p, i) => (i === state.turn ? { ...p, ...patch } : p));
+}
+
+// Append a non-guess event to the round log replays are built from. Each entry carries its
+// time, the Timer Challenge countdown at that moment and, in hot-seat rounds, whose turn it was.
+function logEvent(state, kind, fields) {
+  const player = currentPlayerOf(state);
+  const entry = {
+    kind,
+    ts: Date.now(),
+    ...fields,
+    ...(state.timerChallenge ? { timeLeft: state.timeLeft } : {}),
+    ...(player ? { player: player.name } : {}),
+  };
+  return [...(state.roundLog || []), entry];
+}
+
+// A full shot clock for the next guess; the next tick given `now` arms it
+function freshShot(state) {
+  return { shotLeft: state.shotClock ?? null, shotDeadline: null };
+}
+
+// Pass the turn to the next player with attempts left (the same player if the others are out).
+// Each player keeps their own hint record; state.hintTypesUsed mirrors the current player's.
+// Returns null when nobody has attempts left.
+function advanceTurn(state) {
+  const count = state.players.length;
+  for (let step = 1; step <= count; step++) {
+    const turn = (state.turn + step) % count;
+    if (state.players[turn].attempts < state.maxAttempts) {
+      return {
+        ...state,
+        turn,
+        hintTypesUsed: state.players[turn].hintTypesUsed,
+        timeLeft: state.totalTime,
+        deadline: null,
+        ...freshShot(state),
+      };
+    }
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function validateInput(value, range, code = null) {
+  /**
+   * Validate raw guess input against the round range, or against the code rules
+   * ({ length, allowRepeats }) in bulls-and-cows rounds.
+   * Returns { ok: true, value } or { ok: false, messageKey, params }.
+   */
+  if (code) return validateCode(value, code);
+  const raw = String(value ?? '');
+  if (raw.trim() === '') return { ok: false, messageKey: 'guessLabel' };
+  const num = Number(raw);
+  if (Number.isNaN(num)) return { ok: false, messageKey: 'submitGuessTitle' };
+  if (!Number.isInteger(num)) return { ok: false, messageKey: 'submitGuessTitle' };
+  if (num < range.min || num > range.max) {
+    return { ok: false, messageKey: 'guessPlaceholder', params: { min: range.min, max: range.max } };
+  }
+  return { ok: true, value: num };
+}
+
+// PUBLIC_INTERFACE
+export function computeScore(attemptCount, rangeMax) {
+  /**
+   * Compute a proportional base score for a win (without time bonus).
+   * Fewer attempts yield higher score, scaled by the difficulty (range size; equal to the
+   * range max for the 1-based presets).
+   */
+  // Avoid division by zero; clamp to sensible values
+  const maxVal = Math.max(1, Number(rangeMax));
+  const raw = Math.round((1000 * (maxVal - attemptCount + 1)) / maxVal);
+  return Math.max(0, raw);
+}
+
+// PUBLIC_INTERFACE
+export function computeFinalScore({
+  attempts,
+  rangeMax,
+  hintCount = 0,
+  timerChallenge = false,
+  timeLeft = 0,
+  totalTime = 0,
+  timeBonusWeight = TIME_BONUS_WEIGHT,
+  baseScore: modeBaseScore = null,
+}) {
+  /**
+   * Apply the hint penalty and (in Timer Challenge) the time bonus to the base score.
+   * `timeBonusWeight` is the bonus for winning with the full time left (see timeBonusWeightOf).
+   * Modes with their own scoring pass `baseScore` instead of rangeMax.
+   * Returns { baseScore, penalty, score, timeBonusPct }.
+   */
+  const baseScore = typeof modeBaseScore === 'number' ? modeBaseScore : computeScore(attempts, rangeMax);
+  const penalty = Math.min(baseScore, hintCount * HINT_PENALTY);
+  const finalBase = Math.max(0, baseScore - penalty);
+  if (timerChallenge && totalTime > 0) {
+    const bonus = 1 + (Math.max(0, timeLeft) / totalTime) * timeBonusWeight;
+    return {
+      baseScore,
+      penalty,
+      score: Math.round(clamp(finalBase * bonus, 0, MAX_FINAL_SCORE)),
+      timeBonusPct: Math.round((bonus - 1) * 100),
+    };
+  }
+  return { baseScore, penalty, score: Math.round(clamp(finalBase, 0, MAX_FINAL_SCORE)), timeBonusPct: 0 };
+}
+
+function freshPuzzleState(puzzle) {
+  return {
+    puzzle,
+    puzzleAnswered: false,
+    puzzleRetryUsed: false,
+    puzzleLocked: false,
+    puzzleMessage: null,
+  };
+}
+
+// Fields every round starts with, whatever the mode. The puzzle is drawn after the secret.
+// `duration` is the chosen Timer Challenge round time, `defaultDuration` the difficulty's own.
+function baseRoundState({ round, seed, daily, timerChallenge, duration, defaultDuration, shotClock, random, players }) {
+  return {
+    round,
+    seed,
+    daily,
+    // Hot-seat: [{ name, attempts, hintTypesUsed }] sharing one secret, taking turns; null when single-player
+    players: Array.isArray(players) && players.length > 1
+      ? players.map((name) => ({ name, attempts: 0, hintTypesUsed: emptyHintTypes() }))
+      : null,
+    turn: 0,
+    status: STATUS.playing,
+    attempts: 0,
+    score: 0,
+    history: [],
+    // Hint, puzzle and timeout events with timestamps, replayed alongside the history (see ./replay)
+    roundLog: [],
+    hintTypesUsed: emptyHintTypes(),
+    lastHint: null,
+    message: null, // { key, params } feedback for the view
+    repeatWarning: null, // { key, params } when a guess repeats
+    timerChallenge: Boolean(timerChallenge),
+    totalTime: duration,
+    timeLeft: duration,
+    // Clock time (ms, as passed to tick's `now`) the countdown runs out; null until the clock is armed
+    deadline: null,
+    // Timer Challenge shot clock: seconds allowed per guess (null when off); a missed shot costs an attempt
+    shotClock,
+    shotLeft: shotClock,
+    // Clock time the current shot runs out; null until armed, like `deadline`
+    shotDeadline: null,
+    timeBonusWeight: timeBonusWeightOf({ totalTime: duration, defaultTime: defaultDuration, shotClock }),
+    timeBonusPct: 0,
+    ...freshPuzzleState(nextPuzzleForRound(random)),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function startRound({
+  difficulty = 'medium',
+  timerChallenge = false,
+  round = 0,
+  sessionSeed,
+  seed,
+  secret,
+  daily = null,
+  custom = null,
+  mode = GAME_MODES.classic,
+  allowRepeats = false,
+  players = null,
+  timerSeconds = null,
+  shotClock = null,
+} = {}) {
+  /**
+   * Create a fresh round. The secret and puzzle are drawn from `seed`, which defaults to
+   * roundSeed(sessionSeed, round). `secret` may be forced (e.g. tests).
+   * `daily` tags a Daily Challenge round with its date key.
+   * `custom` holds the config of a 'custom' difficulty and is kept on the state for the records.
+   * `mode: 'bulls_cows'` makes the secret an N-digit code (`allowRepeats` permits repeated digits);
+   * custom difficulties do not apply to codes and fall back to the medium code preset.
+   * `players` (2+ names) makes a hot-seat round: each player gets the full attempt budget and,
+   * in Timer Challenge, the countdown is per turn.
+   * `timerSeconds` replaces the difficulty's Timer Challenge duration and `shotClock` (seconds)
+   * limits the time for each guess; both scale the time bonus (see timeBonusWeightOf).
+   * `mode: 'time_attack'` makes a single-player run of secrets in the difficulty's range against
+   * a TIME_ATTACK_SECONDS countdown, without hints or a shot clock.
+   * `mode: 'survival'` makes a single-player, untimed run of ever wider ranges starting at 1–20;
+   * the difficulty only sets the attempt pool the run starts with (see ./survival).
+   * Returns { state, events }.
+   */
+  const shotSeconds = positiveSeconds(shotClock);
+  const resolvedSeed = seed != null ? String(seed) : roundSeed(sessionSeed ?? makeSeed(), round);
+  const random = createRandom(resolvedSeed);
+  if (mode === GAME_MODES.bullsCows) {
+    const presetKey = BULLS_COWS_PRESETS[difficulty] ? difficulty : 'medium';
+    const preset = BULLS_COWS_PRESETS[presetKey];
+    const code = { length: preset.length, allowRepeats: Boolean(allowRepeats) };
+    const drawnCode = generateCode(code.length, code.allowRepeats, random);
+    const state = {
+      ...baseRoundState({
+        round,
+        seed: resolvedSeed,
+        daily,
+        timerChallenge,
+        duration: positiveSeconds(timerSeconds) ?? preset.timerSeconds,
+        defaultDuration: preset.timerSeconds,
+        shotClock: shotSeconds,
+        random,
+        players,
+      }),
+      mode,
+      difficulty: presetKey,
+      custom: null,
+      code,
+      range: { min: 0, max: 10 ** code.length - 1 },
+      maxAttempts: preset.maxAttempts,
+      allowedHints: [HINT_TYPES.digit],
+      secret: typeof secret === 'string' ? secret : drawnCode,
+    };
+    return { state, events: [{ type: 'round_started', round, seed: resolvedSeed }] };
+  }
+
+  const timeAttack = mode === GAME_MODES.timeAttack;
+  const survival = mode === GAME_MODES.survival;
+  const isCustom = !survival && difficulty === CUSTOM_DIFFICULTY && Boolean(custom);
+  const settings = difficultySettings(difficulty, isCustom ? custom : null);
+  const { totalTime: defaultDuration, allowedHints } = settings;
+  const range = survival ? survivalRangeOf(0) : settings.range;
+  const maxAttempts = survival ? survivalStartingPool(difficulty) : settings.maxAttempts;
+  const drawnSecret = generateSecret(range.min, range.max, random);
+  const state = {
+    ...baseRoundState({
+      round,
+      seed: resolvedSeed,
+      daily,
+      timerChallenge: timeAttack || (!survival && timerChallenge),
+      duration: timeAttack ? TIME_ATTACK_SECONDS : positiveSeconds(timerSeconds) ?? defaultDuration,
+      defaultDuration: timeAttack ? TIME_ATTACK_SECONDS : defaultDuration,
+      shotClock: timeAttack || survival ? null : shotSeconds,
+      random,
+      players: timeAttack || survival ? null : players,
+    }),
+    mode: timeAttack || survival ? mode : GAME_MODES.classic,
+    difficulty: isCustom || DIFFICULTIES[difficulty] ? difficulty : 'medium',
+    custom: isCustom ? custom : null,
+    code: null,
+    range,
+    maxAttempts,
+    allowedHints: timeAttack ? [] : allowedHints,
+    secret: typeof secret === 'number' ? secret : drawnSecret,
+    // Time Attack: the secrets finished so far this run (see ./timeAttack)
+    ...(timeAttack ? { timeAttack: { secrets: [] } } : {}),
+    // Survival: the rounds finished so far this run (see ./survival)
+    ...(survival ? { survival: { rounds: [] } } : {}),
+  };
+  return { state, events: [{ type: 'round_started', round, seed: resolvedSeed }] };
+}
+
+// Compare a valid guess with the secret: too low/high for numbers, bulls and cows for codes
+function judgeGuess(state, value) {
+  if (state.code) {
+    const { bulls, cows } = scoreCode(state.secret, value);
+    return {
+      result: bulls === state.code.length ? 'correct' : 'scored',
+      extra: { bulls, cows },
+      message: { key: 'feedback_code', params: { bulls, cows } },
+    };
+  }
+  if (value < state.secret) return { result: 'too low', extra: {}, message: { key: 'feedback_low' } };
+  if (value > state.secret) return { result: 'too high', extra: {}, message: { key: 'feedback_high' } };
+  return { result: 'correct', extra: {}, message: null };
+}
+
+// PUBLIC_INTERFACE
+export function guess(state, { input, now = null } = {}) {
+  /**
+   * Submit a raw guess. Invalid and repeated guesses do not consume an attempt.
+   * In hot-seat rounds the guess is the current player's; a miss passes the turn.
+   * With the Timer Challenge clock running, `now` times the guess to the millisecond; a guess
+   * made after the deadline (or after the shot clock ran out) gets the timeout instead. A
+   * recorded guess restarts the shot clock from `now`.
+   * Emits: invalid_guess | repeat_guess | guess_recorded (+ wrong_guess [+ turn_changed] | won | lost).
+   */
+  if (isOver(state)) return { state, events: [] };
+  if (now != null && state.timerChallenge && state.deadline != null) {
+    const timed = tick(state, { now });
+    if (timed.events.length > 0) return timed;
+    const guessed = guess(timed.state, { input });
+    const { state: next } = guessed;
+    // A new turn leaves both clocks to be re-armed; otherwise the next shot is timed from this guess
+    return next.shotClock && next.shotDeadline == null && next.deadline != null && !isOver(next)
+      ? { ...guessed, state: { ...next, shotDeadline: now + next.shotLeft * 1000 } }
+      : guessed;
+  }
+
+  const validation = validateInput(input, state.range, state.code || null);
+  if (!validation.ok) {
+    return {
+      state: { ...state, message: { key: validation.messageKey, params: validation.params } },
+      events: [{ type: 'invalid_guess', messageKey: validation.messageKey, params: validation.params }],
+    };
+  }
+
+  const value = validation.value;
+  // Prevent repeated guesses: warn and ignore, do not decrement attempts, do not add to history
+  if (state.history.some((h) => h.value === value)) {
+    return {
+      state: { ...state, repeatWarning: { key: 'repeat_warning', params: { guess: value } } },
+      events: [{ type: 'repeat_guess', guess: value }],
+    };
+  }
+
+  const attempts = state.attempts + 1;
+  const player = currentPlayerOf(state);
+  // Hot-seat scoring and budgets count the guessing player's own attempts and hints
+  const playerAttempts = player ? player.attempts + 1 : attempts;
+  const hintCount = hintCountOf(player || state);
+  const { result, extra, message } = judgeGuess(state, value);
+  const entry = {
+    ...makeHistoryEntry(state.history.length + 1, value, result),
+    ...extra,
+    ...(state.timerChallenge ? { timeLeft: state.timeLeft } : {}),
+    ...(player ? { player: player.name } : {}),
+  };
+  let next = {
+    ...state,
+    attempts,
+    players: player ? patchCurrentPlayer(state, { attempts: playerAttempts }) : state.players,
+    history: [...state.history, entry],
+    repeatWarning: null,
+    ...freshShot(state),
+  };
+  const events = [{ type: 'guess_recorded', entry }];
+
+  if (result === 'correct' && state.timeAttack) {
+    const points = timeAttackPoints(attempts, state.maxAttempts);
+    events.push({ type: 'secret_solved', secret: state.secret, attempts, points });
+    const rolled = nextTimeAttackSecret(next, STATUS.won, points);
+    return { state: { ...rolled, message: { key: 'time_attack_solved', params: { secret: state.secret, points } } }, events };
+  }
+
+  if (result === 'correct' && state.survival) return nextSurvivalRound(next, events);
+
+  if (result === 'correct') {
+    const outcome = computeFinalScore({
+      attempts: playerAttempts,
+      rangeMax: rangeSizeOf(state.range),
+      hintCount,
+      timerChallenge: state.timerChallenge,
+      timeLeft: state.timeLeft,
+      totalTime: state.totalTime,
+      timeBonusWeight: state.timeBonusWeight ?? TIME_BONUS_WEIGHT,
+      baseScore: state.code ? computeCodeScore(playerAttempts, state.maxAttempts, state.code.length) : null,
+    });
+    const correctKey = state.code ? 'feedback_code_correct' : 'feedback_correct';
+    next = {
+      ...next,
+      status: STATUS.won,
+      score: outcome.score,
+      timeBonusPct: outcome.timeBonusPct,
+      puzzleLocked: true,
+      message: state.timerChallenge
+        ? { key: `${correctKey}_timebonus`, params: { secret: state.secret, score: outcome.score, bonus: outcome.timeBonusPct } }
+        : { key: correctKey, params: { secret: state.secret, score: outcome.score } },
+    };
+    events.push({
+      type: 'won',
+      ...outcome,
+      attempts: playerAttempts,
+      secret: state.secret,
+      hintCount,
+      player: player ? player.name : null,
+    });
+    return { state: next, events };
+  }
+
+  next.message = message;
+  events.push({ type: 'wrong_guess', result, ...extra });
+
+  if (state.timeAttack && state.maxAttempts - attempts <= 0) return missTimeAttackSecret(next, events);
+
+  // After processing wrong guess, pass the turn (hot-seat) or end the round once attempts run out
+  const passed = player ? advanceTurn(next) : null;
+  if (passed) {
+    next = passed;
+    events.push({ type: 'turn_changed', player: currentPlayerOf(passed).name });
+  } else if (state.maxAttempts - playerAttempts <= 0) {
+    next = {
+      ...next,
+      status: STATUS.outOfAttempts,
+      puzzleLocked: true,
+      message: { key: 'feedback_out_attempts' },
+    };
+    if (state.survival) next = endSurvivalRun(next);
+    events.push({ type: 'lost', reason: STATUS.outOfAttempts });
+  }
+  return { state: next, events };
+}
+
+// Time Attack: file the finished secret with its guesses; the run's score is the sum of its points
+function fileTimeAttackSecret(state, outcome, points) {
+  const secrets = [
+    ...state.timeAttack.secrets,
+    { index: state.timeAttack.secrets.length + 1, secret: state.secret, outcome, attempts: state.attempts, points, history: state.history },
+  ];
+  return { ...state, timeAttack: { secrets }, attempts: 0, history: [], score: summarizeTimeAttack(secrets).score };
+}
+
+// Time Attack: file the secret and roll into the next one, drawn in the same range from the run's seed
+function nextTimeAttackSecret(state, outcome, points) {
+  const filed = fileTimeAttackSecret(state, outcome, points);
+  const random = createRandom(roundSeed(state.seed, filed.timeAttack.secrets.length));
+  return {
+    ...filed,
+    secret: generateSecret(state.range.min, state.range.max, random),
+    hintTypesUsed: emptyHintTypes(),
+    lastHint: null,
+    repeatWarning: null,
+  };
+}
+
+// Time Attack: a secret out of attempts costs time instead of the run; the run ends if that empties the clock
+function missTimeAttackSecret(state, events) {
+  const penalized = {
+    ...state,
+    timeLeft: state.timeLeft - TIME_ATTACK_MISS_PENALTY,
+    deadline: state.deadline != null ? state.deadline - TIME_ATTACK_MISS_PENALTY * 1000 : null,
+  };
+  events.push({ type: 'secret_missed', secret: state.secret, penalty: TIME_ATTACK_MISS_PENALTY });
+  if (penalized.timeLeft <= 0) {
+    const over = timedOut(fileTimeAttackSecret(penalized, STATUS.outOfAttempts, 0));
+    return { state: over.state, events: [...events, ...over.events] };
+  }
+  const rolled = nextTimeAttackSecret(penalized, STATUS.outOfAttempts, 0);
+  return {
+    state: { ...rolled, message: { key: 'time_attack_missed', params: { secret: state.secret, penalty: TIME_ATTACK_MISS_PENALTY } } },
+    events,
+  };
+}
+
+// Survival: file the finished round; the run's score is the sum of its rounds' points
+function fileSurvivalRound(state, outcome, points, refill) {
+  const rounds = [
+    ...state.survival.rounds,
+    {
+      index: state.survival.rounds.length + 1,
+      range: state.range,
+      secret: state.secret,
+      outcome,
+      attempts: state.attempts,
+      hints: Object.keys(state.hintTypesUsed).filter((type) => state.hintTypesUsed[type]),
+      points,
+      refill,
+      history: state.history,
+    },
+  ];
+  return { ...state, survival: { rounds }, score: summarizeSurvival(rounds).score };
+}
+
+// Survival: a win scores like a classic round (hint penalty included), refills the pool and moves
+// on to the next, wider range with the attempts left over
+function nextSurvivalRound(state, events) {
+  const { score: points } = computeFinalScore({
+    attempts: state.attempts,
+    rangeMax: rangeSizeOf(state.range),
+    hintCount: hintCountOf(state),
+  });
+  const refill = survivalRefill(state.attempts, state.range);
+  const filed = fileSurvivalRound(state, STATUS.won, points, refill);
+  const index = filed.survival.rounds.length;
+  const range = survivalRangeOf(index);
+  const random = createRandom(roundSeed(state.seed, index));
+  const pool = state.maxAttempts - state.attempts + refill;
+  events.push({ type: 'survival_round_won', secret: state.secret, attempts: state.attempts, points, refill, range });
+  return {
+    state: {
+      ...filed,
+      range,
+      secret: generateSecret(range.min, range.max, random),
+      maxAttempts: pool,
+      attempts: 0,
+      history: [],
+      hintTypesUsed: emptyHintTypes(),
+      lastHint: null,
+      repeatWarning: null,
+      ...freshPuzzleState(nextPuzzleForRound(random)),
+      message: { key: 'survival_round_won', params: { secret: state.secret, points, refill, pool, max: range.max } },
+    },
+    events,
+  };
+}
+
+// Survival: the pool ran dry; file the round it ran dry on (its guesses move to the run) and sum up the run
+function endSurvivalRun(state) {
+  const filed = fileSurvivalRound(state, STATUS.outOfAttempts, 0, 0);
+  const { survived, score } = summarizeSurvival(filed.survival.rounds);
+  return { ...filed, history: [], message: { key: 'survival_over', params: { secret: state.secret, rounds: survived, score } } };
+}
+
+function rangeHint(state) {
+  const { range, secret } = state;
+  const totalSpan = range.max - range.min + 1;
+  const targetWidth = Math.min(Math.max(5, Math.floor(totalSpan / 3)), Math.max(3, totalSpan - 2));
+  const half = Math.floor(targetWidth / 2);
+  let start = Math.max(range.min, secret - half);
+  let end = start + targetWidth - 1;
+  if (end > range.max) {
+    end = range.max;
+    start = Math.max(range.min, end - targetWidth + 1);
+  }
+  if (start === range.min && end === range.max && totalSpan > 5) {
+    start = range.min + 1;
+    end = range.max - 1;
+  }
+  if (secret < start) start = secret;
+  if (secret > end) end = secret;
+  return { key: 'hint_range_text', params: { start, end } };
+}
+
+function digitHint(state) {
+  // Leading digit of the magnitude, so negative secrets hint their first digit too
+  const s = String(Math.abs(state.secret));
+  const digit = s[0];
+  return s.length === 1
+    ? { key: 'hint_digit_text_single', params: { digit } }
+    : { key: 'hint_digit_text_multi', params: { digit } };
+}
+
+function proximityHint(state, input) {
+  if (state.attempts <= 0) return { key: 'hint_proximity_need_guess' };
+  const thresholdVeryClose = 3;
+  const thresholdHot = 6;
+  const thresholdWarm = 12;
+
+  const parsed = Number(input);
+  const { range } = state;
+  const valid =
+    input !== '' && input != null && !Number.isNaN(parsed) && Number.isInteger(parsed) && parsed >= range.min && parsed <= range.max;
+  if (!valid) return { key: 'hint_proximity_after_valid' };
+
+  const delta = Math.abs(state.secret - parsed);
+  if (delta === 0) return { key: 'hint_proximity_already_correct' };
+  if (delta <= thresholdVeryClose) return { key: 'hint_proximity_very_close' };
+  if (delta <= thresholdHot) return { key: 'hint_proximity_hot' };
+  if (delta <= thresholdWarm) return { key: 'hint_proximity_warm' };
+  return { key: 'hint_proximity_cold' };
+}
+
+function describeHint(state, type, input) {
+  switch (type) {
+    case HINT_TYPES.parity:
+      return { key: 'hint_parity_text', params: { parity: state.secret % 2 === 0 ? 'even' : 'odd' } };
+    case HINT_TYPES.digit:
+      // Codes reveal a digit in place instead of the leading digit
+      return state.code ? codeDigitHint(state.secret, state.history) : digitHint(state);
+    case HINT_TYPES.proximity:
+      return proximityHint(state, input);
+    case HINT_TYPES.range:
+    default:
+      return rangeHint(state);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function applyHint(state, { hintType: type, input = '' } = {}) {
+  /**
+   * Reveal a hint of the given type. The penalty applies once per hint type.
+   * `input` is the current (unsubmitted) guess text used by the proximity hint.
+   * Emits: hint.
+   */
+  if (isOver(state)) return { state, events: [] };
+  const hintType = HINT_TYPES[type] ? type : HINT_TYPES.range;
+  if (!isHintAllowed(state, hintType)) return { state, events: [] };
+  const message = describeHint(state, hintType, input);
+  const firstUse = !state.hintTypesUsed[hintType];
+  const hintTypesUsed = firstUse ? { ...state.hintTypesUsed, [hintType]: true } : state.hintTypesUsed;
+  const next = {
+    ...state,
+    lastHint: { type: hintType, ...message },
+    message,
+    hintTypesUsed,
+    roundLog: logEvent(state, 'hint', { hintType, ...message }),
+    // Hot-seat hints count against the player who asked
+    players: state.players ? patchCurrentPlayer(state, { hintTypesUsed }) : state.players,
+  };
+  return { state: next, events: [{ type: 'hint', hintType, penalized: firstUse, ...message }] };
+}
+
+// End the round on the clock; history is left untouched. A Time Attack run files the secret in
+// play (if guessed at) and reports its total.
+function timedOut(state) {
+  const over = {
+    ...state,
+    timeLeft: 0,
+    status: STATUS.timeout,
+    puzzleLocked: true,
+    message: { key: 'feedback_timeout_round_over' },
+    roundLog: logEvent({ ...state, timeLeft: 0 }, 'timeout', {}),
+  };
+  if (!state.timeAttack) return { state: over, events: [{ type: 'lost', reason: STATUS.timeout }] };
+  const filed = over.history.length > 0 ? fileTimeAttackSecret(over, STATUS.timeout, 0) : over;
+  const { solved, score } = summarizeTimeAttack(filed.timeAttack.secrets);
+  return {
+    state: { ...filed, message: { key: 'time_attack_over', params: { solved, score } } },
+    events: [{ type: 'lost', reason: STATUS.timeout }],
+  };
+}
+
+// Hot-seat: the current player's turn ran out (turn or shot clock). It costs them an attempt and
+// passes the turn; the round times out when nobody has attempts left.
+function turnTimedOut(state, logFields = {}) {
+  const player = currentPlayerOf(state);
+  const spent = { ...state, players: patchCurrentPlayer(state, { attempts: player.attempts + 1 }) };
+  const passed = advanceTurn(spent);
+  if (!passed) return timedOut(spent);
+  const nextPlayer = currentPlayerOf(passed).name;
+  return {
+    state: {
+      ...passed,
+      message: { key: 'feedback_turn_timeout', params: { player: player.name, next: nextPlayer } },
+      roundLog: logEvent(state, 'timeout', logFields),
+    },
+    events: [
+      { type: 'turn_timeout', player: player.name },
+      { type: 'turn_changed', player: nextPlayer },
+    ],
+  };
+}
+
+// No guess came within the shot clock: it costs an attempt and the next shot starts where this
+// one ran out, so a late tick cannot hand out extra time
+function shotMissed(state) {
+  if (state.players) return turnTimedOut(state, { shotClock: true });
+  const attempts = state.attempts + 1;
+  const attemptsLeft = Math.max(0, state.maxAttempts - attempts);
+  const roundLog = logEvent(state, 'timeout', { shotClock: true });
+  if (attemptsLeft === 0) {
+    return {
+      state: { ...state, attempts, status: STATUS.outOfAttempts, puzzleLocked: true, message: { key: 'feedback_shot_clock_out' }, roundLog },
+      events: [
+        { type: 'shot_clock_expired', attemptsLeft },
+        { type: 'lost', reason: STATUS.outOfAttempts },
+      ],
+    };
+  }
+  return {
+    state: {
+      ...state,
+      attempts,
+      shotLeft: state.shotClock,
+      shotDeadline: state.shotDeadline != null ? state.shotDeadline + state.shotClock * 1000 : null,
+      message: { key: 'feedback_shot_clock', params: { remaining: attemptsLeft } },
+      roundLog,
+    },
+    events: [{ type: 'shot_clock_expired', attemptsLeft }],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function tick(state, { seconds = 1, now = null } = {}) {
+  /**
+   * Advance the Timer Challenge countdown. Reaching zero ends the round as 'timeout'.
+   * Given the clock time `now` (ms on a monotonic clock such as performance.now()), the
+   * countdown runs to a deadline instead: the first such tick arms it from timeLeft and later
+   * ones set timeLeft from it, so late, throttled or doubled ticks cannot stretch the round.
+   * Without `now` it counts down by `seconds`.
+   * The shot clock, when set, counts down alongside: running out costs an attempt (ending the
+   * round when none are left) and starts the next shot.
+   * In hot-seat rounds the countdown is per turn: running out costs that player an attempt
+   * and passes the turn; the round times out only when nobody has attempts left.
+   * No-op when the timer is off or the round is over.
+   * Emits: lost (reason timeout) | turn_timeout + turn_changed | shot_clock_expired [+ lost].
+   */
+  if (isOver(state) || !state.timerChallenge) return { state, events: [] };
+  const shotClock = state.shotClock ?? null;
+  if (now != null && (state.deadline == null || (shotClock && state.shotDeadline == null))) {
+    const deadline = state.deadline ?? now + state.timeLeft * 1000;
+    const shotDeadline = shotClock ? state.shotDeadline ?? now + state.shotLeft * 1000 : null;
+    return { state: { ...state, deadline, shotDeadline }, events: [] };
+  }
+  const timeLeft = now != null ? Math.round(state.deadline - now) / 1000 : state.timeLeft - seconds;
+  if (timeLeft <= 0 && state.players) return turnTimedOut({ ...state, timeLeft: 0 });
+  if (timeLeft <= 0) return timedOut(state);
+  let shotLeft = state.shotLeft ?? null;
+  if (shotClock) shotLeft = now != null ? Math.round(state.shotDeadline - now) / 1000 : shotLeft - seconds;
+  // Counting down by seconds moves armed deadlines along with it
+  const shift = (at) => (now == null && at != null ? at - seconds * 1000 : at);
+  const running = { ...state, timeLeft, deadline: shift(state.deadline), shotLeft, shotDeadline: shift(state.shotDeadline ?? null) };
+  if (shotClock && shotLeft <= 0) return shotMissed(running);
+  return { state: running, events: [] };
+}
+
+// PUBLIC_INTERFACE
+export function resumeRound(state, { elapsedSeconds = 0 } = {}) {
+  /**
+   * Continue a round saved before a reload (see ./resume). A Timer Challenge clock is charged
+   * for the seconds spent away, so reloading cannot pause it: running out ends the round (or,
+   * in hot-seat, the current turn) as a tick would.
+   * Emits: round_resumed, then those of tick.
+   */
+  const events = [{ type: 'round_resumed', round: state.round, seed: state.seed }];
+  // The deadlines were on the old page's clock; the next tick re-arms them
+  const resumed = { ...state, deadline: null, shotDeadline: null };
+  if (isOver(resumed) || !resumed.timerChallenge || elapsedSeconds <= 0) return { state: resumed, events };
+  const charged = tick(resumed, { seconds: elapsedSeconds });
+  return { state: charged.state, events: [...events, ...charged.events] };
+}
+
+// PUBLIC_INTERFACE
+export function setTimerChallenge(state, { enabled, timerSeconds, shotClock } = {}) {
+  /**
+   * Toggle Timer Challenge and, when given, change its round time (`timerSeconds`, null for the
+   * difficulty's default) and shot clock (`shotClock`, null for none). The countdown restarts
+   * from the full duration. Time Attack runs keep their clock and Survival runs stay untimed.
+   */
+  if (state.timeAttack || state.survival) return { state, events: [] };
+  const defaultTime = defaultTimerSecondsOf(state);
+  const totalTime = timerSeconds === undefined ? state.totalTime : positiveSeconds(timerSeconds) ?? defaultTime;
+  const shot = shotClock === undefined ? state.shotClock ?? null : positiveSeconds(shotClock);
+  return {
+    state: {
+      ...state,
+      timerChallenge: Boolean(enabled),
+      totalTime,
+      timeLeft: totalTime,
+      deadline: null,
+      shotClock: shot,
+      shotLeft: shot,
+      shotDeadline: null,
+      timeBonusWeight: timeBonusWeightOf({ totalTime, defaultTime, shotClock: shot }),
+      timeBonusPct: 0,
+    },
+    events: [],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function resetPuzzle(state) {
+  /** Clear answers to the round's puzzle (Puzzle Mode toggled on mid-round) */
+  if (isOver(state)) return { state, events: [] };
+  return { state: { ...state, ...freshPuzzleState(state.puzzle) }, events: [] };
+}
+
+// PUBLIC_INTERFACE
+export function answerPuzzle(state, { correct, hintType = null, input = '' } = {}) {
+  /**
+   * Answer the round's puzzle. A correct answer applies the chosen (or the puzzle's default)
+   * hint immediately, penalized as usual. A wrong answer allows a single retry, then locks.
+   * Emits: puzzle_solved (+ hint) | puzzle_incorrect.
+   */
+  if (!state.puzzle || state.puzzleLocked || isOver(state)) return { state, events: [] };
+  if (correct) {
+    const solved = {
+      ...state,
+      puzzleAnswered: true,
+      puzzleLocked: true,
+      puzzleMessage: { key: 'puzzle_correct' },
+      roundLog: logEvent(state, 'puzzle', { correct: true }),
+    };
+    const preferred = hintType || state.puzzle.defaultHintType || HINT_TYPES.range;
+    // Custom difficulties may disable the puzzle's clue; fall back to the first allowed one
+    const type = isHintAllowed(state, preferred) ? preferred : state.allowedHints[0];
+    if (!type) {
+      return { state: solved, events: [{ type: 'puzzle_solved', puzzleId: state.puzzle.id, hintType: null }] };
+    }
+    const hinted = applyHint(solved, { hintType: type, input });
+    return {
+      state: hinted.state,
+      events: [{ type: 'puzzle_solved', puzzleId: state.puzzle.id, hintType: type }, ...hinted.events],
+    };
+  }
+  if (!state.puzzleRetryUsed) {
+    return {
+      state: {
+        ...state,
+        puzzleRetryUsed: true,
+        puzzleMessage: { key: 'puzzle_incorrect_retry' },
+        roundLog: logEvent(state, 'puzzle', { correct: false }),
+      },
+      events: [{ type: 'puzzle_incorrect', locked: false }],
+    };
+  }
+  return {
+    state: {
+      ...state,
+      puzzleLocked: true,
+      puzzleMessage: { key: 'puzzle_incorrect_locked' },
+      roundLog: logEvent(state, 'puzzle', { correct: false }),
+    },
+    events: [{ type: 'puzzle_incorrect', locked: true }],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function gameReducer(state, action) {
+  /**
+   * Single entry point dispatching `{ type, ...payload }` actions to the engine functions.
+   * Unknown actions return the state unchanged with no events.
+   */
+  switch (action?.type) {
+    case 'startRound':
+      return startRound({ round: state ? state.round + 1 : 0, ...action });
+    case 'guess':
+      return guess(state, action);
+    case 'useHint':
+      return applyHint(state, action);
+    case 'tick':
+      return tick(state, action);
+    case 'answerPuzzle':
+      return answerPuzzle(state, action);
+    case 'setTimerChallenge':
+      return setTimerChallenge(state, action);
+    case 'resetPuzzle':
+      return resetPuzzle(state);
+    case 'resumeRound':
+      return resumeRound(action.state, action);
+    default:
+      return { state, events: [] };
+  }
+}
@@ -0,0 +1,515 @@
+import {
+  HINT_PENALTY,
+  MAX_FINAL_SCORE,
+  answerPuzzle,
+  applyHint,
+  attemptsRemainingOf,
+  computeFinalScore,
+  computeScore,
+  difficultySettings,
+  gameReducer,
+  guess,
+  hintCountOf,
+  runHistoryOf,
+  setTimerChallenge,
+  startRound,
+  tick,
+  timeBonusWeightOf,
+  validateInput,
+} from './engine';
+import { summarizeSurvival, survivalRangeOf } from './survival';
+import { summarizeTimeAttack, timeAttackEfficiencyBonus } from './timeAttack';
+
+function round(overrides = {}) {
+  return startRound({ difficulty: 'easy', secret: 12, ...overrides }).state;
+}
+
+test('startRound applies the difficulty preset and honours a forced secret', () => {
+  const { state, events } = startRound({ difficulty: 'hard', secret: 77 });
+  expect(state.range).toEqual({ min: 1, max: 100 });
+  expect(state.maxAttempts).toBe(10);
+  expect(state.secret).toBe(77);
+  expect(state.status).toBe('playing');
+  expect(attemptsRemainingOf(state)).toBe(10);
+  expect(events).toEqual([{ type: 'round_started', round: 0, seed: state.seed }]);
+});
+
+test('validateInput rejects empty, non-integer and out-of-range values', () => {
+  const range = { min: 1, max: 20 };
+  expect(validateInput('', range)).toEqual({ ok: false, messageKey: 'guessLabel' });
+  expect(validateInput('2.5', range).ok).toBe(false);
+  expect(validateInput('abc', range).ok).toBe(false);
+  expect(validateInput('21', range)).toEqual({ ok: false, messageKey: 'guessPlaceholder', params: { min: 1, max: 20 } });
+  expect(validateInput('7', range)).toEqual({ ok: true, value: 7 });
+});
+
+test('wrong guesses record history and consume attempts; repeats and invalid input do not', () => {
+  let state = round();
+  let result = guess(state, { input: '5' });
+  state = result.state;
+  expect(state.attempts).toBe(1);
+  expect(state.history[0]).toMatchObject({ index: 1, value: 5, result: 'too low' });
+  expect(state.message).toEqual({ key: 'feedback_low' });
+  expect(result.events.map((e) => e.type)).toEqual(['guess_recorded', 'wrong_guess']);
+
+  result = guess(state, { input: '5' });
+  expect(result.state.attempts).toBe(1);
+  expect(result.state.repeatWarning).toEqual({ key: 'repeat_warning', params: { guess: 5 } });
+  expect(result.events).toEqual([{ type: 'repeat_guess', guess: 5 }]);
+
+  result = guess(state, { input: '99' });
+  expect(result.state.attempts).toBe(1);
+  expect(result.events[0].type).toBe('invalid_guess');
+
+  result = guess(state, { input: '15' });
+  expect(result.state.history[1].result).toBe('too high');
+  expect(result.state.repeatWarning).toBeNull();
+});
+
+test('a correct guess wins with score and emits won; further guesses are ignored', () => {
+  const { state, events } = guess(round(), { input: '12' });
+  expect(state.status).toBe('won');
+  expect(state.score).toBe(computeScore(1, 20));
+  expect(events[1]).toMatchObject({ type: 'won', attempts: 1, secret: 12, hintCount: 0 });
+  expect(guess(state, { input: '3' })).toEqual({ state, events: [] });
+});
+
+test('running out of attempts ends the round as out_of_attempts', () => {
+  let state = round();
+  let events = [];
+  for (const g of [1, 2, 3, 4, 5, 6]) {
+    ({ state, events } = guess(state, { input: String(g) }));
+  }
+  expect(state.status).toBe('out_of_attempts');
+  expect(state.message).toEqual({ key: 'feedback_out_attempts' });
+  expect(events[events.length - 1]).toEqual({ type: 'lost', reason: 'out_of_attempts' });
+});
+
+test('hints are penalized once per type and reduce the final score', () => {
+  let state = round({ secret: 13 });
+  state = applyHint(state, { hintType: 'parity' }).state;
+  expect(state.message).toEqual({ key: 'hint_parity_text', params: { parity: 'odd' } });
+  const again = applyHint(state, { hintType: 'parity' });
+  expect(again.events[0].penalized).toBe(false);
+  expect(hintCountOf(again.state)).toBe(1);
+
+  state = applyHint(state, { hintType: 'digit' }).state;
+  expect(state.message).toEqual({ key: 'hint_digit_text_multi', params: { digit: '1' } });
+  expect(hintCountOf(state)).toBe(2);
+
+  const won = guess(state, { input: '13' }).state;
+  expect(won.score).toBe(computeScore(1, 20) - 2 * HINT_PENALTY);
+});
+
+test('proximity hint needs a prior guess and a valid current input', () => {
+  let state = round();
+  expect(applyHint(state, { hintType: 'proximity' }).state.message.key).toBe('hint_proximity_need_guess');
+  state = guess(state, { input: '1' }).state;
+  expect(applyHint(state, { hintType: 'proximity', input: '' }).state.message.key).toBe('hint_proximity_after_valid');
+  expect(applyHint(state, { hintType: 'proximity', input: '10' }).state.message.key).toBe('hint_proximity_very_close');
+  expect(applyHint(state, { hintType: 'proximity', input: '1' }).state.message.key).toBe('hint_proximity_warm');
+});
+
+test('range hint always contains the secret and narrows the range', () => {
+  for (const secret of [1, 10, 20]) {
+    const { params } = applyHint(round({ secret }), { hintType: 'range' }).state.message;
+    expect(params.start).toBeLessThanOrEqual(secret);
+    expect(params.end).toBeGreaterThanOrEqual(secret);
+    expect(params.end - params.start).toBeLessThan(19);
+  }
+});
+
+test('timer ticks only in Timer Challenge and times out at zero', () => {
+  const plain = round();
+  expect(tick(plain).state).toBe(plain);
+
+  let state = round({ timerChallenge: true });
+  expect(state.timeLeft).toBe(30);
+  state = tick(state, { seconds: 29 }).state;
+  expect(state.timeLeft).toBe(1);
+  const { state: over, events } = tick(state);
+  expect(over.status).toBe('timeout');
+  expect(over.timeLeft).toBe(0);
+  expect(events).toEqual([{ type: 'lost', reason: 'timeout' }]);
+});
+
+test('the clock counts down to a deadline, so late or doubled ticks cannot add time', () => {
+  let state = tick(round({ timerChallenge: true, secret: 12 }), { now: 1000 }).state;
+  expect(state.deadline).toBe(31000);
+  expect(state.timeLeft).toBe(30);
+
+  state = tick(state, { now: 13345.6 }).state;
+  expect(state.timeLeft).toBe(17.654);
+  expect(tick(state, { now: 13345.6 }).state.timeLeft).toBe(17.654);
+
+  const early = guess(state, { input: '12', now: 14000 });
+  expect(early.state.history[0].timeLeft).toBe(17);
+  expect(early.events.map((e) => e.type)).toEqual(['guess_recorded', 'won']);
+
+  const late = guess(state, { input: '12', now: 31000 });
+  expect(late.state.status).toBe('timeout');
+  expect(late.state.history).toEqual([]);
+  expect(late.events).toEqual([{ type: 'lost', reason: 'timeout' }]);
+});
+
+test('a new turn or toggling the timer leaves the clock to be armed again', () => {
+  const hotSeat = tick(round({ players: ['Ann', 'Bo'], timerChallenge: true }), { now: 0 }).state;
+  const passed = guess(hotSeat, { input: '5', now: 4000 }).state;
+  expect(passed.timeLeft).toBe(30);
+  expect(passed.deadline).toBeNull();
+  expect(setTimerChallenge(hotSeat, { enabled: true }).state.deadline).toBeNull();
+});
+
+test('computeFinalScore applies time bonus and clamps to MAX_FINAL_SCORE', () => {
+  const full = computeFinalScore({ attempts: 1, rangeMax: 20, timerChallenge: true, timeLeft: 30, totalTime: 30 });
+  expect(full.timeBonusPct).toBe(50);
+  expect(full.score).toBe(Math.round(computeScore(1, 20) * 1.5));
+  expect(computeFinalScore({ attempts: 1, rangeMax: 100000, timerChallenge: true, timeLeft: 1, totalTime: 1 }).score)
+    .toBeLessThanOrEqual(MAX_FINAL_SCORE);
+});
+
+test('chosen round times and shot clocks scale the time bonus', () => {
+  expect(timeBonusWeightOf({ totalTime: 30, defaultTime: 30 })).toBe(0.5);
+  expect(timeBonusWeightOf({ totalTime: 15, defaultTime: 30 })).toBe(1);
+  expect(timeBonusWeightOf({ totalTime: 120, defaultTime: 30 })).toBe(0.25);
+  expect(timeBonusWeightOf({ totalTime: 30, defaultTime: 30, shotClock: 10 })).toBe(0.75);
+  expect(timeBonusWeightOf({ totalTime: 30, defaultTime: 30, shotClock: 5 })).toBe(1);
+
+  const quick = round({ timerChallenge: true, timerSeconds: 15, shotClock: 10 });
+  expect(quick.totalTime).toBe(15);
+  expect(quick.shotLeft).toBe(10);
+  const won = guess(quick, { input: '12' }).state;
+  expect(won.timeBonusPct).toBe(125);
+  expect(round({ timerChallenge: true }).shotClock).toBeNull();
+
+  const retimed = setTimerChallenge(quick, { enabled: true, timerSeconds: null }).state;
+  expect([retimed.totalTime, retimed.shotClock, retimed.timeBonusWeight]).toEqual([30, 10, 0.75]);
+});
+
+test('the shot clock costs an attempt for each guess not made in time', () => {
+  let state = round({ timerChallenge: true, shotClock: 8 });
+  state = tick(state, { seconds: 5 }).state;
+  expect(state.shotLeft).toBe(3);
+  state = guess(state, { input: '5' }).state;
+  expect(state.shotLeft).toBe(8);
+
+  const missed = tick(state, { seconds: 8 });
+  expect(missed.events).toEqual([{ type: 'shot_clock_expired', attemptsLeft: 4 }]);
+  expect(missed.state.attempts).toBe(2);
+  expect(missed.state.history).toHaveLength(1);
+  expect(missed.state.message).toEqual({ key: 'feedback_shot_clock', params: { remaining: 4 } });
+  expect(missed.state.roundLog[0]).toMatchObject({ kind: 'timeout', shotClock: true });
+  expect(missed.state.shotLeft).toBe(8);
+
+  const last = { ...missed.state, attempts: 5 };
+  const out = tick(last, { seconds: 8 });
+  expect(out.state.status).toBe('out_of_attempts');
+  expect(out.events.map((e) => e.type)).toEqual(['shot_clock_expired', 'lost']);
+});
+
+test('on the clock, each shot runs from the previous guess or the missed shot', () => {
+  let state = tick(round({ timerChallenge: true, timerSeconds: 60, shotClock: 8 }), { now: 0 }).state;
+  expect([state.deadline, state.shotDeadline]).toEqual([60000, 8000]);
+  state = guess(state, { input: '5', now: 5000 }).state;
+  expect(state.shotDeadline).toBe(13000);
+
+  const missed = tick(state, { now: 13200 });
+  expect(missed.events.map((e) => e.type)).toEqual(['shot_clock_expired']);
+  expect(missed.state.shotDeadline).toBe(21000);
+  expect(guess(missed.state, { input: '12', now: 21500 }).events.map((e) => e.type)).toEqual(['shot_clock_expired']);
+
+  // In hot-seat a missed shot ends the turn like the turn clock does
+  const hotSeat = tick(round({ players: ['Ann', 'Bo'], timerChallenge: true, shotClock: 5 }), { now: 0 }).state;
+  const passed = tick(hotSeat, { now: 5000 });
+  expect(passed.events.map((e) => e.type)).toEqual(['turn_timeout', 'turn_changed']);
+  expect(passed.state.players.map((p) => p.attempts)).toEqual([1, 0]);
+  expect([passed.state.deadline, passed.state.shotDeadline, passed.state.shotLeft]).toEqual([null, null, 5]);
+});
+
+test('answerPuzzle applies the default hint on success and locks after one retry on failure', () => {
+  const start = round();
+  const solved = answerPuzzle(start, { correct: true });
+  expect(solved.state.puzzleLocked).toBe(true);
+  expect(solved.state.hintTypesUsed[start.puzzle.defaultHintType]).toBe(true);
+  expect(solved.events.map((e) => e.type)).toEqual(['puzzle_solved', 'hint']);
+
+  const once = answerPuzzle(start, { correct: false }).state;
+  expect(once.puzzleRetryUsed).toBe(true);
+  expect(once.puzzleLocked).toBe(false);
+  const twice = answerPuzzle(once, { correct: false }).state;
+  expect(twice.puzzleLocked).toBe(true);
+  expect(twice.puzzleMessage).toEqual({ key: 'puzzle_incorrect_locked' });
+});
+
+test('gameReducer dispatches actions and increments the round counter', () => {
+  const first = gameReducer(null, { type: 'startRound', difficulty: 'medium', secret: 3 }).state;
+  expect(first.round).toBe(0);
+  const next = gameReducer(first, { type: 'startRound', difficulty: 'medium', secret: 4 }).state;
+  expect(next.round).toBe(1);
+  expect(gameReducer(next, { type: 'useHint', hintType: 'parity' }).state.message.params.parity).toBe('even');
+  expect(gameReducer(next, { type: 'unknown' }).state).toBe(next);
+});
+
+test('a round is reproducible from its seed', () => {
+  const a = startRound({ difficulty: 'hard', seed: 'bug-report-42' }).state;
+  const b = startRound({ difficulty: 'hard', seed: 'bug-report-42' }).state;
+  expect(a.seed).toBe('bug-report-42');
+  expect(b.secret).toBe(a.secret);
+  expect(b.puzzle.id).toBe(a.puzzle.id);
+
+  const fromSession = startRound({ difficulty: 'hard', sessionSeed: 'bug-report-42', round: 0 }).state;
+  expect(fromSession.secret).toBe(a.secret);
+  const later = startRound({ difficulty: 'hard', sessionSeed: 'bug-report-42', round: 3 }).state;
+  expect(later.seed).toBe('bug-report-42-3');
+});
+
+test('custom difficulty rounds use the config range, budget, timer and allowed hints', () => {
+  const custom = { min: -1000000, max: 1000000, maxAttempts: 21, timerSeconds: 90, hintTypes: ['parity', 'range'] };
+  const { state } = startRound({ difficulty: 'custom', custom, seed: 'custom-1' });
+  expect(state.range).toEqual({ min: -1000000, max: 1000000 });
+  expect(state.secret).toBeGreaterThanOrEqual(-1000000);
+  expect(state.secret).toBeLessThanOrEqual(1000000);
+  expect(state.maxAttempts).toBe(21);
+  expect(state.totalTime).toBe(90);
+  expect(state.custom).toBe(custom);
+  expect(difficultySettings('easy').allowedHints).toHaveLength(4);
+
+  expect(applyHint(state, { hintType: 'digit' }).events).toEqual([]);
+  expect(applyHint(state, { hintType: 'parity' }).events[0].type).toBe('hint');
+
+  const negative = startRound({ difficulty: 'custom', custom, secret: -42 }).state;
+  expect(applyHint(negative, { hintType: 'digit' })).toEqual({ state: negative, events: [] });
+  expect(guess(negative, { input: '-42' }).state.status).toBe('won');
+  expect(guess(negative, { input: '-42' }).state.score).toBe(computeScore(1, 2000001));
+
+  // A puzzle clue the rules don't allow falls back to an allowed one
+  const solved = answerPuzzle(negative, { correct: true, hintType: 'digit' });
+  expect(solved.events[1].hintType).toBe('parity');
+});
+
+test('bulls-and-cows rounds validate, score and hint digit codes', () => {
+  const { state } = startRound({ mode: 'bulls_cows', difficulty: 'medium', secret: '4071' });
+  expect(state.code).toEqual({ length: 4, allowRepeats: false });
+  expect(state.maxAttempts).toBe(10);
+  expect(validateInput('4411', state.range, state.code).messageKey).toBe('code_error_repeats');
+
+  const drawn = startRound({ mode: 'bulls_cows', difficulty: 'hard', seed: 'code-seed' }).state;
+  expect(drawn.secret).toMatch(/^[0-9]{5}$/);
+  expect(startRound({ mode: 'bulls_cows', difficulty: 'custom', seed: 'x' }).state.difficulty).toBe('medium');
+
+  let result = guess(state, { input: '4710' });
+  expect(result.state.history[0]).toMatchObject({ value: '4710', result: 'scored', bulls: 1, cows: 3 });
+  expect(result.state.message).toEqual({ key: 'feedback_code', params: { bulls: 1, cows: 3 } });
+  expect(result.events[1]).toMatchObject({ type: 'wrong_guess', bulls: 1, cows: 3 });
+  expect(guess(result.state, { input: '4710' }).events[0].type).toBe('repeat_guess');
+
+  const hinted = applyHint(result.state, { hintType: 'digit' }).state;
+  expect(hinted.message).toEqual({ key: 'hint_digit_code', params: { position: 2, digit: '0' } });
+  expect(applyHint(result.state, { hintType: 'parity' }).events).toEqual([]);
+
+  const won = guess(hinted, { input: '4071' });
+  expect(won.state.status).toBe('won');
+  expect(won.state.message.key).toBe('feedback_code_correct');
+  expect(won.state.score).toBe(900 - HINT_PENALTY);
+});
+
+test('hot-seat rounds rotate turns with per-player attempts, hints and turn timer', () => {
+  let state = round({ players: ['Ann', 'Bo'], timerChallenge: true });
+  expect(state.players.map((p) => p.name)).toEqual(['Ann', 'Bo']);
+  expect(state.turn).toBe(0);
+
+  let result = guess(state, { input: '5' });
+  expect(result.state.history[0].player).toBe('Ann');
+  expect(result.events.map((e) => e.type)).toEqual(['guess_recorded', 'wrong_guess', 'turn_changed']);
+  expect(result.events[2].player).toBe('Bo');
+  state = applyHint(result.state, { hintType: 'parity' }).state;
+  expect(state.players[1].hintTypesUsed.parity).toBe(true);
+  expect(state.players[0].hintTypesUsed.parity).toBe(false);
+
+  // The turn timer expiring costs Bo an attempt and passes the turn back to Ann
+  result = tick(state, { seconds: 30 });
+  expect(result.events).toEqual([
+    { type: 'turn_timeout', player: 'Bo' },
+    { type: 'turn_changed', player: 'Ann' },
+  ]);
+  state = result.state;
+  expect(state.players.map((p) => p.attempts)).toEqual([1, 1]);
+  expect(state.timeLeft).toBe(30);
+  expect(hintCountOf(state)).toBe(0);
+
+  result = guess(state, { input: '12' });
+  const won = result.events.find((e) => e.type === 'won');
+  expect(won.player).toBe('Ann');
+  expect(won.attempts).toBe(2);
+  expect(won.hintCount).toBe(0);
+});
+
+test('hot-seat rounds are lost only once every player has used their budget', () => {
+  let state = round({ players: ['Ann', 'Bo'] });
+  for (let i = 1; i <= 11; i++) state = guess(state, { input: String(i) }).state;
+  expect(state.status).toBe('playing');
+  expect(state.players.map((p) => p.attempts)).toEqual([6, 5]);
+  expect(attemptsRemainingOf(state)).toBe(1);
+  const { state: over, events } = guess(state, { input: '13' });
+  expect(over.status).toBe('out_of_attempts');
+  expect(events[events.length - 1]).toEqual({ type: 'lost', reason: 'out_of_attempts' });
+});
+
+test('Time Attack rolls solved secrets into new ones and charges misses to the clock', () => {
+  let state = round({ mode: 'time_attack', seed: 42 });
+  expect(state).toMatchObject({ mode: 'time_attack', timerChallenge: true, timeLeft: 120, allowedHints: [] });
+
+  let result = guess(state, { input: '12' });
+  expect(result.events.map((e) => e.type)).toEqual(['guess_recorded', 'secret_solved']);
+  expect(result.events[1]).toMatchObject({ secret: 12, attempts: 1, points: 150 });
+  state = result.state;
+  expect(state.status).toBe('playing');
+  expect(state).toMatchObject({ attempts: 0, history: [], score: 150 });
+  expect(state.secret).toBeGreaterThanOrEqual(1);
+  expect(state.secret).toBeLessThanOrEqual(20);
+
+  // Six wrong guesses miss the secret: ten seconds off the clock and on to the next one
+  const wrong = [1, 2, 3, 4, 5, 6, 7, 8].filter((n) => n !== state.secret).slice(0, 6);
+  const missedSecret = state.secret;
+  for (const n of wrong) result = guess(result.state, { input: String(n) });
+  expect(result.events.map((e) => e.type)).toEqual(['guess_recorded', 'wrong_guess', 'secret_missed']);
+  state = result.state;
+  expect(state).toMatchObject({ status: 'playing', timeLeft: 110, attempts: 0 });
+  expect(state.timeAttack.secrets.map((s) => [s.secret, s.outcome, s.attempts, s.points])).toEqual([
+    [12, 'won', 1, 150],
+    [missedSecret, 'out_of_attempts', 6, 0],
+  ]);
+
+  // The clock ends the run; the secret in progress is filed with its guesses
+  state = guess(state, { input: String(state.secret === 20 ? 19 : 20) }).state;
+  result = tick(state, { seconds: 110 });
+  expect(result.events).toEqual([{ type: 'lost', reason: 'timeout' }]);
+  expect(result.state.status).toBe('timeout');
+  expect(result.state.message).toEqual({ key: 'time_attack_over', params: { solved: 1, score: 150 } });
+  expect(result.state.timeAttack.secrets[2]).toMatchObject({ outcome: 'timeout', attempts: 1 });
+  expect(runHistoryOf(result.state)).toHaveLength(8);
+  expect(summarizeTimeAttack(result.state.timeAttack.secrets)).toEqual({ solved: 1, missed: 1, bonus: 50, score: 150 });
+});
+
+test('the Time Attack efficiency bonus shrinks with the attempts a secret took', () => {
+  expect([1, 2, 6].map((n) => timeAttackEfficiencyBonus(n, 6))).toEqual([50, 40, 0]);
+});
+
+test('Time Attack draws each secret from the run seed, and a miss takes ten seconds off the clock', () => {
+  const solveFirst = (seed) => guess(round({ mode: 'time_attack', seed }), { input: '12' }).state;
+  const rolled = solveFirst(5);
+  expect(solveFirst(5).secret).toBe(rolled.secret);
+  expect(rolled).toMatchObject({ range: { min: 1, max: 20 }, attempts: 0, maxAttempts: 6, history: [], lastHint: null });
+  expect(setTimerChallenge(rolled, { enabled: false }).state).toBe(rolled);
+  const missAll = (state) => {
+    const wrong = [1, 2, 3, 4, 5, 6, 7, 8].filter((n) => n !== state.secret).slice(0, 6);
+    return wrong.reduce((r, n) => guess(r.state, { input: String(n) }), { state, events: [] });
+  };
+
+  // An armed deadline moves with the penalty, so later ticks keep the ten seconds off
+  let state = tick(rolled, { now: 0 }).state;
+  expect(state.deadline).toBe(120000);
+  state = missAll(state).state;
+  expect(state).toMatchObject({ status: 'playing', timeLeft: 110, deadline: 110000 });
+  expect(state.timeAttack.secrets[1]).toMatchObject({ secret: rolled.secret, outcome: 'out_of_attempts', attempts: 6 });
+  expect(tick(state, { now: 2000 }).state.timeLeft).toBe(108);
+
+  // A miss that empties the clock ends the run there
+  const over = missAll({ ...rolled, timeLeft: 8 });
+  expect(over.events.map((e) => e.type)).toEqual(['guess_recorded', 'wrong_guess', 'secret_missed', 'lost']);
+  expect(over.state).toMatchObject({ status: 'timeout', timeLeft: 0, message: { key: 'time_attack_over', params: { solved: 1, score: 150 } } });
+  expect(over.state.timeAttack.secrets.map((s) => s.outcome)).toEqual(['won', 'out_of_attempts']);
+
+  // Running out of time files the secret in play only if it was guessed at
+  const timedOut = tick(rolled, { seconds: 120 });
+  expect(timedOut.events).toEqual([{ type: 'lost', reason: 'timeout' }]);
+  expect(timedOut.state.timeAttack.secrets.map((s) => s.outcome)).toEqual(['won']);
+  expect(tick(guess(rolled, { input: String(rolled.secret === 1 ? 2 : 1) }).state, { seconds: 120 }).state.timeAttack.secrets).toHaveLength(2);
+});
+
+test('Survival carries one attempt pool through ever wider rounds until it runs dry', () => {
+  expect([0, 1, 2, 3, 4, 5, 6, 8].map((i) => survivalRangeOf(i).max)).toEqual([20, 50, 100, 250, 500, 1000, 2500, 10000]);
+
+  let state = startRound({ difficulty: 'medium', mode: 'survival', seed: 'run', timerChallenge: true, players: ['Ann', 'Bo'] }).state;
+  expect(state).toMatchObject({ mode: 'survival', range: { min: 1, max: 20 }, maxAttempts: 10, timerChallenge: false, players: null });
+
+  // Two attempts on 1–20 (par 5): 950 points and 3 + 3 attempts back, on to 1–50
+  state = guess(state, { input: String(state.secret === 1 ? 2 : 1) }).state;
+  let result = guess(state, { input: String(state.secret) });
+  expect(result.events.map((e) => e.type)).toEqual(['guess_recorded', 'survival_round_won']);
+  expect(result.events[1]).toMatchObject({ attempts: 2, points: 950, refill: 6, range: { min: 1, max: 50 } });
+  state = result.state;
+  expect(state).toMatchObject({ status: 'playing', range: { min: 1, max: 50 }, attempts: 0, maxAttempts: 14, history: [], score: 950 });
+  expect(hintCountOf(state)).toBe(0);
+
+  // Hints carry the usual penalty
+  state = applyHint(state, { hintType: 'parity' }).state;
+  state = guess(state, { input: String(state.secret) }).state;
+  expect(state.survival.rounds[1]).toMatchObject({ outcome: 'won', attempts: 1, hints: ['parity'], points: 900, refill: 6 });
+  expect(state).toMatchObject({ range: { min: 1, max: 100 }, maxAttempts: 19, score: 1850 });
+
+  const misses = Array.from({ length: 20 }, (_, i) => i + 1).filter((n) => n !== state.secret).slice(0, 19);
+  state = misses.reduce((s, n) => guess(s, { input: String(n) }).state, state);
+  expect(state.status).toBe('out_of_attempts');
+  expect(state.message).toEqual({ key: 'survival_over', params: { secret: state.secret, rounds: 2, score: 1850 } });
+  expect(state.survival.rounds[2]).toMatchObject({ outcome: 'out_of_attempts', attempts: 19, points: 0, refill: 0 });
+  expect(summarizeSurvival(state.survival.rounds)).toEqual({ survived: 2, peakRange: 100, hintsUsed: 1, score: 1850 });
+  expect(runHistoryOf(state)).toHaveLength(22);
+  expect(setTimerChallenge(state, { enabled: true }).state).toBe(state);
+});
+
+test('each Survival win refills the pool and widens the range; running dry files the last round and ends the run', () => {
+  const win = (state) => guess(state, { input: String(state.secret) }).state;
+  const miss = (state, n) =>
+    Array.from({ length: n + 1 }, (_, i) => i + 1)
+      .filter((v) => v !== state.secret)
+      .slice(0, n)
+      .reduce((r, v) => guess(r.state, { input: String(v) }), { state, events: [] });
+  const start = () => startRound({ difficulty: 'easy', mode: 'survival', seed: 4 }).state;
+
+  // One attempt a round is well under par: 3 + 3 attempts back every time
+  let state = start();
+  const pools = [state.maxAttempts];
+  for (let i = 0; i < 5; i++) {
+    state = win(state);
+    pools.push(state.maxAttempts);
+    expect(state.range).toEqual(survivalRangeOf(i + 1));
+    expect(state.secret).toBeGreaterThanOrEqual(1);
+    expect(state.secret).toBeLessThanOrEqual(state.range.max);
+  }
+  expect(pools).toEqual([12, 17, 22, 27, 32, 37]);
+  expect(state.survival.rounds.map((r) => r.range.max)).toEqual([20, 50, 100, 250, 500]);
+  // Each round's secret is drawn from the run's seed
+  expect(win(start()).secret).toBe(state.survival.rounds[1].secret);
+
+  // A win at par (ten attempts on 1–1000) earns only the base refill
+  state = win(miss(state, 9).state);
+  expect(state.survival.rounds[5]).toMatchObject({ range: { min: 1, max: 1000 }, attempts: 10, refill: 3 });
+  expect(state).toMatchObject({ range: { min: 1, max: 2500 }, maxAttempts: 30, attempts: 0 });
+
+  // The round the pool runs dry on is filed with its guesses and the run ends
+  const over = miss(state, 30);
+  expect(over.events[over.events.length - 1]).toEqual({ type: 'lost', reason: 'out_of_attempts' });
+  expect(over.state).toMatchObject({ status: 'out_of_attempts', history: [], score: state.score });
+  expect(over.state.survival.rounds[6]).toMatchObject({ range: { min: 1, max: 2500 }, outcome: 'out_of_attempts', attempts: 30, points: 0, refill: 0 });
+  expect(over.state.survival.rounds[6].history).toHaveLength(30);
+  expect(runHistoryOf(over.state)).toHaveLength(5 + 10 + 30);
+});
+
+test('invalid round times and shot clocks fall back to the defaults, and a missed last shot ends the round', () => {
+  for (const bad of [0, -30, 2.5, '45', NaN]) {
+    const state = round({ timerChallenge: true, timerSeconds: bad, shotClock: bad });
+    expect([state.totalTime, state.shotClock, state.shotLeft]).toEqual([30, null, null]);
+  }
+  let state = round({ timerChallenge: true, timerSeconds: 45, shotClock: 8 });
+  expect(setTimerChallenge(state, { enabled: true }).state).toMatchObject({ totalTime: 45, shotClock: 8 });
+  expect(setTimerChallenge(state, { enabled: true, timerSeconds: null, shotClock: null }).state).toMatchObject({ totalTime: 30, shotClock: null });
+  expect(setTimerChallenge(state, { enabled: true, timerSeconds: -1, shotClock: 'x' }).state).toMatchObject({ totalTime: 30, shotClock: null });
+
+  state = { ...state, attempts: 5 };
+  const out = tick(state, { seconds: 8 });
+  expect(out.state).toMatchObject({ status: 'out_of_attempts', attempts: 6, message: { key: 'feedback_shot_clock_out' } });
+  expect(out.events).toEqual([{ type: 'shot_clock_expired', attemptsLeft: 0 }, { type: 'lost', reason: 'out_of_attempts' }]);
+  // The clocks stop with the round
+  expect(tick(out.state, { seconds: 8 })).toEqual({ state: out.state, events: [] });
+});
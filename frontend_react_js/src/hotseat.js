@@ -0,0 +1,81 @@
+/**
+ * Hot-seat multiplayer match bookkeeping: 2-6 named players share one device across a
+ * best-of-N series of rounds. Turn rotation inside a round lives in the engine
+ * (startRound({ players })); this module keeps the scoreboard that carries over rounds.
+ * A match is shaped:
+ * { players: string[], bestOf: number, rounds: [{ winner: string|null, score: number }] }
+ */
+
+// PUBLIC_INTERFACE
+export const HOTSEAT_LIMITS = {
+  minPlayers: 2,
+  maxPlayers: 6,
+  nameMaxLength: 20,
+};
+
+// PUBLIC_INTERFACE
+export const BEST_OF_OPTIONS = [1, 3, 5, 7];
+
+// PUBLIC_INTERFACE
+export function validatePlayerNames(names) {
+  /**
+   * Trim names and check the player count and uniqueness (case-insensitive).
+   * Returns { ok: true, names } or { ok: false, errorKey, params }.
+   */
+  const trimmed = (Array.isArray(names) ? names : []).map((n) => String(n ?? '').trim());
+  if (trimmed.some((n) => n === '')) return { ok: false, errorKey: 'hotseat_error_empty_name' };
+  if (trimmed.some((n) => n.length > HOTSEAT_LIMITS.nameMaxLength)) {
+    return { ok: false, errorKey: 'hotseat_error_long_name', params: { max: HOTSEAT_LIMITS.nameMaxLength } };
+  }
+  if (trimmed.length < HOTSEAT_LIMITS.minPlayers || trimmed.length > HOTSEAT_LIMITS.maxPlayers) {
+    return { ok: false, errorKey: 'hotseat_error_count', params: { min: HOTSEAT_LIMITS.minPlayers, max: HOTSEAT_LIMITS.maxPlayers } };
+  }
+  if (new Set(trimmed.map((n) => n.toLowerCase())).size !== trimmed.length) {
+    return { ok: false, errorKey: 'hotseat_error_duplicate' };
+  }
+  return { ok: true, names: trimmed };
+}
+
+// PUBLIC_INTERFACE
+export function createMatch(players, bestOf = 3) {
+  /** New match with an empty scoreboard */
+  return {
+    players: [...players],
+    bestOf: BEST_OF_OPTIONS.includes(bestOf) ? bestOf : 3,
+    rounds: [],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function recordMatchRound(match, { winner = null, score = 0 } = {}) {
+  /** Add a finished round (winner null when nobody found the secret); ignored once the match is decided */
+  if (!match || matchResult(match).decided) return match;
+  return { ...match, rounds: [...match.rounds, { winner, score }] };
+}
+
+// PUBLIC_INTERFACE
+export function matchResult(match) {
+  /**
+   * Standings and outcome of a match. A match is decided when a player has won a majority
+   * of the best-of rounds, or all rounds are played. Ties on wins break on total score;
+   * a full tie is a draw (winner null).
+   * Returns { decided, winner, winsNeeded, standings: [{ name, wins, points }] }.
+   */
+  const winsNeeded = Math.floor(match.bestOf / 2) + 1;
+  const standings = match.players
+    .map((name) => ({
+      name,
+      wins: match.rounds.filter((r) => r.winner === name).length,
+      points: match.rounds.filter((r) => r.winner === name).reduce((sum, r) => sum + r.score, 0),
+    }))
+    .sort((a, b) => b.wins - a.wins || b.points - a.points);
+  const [first, second] = standings;
+  const decided = first.wins >= winsNeeded || match.rounds.length >= match.bestOf;
+  const tied = second && second.wins === first.wins && second.points === first.points;
+  return {
+    decided,
+    winner: decided && !tied ? first.name : null,
+    winsNeeded,
+    standings,
+  };
+}
@@ -0,0 +1,35 @@
+import { createMatch, matchResult, recordMatchRound, validatePlayerNames } from './hotseat';
+
+test('validatePlayerNames trims names and checks count, length and duplicates', () => {
+  expect(validatePlayerNames([' Ann ', 'Bo'])).toEqual({ ok: true, names: ['Ann', 'Bo'] });
+  expect(validatePlayerNames(['Ann']).errorKey).toBe('hotseat_error_count');
+  expect(validatePlayerNames(['1', '2', '3', '4', '5', '6', '7']).errorKey).toBe('hotseat_error_count');
+  expect(validatePlayerNames(['Ann', ' ']).errorKey).toBe('hotseat_error_empty_name');
+  expect(validatePlayerNames(['Ann', 'x'.repeat(21)]).errorKey).toBe('hotseat_error_long_name');
+  expect(validatePlayerNames(['Ann', 'ann']).errorKey).toBe('hotseat_error_duplicate');
+});
+
+test('a best-of match is decided by a majority of round wins', () => {
+  let match = createMatch(['Ann', 'Bo'], 3);
+  match = recordMatchRound(match, { winner: 'Ann', score: 500 });
+  expect(matchResult(match).decided).toBe(false);
+  match = recordMatchRound(match, { winner: null, score: 0 });
+  match = recordMatchRound(match, { winner: 'Ann', score: 300 });
+  const result = matchResult(match);
+  expect(result).toMatchObject({ decided: true, winner: 'Ann', winsNeeded: 2 });
+  expect(result.standings[0]).toEqual({ name: 'Ann', wins: 2, points: 800 });
+  // Rounds after the match is decided are ignored
+  expect(recordMatchRound(match, { winner: 'Bo', score: 900 })).toBe(match);
+});
+
+test('ties on wins break on points; a full tie is a draw', () => {
+  let match = createMatch(['Ann', 'Bo', 'Cy'], 1);
+  match = recordMatchRound(match, { winner: null, score: 0 });
+  expect(matchResult(match)).toMatchObject({ decided: true, winner: null });
+
+  match = createMatch(['Ann', 'Bo'], 3);
+  match = recordMatchRound(match, { winner: 'Ann', score: 400 });
+  match = recordMatchRound(match, { winner: 'Bo', score: 700 });
+  match = recordMatchRound(match, { winner: null, score: 0 });
+  expect(matchResult(match)).toMatchObject({ decided: true, winner: 'Bo' });
+});
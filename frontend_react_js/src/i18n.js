@@ -1,24 +1,19 @@
 import i18n from 'i18next';
 import { initReactI18next } from 'react-i18next';
+import { profileKey } from './profiles';
+import { readString, writeString } from './storage';
 
-// Simple localStorage language persistence
+// Language persistence (per player profile)
 const LANG_STORAGE_KEY = 'ngg_lang';
 
-const savedLng = (() => {
-  try {
-    const v = window.localStorage.getItem(LANG_STORAGE_KEY);
-    return v || 'en';
-  } catch {
-    return 'en';
-  }
-})();
+export function readSavedLanguage() {
+  return readString(profileKey(LANG_STORAGE_KEY)) || 'en';
+}
+
+const savedLng = readSavedLanguage();
 
 export function persistLanguage(lng) {
-  try {
-    window.localStorage.setItem(LANG_STORAGE_KEY, lng);
-  } catch {
-    // ignore
-  }
+  writeString(profileKey(LANG_STORAGE_KEY), lng);
 }
 
 // Translation resources
@@ -161,7 +156,406 @@ const resources = {
       puzzle_opt_18: '18',
       puzzle_opt_32: '32',
       puzzle_opt_24: '24',
-      puzzle_opt_20num: '20'
+      puzzle_opt_20num: '20',
+      // Seeds
+      round_seed_label: 'Round seed',
+      round_seed_hint: 'Open the game with ?seed=<round seed> to replay this exact round.',
+      dev_seed_label: 'Dev seed',
+      dev_seed_apply: 'Apply seed',
+      // Daily Challenge
+      daily_mode_enable_label: 'Daily Challenge',
+      daily_title: 'Daily Challenge — {{date}}',
+      daily_result_won: 'Solved today in {{attempts}} attempts · Score {{score}}',
+      daily_result_lost: "Today's challenge is over. Come back tomorrow!",
+      daily_one_attempt_note: 'One scored attempt per day. Everyone gets the same number.',
+      daily_streak: 'Streak: {{count}}',
+      daily_longest_streak: 'Best streak: {{count}}',
+      daily_next_in: 'Next challenge in',
+      // Custom difficulty builder
+      difficultyCustom: 'Custom…',
+      difficulty_custom: 'Custom',
+      custom_edit: 'Edit custom rules',
+      custom_builder_title: 'Custom difficulty',
+      custom_min_label: 'Minimum',
+      custom_max_label: 'Maximum',
+      custom_attempts_label: 'Attempts',
+      custom_timer_label: 'Timer (seconds)',
+      custom_hints_label: 'Allowed hints',
+      custom_binary_search_note: 'Binary search needs up to {{count}} attempts for this range.',
+      custom_error_integer: 'Enter a whole number.',
+      custom_error_bounds: 'Must be between {{min}} and {{max}}.',
+      custom_error_order: 'Maximum must be greater than minimum.',
+      custom_error_unwinnable: 'Not winnable: at least {{needed}} attempts are needed to guarantee a win with binary search.',
+      custom_preset_load_label: 'Load a saved preset',
+      custom_preset_delete: 'Delete preset',
+      custom_preset_name_placeholder: 'Preset name',
+      custom_preset_save: 'Save preset',
+      custom_preset_saved: 'Saved preset "{{name}}".',
+      custom_preset_deleted: 'Deleted preset "{{name}}".',
+      custom_preset_invalid: 'Fix the errors above before saving.',
+      custom_preset_name_required: 'Enter a name for the preset.',
+      custom_apply: 'Start custom round',
+      custom_cancel: 'Cancel',
+      custom_params_summary: 'Custom {{min}}–{{max}} · {{attempts}} attempts · {{seconds}}s',
+      leaderboard_category_label: 'Category',
+      leaderboard_category_all: 'All categories',
+      // Game modes and Reverse mode
+      game_mode_label: 'Game mode',
+      game_mode_classic: 'Classic: you guess',
+      game_mode_reverse: 'Reverse: the computer guesses',
+      reverse_strategy_label: 'Computer strategy',
+      reverse_strategy_binary: 'Binary search',
+      reverse_strategy_random: 'Randomized',
+      reverse_strategy_human: 'Human-like',
+      reverse_think_of_number: 'Think of a number from {{min}} to {{max}}, then answer the computer.',
+      reverse_computer_guess: 'Is it {{value}}?',
+      reverse_computer_won: 'Got it! Your number is {{value}} (found in {{count}} guesses).',
+      reverse_conflict_pair: 'Those answers contradict each other: you said #{{lowIndex}} ({{low}}) was too low but #{{highIndex}} ({{high}}) was too high. Undo an answer to continue.',
+      reverse_conflict_range_max: 'You said #{{index}} ({{value}}) was too low, but the range ends at {{max}}. Undo an answer to continue.',
+      reverse_conflict_range_min: 'You said #{{index}} ({{value}}) was too high, but the range starts at {{min}}. Undo an answer to continue.',
+      reverse_guesses_made: 'Computer guesses: {{count}}',
+      reverse_answers_group: 'Answer the computer',
+      reverse_answer_high: 'Too high',
+      reverse_answer_low: 'Too low',
+      reverse_answer_correct: 'Correct!',
+      reverse_undo: 'Undo answer',
+      // Bulls-and-cows mode
+      game_mode_bulls_cows: 'Bulls & Cows: crack the code',
+      code_placeholder: 'Enter {{length}} digits',
+      code_rules: 'Code: {{length}} different digits ({{label}})',
+      code_rules_repeats: 'Code: {{length}} digits, repeats allowed ({{label}})',
+      code_allow_repeats_label: 'Allow repeated digits',
+      code_error_empty: 'Enter a {{length}}-digit code.',
+      code_error_digits: 'Use digits 0-9 only.',
+      code_error_length: 'The code has exactly {{length}} digits.',
+      code_error_repeats: 'Each digit can be used only once.',
+      feedback_code: '🐂 {{bulls}} in the right place, 🐄 {{cows}} in the wrong place.',
+      feedback_code_correct: 'Cracked it! The code was {{secret}}. Your score: {{score}}.',
+      feedback_code_correct_timebonus: 'Cracked it! The code was {{secret}}. Your score: {{score}} (Timer bonus applied: +{{bonus}}%).',
+      history_item_code_aria: 'Guess {{value}}: {{bulls}} bulls, {{cows}} cows',
+      code_bulls_title: 'Bulls: right digit, right place',
+      code_cows_title: 'Cows: right digit, wrong place',
+      hint_digit_code: 'Hint: Digit {{position}} of the code is {{digit}}.',
+      bulls_cows_category: 'Bulls & Cows · {{length}} digits',
+      bulls_cows_category_repeats: 'Bulls & Cows · {{length}} digits, repeats',
+      // Hot-seat multiplayer
+      hotseat_toggle_label: 'Hot-seat multiplayer',
+      hotseat_setup_title: 'Players (2-6) take turns on this device',
+      hotseat_player_name: 'Player {{number}} name',
+      hotseat_remove_player: 'Remove player {{number}}',
+      hotseat_add_player: 'Add player',
+      hotseat_best_of_label: 'Match length',
+      hotseat_best_of: 'Best of {{count}}',
+      hotseat_start: 'Start match',
+      hotseat_error_empty_name: 'Every player needs a name.',
+      hotseat_error_long_name: 'Names can be at most {{max}} characters.',
+      hotseat_error_count: 'A match needs {{min}} to {{max}} players.',
+      hotseat_error_duplicate: 'Player names must be different.',
+      hotseat_round_of: 'Round {{round}} · best of {{bestOf}}',
+      hotseat_turn: "{{player}}'s turn",
+      hotseat_match_winner: '{{player}} wins the match! Start a new round for a rematch.',
+      hotseat_match_draw: 'The match is a draw! Start a new round for a rematch.',
+      hotseat_scoreboard: 'Match scoreboard',
+      hotseat_col_player: 'Player',
+      hotseat_col_wins: 'Wins',
+      hotseat_col_points: 'Points',
+      hotseat_col_attempts: 'Attempts',
+      hotseat_col_hints: 'Hints',
+      feedback_turn_timeout: "Time's up for {{player}}! {{next}}'s turn.",
+      player_chip_aria: 'Player {{player}}',
+      // Player profiles
+      profile_label: 'Player profile',
+      profiles_manage: 'Profiles',
+      profiles_title: 'Player Profiles',
+      profiles_close: 'Close',
+      profiles_intro: 'Each profile keeps its own levels, statistics, achievements, leaderboard, language and theme.',
+      profile_avatar_label: 'Avatar for {{name}}',
+      profile_name_label: 'Name for {{name}}',
+      profile_rename: 'Rename',
+      profile_active: 'Playing',
+      profile_switch: 'Switch',
+      profile_delete: 'Delete',
+      profile_delete_aria: 'Delete profile {{name}}',
+      profile_delete_confirm: 'Delete the profile {{name}} and all of its saved progress?',
+      profile_new_avatar_label: 'Avatar for the new profile',
+      profile_new_name_label: 'New profile name',
+      profile_create: 'Create profile',
+      profile_error_empty: 'Enter a profile name.',
+      profile_error_long: 'Profile names can be at most {{max}} characters.',
+      profile_error_duplicate: 'A profile with this name already exists.',
+      profile_error_missing: 'This profile no longer exists.',
+      // Storage errors
+      storage_error_quota: 'Storage is full, so your progress is only kept until you close this tab.',
+      storage_error_unavailable: 'Saving is blocked in this browser, so your progress is only kept until you close this tab.',
+      storage_error_migration: 'Saved data could not be upgraded; it will be retried next time.',
+      storage_error_dismiss: 'Dismiss',
+      // Data backup (export / import)
+      backup_export: 'Export data',
+      backup_import: 'Import data',
+      backup_import_title: 'Import Backup',
+      backup_cancel: 'Cancel',
+      backup_preview_title: 'Changes from this backup',
+      backup_preview_source: 'Backup of {{name}} from {{date}}',
+      backup_preview_sessions: 'Game history: {{incoming}} rounds in file, {{added}} new',
+      backup_preview_results: 'Leaderboard results: {{incoming}} in file, {{added}} new, {{duplicates}} already here',
+      backup_preview_levels: 'Levels to unlock: {{count}}',
+      backup_preview_achievements: 'Achievements to unlock: {{count}}',
+      backup_preview_daily: 'Daily Challenge days to add: {{count}}',
+      backup_preview_presets: 'Custom presets to add: {{count}}',
+      backup_preview_stats: 'Games played: {{currentGames}} here, {{incomingGames}} in file · Puzzles solved: {{currentPuzzles}} here, {{incomingPuzzles}} in file',
+      backup_preview_language: 'Language in file: {{language}}',
+      backup_preview_theme: 'Theme in file: {{theme}}',
+      backup_modes_help: "Merge keeps your current data and adds what is new. Replace overwrites this profile's data and settings with the backup.",
+      backup_merge: 'Merge',
+      backup_replace: 'Replace',
+      backup_replace_confirm: "Replace all of this profile's data with the backup? This cannot be undone.",
+      backup_error_json: 'This file is not valid JSON.',
+      backup_error_format: 'This file is not a Number Guessing Game backup.',
+      backup_error_version: 'This backup was made by a newer version of the game.',
+      // Session history log
+      openSessions: '🗂️ History',
+      sessions_title: 'Game History',
+      sessions_close: 'Close',
+      sessions_empty: 'No finished rounds yet.',
+      sessions_count: 'Rounds logged: {{count}}',
+      sessions_outcome_won: 'Won',
+      sessions_outcome_timeout: 'Time up',
+      sessions_outcome_out_of_attempts: 'Out of attempts',
+      sessions_summary: 'Attempts {{attempts}}/{{max}} · Score {{score}}',
+      sessions_duration: 'Time {{duration}}',
+      sessions_flag_timer: 'Timer Challenge',
+      sessions_flag_daily: 'Daily Challenge',
+      sessions_puzzle_solved: 'Puzzle solved',
+      sessions_puzzle_failed: 'Puzzle failed',
+      sessions_puzzle_unanswered: 'Puzzle skipped',
+      sessions_hints: 'Hints: {{hints}}',
+      sessions_guesses: 'Guesses: {{guesses}}',
+      sessions_none: 'none',
+      sessions_retention_max: 'Keep at most',
+      sessions_retention_max_option: '{{count}} rounds',
+      sessions_retention_age: 'Keep for',
+      sessions_retention_age_option: '{{count}} days',
+      sessions_retention_forever: 'Forever',
+      sessions_clear: 'Clear History',
+      sessions_clear_confirm: 'Delete every logged round? The leaderboard and statistics built from them are cleared too.',
+      // Statistics breakdown
+      stats_filter_label: 'Difficulty',
+      stats_filter_all: 'All difficulties',
+      stats_win_rate: 'Win Rate',
+      stats_streak: 'Win Streak (current / best)',
+      stats_streak_value: '{{current}} / {{longest}}',
+      stats_losses: 'Losses (time up / out of attempts)',
+      stats_losses_value: '{{timeout}} / {{outOfAttempts}}',
+      stats_hint_usage: 'Rounds With Hints',
+      stats_puzzle_rate: 'Puzzle Solve Rate',
+      stats_mode_standard: 'Standard',
+      stats_mode_timer: 'Timer Challenge',
+      stats_mode_puzzle: 'Puzzle Mode',
+      stats_breakdown_difficulty: 'By difficulty',
+      stats_breakdown_level: 'By level',
+      stats_breakdown_mode: 'By mode',
+      stats_col_difficulty: 'Difficulty',
+      stats_col_level: 'Level',
+      stats_col_mode: 'Mode',
+      stats_col_games: 'Games',
+      stats_col_streak: 'Streak (current / best)',
+      stats_col_timeouts: 'Time up',
+      stats_col_out_of_attempts: 'Out of attempts',
+      stats_breakdown_empty: 'No finished rounds to break down yet.',
+      // Statistics charts
+      stats_charts_title: 'Progress charts',
+      chart_empty: 'Win a round to see your charts.',
+      chart_show_table: 'Show data table',
+      chart_attempts_title: 'Attempts to win: {{difficulty}}',
+      chart_attempts_summary: '{{difficulty}}: {{wins}} wins, most often in {{attempts}} attempts ({{count}} wins).',
+      chart_col_attempts: 'Attempts',
+      chart_col_wins: 'Wins',
+      chart_trend_title: 'Score trend (recent wins)',
+      chart_trend_summary: '{{count}} wins shown. Rolling average over {{window}} wins went from {{first}} to {{last}}: {{direction}}.',
+      chart_trend_single: 'One win so far, scoring {{score}}.',
+      chart_trend_improving: 'improving',
+      chart_trend_declining: 'declining',
+      chart_trend_steady: 'steady',
+      chart_legend_score: 'Score',
+      chart_legend_average: 'Average of {{window}}',
+      chart_col_round: 'Win #',
+      chart_col_date: 'Date',
+      chart_col_score: 'Score',
+      // Guess-quality analysis
+      analysis_title: 'Guess analysis',
+      analysis_summary: 'You used {{attempts}} attempts; binary search needs at most {{optimal}}. Guess efficiency: {{efficiency}}. Wasted guesses: {{wasted}}.',
+      analysis_caption: 'Each guess compared with the ideal midpoint guess',
+      analysis_col_guess: 'Guess',
+      analysis_col_feasible: 'Still possible',
+      analysis_col_ideal: 'Midpoint',
+      analysis_col_bits: 'Bits gained / ideal',
+      analysis_col_note: 'Note',
+      analysis_interval: '{{min}}–{{max}}',
+      analysis_bits_value: '{{bits}} / {{ideal}}',
+      analysis_wasted: 'Wasted: outside the possible numbers',
+      analysis_found: 'Found it',
+      analysis_optimal: 'As good as the midpoint',
+      stats_efficiency: 'Guess Efficiency',
+      // Number line
+      numberline_toggle_label: 'Show number line',
+      numberline_label: 'Number line: pick a guess',
+      numberline_possible: 'Still possible: {{min}} to {{max}}',
+      numberline_none: 'No numbers left',
+      ach_puristWin_title: 'Purist',
+      ach_puristWin_desc: 'Win a number round with the number line hidden the whole time.',
+      // Round replay viewer
+      replay_open: 'Replay',
+      replay_open_aria: 'Replay the round from {{date}}',
+      replay_title: 'Replay: {{date}}',
+      replay_back: 'Back to sessions',
+      replay_controls: 'Replay controls',
+      replay_play: 'Play',
+      replay_pause: 'Pause',
+      replay_prev: 'Previous step',
+      replay_next: 'Next step',
+      replay_scrub: 'Replay position',
+      replay_position: 'Step {{step}} of {{total}}',
+      replay_start: 'Round start',
+      replay_elapsed: '+{{time}}',
+      replay_timer: 'Timer: {{time}}',
+      replay_hint: 'Hint ({{type}}): {{text}}',
+      replay_puzzle_solved: 'Puzzle solved',
+      replay_puzzle_wrong: 'Puzzle answered incorrectly',
+      replay_timeout: 'Time ran out',
+      replay_no_times: 'Times were not recorded for this round.',
+      replay_empty: 'Nothing to replay: no guesses were made.',
+      // Sharing results and challenge links
+      share_title: 'Share your result',
+      share_button: 'Share',
+      share_copy_link: 'Copy challenge link',
+      share_download: 'Download card (PNG)',
+      share_code_length: '{{length}}-digit code',
+      share_won: 'Solved in {{attempts}}/{{max}}',
+      share_timeout: 'Time ran out · Guesses: {{attempts}}',
+      share_out_of_attempts: 'Not solved in {{max}} attempts',
+      share_hints: 'Hints: {{count}}',
+      share_time_bonus: 'Time bonus: +{{bonus}}%',
+      share_score: 'Score: {{score}}',
+      share_notice_shared: 'Shared.',
+      share_notice_copied: 'Copied to the clipboard.',
+      share_notice_failed: "Couldn't copy. Select the text above to copy it.",
+      share_notice_link_copied: 'Challenge link copied.',
+      share_notice_no_image: "This browser can't draw the result card.",
+      // Challenge links
+      challenge_invalid: 'This challenge link is damaged or was edited, so it was ignored.',
+      challenge_banner: "You're playing {{name}}'s challenge: beat {{attempts}} attempts / {{score}} points",
+      challenge_banner_unsolved: "You're playing {{name}}'s challenge: they didn't solve it in {{attempts}} attempts. Can you?",
+      challenge_banner_plain: "You're playing a shared round.",
+      challenge_comparison_caption: "Your result next to the challenger's",
+      challenge_col_measure: 'Measure',
+      challenge_you: 'You',
+      challenge_row_result: 'Result',
+      challenge_row_attempts: 'Attempts',
+      challenge_row_score: 'Score',
+      challenge_verdict_you: "You beat {{name}}'s challenge!",
+      challenge_verdict_them: '{{name}} keeps the lead this time.',
+      challenge_verdict_tie: "It's a tie with {{name}}.",
+      // Achievement registry: tiers, secrets and progress
+      achievements_tier_bronze: 'Bronze',
+      achievements_tier_silver: 'Silver',
+      achievements_tier_gold: 'Gold',
+      achievements_secret_title: 'Secret achievement',
+      achievements_secret_desc: 'Keep playing to discover it.',
+      achievements_progress: '{{current}}/{{target}}',
+      achievements_progress_aria: 'Progress towards {{title}}',
+      ach_hardWins_title: 'Hard Grinder',
+      ach_hardWins_desc: 'Win 10 hard rounds.',
+      // Achievement catalogue
+      ach_timeKeeper_title: 'Time Keeper',
+      ach_timeKeeper_desc: 'Win a Timer Challenge round with at least 80% of the time left.',
+      ach_puzzleFirstTry_title: 'Puzzle Ace',
+      ach_puzzleFirstTry_desc: 'Solve a Puzzle Mode puzzle without needing the retry.',
+      ach_expertNoHints_title: 'Unaided Expert',
+      ach_expertNoHints_desc: 'Win an Expert level round without using any hints.',
+      ach_winStreak_title: 'On Fire',
+      ach_winStreak_desc: 'Win 5 rounds in a row.',
+      ach_lastChanceWin_title: 'Down to the Wire',
+      ach_lastChanceWin_desc: 'Win a round with your very last attempt.',
+      ach_allHintsWin_title: 'Hint Collector',
+      ach_allHintsWin_desc: 'Use every hint type in one round and still win.',
+      ach_polyglot_title: 'Polyglot',
+      ach_polyglot_desc: 'Win a round in every language.',
+      ach_centurion_title: 'Centurion',
+      ach_centurion_desc: 'Play 100 games.',
+      ach_binarySearchWin_title: 'Binary Searcher',
+      ach_binarySearchWin_desc: 'Win a number round in two or more guesses, each one as good as the midpoint.',
+      // Resume an unfinished round
+      resume_title: 'Unfinished round',
+      resume_summary_number: '{{label}} ({{min}}–{{max}}): {{attempts}} of {{maxAttempts}} attempts used.',
+      resume_summary_code: '{{label}} code of {{length}} digits: {{attempts}} of {{max}} attempts used.',
+      resume_players: 'Hot-seat players: {{players}}',
+      resume_daily: 'Daily Challenge for {{date}}',
+      resume_timer_note: 'Timer Challenge: the clock kept running while you were away.',
+      resume_continue: 'Resume round',
+      resume_start_new: 'Start new',
+      // Timer Challenge settings: round time and per-guess shot clock
+      timer_round_time_label: 'Round time',
+      timer_round_time_default: 'Default ({{time}})',
+      shot_clock_label: 'Shot clock',
+      shot_clock_off: 'Off',
+      shot_clock_option: '{{time}} per guess',
+      shot_clock_countdown: 'Time left for this guess: {{time}}',
+      feedback_shot_clock: 'Too slow! The shot clock ran out and cost an attempt. Attempts left: {{remaining}}.',
+      feedback_shot_clock_out: 'Too slow! The shot clock ran out on your last attempt.',
+      replay_shot_clock: 'Shot clock ran out',
+      leaderboard_timer: 'Timer Challenge',
+      leaderboard_timer_config: 'Timer Challenge: {{seconds}} s round',
+      leaderboard_timer_shot: 'Timer Challenge: {{seconds}} s round, {{shot}} s per guess',
+      // Time Attack
+      game_mode_time_attack: 'Time Attack: beat the clock',
+      time_attack_solved: 'Solved {{secret}}! +{{points}} points. Next secret, the clock keeps running.',
+      time_attack_missed: 'Out of attempts, the number was {{secret}}. −{{penalty}} s. Next secret!',
+      time_attack_over: 'Time’s up! Secrets solved: {{solved}}. Score: {{score}}.',
+      time_attack_category: 'Time Attack · {{label}}',
+      time_attack_solved_label: '{{count}} solved',
+      time_attack_progress: 'Secrets solved: {{count}}',
+      time_attack_summary_title: 'Time Attack run',
+      time_attack_summary_totals: 'Solved {{solved}}, missed {{missed}}. Efficiency bonus {{bonus}}. Score {{score}}.',
+      time_attack_summary_caption: 'Secrets of this run with their attempts',
+      time_attack_col_secret: 'Secret',
+      time_attack_col_result: 'Result',
+      time_attack_col_attempts: 'Attempts',
+      time_attack_col_points: 'Points',
+      time_attack_outcome_won: 'Solved',
+      time_attack_outcome_out_of_attempts: 'Missed',
+      time_attack_outcome_timeout: 'Time ran out',
+      time_attack_attempts_value: '{{count}} ({{guesses}})',
+      stats_mode_time_attack: 'Time Attack',
+      // Survival
+      game_mode_survival: 'Survival: one attempt pool, ever wider ranges',
+      survival_round_won: 'Solved {{secret}}! +{{points}} points and +{{refill}} attempts ({{pool}} in the pool). Next range: 1–{{max}}.',
+      survival_over: 'The attempt pool ran dry, the number was {{secret}}. Rounds survived: {{rounds}}. Score: {{score}}.',
+      survival_progress: 'Round {{round}}: range {{min}}–{{max}}',
+      survival_category: 'Survival · {{label}}',
+      survival_rounds_label: '{{count}} rounds survived',
+      survival_summary_title: 'Survival run',
+      survival_summary_totals: 'Rounds survived {{survived}}, widest range 1–{{peakRange}}, hints used {{hintsUsed}}. Score {{score}}.',
+      survival_summary_caption: 'Rounds of this run with their attempts, hints and refills',
+      survival_col_range: 'Range',
+      survival_col_secret: 'Secret',
+      survival_col_result: 'Result',
+      survival_col_attempts: 'Attempts',
+      survival_col_hints: 'Hints',
+      survival_col_refill: 'Refill',
+      survival_col_points: 'Points',
+      survival_outcome_won: 'Survived',
+      survival_outcome_out_of_attempts: 'Pool ran dry',
+      stats_mode_survival: 'Survival',
+      stats_best_run: 'Best Survival run',
+      stats_best_run_value: '{{rounds}} rounds, up to 1–{{max}}',
+      ach_survivor_title: 'Survivor',
+      ach_survivor_desc: 'Survive 5 rounds in one Survival run.',
+      ach_enduranceRun_title: 'Endurance',
+      ach_enduranceRun_desc: 'Survive 10 rounds in one Survival run.',
+      ach_survivalThousand_title: 'Into the Thousands',
+      ach_survivalThousand_desc: 'Reach the 1–1000 range in a Survival run.',
+      ach_unaidedSurvivor_title: 'Lone Survivor',
+      ach_unaidedSurvivor_desc: 'Survive 5 rounds of a Survival run without using any hints.'
     }
   },
   te: {
@@ -301,7 +695,406 @@ const resources = {
       puzzle_opt_18: '18',
       puzzle_opt_32: '32',
       puzzle_opt_24: '24',
-      puzzle_opt_20num: '20'
+      puzzle_opt_20num: '20',
+      // Seeds
+      round_seed_label: 'రౌండ్ సీడ్',
+      round_seed_hint: 'ఇదే రౌండ్‌ను మళ్ళీ ఆడటానికి ?seed=<రౌండ్ సీడ్> తో ఆటను తెరవండి.',
+      dev_seed_label: 'డెవ్ సీడ్',
+      dev_seed_apply: 'సీడ్ వర్తింపజేయి',
+      // Daily Challenge
+      daily_mode_enable_label: 'రోజువారీ సవాలు',
+      daily_title: 'రోజువారీ సవాలు — {{date}}',
+      daily_result_won: 'ఈరోజు {{attempts}} ప్రయత్నాల్లో పరిష్కరించారు · స్కోర్ {{score}}',
+      daily_result_lost: 'ఈరోజు సవాలు ముగిసింది. రేపు మళ్లీ రండి!',
+      daily_one_attempt_note: 'రోజుకు ఒకే స్కోర్ చేసిన ప్రయత్నం. అందరికీ ఒకే సంఖ్య.',
+      daily_streak: 'వరుస: {{count}}',
+      daily_longest_streak: 'ఉత్తమ వరుస: {{count}}',
+      daily_next_in: 'తదుపరి సవాలు',
+      // Custom difficulty builder
+      difficultyCustom: 'అనుకూలం…',
+      difficulty_custom: 'అనుకూలం',
+      custom_edit: 'అనుకూల నియమాలు మార్చండి',
+      custom_builder_title: 'అనుకూల కష్టత',
+      custom_min_label: 'కనిష్టం',
+      custom_max_label: 'గరిష్టం',
+      custom_attempts_label: 'ప్రయత్నాలు',
+      custom_timer_label: 'టైమర్ (సెకన్లు)',
+      custom_hints_label: 'అనుమతించిన సూచనలు',
+      custom_binary_search_note: 'ఈ శ్రేణికి బైనరీ సెర్చ్‌కు గరిష్టంగా {{count}} ప్రయత్నాలు అవసరం.',
+      custom_error_integer: 'పూర్ణ సంఖ్యను నమోదు చేయండి.',
+      custom_error_bounds: '{{min}} మరియు {{max}} మధ్య ఉండాలి.',
+      custom_error_order: 'గరిష్టం కనిష్టం కంటే ఎక్కువగా ఉండాలి.',
+      custom_error_unwinnable: 'గెలవడం సాధ్యం కాదు: బైనరీ సెర్చ్‌తో ఖచ్చితంగా గెలవడానికి కనీసం {{needed}} ప్రయత్నాలు అవసరం.',
+      custom_preset_load_label: 'సేవ్ చేసిన ప్రీసెట్ లోడ్ చేయండి',
+      custom_preset_delete: 'ప్రీసెట్ తొలగించండి',
+      custom_preset_name_placeholder: 'ప్రీసెట్ పేరు',
+      custom_preset_save: 'ప్రీసెట్ సేవ్ చేయండి',
+      custom_preset_saved: '"{{name}}" ప్రీసెట్ సేవ్ అయింది.',
+      custom_preset_deleted: '"{{name}}" ప్రీసెట్ తొలగించబడింది.',
+      custom_preset_invalid: 'సేవ్ చేసే ముందు పై లోపాలను సరిచేయండి.',
+      custom_preset_name_required: 'ప్రీసెట్‌కు పేరు నమోదు చేయండి.',
+      custom_apply: 'అనుకూల రౌండ్ ప్రారంభించండి',
+      custom_cancel: 'రద్దు చేయండి',
+      custom_params_summary: 'అనుకూలం {{min}}–{{max}} · {{attempts}} ప్రయత్నాలు · {{seconds}}సె',
+      leaderboard_category_label: 'వర్గం',
+      leaderboard_category_all: 'అన్ని వర్గాలు',
+      // Game modes and Reverse mode
+      game_mode_label: 'ఆట విధానం',
+      game_mode_classic: 'సాధారణం: మీరు ఊహిస్తారు',
+      game_mode_reverse: 'రివర్స్: కంప్యూటర్ ఊహిస్తుంది',
+      reverse_strategy_label: 'కంప్యూటర్ వ్యూహం',
+      reverse_strategy_binary: 'బైనరీ సెర్చ్',
+      reverse_strategy_random: 'యాదృచ్ఛికం',
+      reverse_strategy_human: 'మనిషిలాగా',
+      reverse_think_of_number: '{{min}} నుండి {{max}} మధ్య ఒక సంఖ్యను ఊహించుకోండి, తర్వాత కంప్యూటర్‌కు సమాధానం ఇవ్వండి.',
+      reverse_computer_guess: 'అది {{value}}నా?',
+      reverse_computer_won: 'దొరికింది! మీ సంఖ్య {{value}} ({{count}} ఊహల్లో కనుగొనబడింది).',
+      reverse_conflict_pair: 'ఈ సమాధానాలు పరస్పర విరుద్ధం: #{{lowIndex}} ({{low}}) చాలా తక్కువ అన్నారు కానీ #{{highIndex}} ({{high}}) చాలా ఎక్కువ అన్నారు. కొనసాగడానికి ఒక సమాధానాన్ని రద్దు చేయండి.',
+      reverse_conflict_range_max: '#{{index}} ({{value}}) చాలా తక్కువ అన్నారు, కానీ శ్రేణి {{max}} వద్ద ముగుస్తుంది. కొనసాగడానికి ఒక సమాధానాన్ని రద్దు చేయండి.',
+      reverse_conflict_range_min: '#{{index}} ({{value}}) చాలా ఎక్కువ అన్నారు, కానీ శ్రేణి {{min}} వద్ద మొదలవుతుంది. కొనసాగడానికి ఒక సమాధానాన్ని రద్దు చేయండి.',
+      reverse_guesses_made: 'కంప్యూటర్ ఊహలు: {{count}}',
+      reverse_answers_group: 'కంప్యూటర్‌కు సమాధానం ఇవ్వండి',
+      reverse_answer_high: 'చాలా ఎక్కువ',
+      reverse_answer_low: 'చాలా తక్కువ',
+      reverse_answer_correct: 'సరైనది!',
+      reverse_undo: 'సమాధానం రద్దు',
+      // Bulls-and-cows mode
+      game_mode_bulls_cows: 'బుల్స్ & కౌస్: కోడ్ ఛేదించండి',
+      code_placeholder: '{{length}} అంకెలు నమోదు చేయండి',
+      code_rules: 'కోడ్: {{length}} వేర్వేరు అంకెలు ({{label}})',
+      code_rules_repeats: 'కోడ్: {{length}} అంకెలు, పునరావృతం అనుమతి ({{label}})',
+      code_allow_repeats_label: 'పునరావృత అంకెలను అనుమతించండి',
+      code_error_empty: '{{length}} అంకెల కోడ్ నమోదు చేయండి.',
+      code_error_digits: '0-9 అంకెలు మాత్రమే ఉపయోగించండి.',
+      code_error_length: 'కోడ్‌లో ఖచ్చితంగా {{length}} అంకెలు ఉంటాయి.',
+      code_error_repeats: 'ప్రతి అంకెను ఒక్కసారే ఉపయోగించవచ్చు.',
+      feedback_code: '🐂 {{bulls}} సరైన స్థానంలో, 🐄 {{cows}} తప్పు స్థానంలో.',
+      feedback_code_correct: 'ఛేదించారు! కోడ్ {{secret}}. మీ స్కోర్: {{score}}.',
+      feedback_code_correct_timebonus: 'ఛేదించారు! కోడ్ {{secret}}. మీ స్కోర్: {{score}} (టైమర్ బోనస్: +{{bonus}}%).',
+      history_item_code_aria: 'ఊహ {{value}}: {{bulls}} బుల్స్, {{cows}} కౌస్',
+      code_bulls_title: 'బుల్స్: సరైన అంకె, సరైన స్థానం',
+      code_cows_title: 'కౌస్: సరైన అంకె, తప్పు స్థానం',
+      hint_digit_code: 'సూచన: కోడ్‌లో {{position}}వ అంకె {{digit}}.',
+      bulls_cows_category: 'బుల్స్ & కౌస్ · {{length}} అంకెలు',
+      bulls_cows_category_repeats: 'బుల్స్ & కౌస్ · {{length}} అంకెలు, పునరావృతం',
+      // Hot-seat multiplayer
+      hotseat_toggle_label: 'హాట్-సీట్ మల్టీప్లేయర్',
+      hotseat_setup_title: 'ఆటగాళ్లు (2-6) ఈ పరికరంలో వంతులవారీగా ఆడతారు',
+      hotseat_player_name: 'ఆటగాడు {{number}} పేరు',
+      hotseat_remove_player: 'ఆటగాడు {{number}}ను తొలగించండి',
+      hotseat_add_player: 'ఆటగాడిని జోడించండి',
+      hotseat_best_of_label: 'మ్యాచ్ పొడవు',
+      hotseat_best_of: '{{count}}లో ఉత్తమం',
+      hotseat_start: 'మ్యాచ్ ప్రారంభించండి',
+      hotseat_error_empty_name: 'ప్రతి ఆటగాడికి పేరు ఉండాలి.',
+      hotseat_error_long_name: 'పేర్లు గరిష్టంగా {{max}} అక్షరాలు ఉండవచ్చు.',
+      hotseat_error_count: 'మ్యాచ్‌కు {{min}} నుండి {{max}} ఆటగాళ్లు కావాలి.',
+      hotseat_error_duplicate: 'ఆటగాళ్ల పేర్లు వేర్వేరుగా ఉండాలి.',
+      hotseat_round_of: '{{bestOf}}లో ఉత్తమం — రౌండ్ {{round}}',
+      hotseat_turn: '{{player}} వంతు',
+      hotseat_match_winner: '{{player}} మ్యాచ్ గెలిచారు! రీమ్యాచ్ కోసం కొత్త రౌండ్ ప్రారంభించండి.',
+      hotseat_match_draw: 'మ్యాచ్ డ్రా అయింది! రీమ్యాచ్ కోసం కొత్త రౌండ్ ప్రారంభించండి.',
+      hotseat_scoreboard: 'మ్యాచ్ స్కోర్‌బోర్డ్',
+      hotseat_col_player: 'ఆటగాడు',
+      hotseat_col_wins: 'విజయాలు',
+      hotseat_col_points: 'పాయింట్లు',
+      hotseat_col_attempts: 'ప్రయత్నాలు',
+      hotseat_col_hints: 'సూచనలు',
+      feedback_turn_timeout: '{{player}} సమయం ముగిసింది! {{next}} వంతు.',
+      player_chip_aria: 'ఆటగాడు {{player}}',
+      // Player profiles
+      profile_label: 'ఆటగాడి ప్రొఫైల్',
+      profiles_manage: 'ప్రొఫైల్స్',
+      profiles_title: 'ఆటగాళ్ల ప్రొఫైల్స్',
+      profiles_close: 'మూసివేయి',
+      profiles_intro: 'ప్రతి ప్రొఫైల్‌కు దాని స్వంత స్థాయిలు, గణాంకాలు, విజయాలు, లీడర్‌బోర్డ్, భాష మరియు థీమ్ ఉంటాయి.',
+      profile_avatar_label: '{{name}} అవతార్',
+      profile_name_label: '{{name}} పేరు',
+      profile_rename: 'పేరు మార్చు',
+      profile_active: 'ఆడుతున్నారు',
+      profile_switch: 'మారు',
+      profile_delete: 'తొలగించు',
+      profile_delete_aria: '{{name}} ప్రొఫైల్‌ను తొలగించు',
+      profile_delete_confirm: '{{name}} ప్రొఫైల్‌ను మరియు దాని పురోగతిని తొలగించాలా?',
+      profile_new_avatar_label: 'కొత్త ప్రొఫైల్ అవతార్',
+      profile_new_name_label: 'కొత్త ప్రొఫైల్ పేరు',
+      profile_create: 'ప్రొఫైల్ సృష్టించు',
+      profile_error_empty: 'ప్రొఫైల్ పేరు నమోదు చేయండి.',
+      profile_error_long: 'ప్రొఫైల్ పేర్లు గరిష్టంగా {{max}} అక్షరాలు ఉండవచ్చు.',
+      profile_error_duplicate: 'ఈ పేరుతో ప్రొఫైల్ ఇప్పటికే ఉంది.',
+      profile_error_missing: 'ఈ ప్రొఫైల్ ఇక లేదు.',
+      // Storage errors
+      storage_error_quota: 'నిల్వ నిండిపోయింది, కాబట్టి మీ పురోగతి ఈ ట్యాబ్ మూసే వరకు మాత్రమే ఉంటుంది.',
+      storage_error_unavailable: 'ఈ బ్రౌజర్‌లో సేవ్ చేయడం నిరోధించబడింది, కాబట్టి మీ పురోగతి ఈ ట్యాబ్ మూసే వరకు మాత్రమే ఉంటుంది.',
+      storage_error_migration: 'సేవ్ చేసిన డేటాను అప్‌గ్రేడ్ చేయలేకపోయాం; తదుపరిసారి మళ్లీ ప్రయత్నిస్తాం.',
+      storage_error_dismiss: 'మూసివేయి',
+      // Data backup (export / import)
+      backup_export: 'డేటా ఎగుమతి',
+      backup_import: 'డేటా దిగుమతి',
+      backup_import_title: 'బ్యాకప్ దిగుమతి',
+      backup_cancel: 'రద్దు చేయి',
+      backup_preview_title: 'ఈ బ్యాకప్ వల్ల మార్పులు',
+      backup_preview_source: '{{date}} నాటి {{name}} బ్యాకప్',
+      backup_preview_sessions: 'ఆట చరిత్ర: ఫైల్‌లో {{incoming}} రౌండ్లు, కొత్తవి {{added}}',
+      backup_preview_results: 'లీడర్‌బోర్డ్ ఫలితాలు: ఫైల్‌లో {{incoming}}, కొత్తవి {{added}}, ఇప్పటికే ఉన్నవి {{duplicates}}',
+      backup_preview_levels: 'అన్‌లాక్ అయ్యే స్థాయిలు: {{count}}',
+      backup_preview_achievements: 'అన్‌లాక్ అయ్యే విజయాలు: {{count}}',
+      backup_preview_daily: 'జోడించే డైలీ ఛాలెంజ్ రోజులు: {{count}}',
+      backup_preview_presets: 'జోడించే కస్టమ్ ప్రీసెట్లు: {{count}}',
+      backup_preview_stats: 'ఆడిన ఆటలు: ఇక్కడ {{currentGames}}, ఫైల్‌లో {{incomingGames}} · పరిష్కరించిన పజిల్స్: ఇక్కడ {{currentPuzzles}}, ఫైల్‌లో {{incomingPuzzles}}',
+      backup_preview_language: 'ఫైల్‌లోని భాష: {{language}}',
+      backup_preview_theme: 'ఫైల్‌లోని థీమ్: {{theme}}',
+      backup_modes_help: 'విలీనం మీ ప్రస్తుత డేటాను ఉంచి కొత్తవాటిని జోడిస్తుంది. భర్తీ ఈ ప్రొఫైల్ డేటా మరియు సెట్టింగ్‌లను బ్యాకప్‌తో మారుస్తుంది.',
+      backup_merge: 'విలీనం',
+      backup_replace: 'భర్తీ',
+      backup_replace_confirm: 'ఈ ప్రొఫైల్ మొత్తం డేటాను బ్యాకప్‌తో భర్తీ చేయాలా? దీన్ని రద్దు చేయలేరు.',
+      backup_error_json: 'ఈ ఫైల్ సరైన JSON కాదు.',
+      backup_error_format: 'ఈ ఫైల్ నంబర్ గెస్సింగ్ గేమ్ బ్యాకప్ కాదు.',
+      backup_error_version: 'ఈ బ్యాకప్ గేమ్ యొక్క కొత్త వెర్షన్‌తో తయారైంది.',
+      // Session history log
+      openSessions: '🗂️ చరిత్ర',
+      sessions_title: 'ఆట చరిత్ర',
+      sessions_close: 'మూసివేయి',
+      sessions_empty: 'ఇంకా పూర్తైన రౌండ్లు లేవు.',
+      sessions_count: 'నమోదైన రౌండ్లు: {{count}}',
+      sessions_outcome_won: 'గెలిచారు',
+      sessions_outcome_timeout: 'సమయం ముగిసింది',
+      sessions_outcome_out_of_attempts: 'ప్రయత్నాలు ముగిశాయి',
+      sessions_summary: 'ప్రయత్నాలు {{attempts}}/{{max}} · స్కోర్ {{score}}',
+      sessions_duration: 'సమయం {{duration}}',
+      sessions_flag_timer: 'టైమర్ ఛాలెంజ్',
+      sessions_flag_daily: 'డైలీ ఛాలెంజ్',
+      sessions_puzzle_solved: 'పజిల్ పరిష్కరించారు',
+      sessions_puzzle_failed: 'పజిల్ విఫలమైంది',
+      sessions_puzzle_unanswered: 'పజిల్ దాటవేశారు',
+      sessions_hints: 'సూచనలు: {{hints}}',
+      sessions_guesses: 'గెస్‌లు: {{guesses}}',
+      sessions_none: 'లేవు',
+      sessions_retention_max: 'గరిష్టంగా ఉంచు',
+      sessions_retention_max_option: '{{count}} రౌండ్లు',
+      sessions_retention_age: 'ఎంత కాలం ఉంచాలి',
+      sessions_retention_age_option: '{{count}} రోజులు',
+      sessions_retention_forever: 'ఎప్పటికీ',
+      sessions_clear: 'చరిత్రను తొలగించు',
+      sessions_clear_confirm: 'నమోదైన అన్ని రౌండ్లను తొలగించాలా? వాటి నుండి రూపొందిన లీడర్‌బోర్డ్ మరియు గణాంకాలు కూడా తొలగిపోతాయి.',
+      // Statistics breakdown
+      stats_filter_label: 'కష్టతరం',
+      stats_filter_all: 'అన్ని కష్టతరాలు',
+      stats_win_rate: 'గెలుపు శాతం',
+      stats_streak: 'వరుస విజయాలు (ప్రస్తుత / ఉత్తమ)',
+      stats_streak_value: '{{current}} / {{longest}}',
+      stats_losses: 'పరాజయాలు (సమయం ముగిసింది / ప్రయత్నాలు ముగిశాయి)',
+      stats_losses_value: '{{timeout}} / {{outOfAttempts}}',
+      stats_hint_usage: 'సూచనలు వాడిన రౌండ్లు',
+      stats_puzzle_rate: 'పజిల్ పరిష్కార శాతం',
+      stats_mode_standard: 'సాధారణ',
+      stats_mode_timer: 'టైమర్ ఛాలెంజ్',
+      stats_mode_puzzle: 'పజిల్ మోడ్',
+      stats_breakdown_difficulty: 'కష్టతరం వారీగా',
+      stats_breakdown_level: 'స్థాయి వారీగా',
+      stats_breakdown_mode: 'మోడ్ వారీగా',
+      stats_col_difficulty: 'కష్టతరం',
+      stats_col_level: 'స్థాయి',
+      stats_col_mode: 'మోడ్',
+      stats_col_games: 'ఆటలు',
+      stats_col_streak: 'వరుస (ప్రస్తుత / ఉత్తమ)',
+      stats_col_timeouts: 'సమయం ముగిసింది',
+      stats_col_out_of_attempts: 'ప్రయత్నాలు ముగిశాయి',
+      stats_breakdown_empty: 'విభజించడానికి ఇంకా పూర్తైన రౌండ్లు లేవు.',
+      // Statistics charts
+      stats_charts_title: 'పురోగతి చార్ట్‌లు',
+      chart_empty: 'చార్ట్‌లు చూడటానికి ఒక రౌండ్ గెలవండి.',
+      chart_show_table: 'డేటా పట్టిక చూపించు',
+      chart_attempts_title: 'గెలవడానికి ప్రయత్నాలు: {{difficulty}}',
+      chart_attempts_summary: '{{difficulty}}: {{wins}} విజయాలు, ఎక్కువగా {{attempts}} ప్రయత్నాల్లో ({{count}} విజయాలు).',
+      chart_col_attempts: 'ప్రయత్నాలు',
+      chart_col_wins: 'విజయాలు',
+      chart_trend_title: 'స్కోర్ ధోరణి (ఇటీవలి విజయాలు)',
+      chart_trend_summary: '{{count}} విజయాలు చూపించబడ్డాయి. {{window}} విజయాల సగటు {{first}} నుండి {{last}}కి మారింది: {{direction}}.',
+      chart_trend_single: 'ఇప్పటివరకు ఒక విజయం, స్కోర్ {{score}}.',
+      chart_trend_improving: 'మెరుగవుతోంది',
+      chart_trend_declining: 'తగ్గుతోంది',
+      chart_trend_steady: 'స్థిరంగా ఉంది',
+      chart_legend_score: 'స్కోర్',
+      chart_legend_average: '{{window}} సగటు',
+      chart_col_round: 'విజయం #',
+      chart_col_date: 'తేదీ',
+      chart_col_score: 'స్కోర్',
+      // Guess-quality analysis
+      analysis_title: 'గెస్ విశ్లేషణ',
+      analysis_summary: 'మీరు {{attempts}} ప్రయత్నాలు వాడారు; బైనరీ సెర్చ్‌కు గరిష్టంగా {{optimal}} చాలు. గెస్ సామర్థ్యం: {{efficiency}}. వృథా గెస్‌లు: {{wasted}}.',
+      analysis_caption: 'ప్రతి గెస్‌ను ఆదర్శ మధ్య గెస్‌తో పోలిక',
+      analysis_col_guess: 'గెస్',
+      analysis_col_feasible: 'ఇంకా సాధ్యమైనవి',
+      analysis_col_ideal: 'మధ్య సంఖ్య',
+      analysis_col_bits: 'పొందిన బిట్లు / ఆదర్శం',
+      analysis_col_note: 'గమనిక',
+      analysis_interval: '{{min}}–{{max}}',
+      analysis_bits_value: '{{bits}} / {{ideal}}',
+      analysis_wasted: 'వృథా: సాధ్యమైన సంఖ్యల వెలుపల',
+      analysis_found: 'కనుగొన్నారు',
+      analysis_optimal: 'మధ్య సంఖ్యంత మంచిది',
+      stats_efficiency: 'గెస్ సామర్థ్యం',
+      // Number line
+      numberline_toggle_label: 'సంఖ్యా రేఖ చూపించు',
+      numberline_label: 'సంఖ్యా రేఖ: గెస్ ఎంచుకోండి',
+      numberline_possible: 'ఇంకా సాధ్యం: {{min}} నుండి {{max}}',
+      numberline_none: 'సంఖ్యలు మిగల్లేదు',
+      ach_puristWin_title: 'ప్యూరిస్ట్',
+      ach_puristWin_desc: 'సంఖ్యా రేఖను పూర్తిగా దాచి ఒక సంఖ్య రౌండ్ గెలవండి.',
+      // Round replay viewer
+      replay_open: 'రీప్లే',
+      replay_open_aria: '{{date}} నాటి రౌండ్‌ను రీప్లే చేయండి',
+      replay_title: 'రీప్లే: {{date}}',
+      replay_back: 'సెషన్లకు తిరిగి',
+      replay_controls: 'రీప్లే నియంత్రణలు',
+      replay_play: 'ప్లే',
+      replay_pause: 'పాజ్',
+      replay_prev: 'మునుపటి దశ',
+      replay_next: 'తదుపరి దశ',
+      replay_scrub: 'రీప్లే స్థానం',
+      replay_position: 'దశ {{step}} / {{total}}',
+      replay_start: 'రౌండ్ ప్రారంభం',
+      replay_elapsed: '+{{time}}',
+      replay_timer: 'టైమర్: {{time}}',
+      replay_hint: 'సూచన ({{type}}): {{text}}',
+      replay_puzzle_solved: 'పజిల్ పరిష్కరించబడింది',
+      replay_puzzle_wrong: 'పజిల్‌కు తప్పు సమాధానం',
+      replay_timeout: 'సమయం ముగిసింది',
+      replay_no_times: 'ఈ రౌండ్ సమయాలు నమోదు కాలేదు.',
+      replay_empty: 'రీప్లే చేయడానికి ఏమీ లేదు: అంచనాలు చేయలేదు.',
+      // Sharing results and challenge links
+      share_title: 'మీ ఫలితాన్ని పంచుకోండి',
+      share_button: 'పంచుకోండి',
+      share_copy_link: 'సవాలు లింక్ కాపీ చేయండి',
+      share_download: 'కార్డ్ డౌన్‌లోడ్ (PNG)',
+      share_code_length: '{{length}} అంకెల కోడ్',
+      share_won: '{{attempts}}/{{max}} ప్రయత్నాల్లో పరిష్కరించారు',
+      share_timeout: 'సమయం ముగిసింది · అంచనాలు: {{attempts}}',
+      share_out_of_attempts: '{{max}} ప్రయత్నాల్లో పరిష్కరించలేదు',
+      share_hints: 'సూచనలు: {{count}}',
+      share_time_bonus: 'సమయ బోనస్: +{{bonus}}%',
+      share_score: 'స్కోరు: {{score}}',
+      share_notice_shared: 'పంచుకున్నారు.',
+      share_notice_copied: 'క్లిప్‌బోర్డ్‌కు కాపీ అయింది.',
+      share_notice_failed: 'కాపీ కాలేదు. పై వచనాన్ని ఎంచుకుని కాపీ చేయండి.',
+      share_notice_link_copied: 'సవాలు లింక్ కాపీ అయింది.',
+      share_notice_no_image: 'ఈ బ్రౌజర్ ఫలిత కార్డ్‌ను గీయలేదు.',
+      // Challenge links
+      challenge_invalid: 'ఈ సవాలు లింక్ పాడైంది లేదా మార్చబడింది, కాబట్టి విస్మరించబడింది.',
+      challenge_banner: 'మీరు {{name}} సవాలు ఆడుతున్నారు: {{attempts}} ప్రయత్నాలు / {{score}} పాయింట్లను అధిగమించండి',
+      challenge_banner_unsolved: 'మీరు {{name}} సవాలు ఆడుతున్నారు: వారు {{attempts}} ప్రయత్నాల్లో పరిష్కరించలేదు. మీరు చేయగలరా?',
+      challenge_banner_plain: 'మీరు పంచుకున్న రౌండ్ ఆడుతున్నారు.',
+      challenge_comparison_caption: 'సవాలు చేసినవారి ఫలితంతో మీ ఫలితం',
+      challenge_col_measure: 'కొలత',
+      challenge_you: 'మీరు',
+      challenge_row_result: 'ఫలితం',
+      challenge_row_attempts: 'ప్రయత్నాలు',
+      challenge_row_score: 'స్కోరు',
+      challenge_verdict_you: 'మీరు {{name}} సవాలును గెలిచారు!',
+      challenge_verdict_them: 'ఈసారి {{name}} ముందంజలో ఉన్నారు.',
+      challenge_verdict_tie: '{{name}}తో సమం.',
+      // Achievement registry: tiers, secrets and progress
+      achievements_tier_bronze: 'కాంస్యం',
+      achievements_tier_silver: 'వెండి',
+      achievements_tier_gold: 'బంగారం',
+      achievements_secret_title: 'రహస్య విజయం',
+      achievements_secret_desc: 'దీన్ని కనుగొనడానికి ఆడుతూ ఉండండి.',
+      achievements_progress: '{{current}}/{{target}}',
+      achievements_progress_aria: '{{title}} వైపు పురోగతి',
+      ach_hardWins_title: 'కష్టజీవి',
+      ach_hardWins_desc: '10 కఠిన రౌండ్లు గెలవండి.',
+      // Achievement catalogue
+      ach_timeKeeper_title: 'సమయ పాలకుడు',
+      ach_timeKeeper_desc: 'కనీసం 80% సమయం మిగిలి ఉండగా టైమర్ ఛాలెంజ్ రౌండ్ గెలవండి.',
+      ach_puzzleFirstTry_title: 'పజిల్ నిపుణుడు',
+      ach_puzzleFirstTry_desc: 'మళ్లీ ప్రయత్నం అవసరం లేకుండా పజిల్ మోడ్ పజిల్ పరిష్కరించండి.',
+      ach_expertNoHints_title: 'సహాయం లేని నిపుణుడు',
+      ach_expertNoHints_desc: 'ఏ సూచనలూ ఉపయోగించకుండా నిపుణ స్థాయి రౌండ్ గెలవండి.',
+      ach_winStreak_title: 'జోరు మీద',
+      ach_winStreak_desc: 'వరుసగా 5 రౌండ్లు గెలవండి.',
+      ach_lastChanceWin_title: 'చివరి క్షణం',
+      ach_lastChanceWin_desc: 'మీ చివరి ప్రయత్నంతో రౌండ్ గెలవండి.',
+      ach_allHintsWin_title: 'సూచనల సేకర్త',
+      ach_allHintsWin_desc: 'ఒకే రౌండ్‌లో అన్ని రకాల సూచనలు ఉపయోగించి కూడా గెలవండి.',
+      ach_polyglot_title: 'బహుభాషి',
+      ach_polyglot_desc: 'ప్రతి భాషలో ఒక రౌండ్ గెలవండి.',
+      ach_centurion_title: 'శతకం',
+      ach_centurion_desc: '100 ఆటలు ఆడండి.',
+      ach_binarySearchWin_title: 'బైనరీ శోధకుడు',
+      ach_binarySearchWin_desc: 'రెండు లేదా అంతకంటే ఎక్కువ అంచనాలతో, ప్రతిదీ మధ్య బిందువంత మంచిగా, సంఖ్య రౌండ్ గెలవండి.',
+      // Resume an unfinished round
+      resume_title: 'పూర్తి కాని రౌండ్',
+      resume_summary_number: '{{label}} ({{min}}–{{max}}): {{maxAttempts}} లో {{attempts}} ప్రయత్నాలు వాడారు.',
+      resume_summary_code: '{{length}} అంకెల {{label}} కోడ్: {{max}} లో {{attempts}} ప్రయత్నాలు వాడారు.',
+      resume_players: 'హాట్-సీట్ ఆటగాళ్లు: {{players}}',
+      resume_daily: '{{date}} రోజువారీ ఛాలెంజ్',
+      resume_timer_note: 'టైమర్ ఛాలెంజ్: మీరు లేనప్పుడు కూడా గడియారం నడుస్తూనే ఉంది.',
+      resume_continue: 'రౌండ్ కొనసాగించు',
+      resume_start_new: 'కొత్తది ప్రారంభించు',
+      // Timer Challenge settings: round time and per-guess shot clock
+      timer_round_time_label: 'రౌండ్ సమయం',
+      timer_round_time_default: 'డిఫాల్ట్ ({{time}})',
+      shot_clock_label: 'షాట్ క్లాక్',
+      shot_clock_off: 'ఆఫ్',
+      shot_clock_option: 'ప్రతి అంచనాకు {{time}}',
+      shot_clock_countdown: 'ఈ అంచనాకు మిగిలిన సమయం: {{time}}',
+      feedback_shot_clock: 'చాలా ఆలస్యం! షాట్ క్లాక్ ముగిసి ఒక ప్రయత్నం పోయింది. మిగిలిన ప్రయత్నాలు: {{remaining}}.',
+      feedback_shot_clock_out: 'చాలా ఆలస్యం! మీ చివరి ప్రయత్నంలో షాట్ క్లాక్ ముగిసింది.',
+      replay_shot_clock: 'షాట్ క్లాక్ ముగిసింది',
+      leaderboard_timer: 'టైమర్ ఛాలెంజ్',
+      leaderboard_timer_config: 'టైమర్ ఛాలెంజ్: {{seconds}} సె. రౌండ్',
+      leaderboard_timer_shot: 'టైమర్ ఛాలెంజ్: {{seconds}} సె. రౌండ్, ప్రతి అంచనాకు {{shot}} సె.',
+      // Time Attack
+      game_mode_time_attack: 'టైమ్ అటాక్: గడియారాన్ని ఓడించండి',
+      time_attack_solved: '{{secret}} ఛేదించారు! +{{points}} పాయింట్లు. తదుపరి రహస్య సంఖ్య, గడియారం నడుస్తూనే ఉంది.',
+      time_attack_missed: 'ప్రయత్నాలు అయిపోయాయి, సంఖ్య {{secret}}. −{{penalty}} సె. తదుపరి రహస్య సంఖ్య!',
+      time_attack_over: 'సమయం ముగిసింది! ఛేదించిన సంఖ్యలు: {{solved}}. స్కోర్: {{score}}.',
+      time_attack_category: 'టైమ్ అటాక్ · {{label}}',
+      time_attack_solved_label: '{{count}} ఛేదించారు',
+      time_attack_progress: 'ఛేదించిన సంఖ్యలు: {{count}}',
+      time_attack_summary_title: 'టైమ్ అటాక్ రన్',
+      time_attack_summary_totals: 'ఛేదించినవి {{solved}}, తప్పినవి {{missed}}. సామర్థ్య బోనస్ {{bonus}}. స్కోర్ {{score}}.',
+      time_attack_summary_caption: 'ఈ రన్‌లోని రహస్య సంఖ్యలు మరియు వాటి ప్రయత్నాలు',
+      time_attack_col_secret: 'రహస్య సంఖ్య',
+      time_attack_col_result: 'ఫలితం',
+      time_attack_col_attempts: 'ప్రయత్నాలు',
+      time_attack_col_points: 'పాయింట్లు',
+      time_attack_outcome_won: 'ఛేదించారు',
+      time_attack_outcome_out_of_attempts: 'తప్పింది',
+      time_attack_outcome_timeout: 'సమయం ముగిసింది',
+      time_attack_attempts_value: '{{count}} ({{guesses}})',
+      stats_mode_time_attack: 'టైమ్ అటాక్',
+      // Survival
+      game_mode_survival: 'సర్వైవల్: ఒకే ప్రయత్నాల నిధి, పెరుగుతున్న పరిధులు',
+      survival_round_won: '{{secret}} ఛేదించారు! +{{points}} పాయింట్లు, +{{refill}} ప్రయత్నాలు (నిధిలో {{pool}}). తదుపరి పరిధి: 1–{{max}}.',
+      survival_over: 'ప్రయత్నాల నిధి ఖాళీ అయింది, సంఖ్య {{secret}}. నిలిచిన రౌండ్లు: {{rounds}}. స్కోర్: {{score}}.',
+      survival_progress: 'రౌండ్ {{round}}: పరిధి {{min}}–{{max}}',
+      survival_category: 'సర్వైవల్ · {{label}}',
+      survival_rounds_label: '{{count}} రౌండ్లు నిలిచారు',
+      survival_summary_title: 'సర్వైవల్ రన్',
+      survival_summary_totals: 'నిలిచిన రౌండ్లు {{survived}}, అతిపెద్ద పరిధి 1–{{peakRange}}, వాడిన సూచనలు {{hintsUsed}}. స్కోర్ {{score}}.',
+      survival_summary_caption: 'ఈ రన్‌లోని రౌండ్లు, వాటి ప్రయత్నాలు, సూచనలు మరియు పునఃపూరణలు',
+      survival_col_range: 'పరిధి',
+      survival_col_secret: 'రహస్య సంఖ్య',
+      survival_col_result: 'ఫలితం',
+      survival_col_attempts: 'ప్రయత్నాలు',
+      survival_col_hints: 'సూచనలు',
+      survival_col_refill: 'పునఃపూరణ',
+      survival_col_points: 'పాయింట్లు',
+      survival_outcome_won: 'నిలిచారు',
+      survival_outcome_out_of_attempts: 'నిధి ఖాళీ',
+      stats_mode_survival: 'సర్వైవల్',
+      stats_best_run: 'ఉత్తమ సర్వైవల్ రన్',
+      stats_best_run_value: '{{rounds}} రౌండ్లు, 1–{{max}} వరకు',
+      ach_survivor_title: 'నిలిచినవారు',
+      ach_survivor_desc: 'ఒక సర్వైవల్ రన్‌లో 5 రౌండ్లు నిలవండి.',
+      ach_enduranceRun_title: 'సహనశీలి',
+      ach_enduranceRun_desc: 'ఒక సర్వైవల్ రన్‌లో 10 రౌండ్లు నిలవండి.',
+      ach_survivalThousand_title: 'వేలల్లోకి',
+      ach_survivalThousand_desc: 'సర్వైవల్ రన్‌లో 1–1000 పరిధిని చేరుకోండి.',
+      ach_unaidedSurvivor_title: 'ఒంటరి యోధుడు',
+      ach_unaidedSurvivor_desc: 'ఏ సూచనలూ వాడకుండా సర్వైవల్ రన్‌లో 5 రౌండ్లు నిలవండి.'
     }
   },
   hi: {
@@ -441,11 +1234,414 @@ const resources = {
       puzzle_opt_18: '18',
       puzzle_opt_32: '32',
       puzzle_opt_24: '24',
-      puzzle_opt_20num: '20'
+      puzzle_opt_20num: '20',
+      // Seeds
+      round_seed_label: 'राउंड सीड',
+      round_seed_hint: 'यही राउंड दोबारा खेलने के लिए ?seed=<राउंड सीड> के साथ खेल खोलें.',
+      dev_seed_label: 'डेव सीड',
+      dev_seed_apply: 'सीड लागू करें',
+      // Daily Challenge
+      daily_mode_enable_label: 'दैनिक चुनौती',
+      daily_title: 'दैनिक चुनौती — {{date}}',
+      daily_result_won: 'आज {{attempts}} प्रयासों में हल किया · स्कोर {{score}}',
+      daily_result_lost: 'आज की चुनौती समाप्त हो गई। कल फिर आइए!',
+      daily_one_attempt_note: 'प्रतिदिन एक स्कोर वाला प्रयास। सभी को एक ही संख्या मिलती है।',
+      daily_streak: 'लगातार: {{count}}',
+      daily_longest_streak: 'सर्वश्रेष्ठ लगातार: {{count}}',
+      daily_next_in: 'अगली चुनौती',
+      // Custom difficulty builder
+      difficultyCustom: 'कस्टम…',
+      difficulty_custom: 'कस्टम',
+      custom_edit: 'कस्टम नियम बदलें',
+      custom_builder_title: 'कस्टम कठिनाई',
+      custom_min_label: 'न्यूनतम',
+      custom_max_label: 'अधिकतम',
+      custom_attempts_label: 'प्रयास',
+      custom_timer_label: 'टाइमर (सेकंड)',
+      custom_hints_label: 'अनुमत संकेत',
+      custom_binary_search_note: 'इस सीमा के लिए बाइनरी सर्च को अधिकतम {{count}} प्रयास चाहिए।',
+      custom_error_integer: 'पूर्ण संख्या दर्ज करें।',
+      custom_error_bounds: '{{min}} और {{max}} के बीच होना चाहिए।',
+      custom_error_order: 'अधिकतम न्यूनतम से बड़ा होना चाहिए।',
+      custom_error_unwinnable: 'जीतना संभव नहीं: बाइनरी सर्च से निश्चित जीत के लिए कम से कम {{needed}} प्रयास चाहिए।',
+      custom_preset_load_label: 'सहेजा गया प्रीसेट लोड करें',
+      custom_preset_delete: 'प्रीसेट हटाएँ',
+      custom_preset_name_placeholder: 'प्रीसेट का नाम',
+      custom_preset_save: 'प्रीसेट सहेजें',
+      custom_preset_saved: 'प्रीसेट "{{name}}" सहेजा गया।',
+      custom_preset_deleted: 'प्रीसेट "{{name}}" हटाया गया।',
+      custom_preset_invalid: 'सहेजने से पहले ऊपर की त्रुटियाँ ठीक करें।',
+      custom_preset_name_required: 'प्रीसेट के लिए नाम दर्ज करें।',
+      custom_apply: 'कस्टम राउंड शुरू करें',
+      custom_cancel: 'रद्द करें',
+      custom_params_summary: 'कस्टम {{min}}–{{max}} · {{attempts}} प्रयास · {{seconds}}से',
+      leaderboard_category_label: 'श्रेणी',
+      leaderboard_category_all: 'सभी श्रेणियाँ',
+      // Game modes and Reverse mode
+      game_mode_label: 'खेल मोड',
+      game_mode_classic: 'क्लासिक: आप अनुमान लगाएँ',
+      game_mode_reverse: 'रिवर्स: कंप्यूटर अनुमान लगाए',
+      reverse_strategy_label: 'कंप्यूटर की रणनीति',
+      reverse_strategy_binary: 'बाइनरी सर्च',
+      reverse_strategy_random: 'यादृच्छिक',
+      reverse_strategy_human: 'इंसान जैसी',
+      reverse_think_of_number: '{{min}} से {{max}} के बीच कोई संख्या सोचें, फिर कंप्यूटर को जवाब दें।',
+      reverse_computer_guess: 'क्या यह {{value}} है?',
+      reverse_computer_won: 'मिल गया! आपकी संख्या {{value}} है ({{count}} अनुमानों में मिली)।',
+      reverse_conflict_pair: 'ये जवाब आपस में विरोधाभासी हैं: आपने #{{lowIndex}} ({{low}}) को बहुत कम कहा लेकिन #{{highIndex}} ({{high}}) को बहुत अधिक। जारी रखने के लिए कोई जवाब पूर्ववत करें।',
+      reverse_conflict_range_max: 'आपने #{{index}} ({{value}}) को बहुत कम कहा, लेकिन सीमा {{max}} पर समाप्त होती है। जारी रखने के लिए कोई जवाब पूर्ववत करें।',
+      reverse_conflict_range_min: 'आपने #{{index}} ({{value}}) को बहुत अधिक कहा, लेकिन सीमा {{min}} से शुरू होती है। जारी रखने के लिए कोई जवाब पूर्ववत करें।',
+      reverse_guesses_made: 'कंप्यूटर के अनुमान: {{count}}',
+      reverse_answers_group: 'कंप्यूटर को जवाब दें',
+      reverse_answer_high: 'बहुत अधिक',
+      reverse_answer_low: 'बहुत कम',
+      reverse_answer_correct: 'सही!',
+      reverse_undo: 'जवाब पूर्ववत करें',
+      // Bulls-and-cows mode
+      game_mode_bulls_cows: 'बुल्स और काउज़: कोड तोड़ें',
+      code_placeholder: '{{length}} अंक दर्ज करें',
+      code_rules: 'कोड: {{length}} अलग-अलग अंक ({{label}})',
+      code_rules_repeats: 'कोड: {{length}} अंक, दोहराव की अनुमति ({{label}})',
+      code_allow_repeats_label: 'दोहराए गए अंकों की अनुमति दें',
+      code_error_empty: '{{length}} अंकों का कोड दर्ज करें।',
+      code_error_digits: 'केवल 0-9 अंकों का उपयोग करें।',
+      code_error_length: 'कोड में ठीक {{length}} अंक हैं।',
+      code_error_repeats: 'हर अंक केवल एक बार उपयोग हो सकता है।',
+      feedback_code: '🐂 {{bulls}} सही स्थान पर, 🐄 {{cows}} गलत स्थान पर।',
+      feedback_code_correct: 'कोड तोड़ दिया! कोड {{secret}} था। आपका स्कोर: {{score}}।',
+      feedback_code_correct_timebonus: 'कोड तोड़ दिया! कोड {{secret}} था। आपका स्कोर: {{score}} (टाइमर बोनस: +{{bonus}}%)।',
+      history_item_code_aria: 'अनुमान {{value}}: {{bulls}} बुल्स, {{cows}} काउज़',
+      code_bulls_title: 'बुल्स: सही अंक, सही स्थान',
+      code_cows_title: 'काउज़: सही अंक, गलत स्थान',
+      hint_digit_code: 'संकेत: कोड का {{position}}वाँ अंक {{digit}} है।',
+      bulls_cows_category: 'बुल्स और काउज़ · {{length}} अंक',
+      bulls_cows_category_repeats: 'बुल्स और काउज़ · {{length}} अंक, दोहराव',
+      // Hot-seat multiplayer
+      hotseat_toggle_label: 'हॉट-सीट मल्टीप्लेयर',
+      hotseat_setup_title: 'खिलाड़ी (2-6) इस डिवाइस पर बारी-बारी से खेलते हैं',
+      hotseat_player_name: 'खिलाड़ी {{number}} का नाम',
+      hotseat_remove_player: 'खिलाड़ी {{number}} को हटाएँ',
+      hotseat_add_player: 'खिलाड़ी जोड़ें',
+      hotseat_best_of_label: 'मैच की लंबाई',
+      hotseat_best_of: '{{count}} में से सर्वश्रेष्ठ',
+      hotseat_start: 'मैच शुरू करें',
+      hotseat_error_empty_name: 'हर खिलाड़ी का नाम होना चाहिए।',
+      hotseat_error_long_name: 'नाम अधिकतम {{max}} अक्षरों के हो सकते हैं।',
+      hotseat_error_count: 'मैच के लिए {{min}} से {{max}} खिलाड़ी चाहिए।',
+      hotseat_error_duplicate: 'खिलाड़ियों के नाम अलग-अलग होने चाहिए।',
+      hotseat_round_of: '{{bestOf}} में से सर्वश्रेष्ठ — राउंड {{round}}',
+      hotseat_turn: '{{player}} की बारी',
+      hotseat_match_winner: '{{player}} ने मैच जीता! दोबारा खेलने के लिए नया राउंड शुरू करें।',
+      hotseat_match_draw: 'मैच बराबरी पर रहा! दोबारा खेलने के लिए नया राउंड शुरू करें।',
+      hotseat_scoreboard: 'मैच स्कोरबोर्ड',
+      hotseat_col_player: 'खिलाड़ी',
+      hotseat_col_wins: 'जीत',
+      hotseat_col_points: 'अंक',
+      hotseat_col_attempts: 'प्रयास',
+      hotseat_col_hints: 'संकेत',
+      feedback_turn_timeout: '{{player}} का समय समाप्त! अब {{next}} की बारी।',
+      player_chip_aria: 'खिलाड़ी {{player}}',
+      // Player profiles
+      profile_label: 'खिलाड़ी प्रोफ़ाइल',
+      profiles_manage: 'प्रोफ़ाइल',
+      profiles_title: 'खिलाड़ी प्रोफ़ाइल',
+      profiles_close: 'बंद करें',
+      profiles_intro: 'हर प्रोफ़ाइल के अपने स्तर, आँकड़े, उपलब्धियाँ, लीडरबोर्ड, भाषा और थीम होते हैं।',
+      profile_avatar_label: '{{name}} का अवतार',
+      profile_name_label: '{{name}} का नाम',
+      profile_rename: 'नाम बदलें',
+      profile_active: 'खेल रहे हैं',
+      profile_switch: 'बदलें',
+      profile_delete: 'हटाएँ',
+      profile_delete_aria: 'प्रोफ़ाइल {{name}} हटाएँ',
+      profile_delete_confirm: 'प्रोफ़ाइल {{name}} और उसकी सारी प्रगति हटाएँ?',
+      profile_new_avatar_label: 'नई प्रोफ़ाइल का अवतार',
+      profile_new_name_label: 'नई प्रोफ़ाइल का नाम',
+      profile_create: 'प्रोफ़ाइल बनाएँ',
+      profile_error_empty: 'प्रोफ़ाइल का नाम दर्ज करें।',
+      profile_error_long: 'प्रोफ़ाइल नाम अधिकतम {{max}} अक्षरों के हो सकते हैं।',
+      profile_error_duplicate: 'इस नाम की प्रोफ़ाइल पहले से मौजूद है।',
+      profile_error_missing: 'यह प्रोफ़ाइल अब मौजूद नहीं है।',
+      // Storage errors
+      storage_error_quota: 'स्टोरेज भर गया है, इसलिए आपकी प्रगति केवल यह टैब बंद करने तक रहेगी।',
+      storage_error_unavailable: 'इस ब्राउज़र में सहेजना अवरुद्ध है, इसलिए आपकी प्रगति केवल यह टैब बंद करने तक रहेगी।',
+      storage_error_migration: 'सहेजे गए डेटा को अपग्रेड नहीं किया जा सका; अगली बार फिर कोशिश होगी।',
+      storage_error_dismiss: 'खारिज करें',
+      // Data backup (export / import)
+      backup_export: 'डेटा निर्यात करें',
+      backup_import: 'डेटा आयात करें',
+      backup_import_title: 'बैकअप आयात करें',
+      backup_cancel: 'रद्द करें',
+      backup_preview_title: 'इस बैकअप से होने वाले बदलाव',
+      backup_preview_source: '{{date}} का {{name}} का बैकअप',
+      backup_preview_sessions: 'खेल इतिहास: फ़ाइल में {{incoming}} राउंड, नए {{added}}',
+      backup_preview_results: 'लीडरबोर्ड परिणाम: फ़ाइल में {{incoming}}, नए {{added}}, पहले से मौजूद {{duplicates}}',
+      backup_preview_levels: 'अनलॉक होने वाले स्तर: {{count}}',
+      backup_preview_achievements: 'अनलॉक होने वाली उपलब्धियाँ: {{count}}',
+      backup_preview_daily: 'जोड़े जाने वाले डेली चैलेंज दिन: {{count}}',
+      backup_preview_presets: 'जोड़े जाने वाले कस्टम प्रीसेट: {{count}}',
+      backup_preview_stats: 'खेले गए गेम: यहाँ {{currentGames}}, फ़ाइल में {{incomingGames}} · हल की गई पहेलियाँ: यहाँ {{currentPuzzles}}, फ़ाइल में {{incomingPuzzles}}',
+      backup_preview_language: 'फ़ाइल की भाषा: {{language}}',
+      backup_preview_theme: 'फ़ाइल की थीम: {{theme}}',
+      backup_modes_help: 'मर्ज आपका मौजूदा डेटा रखता है और नया जोड़ता है। बदलें इस प्रोफ़ाइल के डेटा और सेटिंग्स को बैकअप से बदल देता है।',
+      backup_merge: 'मर्ज करें',
+      backup_replace: 'बदलें',
+      backup_replace_confirm: 'इस प्रोफ़ाइल का सारा डेटा बैकअप से बदलें? इसे पूर्ववत नहीं किया जा सकता।',
+      backup_error_json: 'यह फ़ाइल मान्य JSON नहीं है।',
+      backup_error_format: 'यह फ़ाइल नंबर गेसिंग गेम का बैकअप नहीं है।',
+      backup_error_version: 'यह बैकअप गेम के नए संस्करण से बनाया गया है।',
+      // Session history log
+      openSessions: '🗂️ इतिहास',
+      sessions_title: 'खेल इतिहास',
+      sessions_close: 'बंद करें',
+      sessions_empty: 'अभी तक कोई पूरा राउंड नहीं.',
+      sessions_count: 'दर्ज राउंड: {{count}}',
+      sessions_outcome_won: 'जीते',
+      sessions_outcome_timeout: 'समय समाप्त',
+      sessions_outcome_out_of_attempts: 'प्रयास समाप्त',
+      sessions_summary: 'प्रयास {{attempts}}/{{max}} · स्कोर {{score}}',
+      sessions_duration: 'समय {{duration}}',
+      sessions_flag_timer: 'टाइमर चैलेंज',
+      sessions_flag_daily: 'डेली चैलेंज',
+      sessions_puzzle_solved: 'पहेली हल की',
+      sessions_puzzle_failed: 'पहेली विफल',
+      sessions_puzzle_unanswered: 'पहेली छोड़ी',
+      sessions_hints: 'संकेत: {{hints}}',
+      sessions_guesses: 'अनुमान: {{guesses}}',
+      sessions_none: 'कोई नहीं',
+      sessions_retention_max: 'अधिकतम रखें',
+      sessions_retention_max_option: '{{count}} राउंड',
+      sessions_retention_age: 'कितने समय तक रखें',
+      sessions_retention_age_option: '{{count}} दिन',
+      sessions_retention_forever: 'हमेशा',
+      sessions_clear: 'इतिहास साफ़ करें',
+      sessions_clear_confirm: 'सभी दर्ज राउंड हटाएँ? उनसे बने लीडरबोर्ड और आँकड़े भी साफ़ हो जाएँगे.',
+      // Statistics breakdown
+      stats_filter_label: 'कठिनाई',
+      stats_filter_all: 'सभी कठिनाइयाँ',
+      stats_win_rate: 'जीत दर',
+      stats_streak: 'लगातार जीत (मौजूदा / सर्वश्रेष्ठ)',
+      stats_streak_value: '{{current}} / {{longest}}',
+      stats_losses: 'हार (समय समाप्त / प्रयास समाप्त)',
+      stats_losses_value: '{{timeout}} / {{outOfAttempts}}',
+      stats_hint_usage: 'संकेत वाले राउंड',
+      stats_puzzle_rate: 'पहेली हल दर',
+      stats_mode_standard: 'सामान्य',
+      stats_mode_timer: 'टाइमर चैलेंज',
+      stats_mode_puzzle: 'पहेली मोड',
+      stats_breakdown_difficulty: 'कठिनाई के अनुसार',
+      stats_breakdown_level: 'स्तर के अनुसार',
+      stats_breakdown_mode: 'मोड के अनुसार',
+      stats_col_difficulty: 'कठिनाई',
+      stats_col_level: 'स्तर',
+      stats_col_mode: 'मोड',
+      stats_col_games: 'खेल',
+      stats_col_streak: 'लगातार (मौजूदा / सर्वश्रेष्ठ)',
+      stats_col_timeouts: 'समय समाप्त',
+      stats_col_out_of_attempts: 'प्रयास समाप्त',
+      stats_breakdown_empty: 'विभाजन के लिए अभी कोई पूरा राउंड नहीं.',
+      // Statistics charts
+      stats_charts_title: 'प्रगति चार्ट',
+      chart_empty: 'चार्ट देखने के लिए एक राउंड जीतें.',
+      chart_show_table: 'डेटा तालिका दिखाएँ',
+      chart_attempts_title: 'जीतने में प्रयास: {{difficulty}}',
+      chart_attempts_summary: '{{difficulty}}: {{wins}} जीत, अक्सर {{attempts}} प्रयासों में ({{count}} जीत).',
+      chart_col_attempts: 'प्रयास',
+      chart_col_wins: 'जीत',
+      chart_trend_title: 'स्कोर रुझान (हाल की जीत)',
+      chart_trend_summary: '{{count}} जीत दिखाई गईं. {{window}} जीत का औसत {{first}} से {{last}} हुआ: {{direction}}.',
+      chart_trend_single: 'अब तक एक जीत, स्कोर {{score}}.',
+      chart_trend_improving: 'सुधार हो रहा है',
+      chart_trend_declining: 'गिरावट',
+      chart_trend_steady: 'स्थिर',
+      chart_legend_score: 'स्कोर',
+      chart_legend_average: '{{window}} का औसत',
+      chart_col_round: 'जीत #',
+      chart_col_date: 'तारीख',
+      chart_col_score: 'स्कोर',
+      // Guess-quality analysis
+      analysis_title: 'अनुमान विश्लेषण',
+      analysis_summary: 'आपने {{attempts}} प्रयास किए; बाइनरी सर्च को अधिकतम {{optimal}} चाहिए. अनुमान दक्षता: {{efficiency}}. व्यर्थ अनुमान: {{wasted}}.',
+      analysis_caption: 'हर अनुमान की आदर्श मध्य अनुमान से तुलना',
+      analysis_col_guess: 'अनुमान',
+      analysis_col_feasible: 'अब भी संभव',
+      analysis_col_ideal: 'मध्य संख्या',
+      analysis_col_bits: 'प्राप्त बिट / आदर्श',
+      analysis_col_note: 'टिप्पणी',
+      analysis_interval: '{{min}}–{{max}}',
+      analysis_bits_value: '{{bits}} / {{ideal}}',
+      analysis_wasted: 'व्यर्थ: संभव संख्याओं से बाहर',
+      analysis_found: 'मिल गया',
+      analysis_optimal: 'मध्य संख्या जितना अच्छा',
+      stats_efficiency: 'अनुमान दक्षता',
+      // Number line
+      numberline_toggle_label: 'संख्या रेखा दिखाएँ',
+      numberline_label: 'संख्या रेखा: अनुमान चुनें',
+      numberline_possible: 'अब भी संभव: {{min}} से {{max}}',
+      numberline_none: 'कोई संख्या नहीं बची',
+      ach_puristWin_title: 'शुद्धतावादी',
+      ach_puristWin_desc: 'पूरे राउंड संख्या रेखा छिपाकर एक संख्या राउंड जीतें.',
+      // Round replay viewer
+      replay_open: 'रीप्ले',
+      replay_open_aria: '{{date}} का राउंड रीप्ले करें',
+      replay_title: 'रीप्ले: {{date}}',
+      replay_back: 'सत्रों पर वापस',
+      replay_controls: 'रीप्ले नियंत्रण',
+      replay_play: 'चलाएँ',
+      replay_pause: 'रोकें',
+      replay_prev: 'पिछला चरण',
+      replay_next: 'अगला चरण',
+      replay_scrub: 'रीप्ले स्थिति',
+      replay_position: 'चरण {{step}} / {{total}}',
+      replay_start: 'राउंड की शुरुआत',
+      replay_elapsed: '+{{time}}',
+      replay_timer: 'टाइमर: {{time}}',
+      replay_hint: 'संकेत ({{type}}): {{text}}',
+      replay_puzzle_solved: 'पहेली हल हुई',
+      replay_puzzle_wrong: 'पहेली का गलत उत्तर',
+      replay_timeout: 'समय समाप्त',
+      replay_no_times: 'इस राउंड के समय दर्ज नहीं हुए।',
+      replay_empty: 'रीप्ले के लिए कुछ नहीं: कोई अनुमान नहीं लगाया गया।',
+      // Sharing results and challenge links
+      share_title: 'अपना परिणाम साझा करें',
+      share_button: 'साझा करें',
+      share_copy_link: 'चुनौती लिंक कॉपी करें',
+      share_download: 'कार्ड डाउनलोड करें (PNG)',
+      share_code_length: '{{length}} अंकों का कोड',
+      share_won: '{{attempts}}/{{max}} में हल किया',
+      share_timeout: 'समय समाप्त · अनुमान: {{attempts}}',
+      share_out_of_attempts: '{{max}} प्रयासों में हल नहीं हुआ',
+      share_hints: 'संकेत: {{count}}',
+      share_time_bonus: 'समय बोनस: +{{bonus}}%',
+      share_score: 'स्कोर: {{score}}',
+      share_notice_shared: 'साझा किया गया।',
+      share_notice_copied: 'क्लिपबोर्ड पर कॉपी किया गया।',
+      share_notice_failed: 'कॉपी नहीं हो सका। ऊपर का पाठ चुनकर कॉपी करें।',
+      share_notice_link_copied: 'चुनौती लिंक कॉपी किया गया।',
+      share_notice_no_image: 'यह ब्राउज़र परिणाम कार्ड नहीं बना सकता।',
+      // Challenge links
+      challenge_invalid: 'यह चुनौती लिंक खराब है या बदला गया है, इसलिए अनदेखा किया गया।',
+      challenge_banner: 'आप {{name}} की चुनौती खेल रहे हैं: {{attempts}} प्रयास / {{score}} अंक से बेहतर करें',
+      challenge_banner_unsolved: 'आप {{name}} की चुनौती खेल रहे हैं: वे {{attempts}} प्रयासों में हल नहीं कर पाए। क्या आप कर सकते हैं?',
+      challenge_banner_plain: 'आप साझा किया गया राउंड खेल रहे हैं।',
+      challenge_comparison_caption: 'चुनौती देने वाले के परिणाम के साथ आपका परिणाम',
+      challenge_col_measure: 'माप',
+      challenge_you: 'आप',
+      challenge_row_result: 'परिणाम',
+      challenge_row_attempts: 'प्रयास',
+      challenge_row_score: 'स्कोर',
+      challenge_verdict_you: 'आपने {{name}} की चुनौती जीत ली!',
+      challenge_verdict_them: 'इस बार {{name}} आगे रहे।',
+      challenge_verdict_tie: '{{name}} के साथ बराबरी।',
+      // Achievement registry: tiers, secrets and progress
+      achievements_tier_bronze: 'कांस्य',
+      achievements_tier_silver: 'रजत',
+      achievements_tier_gold: 'स्वर्ण',
+      achievements_secret_title: 'गुप्त उपलब्धि',
+      achievements_secret_desc: 'इसे खोजने के लिए खेलते रहें.',
+      achievements_progress: '{{current}}/{{target}}',
+      achievements_progress_aria: '{{title}} की ओर प्रगति',
+      ach_hardWins_title: 'कठिन मेहनती',
+      ach_hardWins_desc: '10 कठिन राउंड जीतें.',
+      // Achievement catalogue
+      ach_timeKeeper_title: 'समय रक्षक',
+      ach_timeKeeper_desc: 'कम से कम 80% समय बचे रहते टाइमर चुनौती राउंड जीतें.',
+      ach_puzzleFirstTry_title: 'पहेली उस्ताद',
+      ach_puzzleFirstTry_desc: 'दोबारा प्रयास के बिना पहेली मोड की पहेली हल करें.',
+      ach_expertNoHints_title: 'बिना मदद का विशेषज्ञ',
+      ach_expertNoHints_desc: 'कोई संकेत उपयोग किए बिना विशेषज्ञ स्तर का राउंड जीतें.',
+      ach_winStreak_title: 'लगातार जीत',
+      ach_winStreak_desc: 'लगातार 5 राउंड जीतें.',
+      ach_lastChanceWin_title: 'आखिरी पल',
+      ach_lastChanceWin_desc: 'अपने आखिरी प्रयास में राउंड जीतें.',
+      ach_allHintsWin_title: 'संकेत संग्राहक',
+      ach_allHintsWin_desc: 'एक राउंड में हर प्रकार का संकेत उपयोग करके भी जीतें.',
+      ach_polyglot_title: 'बहुभाषी',
+      ach_polyglot_desc: 'हर भाषा में एक राउंड जीतें.',
+      ach_centurion_title: 'शतकवीर',
+      ach_centurion_desc: '100 गेम खेलें.',
+      ach_binarySearchWin_title: 'बाइनरी खोजी',
+      ach_binarySearchWin_desc: 'दो या अधिक अनुमानों में संख्या राउंड जीतें, हर अनुमान मध्य बिंदु जितना अच्छा हो.',
+      // Resume an unfinished round
+      resume_title: 'अधूरा राउंड',
+      resume_summary_number: '{{label}} ({{min}}–{{max}}): {{maxAttempts}} में से {{attempts}} प्रयास उपयोग हुए.',
+      resume_summary_code: '{{length}} अंकों का {{label}} कोड: {{max}} में से {{attempts}} प्रयास उपयोग हुए.',
+      resume_players: 'हॉट-सीट खिलाड़ी: {{players}}',
+      resume_daily: '{{date}} की दैनिक चुनौती',
+      resume_timer_note: 'टाइमर चुनौती: आपके दूर रहने पर भी घड़ी चलती रही.',
+      resume_continue: 'राउंड जारी रखें',
+      resume_start_new: 'नया शुरू करें',
+      // Timer Challenge settings: round time and per-guess shot clock
+      timer_round_time_label: 'राउंड का समय',
+      timer_round_time_default: 'डिफ़ॉल्ट ({{time}})',
+      shot_clock_label: 'शॉट क्लॉक',
+      shot_clock_off: 'बंद',
+      shot_clock_option: 'हर अनुमान के लिए {{time}}',
+      shot_clock_countdown: 'इस अनुमान के लिए शेष समय: {{time}}',
+      feedback_shot_clock: 'बहुत धीमे! शॉट क्लॉक खत्म हुई और एक प्रयास गया। शेष प्रयास: {{remaining}}।',
+      feedback_shot_clock_out: 'बहुत धीमे! आपके आखिरी प्रयास पर शॉट क्लॉक खत्म हो गई।',
+      replay_shot_clock: 'शॉट क्लॉक खत्म हुई',
+      leaderboard_timer: 'टाइमर चैलेंज',
+      leaderboard_timer_config: 'टाइमर चैलेंज: {{seconds}} सेकंड का राउंड',
+      leaderboard_timer_shot: 'टाइमर चैलेंज: {{seconds}} सेकंड का राउंड, हर अनुमान के लिए {{shot}} सेकंड',
+      // Time Attack
+      game_mode_time_attack: 'टाइम अटैक: घड़ी को हराएँ',
+      time_attack_solved: '{{secret}} हल किया! +{{points}} अंक। अगली गुप्त संख्या, घड़ी चलती रहेगी।',
+      time_attack_missed: 'प्रयास खत्म, संख्या {{secret}} थी। −{{penalty}} से.। अगली गुप्त संख्या!',
+      time_attack_over: 'समय समाप्त! हल की गई संख्याएँ: {{solved}}। स्कोर: {{score}}।',
+      time_attack_category: 'टाइम अटैक · {{label}}',
+      time_attack_solved_label: '{{count}} हल',
+      time_attack_progress: 'हल की गई संख्याएँ: {{count}}',
+      time_attack_summary_title: 'टाइम अटैक रन',
+      time_attack_summary_totals: 'हल {{solved}}, चूके {{missed}}। दक्षता बोनस {{bonus}}। स्कोर {{score}}।',
+      time_attack_summary_caption: 'इस रन की गुप्त संख्याएँ और उनके प्रयास',
+      time_attack_col_secret: 'गुप्त संख्या',
+      time_attack_col_result: 'परिणाम',
+      time_attack_col_attempts: 'प्रयास',
+      time_attack_col_points: 'अंक',
+      time_attack_outcome_won: 'हल',
+      time_attack_outcome_out_of_attempts: 'चूके',
+      time_attack_outcome_timeout: 'समय समाप्त',
+      time_attack_attempts_value: '{{count}} ({{guesses}})',
+      stats_mode_time_attack: 'टाइम अटैक',
+      // Survival
+      game_mode_survival: 'सर्वाइवल: एक प्रयास भंडार, बढ़ती सीमाएँ',
+      survival_round_won: '{{secret}} हल किया! +{{points}} अंक और +{{refill}} प्रयास (भंडार में {{pool}})। अगली सीमा: 1–{{max}}।',
+      survival_over: 'प्रयास भंडार खाली हो गया, संख्या {{secret}} थी। टिके राउंड: {{rounds}}। स्कोर: {{score}}।',
+      survival_progress: 'राउंड {{round}}: सीमा {{min}}–{{max}}',
+      survival_category: 'सर्वाइवल · {{label}}',
+      survival_rounds_label: '{{count}} राउंड टिके',
+      survival_summary_title: 'सर्वाइवल रन',
+      survival_summary_totals: 'टिके राउंड {{survived}}, सबसे बड़ी सीमा 1–{{peakRange}}, उपयोग किए संकेत {{hintsUsed}}। स्कोर {{score}}।',
+      survival_summary_caption: 'इस रन के राउंड और उनके प्रयास, संकेत व भरपाई',
+      survival_col_range: 'सीमा',
+      survival_col_secret: 'गुप्त संख्या',
+      survival_col_result: 'परिणाम',
+      survival_col_attempts: 'प्रयास',
+      survival_col_hints: 'संकेत',
+      survival_col_refill: 'भरपाई',
+      survival_col_points: 'अंक',
+      survival_outcome_won: 'टिके',
+      survival_outcome_out_of_attempts: 'भंडार खाली',
+      stats_mode_survival: 'सर्वाइवल',
+      stats_best_run: 'सर्वश्रेष्ठ सर्वाइवल रन',
+      stats_best_run_value: '{{rounds}} राउंड, 1–{{max}} तक',
+      ach_survivor_title: 'उत्तरजीवी',
+      ach_survivor_desc: 'एक सर्वाइवल रन में 5 राउंड टिकें.',
+      ach_enduranceRun_title: 'धीरज',
+      ach_enduranceRun_desc: 'एक सर्वाइवल रन में 10 राउंड टिकें.',
+      ach_survivalThousand_title: 'हज़ारों में',
+      ach_survivalThousand_desc: 'सर्वाइवल रन में 1–1000 की सीमा तक पहुँचें.',
+      ach_unaidedSurvivor_title: 'अकेला योद्धा',
+      ach_unaidedSurvivor_desc: 'बिना कोई संकेत लिए सर्वाइवल रन में 5 राउंड टिकें.'
     }
   }
 };
 
+// PUBLIC_INTERFACE
+// Languages the UI is translated into
+export const LANGUAGES = Object.keys(resources);
+
 i18n
   .use(initReactI18next)
   .init({
@@ -3,6 +3,10 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import './i18n';
 import App from './App';
+import { runMigrations } from './storage';
+
+// Upgrade saved data to the current schema before the first read
+runMigrations();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
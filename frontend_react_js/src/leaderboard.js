@@ -1,87 +1,223 @@
-const STORAGE_KEY = 'ngg_leaderboard_v2';
+import { randomId } from './random';
+import { GAME_MODES, RUN_MODES, STATUS } from './engine';
+import { customConfigKey, validateCustomConfig } from './customDifficulty';
+import { profileKey, readProfiles } from './profiles';
+import { readJSON, registerMigration, removeItem, writeJSON } from './storage';
+import { mergeSessions, readSessions, recordSession, removeSessions, writeSessions } from './sessions';
+
+const LEGACY_V2_STORAGE_KEY = 'ngg_leaderboard_v2';
+const LEGACY_STORAGE_KEY = 'ngg_leaderboard_v1';
 
 /**
- * Shape of a result entry:
- * { id: string, timestamp: number, difficulty: 'easy'|'medium'|'hard', attempts: number, score: number }
+ * The leaderboard is a view over the session log (see sessions.js): every won round outside the
+ * Daily Challenge, and every Time Attack or Survival run that scored, newest first. Shape of a result entry:
+ * { id: string, timestamp: number, difficulty: 'easy'|'medium'|'hard'|'custom', attempts: number, score: number,
+ *   seed: string|null, custom: { min, max, maxAttempts, timerSeconds, hintTypes }|null,
+ *   mode: 'classic'|'bulls_cows'|'time_attack'|'survival', code: { length, allowRepeats }|null, player: string|null,
+ *   solved: number|null (Time Attack secrets solved, Survival rounds survived),
+ *   timerChallenge: boolean, totalTime: number|null, shotClock: number|null, timeRemaining: number|null }
+ * player names the hot-seat player who won the round (null in single-player rounds).
+ * Timer Challenge wins record the timer configuration: the round time and the shot clock, if any.
+ * Custom rounds record their parameters so they are ranked apart from the standard difficulties;
+ * bulls-and-cows rounds rank per code rules and Time Attack and Survival runs apart from single rounds.
  */
 
+// How a run of each run-based mode (see RUN_MODES) ends: runs always end lost, so they rank by score
+const RUN_OUTCOMES = { [GAME_MODES.timeAttack]: STATUS.timeout, [GAME_MODES.survival]: STATUS.outOfAttempts };
+
+function normalizeCode(code) {
+  if (!code || typeof code.length !== 'number') return null;
+  return { length: code.length, allowRepeats: Boolean(code.allowRepeats) };
+}
+
+function normalizeCustom(custom) {
+  if (!custom) return null;
+  const result = validateCustomConfig(custom);
+  return result.ok ? result.config : null;
+}
+
+function isLeaderboardSession(session) {
+  if (session.daily) return false;
+  return session.outcome === 'won' || (RUN_MODES.includes(session.mode) && session.score > 0);
+}
+
+function sessionToResult(session) {
+  return {
+    id: session.id,
+    timestamp: session.finishedAt,
+    difficulty: session.difficulty,
+    attempts: session.attempts,
+    score: session.score,
+    timerChallenge: session.timerChallenge,
+    timeRemaining: session.timeRemaining,
+    totalTime: session.totalTime,
+    shotClock: session.shotClock,
+    seed: session.seed,
+    custom: normalizeCustom(session.custom),
+    mode: session.mode,
+    code: normalizeCode(session.code),
+    player: session.player,
+    solved: session.solved,
+  };
+}
+
+function resultToSession(entry) {
+  return {
+    id: entry.id || `${entry.timestamp}-${entry.difficulty}-${entry.attempts}-${entry.score}-v1`,
+    finishedAt: entry.timestamp,
+    // A Time Attack run ends on the clock, a Survival run when its attempt pool runs dry
+    outcome: RUN_OUTCOMES[entry.mode] || 'won',
+    difficulty: entry.difficulty,
+    attempts: entry.attempts,
+    score: entry.score,
+    timerChallenge: entry.timerChallenge,
+    timeRemaining: entry.timeRemaining,
+    totalTime: entry.totalTime,
+    shotClock: entry.shotClock,
+    seed: entry.seed,
+    custom: entry.custom,
+    mode: entry.mode,
+    code: entry.code,
+    player: entry.player,
+    solved: entry.solved,
+  };
+}
+
 // PUBLIC_INTERFACE
-export function readResults() {
-  /** Read results array from localStorage, return [] if not found or invalid */
-  try {
-    const raw = window.localStorage.getItem(STORAGE_KEY);
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return [];
-    // Ensure minimum fields presence; filter out invalid entries and normalize new metadata
-    return parsed
-      .filter(
-        (e) =>
-          e &&
-          typeof e === 'object' &&
-          typeof e.timestamp === 'number' &&
-          typeof e.difficulty === 'string' &&
-          typeof e.attempts === 'number' &&
-          typeof e.score === 'number'
-      )
-      .map((e) => ({
-        ...e,
-        timerChallenge: Boolean(e.timerChallenge),
-        timeRemaining: typeof e.timeRemaining === 'number' ? e.timeRemaining : null,
-        totalTime: typeof e.totalTime === 'number' ? e.totalTime : null,
-      }));
-  } catch {
-    return [];
+export function resultCategory(entry) {
+  /**
+   * Ranking category: the difficulty, 'custom:<params>' so each custom rule set ranks on its own,
+   * or 'bulls_cows:<length>[r]' for codes (r = repeated digits allowed). Time Attack runs rank
+   * as 'time_attack:<the same>' and Survival runs as 'survival:<difficulty>' (their starting pool).
+   */
+  if (entry.mode === 'time_attack') return `time_attack:${resultCategory({ ...entry, mode: 'classic' })}`;
+  if (entry.mode === 'survival') return `survival:${entry.difficulty}`;
+  if (entry.mode === 'bulls_cows' && entry.code) {
+    return `bulls_cows:${entry.code.length}${entry.code.allowRepeats ? 'r' : ''}`;
   }
+  return entry.difficulty === 'custom' && entry.custom ? `custom:${customConfigKey(entry.custom)}` : entry.difficulty;
 }
 
 // PUBLIC_INTERFACE
-export function writeResults(entries) {
-  /** Persist results array safely */
-  try {
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries || []));
-  } catch {
-    // ignore quota or serialization errors
+export function normalizeResults(parsed) {
+  /** Validate a stored or imported results list: invalid entries are dropped, metadata normalized; null if not a list */
+  if (!Array.isArray(parsed)) return null;
+  // Ensure minimum fields presence; filter out invalid entries and normalize new metadata
+  return parsed
+    .filter(
+      (e) =>
+        e &&
+        typeof e === 'object' &&
+        typeof e.timestamp === 'number' &&
+        typeof e.difficulty === 'string' &&
+        typeof e.attempts === 'number' &&
+        typeof e.score === 'number'
+    )
+    .map((e) => ({
+      ...e,
+      timerChallenge: Boolean(e.timerChallenge),
+      timeRemaining: typeof e.timeRemaining === 'number' ? e.timeRemaining : null,
+      totalTime: typeof e.totalTime === 'number' ? e.totalTime : null,
+      shotClock: typeof e.shotClock === 'number' ? e.shotClock : null,
+      seed: typeof e.seed === 'string' ? e.seed : null,
+      custom: normalizeCustom(e.custom),
+      mode: typeof e.mode === 'string' ? e.mode : 'classic',
+      code: normalizeCode(e.code),
+      player: typeof e.player === 'string' && e.player ? e.player : null,
+      solved: typeof e.solved === 'number' ? e.solved : null,
+    }));
+}
+
+// Schema v2: fold the original 'ngg_leaderboard_v1' list (saved before profiles, so unnamespaced) into v2
+registerMigration(2, () => {
+  const legacy = readJSON(LEGACY_STORAGE_KEY, normalizeResults, []);
+  if (legacy.length === 0) {
+    removeItem(LEGACY_STORAGE_KEY);
+    return;
+  }
+  const current = readJSON(LEGACY_V2_STORAGE_KEY, normalizeResults, []);
+  const migrated = legacy.map((e) => ({ ...e, id: e.id || `${e.timestamp}-${e.difficulty}-${e.attempts}-${e.score}-v1` }));
+  const ids = new Set(current.map((e) => e.id));
+  const merged = [...current, ...migrated.filter((e) => !ids.has(e.id))].sort((a, b) => b.timestamp - a.timestamp);
+  if (!writeJSON(LEGACY_V2_STORAGE_KEY, merged)) throw new Error('leaderboard migration could not be saved');
+  removeItem(LEGACY_STORAGE_KEY);
+});
+
+// Schema v3: every profile's 'ngg_leaderboard_v2' wins become won sessions in its session log
+registerMigration(3, () => {
+  for (const { id: profileId } of readProfiles().profiles) {
+    const key = profileKey(LEGACY_V2_STORAGE_KEY, profileId);
+    const legacy = readJSON(key, normalizeResults, []);
+    if (legacy.length > 0) {
+      const sessions = readSessions(profileId);
+      const ids = new Set(sessions.map((s) => s.id));
+      const migrated = legacy.map(resultToSession).filter((s) => !ids.has(s.id));
+      if (!writeSessions([...sessions, ...migrated], profileId)) throw new Error('leaderboard migration could not be saved');
+    }
+    removeItem(key);
   }
+});
+
+// PUBLIC_INTERFACE
+export function readResults() {
+  /** The active profile's leaderboard results (won, non-daily sessions), newest first */
+  return normalizeResults(readSessions().filter(isLeaderboardSession).map(sessionToResult));
+}
+
+// PUBLIC_INTERFACE
+export function writeResults(entries) {
+  /** Replace the active profile's leaderboard results (other sessions are kept); returns false when not saved */
+  const valid = (normalizeResults(entries) || []).map(resultToSession);
+  return writeSessions([...readSessions().filter((s) => !isLeaderboardSession(s)), ...valid]);
 }
 
 // PUBLIC_INTERFACE
 export function clearResults() {
-  /** Remove leaderboard data */
-  try {
-    window.localStorage.removeItem(STORAGE_KEY);
-  } catch {
-    // no-op
-  }
+  /** Remove leaderboard data (the won sessions it is derived from) */
+  removeSessions(isLeaderboardSession);
+}
+
+// PUBLIC_INTERFACE
+export function addResult({ timestamp, difficulty, attempts, score, timerChallenge = false, timeRemaining = null, totalTime = null, shotClock = null, seed = null, custom = null, mode = 'classic', code = null, player = null }) {
+  /** Record a won round as a session and return its leaderboard entry. List size is bounded by the session retention settings. */
+  const session = recordSession(
+    resultToSession({
+      id: `${timestamp}-${difficulty}-${attempts}-${score}-${randomId()}`,
+      timestamp,
+      difficulty,
+      attempts,
+      score,
+      timerChallenge: Boolean(timerChallenge),
+      timeRemaining: typeof timeRemaining === 'number' ? timeRemaining : null,
+      totalTime: typeof totalTime === 'number' ? totalTime : null,
+      shotClock: typeof shotClock === 'number' ? shotClock : null,
+      seed: typeof seed === 'string' ? seed : null,
+      custom: normalizeCustom(custom),
+      mode,
+      code: normalizeCode(code),
+      player: typeof player === 'string' && player ? player : null,
+    })
+  );
+  return session ? normalizeResults([sessionToResult(session)])[0] : null;
 }
 
 // PUBLIC_INTERFACE
-export function addResult({ timestamp, difficulty, attempts, score, timerChallenge = false, timeRemaining = null, totalTime = null }) {
-  /** Add a single result and cap list size to top 50 to prevent unbounded growth.
-   * We keep a single list; sorting happens per view.
+export function mergeResults(incoming) {
+  /**
+   * Merge results (e.g. from a backup) into the session log, skipping ids already present.
+   * Returns the number of results added.
    */
-  const nowEntry = {
-    id: `${timestamp}-${difficulty}-${attempts}-${score}-${Math.random().toString(36).slice(2)}`,
-    timestamp,
-    difficulty,
-    attempts,
-    score,
-    timerChallenge: Boolean(timerChallenge),
-    timeRemaining: typeof timeRemaining === 'number' ? timeRemaining : null,
-    totalTime: typeof totalTime === 'number' ? totalTime : null,
-  };
-  const existing = readResults();
-  const combined = [nowEntry, ...existing];
-  // Cap to 50 entries total to keep storage small
-  const capped = combined.slice(0, 50);
-  writeResults(capped);
-  return nowEntry;
+  const valid = (normalizeResults(incoming) || []).filter((e) => e.id);
+  return mergeSessions(valid.map(resultToSession));
 }
 
 // PUBLIC_INTERFACE
-export function getHighScores(limit = 10) {
-  /** Return best by score desc; tie-breaker attempts asc, then timestamp asc for stability */
-  const list = readResults().slice();
+export function getHighScores(limit = 10, category = null) {
+  /**
+   * Return best by score desc; tie-breaker attempts asc, then timestamp asc for stability.
+   * Pass a resultCategory() value to rank a single category.
+   */
+  const list = readResults().filter((e) => !category || resultCategory(e) === category);
   list.sort((a, b) => {
     if (b.score !== a.score) return b.score - a.score;
     if (a.attempts !== b.attempts) return a.attempts - b.attempts;
@@ -91,13 +227,37 @@ export function getHighScores(limit = 10) {
 }
 
 // PUBLIC_INTERFACE
-export function getBestAttempts(limit = 10) {
-  /** Return best by attempts asc; tie-breaker higher score desc, then timestamp asc */
-  const list = readResults().slice();
+export function getBestAttempts(limit = 10, category = null) {
+  /**
+   * Return best by attempts asc; tie-breaker higher score desc, then timestamp asc. Optional category filter.
+   * Runs guess across many secrets, so they rank by secrets solved (or rounds survived) desc first,
+   * after every single round.
+   */
+  const list = readResults().filter((e) => !category || resultCategory(e) === category);
+  const isRun = (e) => RUN_MODES.includes(e.mode);
   list.sort((a, b) => {
+    if (isRun(a) !== isRun(b)) return isRun(a) ? 1 : -1;
+    if (isRun(a) && a.solved !== b.solved) return (b.solved || 0) - (a.solved || 0);
     if (a.attempts !== b.attempts) return a.attempts - b.attempts;
     if (b.score !== a.score) return b.score - a.score;
     return a.timestamp - b.timestamp;
   });
   return list.slice(0, limit);
 }
+
+// PUBLIC_INTERFACE
+export function listCategories(entries = readResults()) {
+  /** Distinct ranking categories present in the results: standard difficulties first, then custom configs */
+  const order = ['easy', 'medium', 'hard'];
+  const seen = new Map();
+  for (const e of entries) {
+    const key = resultCategory(e);
+    if (!seen.has(key)) seen.set(key, { key, difficulty: e.difficulty, custom: e.custom || null, mode: e.mode, code: e.code || null });
+  }
+  return [...seen.values()].sort((a, b) => {
+    const ia = order.indexOf(a.key);
+    const ib = order.indexOf(b.key);
+    if (ia !== -1 || ib !== -1) return (ia === -1 ? order.length : ia) - (ib === -1 ? order.length : ib);
+    return a.key.localeCompare(b.key);
+  });
+}
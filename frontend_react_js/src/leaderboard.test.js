@@ -1,6 +1,11 @@
-import { render, screen, fireEvent, act } from '@testing-library/react';
+import { cleanup, render, screen, fireEvent, act } from '@testing-library/react';
 import App from './App';
-import { readResults, clearResults } from './leaderboard';
+import LeaderboardModal from './LeaderboardModal';
+import SurvivalSummary from './SurvivalSummary';
+import TimeAttackSummary from './TimeAttackSummary';
+import { gameReducer, startRound } from './engine';
+import { recordSession, sessionFromRound } from './sessions';
+import { readResults, clearResults, addResult, getBestAttempts, getHighScores, listCategories, resultCategory } from './leaderboard';
 
 // Utility: brute force win for current difficulty
 function bruteForceWin(max) {
@@ -150,3 +155,126 @@ test('Leaderboard entries include timer metadata when winning in Timer Challenge
     expect(r0.timeRemaining).toBeLessThanOrEqual(r0.totalTime);
   }
 });
+
+test('Timer Challenge wins record the round time and shot clock they were played with', () => {
+  const timed = startRound({ difficulty: 'easy', secret: 12, timerChallenge: true, timerSeconds: 45, shotClock: 8 }).state;
+  recordSession(sessionFromRound(gameReducer(timed, { type: 'guess', input: '12' }).state, { finishedAt: 10 }));
+  addResult({ timestamp: 5, difficulty: 'easy', attempts: 2, score: 900, timerChallenge: true, totalTime: 30, timeRemaining: 12 });
+
+  const [shot, plain] = readResults();
+  expect(shot).toMatchObject({ timerChallenge: true, totalTime: 45, shotClock: 8 });
+  expect(plain).toMatchObject({ totalTime: 30, shotClock: null });
+
+  render(<LeaderboardModal open onClose={() => {}} />);
+  expect(screen.getByLabelText('Timer Challenge: 45 s round, 8 s per guess').textContent).toBe('⏱ 45s · 🎯 8s');
+  expect(screen.getByLabelText('Timer Challenge: 30 s round')).toBeInTheDocument();
+});
+
+test('custom rounds record their parameters and rank in their own category', () => {
+  const custom = { min: -50, max: 50, maxAttempts: 9, timerSeconds: 40, hintTypes: ['parity'] };
+  addResult({ timestamp: 1, difficulty: 'easy', attempts: 3, score: 900 });
+  addResult({ timestamp: 2, difficulty: 'custom', attempts: 4, score: 950, custom });
+  addResult({ timestamp: 3, difficulty: 'custom', attempts: 2, score: 990, custom: { ...custom, max: 60 } });
+
+  const stored = readResults().find((r) => r.timestamp === 2);
+  expect(stored.custom).toEqual(custom);
+  expect(resultCategory(stored)).toBe('custom:-50..50/9a/40s/p');
+
+  expect(listCategories().map((c) => c.key)).toEqual(['easy', 'custom:-50..50/9a/40s/p', 'custom:-50..60/9a/40s/p']);
+  expect(getHighScores(10, 'easy').map((r) => r.timestamp)).toEqual([1]);
+  expect(getHighScores(10, resultCategory(stored)).map((r) => r.timestamp)).toEqual([2]);
+  expect(getHighScores(10)).toHaveLength(3);
+});
+
+test('bulls-and-cows results rank per code rules', () => {
+  addResult({ timestamp: 1, difficulty: 'medium', attempts: 5, score: 600, mode: 'bulls_cows', code: { length: 4 } });
+  addResult({ timestamp: 2, difficulty: 'medium', attempts: 5, score: 600, mode: 'bulls_cows', code: { length: 4, allowRepeats: true } });
+  addResult({ timestamp: 3, difficulty: 'medium', attempts: 5, score: 600 });
+  const [classic, repeats, plain] = readResults();
+  expect(resultCategory(plain)).toBe('bulls_cows:4');
+  expect(resultCategory(repeats)).toBe('bulls_cows:4r');
+  expect(classic.mode).toBe('classic');
+  expect(resultCategory(classic)).toBe('medium');
+  expect(getHighScores(10, 'bulls_cows:4').map((r) => r.timestamp)).toEqual([1]);
+});
+
+test('hot-seat results are recorded under the winning player', () => {
+  addResult({ timestamp: 1, difficulty: 'easy', attempts: 2, score: 800, player: 'Ann' });
+  addResult({ timestamp: 2, difficulty: 'easy', attempts: 2, score: 800 });
+  const [solo, hotSeat] = readResults();
+  expect(hotSeat.player).toBe('Ann');
+  expect(solo.player).toBeNull();
+});
+
+test('Time Attack runs rank in their own category with the secrets they solved', () => {
+  let run = startRound({ difficulty: 'easy', secret: 12, mode: 'time_attack', seed: 3 }).state;
+  run = gameReducer(run, { type: 'guess', input: '12' }).state;
+  run = gameReducer(run, { type: 'tick', seconds: 120 }).state;
+  recordSession(sessionFromRound(run, { finishedAt: 10 }));
+  addResult({ timestamp: 5, difficulty: 'easy', attempts: 2, score: 900 });
+
+  const ranked = readResults().find((r) => r.mode === 'time_attack');
+  expect(ranked).toMatchObject({ score: 150, solved: 1, attempts: 1 });
+  expect(resultCategory(ranked)).toBe('time_attack:easy');
+  expect(listCategories().map((c) => c.key)).toEqual(['easy', 'time_attack:easy']);
+
+  render(<TimeAttackSummary state={run} />);
+  expect(screen.getByTestId('time-attack-totals').textContent).toBe('Solved 1, missed 0. Efficiency bonus 50. Score 150.');
+  expect(screen.getByTestId('time-attack-secret-1').textContent).toBe('112Solved1 (12)150');
+});
+
+test('Best Attempts ranks Time Attack runs by the secrets they solved', () => {
+  const playRun = (solved, misses, finishedAt) => {
+    let run = startRound({ difficulty: 'easy', mode: 'time_attack', seed: finishedAt }).state;
+    for (let i = 0; i < solved; i++) {
+      for (let m = 0; m < misses; m++) run = gameReducer(run, { type: 'guess', input: String(run.secret === 1 ? 2 : 1) }).state;
+      run = gameReducer(run, { type: 'guess', input: String(run.secret) }).state;
+    }
+    run = gameReducer(run, { type: 'tick', seconds: 120 }).state;
+    recordSession(sessionFromRound(run, { finishedAt }));
+  };
+  playRun(1, 0, 10);
+  playRun(3, 1, 20);
+  playRun(1, 1, 30);
+  addResult({ timestamp: 5, difficulty: 'easy', attempts: 4, score: 700 });
+
+  expect(getBestAttempts(10, 'time_attack:easy').map((r) => [r.solved, r.attempts])).toEqual([[3, 6], [1, 1], [1, 2]]);
+  // Single rounds keep their attempts order ahead of the runs
+  expect(getBestAttempts(10).map((r) => r.mode)).toEqual(['classic', 'time_attack', 'time_attack', 'time_attack']);
+});
+
+test('Best Attempts ranks Survival runs by the rounds they survived', () => {
+  const playRun = (survived, finishedAt) => {
+    let run = startRound({ difficulty: 'medium', mode: 'survival', seed: finishedAt }).state;
+    for (let i = 0; i < survived; i++) run = gameReducer(run, { type: 'guess', input: String(run.secret) }).state;
+    const misses = Array.from({ length: run.maxAttempts + 1 }, (_, i) => i + 1).filter((n) => n !== run.secret);
+    run = misses.slice(0, run.maxAttempts).reduce((s, n) => gameReducer(s, { type: 'guess', input: String(n) }).state, run);
+    recordSession(sessionFromRound(run, { finishedAt }));
+  };
+  playRun(1, 10);
+  playRun(3, 20);
+  playRun(2, 30);
+  // Longer runs took more guesses in all, yet rank first
+  expect(getBestAttempts(10, 'survival:medium').map((r) => [r.solved, r.attempts])).toEqual([[3, 28], [2, 22], [1, 16]]);
+});
+
+test('Survival runs rank per starting pool and end with a per-round summary', () => {
+  let run = startRound({ difficulty: 'hard', mode: 'survival', seed: 9 }).state;
+  run = gameReducer(run, { type: 'guess', input: String(run.secret) }).state;
+  const misses = Array.from({ length: 30 }, (_, i) => i + 1).filter((n) => n !== run.secret).slice(0, run.maxAttempts);
+  run = misses.reduce((s, n) => gameReducer(s, { type: 'guess', input: String(n) }).state, run);
+  recordSession(sessionFromRound(run, { finishedAt: 10 }));
+
+  const [ranked] = readResults();
+  expect(ranked).toMatchObject({ mode: 'survival', score: 1000, solved: 1, attempts: 1 + misses.length });
+  expect(resultCategory(ranked)).toBe('survival:hard');
+
+  render(<LeaderboardModal open onClose={() => {}} />);
+  expect(screen.getByText('1 rounds survived')).toBeInTheDocument();
+  cleanup();
+
+  render(<SurvivalSummary state={run} />);
+  expect(screen.getByTestId('survival-totals').textContent).toBe('Rounds survived 1, widest range 1–50, hints used 0. Score 1000.');
+  expect(screen.getByTestId('survival-round-1').textContent).toBe(`11–20${run.survival.rounds[0].secret}Survived10+61000`);
+  expect(screen.getByTestId('survival-round-2').textContent).toMatch(/^21–50\d+Pool ran dry130—0$/);
+});
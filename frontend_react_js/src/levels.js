@@ -1,3 +1,6 @@
+import { profileKey } from './profiles';
+import { readJSON, writeJSON } from './storage';
+
 const STORAGE_KEY = 'ngg_levels_progress_v1';
 
 // PUBLIC_INTERFACE
@@ -24,36 +27,30 @@ export const LEVEL_PRESET_DIFFICULTY = {
   [LEVELS.EXPERT]: 'hard',
 };
 
+// PUBLIC_INTERFACE
+export function normalizeLevelProgress(parsed) {
+  /** Validate stored or imported { unlocked: [...] } progress into a Set; null if unusable */
+  if (!parsed || !Array.isArray(parsed.unlocked)) return null;
+  const valid = parsed.unlocked.filter((l) => LEVEL_ORDER.includes(l));
+  return valid.length > 0 ? new Set(valid) : null;
+}
+
 // PUBLIC_INTERFACE
 export function readLevelProgress() {
   /**
-   * Reads unlocked levels from localStorage.
+   * Reads unlocked levels from storage.
    * Returns a Set of unlocked level names; defaults to Beginner unlocked.
    */
-  try {
-    const raw = window.localStorage.getItem(STORAGE_KEY);
-    if (!raw) return new Set([LEVELS.BEGINNER]);
-    const parsed = JSON.parse(raw);
-    if (!parsed || !Array.isArray(parsed.unlocked)) return new Set([LEVELS.BEGINNER]);
-    const valid = parsed.unlocked.filter((l) => LEVEL_ORDER.includes(l));
-    if (valid.length === 0) return new Set([LEVELS.BEGINNER]);
-    return new Set(valid);
-  } catch {
-    return new Set([LEVELS.BEGINNER]);
-  }
+  return readJSON(profileKey(STORAGE_KEY), normalizeLevelProgress, new Set([LEVELS.BEGINNER]));
 }
 
 // PUBLIC_INTERFACE
 export function writeLevelProgress(unlockedSet) {
   /**
-   * Persists unlocked levels to localStorage.
+   * Persists unlocked levels; returns false when they could not be saved.
    */
-  try {
-    const arr = Array.from(unlockedSet).filter((l) => LEVEL_ORDER.includes(l));
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ unlocked: arr }));
-  } catch {
-    // no-op
-  }
+  const arr = Array.from(unlockedSet).filter((l) => LEVEL_ORDER.includes(l));
+  return writeJSON(profileKey(STORAGE_KEY), { unlocked: arr });
 }
 
 // PUBLIC_INTERFACE
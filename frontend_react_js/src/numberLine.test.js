@@ -0,0 +1,81 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App from './App';
+import NumberLine from './NumberLine';
+import { feasibleInterval } from './analysis';
+import { readAchievements } from './achievements';
+
+const RANGE = { min: 1, max: 20 };
+const HISTORY = [
+  { id: 1, value: 5, result: 'too low' },
+  { id: 2, value: 15, result: 'too high' },
+];
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('the feasible interval narrows with too-low and too-high results', () => {
+  expect(feasibleInterval(RANGE, [])).toEqual({ min: 1, max: 20 });
+  expect(feasibleInterval(RANGE, HISTORY)).toEqual({ min: 6, max: 14 });
+});
+
+test('ruled-out regions are shaded and guesses marked in their result colour', () => {
+  render(<NumberLine range={RANGE} history={HISTORY} value="" onPick={() => {}} />);
+  expect(screen.getAllByTestId('number-line-ruled-out')).toHaveLength(2);
+  const markers = screen.getAllByTestId('number-line-marker');
+  expect(markers.map((m) => m.className)).toEqual(['ngg-line-marker guess-low', 'ngg-line-marker guess-high']);
+  expect(screen.getByRole('slider')).toHaveAttribute('aria-valuetext', 'Still possible: 6 to 14');
+});
+
+test('arrow keys start from the middle of the feasible interval and fill the guess', () => {
+  const onPick = jest.fn();
+  const { rerender } = render(<NumberLine range={RANGE} history={HISTORY} value="" onPick={onPick} />);
+  const slider = screen.getByRole('slider');
+  fireEvent.keyDown(slider, { key: 'ArrowRight' });
+  expect(onPick).toHaveBeenLastCalledWith(10);
+
+  rerender(<NumberLine range={RANGE} history={HISTORY} value="10" onPick={onPick} />);
+  fireEvent.keyDown(slider, { key: 'ArrowLeft' });
+  expect(onPick).toHaveBeenLastCalledWith(9);
+  fireEvent.keyDown(slider, { key: 'End' });
+  expect(onPick).toHaveBeenLastCalledWith(14);
+  expect(slider).toHaveAttribute('aria-valuenow', '10');
+});
+
+test('clicking the line picks the number under the pointer', () => {
+  const onPick = jest.fn();
+  render(<NumberLine range={RANGE} history={[]} value="" onPick={onPick} />);
+  const slider = screen.getByRole('slider');
+  slider.getBoundingClientRect = () => ({ left: 0, width: 190, top: 0, height: 24 });
+  fireEvent.click(slider, { clientX: 95 });
+  expect(onPick).toHaveBeenLastCalledWith(11);
+});
+
+test('the number line fills the guess input, can be hidden, and a hidden-line win earns Purist', async () => {
+  jest.useFakeTimers();
+  render(<App />);
+  const input = screen.getByLabelText(/Enter your guess/i);
+  fireEvent.keyDown(screen.getByRole('slider'), { key: 'Home' });
+  expect(input.value).toBe('1');
+
+  // Hidden before the next round starts, so that round is played without it
+  fireEvent.click(screen.getByTestId('toggle-number-line'));
+  expect(screen.queryByTestId('number-line')).toBeNull();
+  fireEvent.change(document.getElementById('difficulty'), { target: { value: 'easy' } });
+
+  const guess = screen.getByRole('button', { name: /^Guess$/i });
+  let [lo, hi] = [1, 20];
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    fireEvent.change(input, { target: { value: String(mid) } });
+    fireEvent.click(guess);
+    const feedback = screen.getByText(new RegExp(`^Guess ${mid}, `)).textContent;
+    if (/too low/.test(feedback)) lo = mid + 1;
+    else if (/too high/.test(feedback)) hi = mid - 1;
+    else break;
+  }
+  // Achievements unlock after the success sound has played
+  await waitFor(() => expect(readAchievements().puristWin).toBe(true));
+  jest.runOnlyPendingTimers();
+  jest.useRealTimers();
+});
@@ -0,0 +1,186 @@
+/**
+ * Player profiles: several people sharing a browser each keep their own levels, statistics,
+ * achievements, leaderboard, daily results, language and theme.
+ *
+ * Per-profile data lives under the module's usual key namespaced with the profile id
+ * (see profileKey). The default profile keeps the original unnamespaced keys, so data saved
+ * before profiles existed becomes the default profile's data.
+ *
+ * Registry shape under PROFILES_STORAGE_KEY:
+ * { activeId: string, profiles: [{ id: string, name: string, avatar: string, createdAt: number }] }
+ */
+
+import { makeSeed } from './random';
+import { readJSON, readString, removeItem, writeJSON, writeString } from './storage';
+
+const PROFILES_STORAGE_KEY = 'ngg_profiles_v1';
+
+// PUBLIC_INTERFACE
+export const DEFAULT_PROFILE_ID = 'default';
+
+// PUBLIC_INTERFACE
+export const PROFILE_AVATARS = ['🙂', '🐬', '🐙', '🦊', '🐼', '🚀', '🌵', '🎩', '🐢', '🦄'];
+
+// PUBLIC_INTERFACE
+export const PROFILE_NAME_MAX_LENGTH = 20;
+
+// PUBLIC_INTERFACE
+// Base storage keys holding per-profile data (cleared when a profile is deleted)
+export const PROFILE_SCOPED_KEYS = [
+  'ngg_levels_progress_v1',
+  'ngg_stats_v1',
+  'ngg_achievements',
+  'ngg_sessions_v1',
+  'ngg_session_retention_v1',
+  'ngg_daily_v1',
+  'ngg_lang',
+  'ngg_theme',
+  'ngg_active_round_v1',
+  'ngg_timer_settings_v1',
+];
+
+function defaultRegistry() {
+  return {
+    activeId: DEFAULT_PROFILE_ID,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Player 1', avatar: PROFILE_AVATARS[0], createdAt: 0 }],
+  };
+}
+
+function normalizeRegistry(parsed) {
+  const profiles = Array.isArray(parsed?.profiles)
+    ? parsed.profiles.filter((p) => p && typeof p.id === 'string' && typeof p.name === 'string')
+    : [];
+  if (profiles.length === 0) return null;
+  const normalized = profiles.map((p) => ({
+    id: p.id,
+    name: p.name,
+    avatar: typeof p.avatar === 'string' && p.avatar ? p.avatar : PROFILE_AVATARS[0],
+    createdAt: typeof p.createdAt === 'number' ? p.createdAt : 0,
+  }));
+  const activeId = normalized.some((p) => p.id === parsed.activeId) ? parsed.activeId : normalized[0].id;
+  return { activeId, profiles: normalized };
+}
+
+function writeRegistry(registry) {
+  return writeJSON(PROFILES_STORAGE_KEY, registry);
+}
+
+// PUBLIC_INTERFACE
+export function readProfiles() {
+  /**
+   * Read the profile registry. The first read creates the default profile, which adopts
+   * any data saved before profiles existed.
+   */
+  const registry = readJSON(PROFILES_STORAGE_KEY, normalizeRegistry, null);
+  if (registry) return registry;
+  const created = defaultRegistry();
+  writeRegistry(created);
+  return created;
+}
+
+// PUBLIC_INTERFACE
+export function activeProfile() {
+  /** The profile currently playing */
+  const { activeId, profiles } = readProfiles();
+  return profiles.find((p) => p.id === activeId);
+}
+
+// PUBLIC_INTERFACE
+export function profileKey(baseKey, profileId = readProfiles().activeId) {
+  /** Storage key for `baseKey` in a profile (the active one by default) */
+  return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}@${profileId}`;
+}
+
+// PUBLIC_INTERFACE
+export function validateProfileName(name, profiles = readProfiles().profiles, exceptId = null) {
+  /**
+   * Trim and check a profile name: non-empty, at most PROFILE_NAME_MAX_LENGTH characters and
+   * unique (case-insensitive). Returns { ok: true, name } or { ok: false, errorKey, params }.
+   */
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) return { ok: false, errorKey: 'profile_error_empty' };
+  if (trimmed.length > PROFILE_NAME_MAX_LENGTH) {
+    return { ok: false, errorKey: 'profile_error_long', params: { max: PROFILE_NAME_MAX_LENGTH } };
+  }
+  if (profiles.some((p) => p.id !== exceptId && p.name.toLowerCase() === trimmed.toLowerCase())) {
+    return { ok: false, errorKey: 'profile_error_duplicate' };
+  }
+  return { ok: true, name: trimmed };
+}
+
+// Profile ids key every scoped storage entry, so they come from fresh entropy rather than the
+// shared source (pinned by `?seed=` or the dev seed) and are redrawn until unique
+function newProfileId(profiles) {
+  const taken = new Set(profiles.map((p) => p.id));
+  let id = null;
+  while (id == null || taken.has(id)) id = `p${Date.now().toString(36)}${makeSeed()}`;
+  return id;
+}
+
+// PUBLIC_INTERFACE
+export function createProfile(name, avatar = PROFILE_AVATARS[0]) {
+  /** Add a profile and make it active. Returns { ok: true, profile } or the name validation error. */
+  const registry = readProfiles();
+  const check = validateProfileName(name, registry.profiles);
+  if (!check.ok) return check;
+  const profile = {
+    id: newProfileId(registry.profiles),
+    name: check.name,
+    avatar: PROFILE_AVATARS.includes(avatar) ? avatar : PROFILE_AVATARS[0],
+    createdAt: Date.now(),
+  };
+  writeRegistry({ activeId: profile.id, profiles: [...registry.profiles, profile] });
+  return { ok: true, profile };
+}
+
+// PUBLIC_INTERFACE
+export function updateProfile(id, { name, avatar } = {}) {
+  /** Rename a profile and/or change its avatar. Returns { ok: true, profile } or a validation error. */
+  const registry = readProfiles();
+  const current = registry.profiles.find((p) => p.id === id);
+  if (!current) return { ok: false, errorKey: 'profile_error_missing' };
+  const next = { ...current };
+  if (name !== undefined) {
+    const check = validateProfileName(name, registry.profiles, id);
+    if (!check.ok) return check;
+    next.name = check.name;
+  }
+  if (avatar !== undefined && PROFILE_AVATARS.includes(avatar)) next.avatar = avatar;
+  writeRegistry({ ...registry, profiles: registry.profiles.map((p) => (p.id === id ? next : p)) });
+  return { ok: true, profile: next };
+}
+
+// PUBLIC_INTERFACE
+export function switchProfile(id) {
+  /** Make a profile active; returns false for an unknown id */
+  const registry = readProfiles();
+  if (!registry.profiles.some((p) => p.id === id)) return false;
+  writeRegistry({ ...registry, activeId: id });
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function deleteProfile(id) {
+  /**
+   * Delete a profile and its saved data. The last remaining profile cannot be deleted.
+   * Deleting the active profile switches to the first remaining one. Returns true on success.
+   */
+  const registry = readProfiles();
+  if (registry.profiles.length <= 1 || !registry.profiles.some((p) => p.id === id)) return false;
+  for (const key of PROFILE_SCOPED_KEYS) removeItem(profileKey(key, id));
+  const profiles = registry.profiles.filter((p) => p.id !== id);
+  writeRegistry({ activeId: registry.activeId === id ? profiles[0].id : registry.activeId, profiles });
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function readProfileTheme() {
+  /** The active profile's theme ('light' | 'dark'), light by default */
+  return readString(profileKey('ngg_theme')) === 'dark' ? 'dark' : 'light';
+}
+
+// PUBLIC_INTERFACE
+export function writeProfileTheme(theme) {
+  /** Persist the active profile's theme */
+  writeString(profileKey('ngg_theme'), theme === 'dark' ? 'dark' : 'light');
+}
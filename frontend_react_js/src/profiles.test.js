@@ -0,0 +1,82 @@
+import {
+  DEFAULT_PROFILE_ID,
+  activeProfile,
+  createProfile,
+  deleteProfile,
+  profileKey,
+  readProfiles,
+  switchProfile,
+  updateProfile,
+} from './profiles';
+import { addResult, readResults } from './leaderboard';
+import { setSessionSeed } from './random';
+import { incrementTotalGames, readStats } from './statistics';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('data saved before profiles existed belongs to the default profile', () => {
+  window.localStorage.setItem('ngg_stats_v1', JSON.stringify({ totalGames: 7 }));
+  const registry = readProfiles();
+  expect(registry.activeId).toBe(DEFAULT_PROFILE_ID);
+  expect(registry.profiles).toHaveLength(1);
+  expect(profileKey('ngg_stats_v1')).toBe('ngg_stats_v1');
+  expect(readStats().totalGames).toBe(7);
+});
+
+test('each profile reads and writes its own namespaced data', () => {
+  addResult({ timestamp: 1, difficulty: 'easy', attempts: 2, score: 800 });
+  incrementTotalGames();
+  const { profile } = createProfile('Sam', '🦊');
+  expect(activeProfile()).toEqual(profile);
+  expect(profileKey('ngg_stats_v1')).toBe(`ngg_stats_v1@${profile.id}`);
+  expect(readResults()).toEqual([]);
+  expect(readStats().totalGames).toBe(0);
+  incrementTotalGames();
+  incrementTotalGames();
+
+  expect(switchProfile(DEFAULT_PROFILE_ID)).toBe(true);
+  expect(readResults()).toHaveLength(1);
+  expect(readStats().totalGames).toBe(1);
+});
+
+test('profile names are validated on create and rename', () => {
+  expect(createProfile('  ').errorKey).toBe('profile_error_empty');
+  expect(createProfile('x'.repeat(21)).errorKey).toBe('profile_error_long');
+  expect(createProfile('player 1').errorKey).toBe('profile_error_duplicate');
+  const { profile } = createProfile('Sam');
+  expect(updateProfile(profile.id, { name: 'Player 1' }).errorKey).toBe('profile_error_duplicate');
+  expect(updateProfile(profile.id, { name: ' Samira ', avatar: '🐢' }).profile).toMatchObject({ name: 'Samira', avatar: '🐢' });
+});
+
+test('deleting a profile removes its data; the last profile cannot be deleted', () => {
+  const { profile } = createProfile('Sam');
+  incrementTotalGames();
+  expect(window.localStorage.getItem(`ngg_stats_v1@${profile.id}`)).not.toBeNull();
+  expect(deleteProfile(profile.id)).toBe(true);
+  expect(window.localStorage.getItem(`ngg_stats_v1@${profile.id}`)).toBeNull();
+  expect(readProfiles().activeId).toBe(DEFAULT_PROFILE_ID);
+  expect(deleteProfile(DEFAULT_PROFILE_ID)).toBe(false);
+});
+
+test('profile ids stay unique when the session seed is pinned', () => {
+  setSessionSeed('pinned');
+  const first = createProfile('Ann').profile;
+  // A reload with the same pinned seed restarts the shared source
+  setSessionSeed('pinned');
+  const second = createProfile('Bo').profile;
+  expect(second.id).not.toBe(first.id);
+
+  // An id that is already taken is drawn again
+  jest.spyOn(Date, 'now').mockReturnValue(1000);
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  const third = createProfile('Cy').profile;
+  Math.random.mockReturnValue(0.25);
+  for (let i = 0; i < 8; i++) Math.random.mockReturnValueOnce(0.5);
+  const fourth = createProfile('Di').profile;
+  expect(fourth.id).not.toBe(third.id);
+  expect(new Set(readProfiles().profiles.map((p) => p.id)).size).toBe(5);
+  jest.restoreAllMocks();
+  setSessionSeed(null);
+});
@@ -0,0 +1,124 @@
+import { readString, removeItem, writeString } from './storage';
+
+const DEV_SEED_STORAGE_KEY = 'ngg_dev_seed';
+const SEED_QUERY_PARAM = 'seed';
+
+/**
+ * Seeded, deterministic random numbers.
+ * A session seed comes from the `?seed=` URL query, else a pinned dev seed in localStorage,
+ * else fresh entropy. Round N of a session is seeded with roundSeed(sessionSeed, N), so
+ * opening the app with `?seed=<round seed>` replays that round's secret and puzzle exactly.
+ */
+
+// PUBLIC_INTERFACE
+export function hashSeed(value) {
+  /** Hash any seed value (string or number) to an unsigned 32-bit integer (FNV-1a) */
+  const str = String(value);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// PUBLIC_INTERFACE
+export function createRandom(seed) {
+  /** Create a mulberry32 generator returning floats in [0, 1), fully determined by seed */
+  let a = hashSeed(seed);
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// PUBLIC_INTERFACE
+export function randomInt(random, min, max) {
+  /** Uniform integer in [min, max] drawn from the given generator */
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+// PUBLIC_INTERFACE
+export function makeSeed(random = Math.random) {
+  /** Short, URL-safe seed string (8 base36 chars). Defaults to fresh entropy. */
+  let out = '';
+  for (let i = 0; i < 8; i++) {
+    out += Math.floor(random() * 36).toString(36);
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function roundSeed(sessionSeed, round = 0) {
+  /** Seed of round N within a session; round 0 uses the session seed itself */
+  return round > 0 ? `${sessionSeed}-${round}` : String(sessionSeed);
+}
+
+// PUBLIC_INTERFACE
+export function readSeedFromUrl(search = typeof window !== 'undefined' ? window.location.search : '') {
+  /** Read a non-empty `seed` query parameter, or null */
+  try {
+    const value = new URLSearchParams(search || '').get(SEED_QUERY_PARAM);
+    return value && value.trim() ? value.trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function readDevSeed() {
+  /** Read the pinned dev seed from storage, or null */
+  const value = readString(DEV_SEED_STORAGE_KEY);
+  return value && value.trim() ? value.trim() : null;
+}
+
+// PUBLIC_INTERFACE
+export function writeDevSeed(seed) {
+  /** Pin (or with an empty value, clear) the dev seed used for new sessions */
+  if (seed && String(seed).trim()) {
+    writeString(DEV_SEED_STORAGE_KEY, String(seed).trim());
+  } else {
+    removeItem(DEV_SEED_STORAGE_KEY);
+  }
+}
+
+let sessionSeed = null;
+let source = null;
+
+// PUBLIC_INTERFACE
+export function getSessionSeed() {
+  /** Session seed, resolved once: URL query, then dev setting, then fresh entropy */
+  if (sessionSeed == null) {
+    sessionSeed = readSeedFromUrl() || readDevSeed() || makeSeed();
+  }
+  return sessionSeed;
+}
+
+// PUBLIC_INTERFACE
+export function setSessionSeed(seed) {
+  /** Replace the session seed (dev setting, tests); the shared source restarts from it */
+  sessionSeed = seed == null ? null : String(seed);
+  source = null;
+}
+
+// PUBLIC_INTERFACE
+export function getRandomSource() {
+  /** Shared generator for non-round draws (ids etc.), derived from the session seed */
+  if (!source) source = createRandom(`${getSessionSeed()}:source`);
+  return source;
+}
+
+// PUBLIC_INTERFACE
+export function setRandomSource(random) {
+  /** Plug a custom generator as the shared source; pass null to go back to the seeded default */
+  source = typeof random === 'function' ? random : null;
+}
+
+// PUBLIC_INTERFACE
+export function randomId(random = getRandomSource()) {
+  /** Short base36 id fragment drawn from the shared source */
+  return makeSeed(random);
+}
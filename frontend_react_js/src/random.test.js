@@ -0,0 +1,82 @@
+import {
+  createRandom,
+  getRandomSource,
+  hashSeed,
+  makeSeed,
+  randomId,
+  randomInt,
+  readSeedFromUrl,
+  roundSeed,
+  setRandomSource,
+  setSessionSeed,
+  writeDevSeed,
+  readDevSeed,
+} from './random';
+import { addResult, clearResults } from './leaderboard';
+
+afterEach(() => {
+  setSessionSeed(null);
+  setRandomSource(null);
+  writeDevSeed('');
+});
+
+test('same seed yields the same sequence; different seeds diverge', () => {
+  const a = createRandom('ocean');
+  const b = createRandom('ocean');
+  const c = createRandom('reef');
+  const seqA = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(seqA);
+  expect([c(), c(), c()]).not.toEqual(seqA);
+  seqA.forEach((v) => {
+    expect(v).toBeGreaterThanOrEqual(0);
+    expect(v).toBeLessThan(1);
+  });
+  expect(hashSeed('ocean')).toBe(hashSeed('ocean'));
+});
+
+test('randomInt stays within bounds and covers the range', () => {
+  const random = createRandom(7);
+  const seen = new Set();
+  for (let i = 0; i < 500; i++) {
+    const n = randomInt(random, 1, 6);
+    expect(n).toBeGreaterThanOrEqual(1);
+    expect(n).toBeLessThanOrEqual(6);
+    seen.add(n);
+  }
+  expect(seen.size).toBe(6);
+});
+
+test('round seeds derive from the session seed', () => {
+  expect(roundSeed('abc', 0)).toBe('abc');
+  expect(roundSeed('abc', 2)).toBe('abc-2');
+  expect(makeSeed(createRandom(1))).toMatch(/^[0-9a-z]{8}$/);
+});
+
+test('seed can come from the URL query or the dev setting', () => {
+  expect(readSeedFromUrl('?seed=daily-1')).toBe('daily-1');
+  expect(readSeedFromUrl('?other=1')).toBeNull();
+  writeDevSeed('pinned');
+  expect(readDevSeed()).toBe('pinned');
+  writeDevSeed('');
+  expect(readDevSeed()).toBeNull();
+});
+
+test('shared source is seeded by the session seed and pluggable', () => {
+  setSessionSeed('fixed');
+  const first = randomId();
+  setSessionSeed('fixed');
+  expect(randomId()).toBe(first);
+
+  setRandomSource(() => 0);
+  expect(getRandomSource()()).toBe(0);
+  expect(randomId()).toBe('00000000');
+});
+
+test('leaderboard ids draw from the shared source', () => {
+  clearResults();
+  setRandomSource(() => 0);
+  const entry = addResult({ timestamp: 1, difficulty: 'easy', attempts: 2, score: 900, seed: 'abc' });
+  expect(entry.id).toBe('1-easy-2-900-00000000');
+  expect(entry.seed).toBe('abc');
+  clearResults();
+});
@@ -0,0 +1,84 @@
+/**
+ * Round replays: the ordered list of what happened in a round, built from the guess history
+ * (whose entries carry `ts` from makeHistoryEntry) and the engine's round log of hint, puzzle
+ * and timeout events. Replays are stored with each session (see ./sessions).
+ *
+ * Step shape (fields not relevant to a kind are omitted):
+ * { kind: 'guess'|'hint'|'puzzle'|'timeout', ts: number|null, timeLeft: number|null, player: string|null,
+ *   value, result, bulls, cows (guess), hintType, key, params (hint), correct (puzzle),
+ *   shotClock: true (a timeout of the per-guess shot clock rather than the round clock) }
+ */
+
+import { RUN_MODES } from './engine';
+
+// PUBLIC_INTERFACE
+export const REPLAY_KINDS = ['guess', 'hint', 'puzzle', 'timeout'];
+
+const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+
+function guessStep(entry) {
+  return {
+    kind: 'guess',
+    ts: num(entry.ts),
+    timeLeft: num(entry.timeLeft),
+    player: entry.player || null,
+    value: entry.value,
+    result: entry.result,
+    ...(typeof entry.bulls === 'number' ? { bulls: entry.bulls, cows: entry.cows } : {}),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function normalizeReplayStep(raw) {
+  /** Validate one stored replay step; null when unusable */
+  if (!raw || typeof raw !== 'object' || !REPLAY_KINDS.includes(raw.kind)) return null;
+  const base = { kind: raw.kind, ts: num(raw.ts), timeLeft: num(raw.timeLeft), player: typeof raw.player === 'string' ? raw.player : null };
+  switch (raw.kind) {
+    case 'guess':
+      if (typeof raw.value !== 'number' && typeof raw.value !== 'string') return null;
+      if (typeof raw.result !== 'string') return null;
+      return { ...guessStep(raw), player: base.player };
+    case 'hint':
+      if (typeof raw.hintType !== 'string' || typeof raw.key !== 'string') return null;
+      return { ...base, hintType: raw.hintType, key: raw.key, ...(raw.params && typeof raw.params === 'object' ? { params: raw.params } : {}) };
+    case 'puzzle':
+      return { ...base, correct: Boolean(raw.correct) };
+    case 'timeout':
+      return raw.shotClock ? { ...base, shotClock: true } : base;
+    default:
+      return base;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function normalizeReplay(parsed) {
+  /** Validate a stored replay (invalid steps dropped); null if not a list */
+  if (!Array.isArray(parsed)) return null;
+  return parsed.map(normalizeReplayStep).filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+export function buildReplay(state) {
+  /** Replay steps of an engine round: its guesses and round log merged in time order */
+  const steps = [...state.history.map(guessStep), ...normalizeReplay(state.roundLog || [])];
+  // Stable sort keeps same-millisecond events (a solved puzzle and its hint) in the order they happened
+  return steps.sort((a, b) => (a.ts ?? 0) - (b.ts ?? 0));
+}
+
+// PUBLIC_INTERFACE
+export function sessionReplay(session) {
+  /**
+   * Replay steps of a logged session. Sessions logged before replays were recorded fall back
+   * to their guesses alone, without times; results are recomputed from the secret.
+   */
+  if (session.replay) return session.replay;
+  // Runs play many secrets against one stored secret, so their guesses cannot be replayed
+  if (RUN_MODES.includes(session.mode)) return [];
+  return session.guesses.map((value, i) => {
+    let result = value === session.secret ? 'correct' : 'scored';
+    if (typeof value === 'number' && typeof session.secret === 'number' && value !== session.secret) {
+      result = value < session.secret ? 'too low' : 'too high';
+    }
+    return { kind: 'guess', ts: null, timeLeft: null, player: session.guessPlayers ? session.guessPlayers[i] : null, value, result };
+  });
+}
@@ -0,0 +1,123 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import './i18n';
+import ReplayViewer from './ReplayViewer';
+import SessionHistoryModal from './SessionHistoryModal';
+import { answerPuzzle, applyHint, guess, startRound, tick } from './engine';
+import { sessionEfficiency } from './analysis';
+import { buildReplay, sessionReplay } from './replay';
+import { readSessions, recordSession, sessionFromRound } from './sessions';
+
+let now;
+
+beforeEach(() => {
+  window.localStorage.clear();
+  now = 1_000_000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Play a timed easy round (secret 12): a guess, a wrong puzzle answer, a hint, then the win
+function playTimedRound() {
+  let state = startRound({ difficulty: 'easy', secret: 12, timerChallenge: true }).state;
+  now += 4000;
+  state = tick(state, { seconds: 4 }).state;
+  state = guess(state, { input: '5' }).state;
+  now += 3000;
+  state = tick(state, { seconds: 3 }).state;
+  state = answerPuzzle(state, { correct: false }).state;
+  state = applyHint(state, { hintType: 'parity' }).state;
+  now += 5000;
+  state = tick(state, { seconds: 5 }).state;
+  return guess(state, { input: '12' }).state;
+}
+
+test('replays merge guesses with hint and puzzle events in time order, with the countdown at each', () => {
+  const state = playTimedRound();
+  const steps = buildReplay(state);
+  expect(steps.map((s) => s.kind)).toEqual(['guess', 'puzzle', 'hint', 'guess']);
+  expect(steps.map((s) => s.timeLeft)).toEqual([26, 23, 23, 18]);
+  expect(steps[0]).toMatchObject({ ts: 1_004_000, value: 5, result: 'too low' });
+  expect(steps[1]).toMatchObject({ correct: false });
+  expect(steps[2]).toMatchObject({ hintType: 'parity', key: 'hint_parity_text', params: { parity: 'even' } });
+});
+
+test('sessions store the replay; sessions logged without one replay their guesses untimed', () => {
+  const state = playTimedRound();
+  recordSession(sessionFromRound(state, { startedAt: 1_000_000, finishedAt: now }));
+  const [stored] = readSessions();
+  expect(stored.replay).toHaveLength(4);
+  expect(sessionReplay(stored)).toBe(stored.replay);
+
+  const legacy = { ...stored, replay: null };
+  expect(sessionReplay(legacy)).toEqual([
+    { kind: 'guess', ts: null, timeLeft: null, player: null, value: 5, result: 'too low' },
+    { kind: 'guess', ts: null, timeLeft: null, player: null, value: 12, result: 'correct' },
+  ]);
+});
+
+test('the viewer steps, scrubs and plays through a round', () => {
+  const state = playTimedRound();
+  const session = recordSession(sessionFromRound(state, { startedAt: 1_000_000, finishedAt: now }));
+  jest.useFakeTimers();
+  render(<ReplayViewer session={session} onBack={() => {}} />);
+  const current = screen.getByTestId('replay-current');
+  expect(current.textContent).toBe('Step 0 of 4 · Round start');
+
+  fireEvent.click(screen.getByTestId('replay-next'));
+  expect(current.textContent).toBe('Step 1 of 4 · Guess 5, too low');
+  expect(screen.getByTestId('replay-step').textContent).toBe('Guess 5, too low+4s · Timer: 26s');
+
+  fireEvent.change(screen.getByTestId('replay-scrub'), { target: { value: '3' } });
+  expect(current.textContent).toBe('Step 3 of 4 · Hint (Even/Odd): Hint: The number is even.');
+  expect(screen.getAllByTestId('number-line-marker')).toHaveLength(1);
+
+  fireEvent.click(screen.getByTestId('replay-prev'));
+  expect(current.textContent).toMatch(/^Step 2 of 4 · Puzzle answered incorrectly/);
+
+  fireEvent.click(screen.getByTestId('replay-play'));
+  for (let i = 0; i < 3; i++) {
+    act(() => {
+      jest.advanceTimersByTime(1200);
+    });
+  }
+  expect(current.textContent).toBe('Step 4 of 4 · Guess 12, correct');
+  expect(screen.getByTestId('replay-play').textContent).toBe('Play');
+  jest.useRealTimers();
+});
+
+test('session history opens a round in the replay viewer and goes back to the list', () => {
+  recordSession(sessionFromRound(playTimedRound(), { startedAt: 1_000_000, finishedAt: now }));
+  render(<SessionHistoryModal open onClose={() => {}} />);
+  fireEvent.click(screen.getByTestId('session-replay'));
+  expect(screen.getByTestId('replay-viewer')).toBeInTheDocument();
+  expect(screen.queryByTestId('session-row')).toBeNull();
+  fireEvent.click(screen.getByTestId('replay-back'));
+  expect(screen.getAllByTestId('session-row')).toHaveLength(1);
+});
+
+test('Time Attack and Survival runs keep no replay, since their guesses span many secrets', () => {
+  let state = startRound({ difficulty: 'easy', secret: 12, mode: 'time_attack', seed: 3 }).state;
+  state = guess(state, { input: '12' }).state;
+  state = guess(state, { input: String(state.secret === 1 ? 2 : 1) }).state;
+  state = tick(state, { seconds: 120 }).state;
+  recordSession(sessionFromRound(state, { finishedAt: now }));
+  const [stored] = readSessions();
+  expect(stored).toMatchObject({ mode: 'time_attack', guesses: [12, expect.any(Number)], replay: null });
+  expect(sessionReplay(stored)).toEqual([]);
+  expect(sessionEfficiency(stored)).toBeNull();
+
+  render(<SessionHistoryModal open onClose={() => {}} />);
+  expect(screen.getByTestId('session-row')).toBeInTheDocument();
+  expect(screen.queryByTestId('session-replay')).toBeNull();
+
+  let run = startRound({ difficulty: 'easy', mode: 'survival', seed: 3 }).state;
+  run = guess(run, { input: String(run.secret) }).state;
+  run = guess(run, { input: String(run.secret === 1 ? 2 : 1) }).state;
+  const survival = sessionFromRound(run, { finishedAt: now });
+  expect(survival.replay).toBeNull();
+  expect(sessionReplay(survival)).toEqual([]);
+  expect(sessionEfficiency(survival)).toBeNull();
+});
@@ -0,0 +1,116 @@
+/**
+ * Resuming an unfinished round after a reload or a closed tab. The engine state of a round in
+ * progress is snapshotted on every change, per player profile, with the view settings it was
+ * played under; finished or untouched rounds leave nothing behind.
+ *
+ * Shape under ACTIVE_ROUND_KEY:
+ * { savedAt: number, state: engine round state (status 'playing'),
+ *   context: { level, puzzleMode, numberLineOn, numberLineUsed, startedAt: number|null, match: object|null } }
+ * Time away counts against a Timer Challenge clock (see resumeRound in ./engine): the clock
+ * keeps running while the page is closed.
+ */
+
+import { BEST_OF_OPTIONS, createMatch } from './hotseat';
+import { GAME_MODES, STATUS, hintCountOf } from './engine';
+import { LEVEL_ORDER, LEVELS } from './levels';
+import { profileKey } from './profiles';
+import { readJSON, removeItem, writeJSON } from './storage';
+
+// PUBLIC_INTERFACE
+export const ACTIVE_ROUND_KEY = 'ngg_active_round_v1';
+
+const RESUMABLE_MODES = [GAME_MODES.classic, GAME_MODES.bullsCows];
+
+const isInt = (v) => Number.isInteger(v) && v >= 0;
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isObj = (v) => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+
+// PUBLIC_INTERFACE
+export function roundHasProgress(state) {
+  /** Whether the round has anything worth resuming: guesses, hints, a puzzle answer or time spent */
+  return (
+    state.attempts > 0 ||
+    hintCountOf(state) > 0 ||
+    (state.roundLog || []).length > 0 ||
+    (state.timerChallenge && state.timeLeft < state.totalTime)
+  );
+}
+
+function normalizeRoundState(s) {
+  if (!isObj(s) || s.status !== STATUS.playing || !RESUMABLE_MODES.includes(s.mode)) return null;
+  if (!isInt(s.round) || typeof s.seed !== 'string' || !isInt(s.attempts) || !isInt(s.maxAttempts)) return null;
+  if (!isObj(s.range) || !isNum(s.range.min) || !isNum(s.range.max)) return null;
+  if (s.code ? typeof s.secret !== 'string' : typeof s.secret !== 'number') return null;
+  if (!Array.isArray(s.history) || !Array.isArray(s.roundLog) || !isObj(s.hintTypesUsed)) return null;
+  if (!isNum(s.totalTime) || !isNum(s.timeLeft) || !Array.isArray(s.allowedHints)) return null;
+  if (s.players != null && (!Array.isArray(s.players) || !s.players.every((p) => isObj(p) && typeof p.name === 'string'))) return null;
+  return s;
+}
+
+function normalizeMatch(match, players) {
+  if (!players) return null;
+  const names = players.map((p) => p.name);
+  const valid =
+    isObj(match) &&
+    Array.isArray(match.players) &&
+    match.players.join('\n') === names.join('\n') &&
+    BEST_OF_OPTIONS.includes(match.bestOf) &&
+    Array.isArray(match.rounds) &&
+    match.rounds.every((r) => isObj(r) && (r.winner === null || names.includes(r.winner)) && isNum(r.score));
+  return valid ? match : createMatch(names);
+}
+
+// PUBLIC_INTERFACE
+export function normalizeActiveRound(parsed) {
+  /** Validate a stored snapshot; null when it is not a resumable round */
+  if (!isObj(parsed) || !isNum(parsed.savedAt)) return null;
+  const state = normalizeRoundState(parsed.state);
+  if (!state) return null;
+  const context = isObj(parsed.context) ? parsed.context : {};
+  return {
+    savedAt: parsed.savedAt,
+    state,
+    context: {
+      level: LEVEL_ORDER.includes(context.level) ? context.level : LEVELS.BEGINNER,
+      puzzleMode: Boolean(context.puzzleMode),
+      numberLineOn: context.numberLineOn !== false,
+      numberLineUsed: context.numberLineUsed !== false,
+      startedAt: isNum(context.startedAt) ? context.startedAt : null,
+      match: normalizeMatch(context.match, state.players),
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function readActiveRound() {
+  /** The active profile's unfinished round, or null */
+  return readJSON(profileKey(ACTIVE_ROUND_KEY), normalizeActiveRound, null);
+}
+
+// PUBLIC_INTERFACE
+export function clearActiveRound() {
+  /** Forget the saved round (started over, or finished) */
+  removeItem(profileKey(ACTIVE_ROUND_KEY));
+}
+
+// PUBLIC_INTERFACE
+export function saveActiveRound(state, context = {}, now = Date.now()) {
+  /**
+   * Snapshot a round in progress, or clear the snapshot once the round is over or when it has
+   * no progress yet. Returns false when it could not be saved.
+   */
+  if (state.status !== STATUS.playing || !RESUMABLE_MODES.includes(state.mode) || !roundHasProgress(state)) {
+    clearActiveRound();
+    return true;
+  }
+  return writeJSON(profileKey(ACTIVE_ROUND_KEY), { savedAt: now, state, context });
+}
+
+// PUBLIC_INTERFACE
+export function elapsedSecondsSince(savedAt, now = Date.now()) {
+  /**
+   * Whole seconds since a snapshot, rounded up: a reload never gives back a part-second of
+   * the clock, so reloading repeatedly cannot slow it down.
+   */
+  return Math.max(0, Math.ceil((now - savedAt) / 1000));
+}
@@ -0,0 +1,109 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import App from './App';
+import { gameReducer, resumeRound, startRound } from './engine';
+import { encodeChallenge } from './challenge';
+import { clearActiveRound, elapsedSecondsSince, readActiveRound, saveActiveRound } from './resume';
+
+function play(state, guesses) {
+  return guesses.reduce((s, g) => gameReducer(s, { type: 'guess', input: String(g) }).state, state);
+}
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('only rounds in progress are saved; finished or untouched rounds clear the snapshot', () => {
+  const fresh = startRound({ difficulty: 'easy', secret: 7 }).state;
+  saveActiveRound(fresh, {}, 1000);
+  expect(readActiveRound()).toBeNull();
+
+  const started = play(fresh, [3]);
+  saveActiveRound(started, { level: 'Expert', puzzleMode: true, numberLineOn: false, numberLineUsed: false, startedAt: 500 }, 1000);
+  const saved = readActiveRound();
+  expect(saved.savedAt).toBe(1000);
+  expect(saved.state).toEqual(started);
+  expect(saved.context).toEqual({ level: 'Expert', puzzleMode: true, numberLineOn: false, numberLineUsed: false, startedAt: 500, match: null });
+
+  saveActiveRound(play(started, [7]), {}, 2000);
+  expect(readActiveRound()).toBeNull();
+
+  window.localStorage.setItem('ngg_active_round_v1', JSON.stringify({ savedAt: 1, state: { ...started, secret: 'x' } }));
+  expect(readActiveRound()).toBeNull();
+});
+
+test('the clock is charged for time away, rounded up, and can run out', () => {
+  expect(elapsedSecondsSince(1000, 1001)).toBe(1);
+  expect(elapsedSecondsSince(1000, 13000)).toBe(12);
+
+  const timed = play(startRound({ difficulty: 'easy', secret: 7, timerChallenge: true }).state, [3]);
+  expect(resumeRound(timed, { elapsedSeconds: 12 }).state.timeLeft).toBe(timed.timeLeft - 12);
+  const ranOut = resumeRound(timed, { elapsedSeconds: 45 });
+  expect(ranOut.state.status).toBe('timeout');
+  expect(ranOut.events.map((e) => e.type)).toEqual(['round_resumed', 'lost']);
+
+  const untimed = play(startRound({ difficulty: 'easy', secret: 7 }).state, [3]);
+  expect(resumeRound(untimed, { elapsedSeconds: 600 }).state).toEqual(untimed);
+});
+
+test('a reload offers to resume the round where it stopped', () => {
+  const { unmount } = render(<App />);
+  fireEvent.change(screen.getByLabelText(/Enter your guess/i), { target: { value: '1' } });
+  fireEvent.click(screen.getByRole('button', { name: /^Guess$/i }));
+  const secret = readActiveRound().state.secret;
+  unmount();
+
+  render(<App />);
+  const prompt = screen.getByTestId('resume-round-modal');
+  expect(within(prompt).getByTestId('resume-summary').textContent).toBe('Easy (1–20): 1 of 6 attempts used.');
+  fireEvent.click(within(prompt).getByTestId('resume-round'));
+  expect(screen.queryByTestId('resume-round-modal')).toBeNull();
+  expect(screen.getByLabelText(/^Guess 1, too (low|high)$/)).toBeInTheDocument();
+  expect(screen.getAllByText(/Attempts remaining: 5/i).length).toBeGreaterThan(0);
+
+  fireEvent.change(screen.getByLabelText(/Enter your guess/i), { target: { value: String(secret) } });
+  fireEvent.click(screen.getByRole('button', { name: /^Guess$/i }));
+  expect(readActiveRound()).toBeNull();
+});
+
+test('starting new drops the saved round', () => {
+  saveActiveRound(play(startRound({ difficulty: 'medium', secret: 7 }).state, [3, 4]), {}, Date.now());
+  render(<App />);
+  fireEvent.click(screen.getByTestId('resume-discard'));
+  expect(screen.queryByTestId('resume-round-modal')).toBeNull();
+  expect(readActiveRound()).toBeNull();
+  clearActiveRound();
+});
+
+test('a Timer Challenge round that ran out while away ends on resume', () => {
+  const timed = play(startRound({ difficulty: 'easy', secret: 7, timerChallenge: true }).state, [3]);
+  saveActiveRound(timed, {}, 1000);
+  jest.spyOn(Date, 'now').mockReturnValue(1000 + 60 * 1000);
+  render(<App />);
+  expect(screen.getByTestId('resume-round-modal').textContent).toMatch(/the clock kept running/);
+  fireEvent.click(screen.getByTestId('resume-round'));
+  expect(screen.getAllByText(/Time’s up!|Time's up!/i).length).toBeGreaterThan(0);
+  expect(readActiveRound()).toBeNull();
+});
+
+test('a challenge link neither saves over the round in progress nor loses it', () => {
+  const mine = play(startRound({ difficulty: 'medium', secret: 7 }).state, [3, 4]);
+  saveActiveRound(mine, {}, Date.now());
+  const friend = startRound({ difficulty: 'easy', seed: 'friend' }).state;
+  window.history.replaceState({}, '', `/?challenge=${encodeChallenge(friend, { by: 'Ravi' })}`);
+  render(<App />);
+  expect(screen.queryByTestId('resume-round-modal')).toBeNull();
+
+  fireEvent.change(screen.getByLabelText(/Enter your guess/i), { target: { value: String(friend.secret === 1 ? 2 : 1) } });
+  fireEvent.click(screen.getByRole('button', { name: /^Guess$/i }));
+  expect(readActiveRound().state).toEqual(mine);
+
+  // Leaving the challenge round offers the saved round back
+  fireEvent.click(screen.getByRole('button', { name: /^Reset$/i }));
+  expect(screen.getByTestId('resume-round-modal')).toBeInTheDocument();
+  expect(readActiveRound().state).toEqual(mine);
+  window.history.replaceState({}, '', '/');
+});
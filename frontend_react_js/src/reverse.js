@@ -0,0 +1,207 @@
+/**
+ * Reverse mode: the player thinks of a number and the computer guesses it.
+ *
+ * Same conventions as ./engine: pure functions over a plain, serializable state,
+ * each returning `{ state, events }`, with user-facing text as i18n keys + params.
+ * History entries share the classic shape (makeHistoryEntry), where `result` is the
+ * computer's guess relative to the player's number ('too low' = the guess was too low).
+ */
+
+import { makeHistoryEntry } from './engine';
+import { createRandom, randomInt } from './random';
+
+// PUBLIC_INTERFACE
+// Guessing strategies the computer can use
+export const REVERSE_STRATEGIES = {
+  binary: 'binary',
+  random: 'random',
+  human: 'human',
+};
+
+// PUBLIC_INTERFACE
+// Player answers about the computer's current guess
+export const REVERSE_ANSWERS = {
+  tooHigh: 'too high',
+  tooLow: 'too low',
+  correct: 'correct',
+};
+
+// PUBLIC_INTERFACE
+// Round status values: 'playing' | 'won' (the computer found it) | 'inconsistent' (answers contradict)
+export const REVERSE_STATUS = {
+  playing: 'playing',
+  won: 'won',
+  inconsistent: 'inconsistent',
+};
+
+// PUBLIC_INTERFACE
+export function feasibleInterval(range, history) {
+  /**
+   * Values still consistent with every answer: { low, high, lowEntry, highEntry }.
+   * lowEntry/highEntry are the history entries that set each bound (null when it is the range's own).
+   * The interval is empty (low > high) when the answers contradict each other.
+   */
+  let low = range.min;
+  let high = range.max;
+  let lowEntry = null;
+  let highEntry = null;
+  for (const h of history) {
+    if (h.result === REVERSE_ANSWERS.tooLow && h.value + 1 > low) {
+      low = h.value + 1;
+      lowEntry = h;
+    } else if (h.result === REVERSE_ANSWERS.tooHigh && h.value - 1 < high) {
+      high = h.value - 1;
+      highEntry = h;
+    }
+  }
+  return { low, high, lowEntry, highEntry };
+}
+
+// PUBLIC_INTERFACE
+export function findConflict(range, history) {
+  /**
+   * Explain contradicting answers, or null when some number still fits.
+   * Returns { entryIds, key, params } pointing at the history entries involved.
+   */
+  const { low, high, lowEntry, highEntry } = feasibleInterval(range, history);
+  if (low <= high) return null;
+  if (lowEntry && highEntry) {
+    return {
+      entryIds: [lowEntry.id, highEntry.id],
+      key: 'reverse_conflict_pair',
+      params: { low: lowEntry.value, lowIndex: lowEntry.index, high: highEntry.value, highIndex: highEntry.index },
+    };
+  }
+  // A single answer pushed the number outside the range itself
+  const entry = lowEntry || highEntry;
+  return {
+    entryIds: [entry.id],
+    key: lowEntry ? 'reverse_conflict_range_max' : 'reverse_conflict_range_min',
+    params: { value: entry.value, index: entry.index, min: range.min, max: range.max },
+  };
+}
+
+function humanLikeGuess(low, high, random) {
+  // People aim roughly (not exactly) at the middle and like round numbers
+  const span = high - low;
+  const target = low + span * (0.3 + random() * 0.4);
+  const step = span >= 40 ? 10 : span >= 10 ? 5 : 1;
+  const rounded = Math.round(target / step) * step;
+  const value = rounded >= low && rounded <= high ? rounded : Math.round(target);
+  return Math.max(low, Math.min(high, value));
+}
+
+// PUBLIC_INTERFACE
+export function nextReverseGuess(low, high, strategy, random) {
+  /** The computer's next guess inside [low, high] for the given strategy */
+  if (low >= high) return low;
+  switch (strategy) {
+    case REVERSE_STRATEGIES.random:
+      return randomInt(random, low, high);
+    case REVERSE_STRATEGIES.human:
+      return humanLikeGuess(low, high, random);
+    case REVERSE_STRATEGIES.binary:
+    default:
+      return Math.floor((low + high) / 2);
+  }
+}
+
+// Each guess draws from its own generator so the state stays serializable and reproducible
+function guessFor(state, history) {
+  const { low, high } = feasibleInterval(state.range, history);
+  const random = createRandom(`${state.seed}:${history.length}`);
+  return nextReverseGuess(low, high, state.strategy, random);
+}
+
+// PUBLIC_INTERFACE
+export function startReverseRound({ range, strategy = REVERSE_STRATEGIES.binary, seed = 'reverse' } = {}) {
+  /**
+   * Start a round where the computer guesses a number the player picked in `range`.
+   * Emits: computer_guess.
+   */
+  const base = {
+    range: { min: range.min, max: range.max },
+    strategy: REVERSE_STRATEGIES[strategy] ? strategy : REVERSE_STRATEGIES.binary,
+    seed: String(seed),
+    status: REVERSE_STATUS.playing,
+    history: [],
+    conflict: null,
+    message: { key: 'reverse_think_of_number', params: { min: range.min, max: range.max } },
+  };
+  const state = { ...base, guess: guessFor(base, []) };
+  return { state, events: [{ type: 'computer_guess', value: state.guess }] };
+}
+
+// PUBLIC_INTERFACE
+export function answerReverse(state, { answer } = {}) {
+  /**
+   * Answer the computer's current guess with 'too high' | 'too low' | 'correct'.
+   * Contradicting answers pause the round with `conflict` set until one is undone.
+   * Emits: computer_won | inconsistent | computer_guess.
+   */
+  if (state.status !== REVERSE_STATUS.playing || !Object.values(REVERSE_ANSWERS).includes(answer)) {
+    return { state, events: [] };
+  }
+  const entry = makeHistoryEntry(state.history.length + 1, state.guess, answer);
+  const history = [...state.history, entry];
+
+  if (answer === REVERSE_ANSWERS.correct) {
+    return {
+      state: {
+        ...state,
+        history,
+        status: REVERSE_STATUS.won,
+        message: { key: 'reverse_computer_won', params: { value: state.guess, count: history.length } },
+      },
+      events: [{ type: 'computer_won', value: state.guess, attempts: history.length }],
+    };
+  }
+
+  const conflict = findConflict(state.range, history);
+  if (conflict) {
+    return {
+      state: { ...state, history, status: REVERSE_STATUS.inconsistent, conflict, guess: null, message: conflict },
+      events: [{ type: 'inconsistent', entryIds: conflict.entryIds }],
+    };
+  }
+
+  const guess = guessFor(state, history);
+  return {
+    state: { ...state, history, guess, message: { key: 'reverse_computer_guess', params: { value: guess } } },
+    events: [{ type: 'computer_guess', value: guess }],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function undoReverseAnswer(state) {
+  /** Take back the latest answer (e.g. to fix a contradiction); the computer re-asks that guess */
+  if (state.history.length === 0) return { state, events: [] };
+  const last = state.history[state.history.length - 1];
+  const history = state.history.slice(0, -1);
+  return {
+    state: {
+      ...state,
+      history,
+      status: REVERSE_STATUS.playing,
+      conflict: null,
+      guess: last.value,
+      message: { key: 'reverse_computer_guess', params: { value: last.value } },
+    },
+    events: [{ type: 'computer_guess', value: last.value }],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function reverseReducer(state, action) {
+  /** Dispatch `{ type, ...payload }` actions for Reverse mode; unknown actions are no-ops */
+  switch (action?.type) {
+    case 'startReverseRound':
+      return startReverseRound(action);
+    case 'answerReverse':
+      return answerReverse(state, action);
+    case 'undoReverseAnswer':
+      return undoReverseAnswer(state);
+    default:
+      return { state, events: [] };
+  }
+}
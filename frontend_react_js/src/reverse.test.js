@@ -0,0 +1,96 @@
+import {
+  REVERSE_STRATEGIES,
+  answerReverse,
+  feasibleInterval,
+  findConflict,
+  nextReverseGuess,
+  reverseReducer,
+  startReverseRound,
+  undoReverseAnswer,
+} from './reverse';
+import { createRandom } from './random';
+
+const range = { min: 1, max: 100 };
+
+// Answer truthfully for a secret until the computer finds it
+function play(strategy, secret, seed = 'rev') {
+  let { state } = startReverseRound({ range, strategy, seed });
+  for (let i = 0; i < 200 && state.status === 'playing'; i++) {
+    const answer = state.guess === secret ? 'correct' : state.guess > secret ? 'too high' : 'too low';
+    state = answerReverse(state, { answer }).state;
+  }
+  return state;
+}
+
+test('binary search finds any number within the optimal number of guesses', () => {
+  for (const secret of [1, 37, 50, 99, 100]) {
+    const state = play(REVERSE_STRATEGIES.binary, secret);
+    expect(state.status).toBe('won');
+    expect(state.history[state.history.length - 1]).toMatchObject({ value: secret, result: 'correct' });
+    expect(state.history.length).toBeLessThanOrEqual(7);
+  }
+});
+
+test('random and human-like strategies stay inside the feasible interval and win', () => {
+  for (const strategy of [REVERSE_STRATEGIES.random, REVERSE_STRATEGIES.human]) {
+    for (const secret of [2, 64, 100]) {
+      const state = play(strategy, secret, `rev-${strategy}`);
+      expect(state.status).toBe('won');
+      expect(new Set(state.history.map((h) => h.value)).size).toBe(state.history.length);
+    }
+  }
+  const random = createRandom('h');
+  for (let i = 0; i < 50; i++) {
+    const g = nextReverseGuess(10, 80, REVERSE_STRATEGIES.human, random);
+    expect(g).toBeGreaterThanOrEqual(10);
+    expect(g).toBeLessThanOrEqual(80);
+  }
+  expect(nextReverseGuess(1, 100, REVERSE_STRATEGIES.human, () => 0.5)).toBe(50);
+});
+
+test('rounds are reproducible from the seed', () => {
+  const a = play(REVERSE_STRATEGIES.random, 73, 'same');
+  const b = play(REVERSE_STRATEGIES.random, 73, 'same');
+  expect(b.history.map((h) => h.value)).toEqual(a.history.map((h) => h.value));
+});
+
+test('contradicting answers point at the entries involved and can be undone', () => {
+  let { state } = startReverseRound({ range, seed: 'c' });
+  expect(state.guess).toBe(50);
+  state = answerReverse(state, { answer: 'too low' }).state; // > 50
+  expect(state.guess).toBe(75);
+  state = answerReverse(state, { answer: 'too high' }).state; // 51..74
+  state = answerReverse(state, { answer: 'too high' }).state; // 62 too high -> 51..61
+  const { state: bad, events } = answerReverse({ ...state, guess: 50 }, { answer: 'too high' });
+  expect(bad.status).toBe('inconsistent');
+  expect(bad.conflict.key).toBe('reverse_conflict_pair');
+  expect(bad.conflict.params).toMatchObject({ low: 50, lowIndex: 1, high: 50, highIndex: 4 });
+  expect(events).toEqual([{ type: 'inconsistent', entryIds: [bad.history[0].id, bad.history[3].id] }]);
+  expect(answerReverse(bad, { answer: 'correct' }).state).toBe(bad);
+
+  const fixed = undoReverseAnswer(bad).state;
+  expect(fixed.status).toBe('playing');
+  expect(fixed.conflict).toBeNull();
+  expect(fixed.history).toHaveLength(3);
+  expect(fixed.guess).toBe(50);
+});
+
+test('answers that leave the range are reported against the range bounds', () => {
+  const history = [{ id: 'a', index: 1, value: 100, result: 'too low' }];
+  expect(feasibleInterval(range, history)).toMatchObject({ low: 101, high: 100 });
+  expect(findConflict(range, history)).toEqual({
+    entryIds: ['a'],
+    key: 'reverse_conflict_range_max',
+    params: { value: 100, index: 1, min: 1, max: 100 },
+  });
+  expect(findConflict(range, [{ id: 'b', index: 1, value: 1, result: 'too high' }]).key).toBe('reverse_conflict_range_min');
+  expect(findConflict(range, [])).toBeNull();
+});
+
+test('reverseReducer dispatches actions', () => {
+  const started = reverseReducer(null, { type: 'startReverseRound', range: { min: -10, max: 10 } }).state;
+  expect(started.guess).toBe(0);
+  const won = reverseReducer(started, { type: 'answerReverse', answer: 'correct' });
+  expect(won.events).toEqual([{ type: 'computer_won', value: 0, attempts: 1 }]);
+  expect(reverseReducer(started, { type: 'answerReverse', answer: 'maybe' }).state).toBe(started);
+});
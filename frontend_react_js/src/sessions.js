@@ -0,0 +1,234 @@
+/**
+ * Session log: one record per finished round (won or lost), per player profile. The leaderboard
+ * and statistics are views over this log. Old records are pruned by the profile's retention settings.
+ *
+ * Record shape (compact: the guess sequence is stored as plain values, results can be recomputed
+ * from `secret`):
+ * { id, startedAt: number|null, finishedAt: number, outcome: 'won'|'timeout'|'out_of_attempts',
+ *   difficulty, level: string|null, mode, custom: object|null, code: object|null,
+ *   range: { min, max }|null (number rounds),
+ *   timerChallenge: boolean, daily: string|null, seed: string|null, secret: number|string|null,
+ *   attempts, maxAttempts: number|null, hints: string[], puzzle: 'solved'|'failed'|'unanswered'|null,
+ *   score, timeRemaining: number|null (seconds, to the millisecond), totalTime: number|null,
+ *   shotClock: number|null (Timer Challenge seconds per guess),
+ *   solved: number|null (Time Attack secrets solved, Survival rounds survived),
+ *   players: string[]|null, player: string|null (hot-seat winner), guesses: Array<number|string>,
+ *   guessPlayers: string[]|null (who made each guess in hot-seat), language: string|null (UI language),
+ *   replay: step[]|null (timed guesses, hints, puzzle answers and timeouts; see ./replay) }
+ */
+
+import { RUN_MODES, STATUS, currentPlayerOf, runHistoryOf } from './engine';
+import { summarizeSurvival } from './survival';
+import { summarizeTimeAttack } from './timeAttack';
+import { randomId } from './random';
+import { buildReplay, normalizeReplay } from './replay';
+import { profileKey, readProfiles } from './profiles';
+import { readJSON, removeItem, writeJSON } from './storage';
+
+const SESSIONS_STORAGE_KEY = 'ngg_sessions_v1';
+const RETENTION_STORAGE_KEY = 'ngg_session_retention_v1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PUBLIC_INTERFACE
+export const SESSION_OUTCOMES = [STATUS.won, STATUS.timeout, STATUS.outOfAttempts];
+
+// PUBLIC_INTERFACE
+// Choices offered for retention; 0 days keeps sessions regardless of age
+export const RETENTION_OPTIONS = {
+  maxSessions: [100, 500, 1000, 5000],
+  maxAgeDays: [30, 90, 365, 0],
+};
+
+// PUBLIC_INTERFACE
+export const DEFAULT_RETENTION = { maxSessions: 1000, maxAgeDays: 0 };
+
+const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+const str = (v) => (typeof v === 'string' && v ? v : null);
+const obj = (v) => (v && typeof v === 'object' && !Array.isArray(v) ? v : null);
+const interval = (v) => (v && typeof v.min === 'number' && typeof v.max === 'number' ? { min: v.min, max: v.max } : null);
+const strings = (v) => (Array.isArray(v) ? v.filter((s) => typeof s === 'string') : []);
+
+// PUBLIC_INTERFACE
+export function normalizeSession(raw) {
+  /** Validate one stored or imported session record; null when unusable */
+  if (!raw || typeof raw !== 'object') return null;
+  if (typeof raw.id !== 'string' || typeof raw.finishedAt !== 'number') return null;
+  if (!SESSION_OUTCOMES.includes(raw.outcome) || typeof raw.difficulty !== 'string') return null;
+  const guesses = Array.isArray(raw.guesses)
+    ? raw.guesses.filter((g) => typeof g === 'number' || typeof g === 'string')
+    : [];
+  const guessPlayers = Array.isArray(raw.guessPlayers) ? strings(raw.guessPlayers) : null;
+  return {
+    id: raw.id,
+    startedAt: num(raw.startedAt),
+    finishedAt: raw.finishedAt,
+    outcome: raw.outcome,
+    difficulty: raw.difficulty,
+    level: str(raw.level),
+    mode: str(raw.mode) || 'classic',
+    custom: obj(raw.custom),
+    code: obj(raw.code),
+    range: interval(raw.range),
+    timerChallenge: Boolean(raw.timerChallenge),
+    daily: str(raw.daily),
+    seed: str(raw.seed),
+    secret: typeof raw.secret === 'number' || typeof raw.secret === 'string' ? raw.secret : null,
+    attempts: num(raw.attempts) ?? guesses.length,
+    maxAttempts: num(raw.maxAttempts),
+    hints: strings(raw.hints),
+    puzzle: ['solved', 'failed', 'unanswered'].includes(raw.puzzle) ? raw.puzzle : null,
+    score: num(raw.score) ?? 0,
+    timeRemaining: num(raw.timeRemaining),
+    totalTime: num(raw.totalTime),
+    shotClock: num(raw.shotClock),
+    solved: num(raw.solved),
+    players: Array.isArray(raw.players) ? strings(raw.players) : null,
+    player: str(raw.player),
+    guesses,
+    guessPlayers: guessPlayers && guessPlayers.length === guesses.length ? guessPlayers : null,
+    replay: normalizeReplay(raw.replay),
+    language: str(raw.language),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function normalizeSessions(parsed) {
+  /** Validate a stored or imported session list (invalid records dropped); null if not a list */
+  if (!Array.isArray(parsed)) return null;
+  return parsed.map(normalizeSession).filter(Boolean);
+}
+
+// PUBLIC_INTERFACE
+export function readRetention(profileId = readProfiles().activeId) {
+  /** A profile's retention settings { maxSessions, maxAgeDays } (the active profile by default) */
+  return readJSON(
+    profileKey(RETENTION_STORAGE_KEY, profileId),
+    (v) => ({
+      maxSessions: RETENTION_OPTIONS.maxSessions.includes(v?.maxSessions) ? v.maxSessions : DEFAULT_RETENTION.maxSessions,
+      maxAgeDays: RETENTION_OPTIONS.maxAgeDays.includes(v?.maxAgeDays) ? v.maxAgeDays : DEFAULT_RETENTION.maxAgeDays,
+    }),
+    { ...DEFAULT_RETENTION }
+  );
+}
+
+// PUBLIC_INTERFACE
+export function applyRetention(sessions, retention = DEFAULT_RETENTION, now = Date.now()) {
+  /** Newest-first sessions trimmed to the retention limits */
+  const cutoff = retention.maxAgeDays > 0 ? now - retention.maxAgeDays * DAY_MS : -Infinity;
+  return sessions.filter((s) => s.finishedAt >= cutoff).slice(0, retention.maxSessions);
+}
+
+// PUBLIC_INTERFACE
+export function readSessions(profileId = readProfiles().activeId) {
+  /** A profile's session log, newest first (the active profile by default) */
+  return readJSON(profileKey(SESSIONS_STORAGE_KEY, profileId), normalizeSessions, []);
+}
+
+// PUBLIC_INTERFACE
+export function writeSessions(sessions, profileId = readProfiles().activeId) {
+  /** Persist a profile's session list, sorted newest first and pruned by its retention settings; false when not saved */
+  const sorted = [...sessions].sort((a, b) => b.finishedAt - a.finishedAt);
+  return writeJSON(profileKey(SESSIONS_STORAGE_KEY, profileId), applyRetention(sorted, readRetention(profileId)));
+}
+
+// PUBLIC_INTERFACE
+export function writeRetention(retention) {
+  /** Save retention settings and prune the log to them right away */
+  const next = { ...readRetention(), ...retention };
+  writeJSON(profileKey(RETENTION_STORAGE_KEY), next);
+  writeSessions(readSessions());
+  return readRetention();
+}
+
+// PUBLIC_INTERFACE
+export function recordSession(record) {
+  /** Validate and add a finished round to the log; returns the stored record or null when invalid */
+  const session = normalizeSession({ id: `${record.finishedAt}-${randomId()}`, ...record });
+  if (!session) return null;
+  writeSessions([session, ...readSessions().filter((s) => s.id !== session.id)]);
+  return session;
+}
+
+// PUBLIC_INTERFACE
+export function mergeSessions(incoming) {
+  /** Add sessions (e.g. from a backup) whose ids are not in the log yet; returns how many were added */
+  const existing = readSessions();
+  const ids = new Set(existing.map((s) => s.id));
+  const added = (normalizeSessions(incoming) || []).filter((s) => !ids.has(s.id));
+  if (added.length > 0) writeSessions([...existing, ...added]);
+  return added.length;
+}
+
+// PUBLIC_INTERFACE
+export function removeSessions(predicate) {
+  /** Delete the sessions matching `predicate` */
+  writeSessions(readSessions().filter((s) => !predicate(s)));
+}
+
+// PUBLIC_INTERFACE
+export function clearSessions() {
+  /** Delete the active profile's whole session log */
+  removeItem(profileKey(SESSIONS_STORAGE_KEY));
+}
+
+// Secrets solved by a Time Attack run or rounds survived by a Survival run; null for single rounds
+function runSolvedOf(state) {
+  if (state.timeAttack) return summarizeTimeAttack(state.timeAttack.secrets).solved;
+  if (state.survival) return summarizeSurvival(state.survival.rounds).survived;
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function sessionFromRound(
+  state,
+  { level = null, startedAt = null, finishedAt = Date.now(), puzzleMode = false, player = null, language = null } = {}
+) {
+  /**
+   * Build a session record from a finished engine round. A Time Attack or Survival run records
+   * its score, secrets solved and every guess of the run; `attempts` counts them all, and no
+   * replay is kept since the guesses were made against many secrets. A Survival
+   * run's `range` is the widest it reached and `hints` gathers the hint types of all its rounds.
+   * A hot-seat win records the winner's own attempts; its clock is per turn, so no time remaining.
+   */
+  const roundHints = Object.keys(state.hintTypesUsed || {}).filter((k) => state.hintTypesUsed[k]);
+  const hints = state.survival ? [...new Set([...state.survival.rounds.flatMap((r) => r.hints), ...roundHints])] : roundHints;
+  let puzzle = null;
+  if (puzzleMode && state.puzzle) {
+    if (state.puzzleAnswered) puzzle = 'solved';
+    else puzzle = state.puzzleRetryUsed ? 'failed' : 'unanswered';
+  }
+  const hotSeat = Array.isArray(state.players);
+  const run = RUN_MODES.includes(state.mode);
+  const winner = hotSeat && state.status === STATUS.won ? currentPlayerOf(state) : null;
+  const guesses = runHistoryOf(state);
+  return {
+    startedAt,
+    finishedAt,
+    outcome: state.status,
+    difficulty: state.difficulty,
+    level,
+    mode: state.mode,
+    custom: state.custom || null,
+    code: state.code || null,
+    range: state.code ? null : state.range,
+    timerChallenge: Boolean(state.timerChallenge),
+    daily: state.daily || null,
+    seed: state.seed,
+    secret: state.secret,
+    attempts: run ? guesses.length : (winner || state).attempts,
+    maxAttempts: state.maxAttempts,
+    hints: hotSeat ? [...new Set(state.players.flatMap((p) => Object.keys(p.hintTypesUsed).filter((k) => p.hintTypesUsed[k])))] : hints,
+    puzzle,
+    score: state.status === STATUS.won || run ? state.score : 0,
+    timeRemaining: state.timerChallenge && !hotSeat ? Math.max(0, state.timeLeft) : null,
+    totalTime: state.timerChallenge ? state.totalTime : null,
+    shotClock: state.timerChallenge ? state.shotClock ?? null : null,
+    solved: runSolvedOf(state),
+    players: hotSeat ? state.players.map((p) => p.name) : null,
+    player,
+    guesses: guesses.map((h) => h.value),
+    guessPlayers: hotSeat ? state.history.map((h) => h.player) : null,
+    replay: run ? null : buildReplay(state),
+    language,
+  };
+}
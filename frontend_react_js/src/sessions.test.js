@@ -0,0 +1,109 @@
+import {
+  DEFAULT_RETENTION,
+  applyRetention,
+  clearSessions,
+  mergeSessions,
+  normalizeSessions,
+  readRetention,
+  readSessions,
+  recordSession,
+  sessionFromRound,
+  writeRetention,
+} from './sessions';
+import { gameReducer, startRound } from './engine';
+import { readResults } from './leaderboard';
+import { createProfile, switchProfile, DEFAULT_PROFILE_ID } from './profiles';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+function playOut(state, guesses) {
+  let current = state;
+  for (const g of guesses) current = gameReducer(current, { type: 'guess', input: String(g) }).state;
+  return current;
+}
+
+function session(overrides = {}) {
+  return { finishedAt: Date.now(), outcome: 'won', difficulty: 'easy', attempts: 2, score: 800, ...overrides };
+}
+
+test('a finished round is logged with outcome, hints, puzzle outcome, duration and guesses', () => {
+  let state = startRound({ difficulty: 'easy', seed: 'log' }).state;
+  state = gameReducer(state, { type: 'useHint', hintType: 'parity', input: '' }).state;
+  const wrong = state.secret === 1 ? 2 : 1;
+  state = playOut(state, [wrong, state.secret]);
+  expect(state.status).toBe('won');
+
+  const stored = recordSession(sessionFromRound(state, { level: 'Beginner', startedAt: 1000, finishedAt: 61000 }));
+  expect(stored).toMatchObject({
+    outcome: 'won',
+    difficulty: 'easy',
+    level: 'Beginner',
+    attempts: 2,
+    hints: ['parity'],
+    puzzle: null,
+    guesses: [wrong, state.secret],
+    startedAt: 1000,
+    finishedAt: 61000,
+    seed: 'log',
+  });
+  expect(readSessions()).toEqual([stored]);
+});
+
+test('losses are logged too but only non-daily wins reach the leaderboard', () => {
+  recordSession(session({ outcome: 'out_of_attempts', score: 0, finishedAt: 3 }));
+  recordSession(session({ outcome: 'timeout', score: 0, finishedAt: 2, timerChallenge: true }));
+  recordSession(session({ finishedAt: 1, daily: '2024-05-01' }));
+  recordSession(session({ finishedAt: 4, score: 900 }));
+
+  expect(readSessions().map((s) => s.outcome)).toEqual(['won', 'out_of_attempts', 'timeout', 'won']);
+  expect(readResults().map((r) => r.score)).toEqual([900]);
+});
+
+test('a hot-seat win logs the winner\'s own attempts and no time remaining', () => {
+  let state = startRound({ difficulty: 'easy', secret: 12, players: ['Ann', 'Bo'], timerChallenge: true }).state;
+  for (const input of ['3', '5', '12']) state = gameReducer(state, { type: 'guess', input }).state;
+  expect(state).toMatchObject({ status: 'won', attempts: 3 });
+
+  const logged = sessionFromRound(state, { player: 'Ann' });
+  expect(logged).toMatchObject({ attempts: 2, player: 'Ann', timeRemaining: null, guesses: [3, 5, 12] });
+});
+
+test('invalid records are dropped and merges skip ids already logged', () => {
+  expect(recordSession({ outcome: 'won' })).toBeNull();
+  expect(normalizeSessions([{ id: 'x' }, null])).toEqual([]);
+  const first = recordSession(session({ id: 'a' }));
+  expect(mergeSessions([first, session({ id: 'b' }), { id: 'bad' }])).toBe(1);
+  expect(readSessions().map((s) => s.id).sort()).toEqual(['a', 'b']);
+  clearSessions();
+  expect(readSessions()).toEqual([]);
+});
+
+test('retention keeps the newest sessions within the count and age limits', () => {
+  const now = Date.UTC(2024, 0, 31);
+  const list = [0, 10, 40, 100].map((days, i) => session({ id: `s${i}`, finishedAt: now - days * DAY }));
+  expect(applyRetention(list, { maxSessions: 100, maxAgeDays: 30 }, now).map((s) => s.id)).toEqual(['s0', 's1']);
+  expect(applyRetention(list, { maxSessions: 100, maxAgeDays: 0 }, now)).toHaveLength(4);
+
+  expect(readRetention()).toEqual(DEFAULT_RETENTION);
+  for (let i = 0; i < 120; i++) recordSession(session({ finishedAt: i + 1 }));
+  expect(writeRetention({ maxSessions: 100 })).toEqual({ maxSessions: 100, maxAgeDays: 0 });
+  const kept = readSessions();
+  expect(kept).toHaveLength(100);
+  expect(kept[0].finishedAt).toBe(120);
+  // Unsupported values fall back to the defaults
+  writeRetention({ maxSessions: 7 });
+  expect(readRetention().maxSessions).toBe(DEFAULT_RETENTION.maxSessions);
+});
+
+test('each profile keeps its own log', () => {
+  recordSession(session({ id: 'mine' }));
+  createProfile('Guest');
+  expect(readSessions()).toEqual([]);
+  recordSession(session({ id: 'guest' }));
+  switchProfile(DEFAULT_PROFILE_ID);
+  expect(readSessions().map((s) => s.id)).toEqual(['mine']);
+});
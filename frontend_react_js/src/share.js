@@ -0,0 +1,184 @@
+/**
+ * Sharing a finished round: a spoiler-free text summary (emoji chips instead of guess values)
+ * and a PNG result card drawn on canvas in the Ocean Professional theme. The challenge link
+ * shared alongside them comes from ./challenge.
+ */
+
+import { STATUS } from './engine';
+
+// Ocean Professional tokens used on the card (synced with THEME in App.js)
+const CARD_COLORS = {
+  primary: '#2563EB',
+  secondary: '#F59E0B',
+  error: '#EF4444',
+  background: '#f9fafb',
+  surface: '#ffffff',
+  text: '#111827',
+  muted: '#6b7280',
+  empty: '#e5e7eb',
+};
+const CARD_WIDTH = 600;
+const CARD_HEIGHT = 315;
+
+const RESULT_EMOJI = { 'too low': '⬆️', 'too high': '⬇️', correct: '✅' };
+
+// PUBLIC_INTERFACE
+export function resultChips(state) {
+  /**
+   * Spoiler-free chips for the round's guesses: one line of arrows for number rounds
+   * (⬆️ go higher, ⬇️ go lower, ✅ found), one line per guess of 🟩 bulls / 🟨 cows / ⬜ misses for codes
+   */
+  if (state.code) {
+    return state.history.map((h) => {
+      const bulls = h.bulls ?? (h.result === 'correct' ? state.code.length : 0);
+      const cows = h.cows ?? 0;
+      return '🟩'.repeat(bulls) + '🟨'.repeat(cows) + '⬜'.repeat(Math.max(0, state.code.length - bulls - cows));
+    });
+  }
+  return [state.history.map((h) => RESULT_EMOJI[h.result] || '▫️').join('')];
+}
+
+function hintsUsed(state) {
+  return Object.values(state.hintTypesUsed || {}).filter(Boolean).length;
+}
+
+// PUBLIC_INTERFACE
+export function shareSummary(t, state) {
+  /** The text lines describing a finished round without revealing the secret or the guesses */
+  const label = t(`difficulty_${state.difficulty}`, { defaultValue: state.difficulty });
+  const heading = state.code
+    ? `${t('appTitle')} · ${label} · ${t('share_code_length', { length: state.code.length })}`
+    : `${t('appTitle')} · ${label} (${state.range.min}–${state.range.max})`;
+  let outcome;
+  if (state.status === STATUS.won) outcome = t('share_won', { attempts: state.attempts, max: state.maxAttempts });
+  else if (state.status === STATUS.timeout) outcome = t('share_timeout', { attempts: state.attempts });
+  else outcome = t('share_out_of_attempts', { max: state.maxAttempts });
+  const details = [
+    t('share_hints', { count: hintsUsed(state) }),
+    state.timerChallenge && state.status === STATUS.won ? t('share_time_bonus', { bonus: state.timeBonusPct }) : null,
+    state.status === STATUS.won ? t('share_score', { score: state.score }) : null,
+  ].filter(Boolean);
+  return [heading, ...resultChips(state), outcome, details.join(' · ')];
+}
+
+function chipColor(result) {
+  if (result === 'correct') return CARD_COLORS.secondary;
+  if (result === 'too high') return CARD_COLORS.error;
+  return CARD_COLORS.primary;
+}
+
+// PUBLIC_INTERFACE
+export function drawShareCard(ctx, t, state) {
+  /** Draw the result card on a 600×315 canvas context */
+  const [heading, ...rest] = shareSummary(t, state);
+  const [outcome, details] = rest.slice(-2);
+  ctx.fillStyle = CARD_COLORS.background;
+  ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+  ctx.fillStyle = CARD_COLORS.surface;
+  ctx.fillRect(24, 24, CARD_WIDTH - 48, CARD_HEIGHT - 48);
+  ctx.fillStyle = CARD_COLORS.primary;
+  ctx.fillRect(24, 24, CARD_WIDTH - 48, 8);
+
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = CARD_COLORS.text;
+  ctx.font = 'bold 22px system-ui, sans-serif';
+  ctx.fillText(heading, 48, 52, CARD_WIDTH - 96);
+
+  // Guess chips: one square per guess, or one row of bull/cow squares per code guess
+  const size = 22;
+  const gap = 6;
+  const maxRows = 4;
+  if (state.code) {
+    state.history.slice(-maxRows).forEach((h, row) => {
+      const bulls = h.bulls ?? (h.result === 'correct' ? state.code.length : 0);
+      const cows = h.cows ?? 0;
+      for (let i = 0; i < state.code.length; i++) {
+        if (i < bulls) ctx.fillStyle = CARD_COLORS.secondary;
+        else ctx.fillStyle = i < bulls + cows ? CARD_COLORS.primary : CARD_COLORS.empty;
+        ctx.fillRect(48 + i * (size + gap), 96 + row * (size + gap), size, size);
+      }
+    });
+  } else {
+    const perRow = Math.floor((CARD_WIDTH - 96) / (size + gap));
+    state.history.slice(0, perRow * maxRows).forEach((h, i) => {
+      ctx.fillStyle = chipColor(h.result);
+      ctx.fillRect(48 + (i % perRow) * (size + gap), 96 + Math.floor(i / perRow) * (size + gap), size, size);
+    });
+  }
+
+  ctx.fillStyle = state.status === STATUS.won ? CARD_COLORS.primary : CARD_COLORS.error;
+  ctx.font = 'bold 20px system-ui, sans-serif';
+  ctx.fillText(outcome, 48, 222, CARD_WIDTH - 96);
+  ctx.fillStyle = CARD_COLORS.muted;
+  ctx.font = '16px system-ui, sans-serif';
+  ctx.fillText(details, 48, 252, CARD_WIDTH - 96);
+}
+
+// PUBLIC_INTERFACE
+export function renderShareCard(t, state) {
+  /** The result card as a PNG Blob; resolves to null where canvas drawing is unavailable */
+  return new Promise((resolve) => {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = CARD_WIDTH;
+      canvas.height = CARD_HEIGHT;
+      const ctx = canvas.getContext('2d');
+      if (!ctx || typeof canvas.toBlob !== 'function') {
+        resolve(null);
+        return;
+      }
+      drawShareCard(ctx, t, state);
+      canvas.toBlob((blob) => resolve(blob || null), 'image/png');
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function copyText(text) {
+  /** Copy text to the clipboard; resolves to whether it worked */
+  try {
+    if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+    // Older browsers: copy from a temporary, off-screen textarea
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.setAttribute('readonly', '');
+    area.style.position = 'fixed';
+    area.style.left = '-9999px';
+    document.body.appendChild(area);
+    area.select();
+    const ok = typeof document.execCommand === 'function' && document.execCommand('copy');
+    area.remove();
+    return Boolean(ok);
+  } catch {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function shareResult({ title, text, url, image = null }) {
+  /**
+   * Share through the Web Share API when the browser has it (attaching the card image when
+   * files can be shared), otherwise copy the text and link to the clipboard.
+   * Resolves to 'shared' | 'copied' | 'cancelled' | 'failed'.
+   */
+  if (typeof navigator.share === 'function') {
+    const data = { title, text, ...(url ? { url } : {}) };
+    if (image && typeof File === 'function') {
+      const file = new File([image], 'number-guessing-result.png', { type: 'image/png' });
+      if (typeof navigator.canShare === 'function' && navigator.canShare({ files: [file] })) data.files = [file];
+    }
+    try {
+      await navigator.share(data);
+      return 'shared';
+    } catch (err) {
+      // The user closing the share sheet is not a failure worth falling back from
+      if (err && err.name === 'AbortError') return 'cancelled';
+    }
+  }
+  return (await copyText(url ? `${text}\n${url}` : text)) ? 'copied' : 'failed';
+}
@@ -0,0 +1,84 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import i18n from './i18n';
+import SharePanel from './SharePanel';
+import { decodeChallenge } from './challenge';
+import { applyHint, gameReducer, startRound } from './engine';
+import { drawShareCard, resultChips, shareResult, shareSummary } from './share';
+
+const t = i18n.t.bind(i18n);
+
+function playOut(state, guesses) {
+  let current = state;
+  for (const g of guesses) current = gameReducer(current, { type: 'guess', input: String(g) }).state;
+  return current;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete navigator.share;
+  delete navigator.canShare;
+  delete navigator.clipboard;
+});
+
+test('the summary shows result chips, hints and score without the secret or the guesses', () => {
+  const hinted = applyHint(startRound({ difficulty: 'easy', secret: 12, seed: 'abc' }).state, { hintType: 'parity' }).state;
+  const state = playOut(hinted, [5, 17, 12]);
+  expect(resultChips(state)).toEqual(['⬆️⬇️✅']);
+  const lines = shareSummary(t, state);
+  expect(lines).toEqual(['Number Guessing Game · Easy (1–20)', '⬆️⬇️✅', 'Solved in 3/6', `Hints: 1 · Score: ${state.score}`]);
+  expect(lines.join('\n')).not.toMatch(/\b(5|17|12)\b/);
+});
+
+test('code rounds get a row of bull and cow squares per guess', () => {
+  const state = playOut(startRound({ difficulty: 'easy', mode: 'bulls_cows', secret: '123' }).state, ['132', '123']);
+  expect(resultChips(state)).toEqual(['🟩🟨🟨', '🟩🟩🟩']);
+});
+
+test('the card draws one chip per guess and the outcome', () => {
+  const state = playOut(startRound({ difficulty: 'easy', secret: 12 }).state, [5, 12]);
+  const calls = [];
+  const ctx = {
+    fillRect: (...args) => calls.push(['rect', ctx.fillStyle, ...args]),
+    fillText: (text) => calls.push(['text', ctx.fillStyle, text]),
+  };
+  drawShareCard(ctx, t, state);
+  const chips = calls.filter(([kind, , , , w]) => kind === 'rect' && w === 22);
+  expect(chips.map(([, color]) => color)).toEqual(['#2563EB', '#F59E0B']);
+  expect(calls.filter(([kind]) => kind === 'text').map(([, , text]) => text)).toContain('Solved in 2/6');
+});
+
+test('sharing uses the Web Share API when present and the clipboard otherwise', async () => {
+  navigator.share = jest.fn().mockResolvedValue(undefined);
+  expect(await shareResult({ title: 'T', text: 'hello', url: 'https://x' })).toBe('shared');
+  expect(navigator.share).toHaveBeenCalledWith({ title: 'T', text: 'hello', url: 'https://x' });
+
+  navigator.share = jest.fn().mockRejectedValue(Object.assign(new Error('closed'), { name: 'AbortError' }));
+  expect(await shareResult({ title: 'T', text: 'hello' })).toBe('cancelled');
+
+  delete navigator.share;
+  navigator.clipboard = { writeText: jest.fn().mockResolvedValue(undefined) };
+  expect(await shareResult({ title: 'T', text: 'hello', url: 'https://x' })).toBe('copied');
+  expect(navigator.clipboard.writeText).toHaveBeenCalledWith('hello\nhttps://x');
+});
+
+test('the share panel copies the summary and a challenge link carrying the player result', async () => {
+  navigator.clipboard = { writeText: jest.fn().mockResolvedValue(undefined) };
+  // jsdom has no canvas: the card is skipped and the text is shared on its own
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+  const state = playOut(startRound({ difficulty: 'easy', secret: 12, seed: 'abc' }).state, [12]);
+  render(<SharePanel state={state} playerName="Asha" />);
+  expect(screen.getByTestId('share-text').textContent).toMatch(/^Number Guessing Game · Easy \(1–20\)\n✅\nSolved in 1\/6/);
+
+  fireEvent.click(screen.getByTestId('share-copy-link'));
+  await waitFor(() => expect(screen.getByTestId('share-notice').textContent).toBe('Challenge link copied.'));
+  const link = new URL(navigator.clipboard.writeText.mock.calls[0][0]);
+  expect(decodeChallenge(link.searchParams.get('challenge')).challenge.challenger).toEqual({
+    name: 'Asha',
+    attempts: 1,
+    score: state.score,
+    outcome: 'won',
+  });
+
+  fireEvent.click(screen.getByTestId('share-button'));
+  await waitFor(() => expect(screen.getByTestId('share-notice').textContent).toBe('Copied to the clipboard.'));
+});
@@ -1,54 +1,69 @@
+import { sessionEfficiency } from './analysis';
+import { RUN_MODES } from './engine';
+import { LEVEL_ORDER } from './levels';
+import { profileKey } from './profiles';
+import { readJSON, writeJSON } from './storage';
+
 const STATS_STORAGE_KEY = 'ngg_stats_v1';
 
 /**
- * Structure in localStorage under STATS_STORAGE_KEY:
- * { totalGames: number }
+ * Structure stored under STATS_STORAGE_KEY (per profile):
+ * { totalGames: number, puzzlesSolved: number }
  */
 
+function count(value) {
+  return typeof value === 'number' && value >= 0 ? value : 0;
+}
+
+// PUBLIC_INTERFACE
+export function normalizeStats(parsed) {
+  /** Validate a stored or imported stats object; null if unusable */
+  if (!parsed || typeof parsed !== 'object') return null;
+  return { totalGames: count(parsed.totalGames), puzzlesSolved: count(parsed.puzzlesSolved) };
+}
+
 // PUBLIC_INTERFACE
 export function readStats() {
-  /** Read statistics object from localStorage. Defaults to { totalGames: 0 } */
-  try {
-    const raw = window.localStorage.getItem(STATS_STORAGE_KEY);
-    if (!raw) return { totalGames: 0 };
-    const parsed = JSON.parse(raw);
-    const totalGames =
-      parsed && typeof parsed.totalGames === 'number' && parsed.totalGames >= 0
-        ? parsed.totalGames
-        : 0;
-    return { totalGames };
-  } catch {
-    return { totalGames: 0 };
-  }
+  /** Read statistics object. Defaults to { totalGames: 0, puzzlesSolved: 0 } */
+  return readJSON(profileKey(STATS_STORAGE_KEY), normalizeStats, { totalGames: 0, puzzlesSolved: 0 });
 }
 
 // PUBLIC_INTERFACE
 export function writeStats(stats) {
-  /** Persist statistics object safely */
-  try {
-    const safe = { totalGames: Math.max(0, Number(stats?.totalGames || 0)) };
-    window.localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(safe));
-  } catch {
-    // no-op
-  }
+  /** Persist statistics object; counters missing from `stats` keep their stored value */
+  const current = readStats();
+  const safe = {
+    totalGames: Math.max(0, Number(stats?.totalGames ?? current.totalGames) || 0),
+    puzzlesSolved: Math.max(0, Number(stats?.puzzlesSolved ?? current.puzzlesSolved) || 0),
+  };
+  return writeJSON(profileKey(STATS_STORAGE_KEY), safe);
 }
 
 // PUBLIC_INTERFACE
 export function incrementTotalGames() {
   /** Increment totalGames counter by 1 and persist */
   const current = readStats();
-  const next = { totalGames: (current.totalGames || 0) + 1 };
+  const next = { ...current, totalGames: current.totalGames + 1 };
   writeStats(next);
   return next.totalGames;
 }
 
+// PUBLIC_INTERFACE
+export function incrementPuzzlesSolved() {
+  /** Increment the puzzlesSolved counter by 1 and persist */
+  const current = readStats();
+  const next = { ...current, puzzlesSolved: current.puzzlesSolved + 1 };
+  writeStats(next);
+  return next.puzzlesSolved;
+}
+
 // PUBLIC_INTERFACE
 export function computeStatisticsFromLeaderboard(entries, fallbackTotalGames = null) {
   /**
    * Compute:
    * - totalGames: prefer stored stats.totalGames, else fallbackTotalGames, else entries.length
    * - highestScore: max score across entries or 0 if none
-   * - fastestWinSeconds: prefer entries with timerChallenge metadata; if totalTime/timeRemaining available, compute totalTime - timeRemaining and take the min; if not available, return null (N/A)
+   * - fastestWinSeconds: prefer entries with timerChallenge metadata; if totalTime/timeRemaining available, compute totalTime - timeRemaining and take the min (to a tenth of a second); if not available, return null (N/A)
    * - averageAttempts: average attempts across entries (wins only), rounded to 1 decimal; 0 when no entries
    */
   const wins = Array.isArray(entries) ? entries : [];
@@ -75,7 +90,7 @@ export function computeStatisticsFromLeaderboard(entries, fallbackTotalGames = n
       }
     }
   }
-  const fastestWinSeconds = fastest != null ? Math.round(fastest) : null;
+  const fastestWinSeconds = fastest != null ? Math.round(fastest * 10) / 10 : null;
 
   // Average attempts across wins
   if (wins.length === 0) {
@@ -92,9 +107,203 @@ export function computeStatisticsFromLeaderboard(entries, fallbackTotalGames = n
 }
 
 // PUBLIC_INTERFACE
-export function formatDuration(seconds) {
-  /** Format seconds as s or mm:ss for display */
+export function computeStatisticsFromSessions(sessions, storedTotalGames = null) {
+  /**
+   * The summary metrics over the session log: wins of every kind (Daily Challenge included) feed
+   * score, speed and attempts; totalGames counts every logged round, or the lifetime counter when
+   * that is higher (rounds played before the log existed or pruned by retention).
+   */
+  const list = Array.isArray(sessions) ? sessions : [];
+  const wins = list
+    .filter((s) => s.outcome === 'won')
+    .map((s) => ({ score: s.score, attempts: s.attempts, timerChallenge: s.timerChallenge, totalTime: s.totalTime, timeRemaining: s.timeRemaining }));
+  const totalGames = Math.max(list.length, typeof storedTotalGames === 'number' ? storedTotalGames : 0);
+  return computeStatisticsFromLeaderboard(wins, totalGames);
+}
+
+// PUBLIC_INTERFACE
+// Difficulties offered by the Statistics filter and breakdown
+export const STATS_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// PUBLIC_INTERFACE
+// Mode groups of the breakdown: 'standard' rounds use neither Timer Challenge nor Puzzle Mode;
+// each run mode is a group of its own
+export const STATS_MODES = ['standard', 'timer', 'puzzle', ...RUN_MODES];
+
+function rate(part, whole) {
+  return whole > 0 ? part / whole : null;
+}
+
+// PUBLIC_INTERFACE
+export function summarizeSessions(sessions) {
+  /**
+   * Outcome metrics for a list of sessions (newest first, as readSessions returns them):
+   * { games, wins, winRate, currentStreak, longestStreak, losses: { timeout, outOfAttempts },
+   *   hintUsageRate, puzzleSolveRate, efficiency }
+   * Rates are 0..1, or null when there is nothing to measure: hint usage is the share of rounds
+   * where any hint was used; puzzle solve rate counts Puzzle Mode rounds only; efficiency is the
+   * average guess efficiency of number rounds (see analysis.js). Time Attack and Survival runs
+   * always end lost, so wins, win rate, streaks and losses count single rounds only.
+   */
+  const list = Array.isArray(sessions) ? sessions : [];
+  let rounds = 0;
+  let wins = 0;
+  let timeout = 0;
+  let outOfAttempts = 0;
+  let hinted = 0;
+  let puzzles = 0;
+  let solved = 0;
+  let run = 0;
+  let longestStreak = 0;
+  let efficiencySum = 0;
+  let analysed = 0;
+  // Oldest first so runs of wins are counted in play order
+  for (let i = list.length - 1; i >= 0; i--) {
+    const s = list[i];
+    // A finished run is neither a win nor a loss, and leaves the streak as it was
+    if (!RUN_MODES.includes(s.mode)) {
+      rounds += 1;
+      if (s.outcome === 'won') {
+        wins += 1;
+        run += 1;
+        longestStreak = Math.max(longestStreak, run);
+      } else {
+        run = 0;
+        if (s.outcome === 'timeout') timeout += 1;
+        else outOfAttempts += 1;
+      }
+    }
+    if (s.hints.length > 0) hinted += 1;
+    if (s.puzzle) {
+      puzzles += 1;
+      if (s.puzzle === 'solved') solved += 1;
+    }
+    const efficiency = sessionEfficiency(s);
+    if (efficiency != null) {
+      efficiencySum += efficiency;
+      analysed += 1;
+    }
+  }
+  return {
+    games: list.length,
+    wins,
+    winRate: rate(wins, rounds),
+    currentStreak: run,
+    longestStreak,
+    losses: { timeout, outOfAttempts },
+    hintUsageRate: rate(hinted, list.length),
+    puzzleSolveRate: rate(solved, puzzles),
+    efficiency: rate(efficiencySum, analysed),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function sessionModes(session) {
+  /**
+   * Mode groups a session counts towards: 'timer' and/or 'puzzle', or 'standard' when neither.
+   * Runs (Time Attack, Survival) form their own groups.
+   */
+  if (RUN_MODES.includes(session.mode)) return [session.mode];
+  const modes = [];
+  if (session.timerChallenge) modes.push('timer');
+  if (session.puzzle) modes.push('puzzle');
+  return modes.length > 0 ? modes : ['standard'];
+}
+
+// PUBLIC_INTERFACE
+export function breakdownSessions(sessions) {
+  /**
+   * summarizeSessions() per group, skipping empty groups:
+   * { difficulty: [{ key, stats }], level: [{ key, stats }], mode: [{ key, stats }] }
+   * Difficulty covers easy/medium/hard, level follows LEVEL_ORDER and mode uses STATS_MODES.
+   */
+  const group = (keys, matches) =>
+    keys
+      .map((key) => ({ key, stats: summarizeSessions(sessions.filter((s) => matches(s, key))) }))
+      .filter((row) => row.stats.games > 0);
+  return {
+    difficulty: group(STATS_DIFFICULTIES, (s, key) => s.difficulty === key),
+    level: group(LEVEL_ORDER, (s, key) => s.level === key),
+    mode: group(STATS_MODES, (s, key) => sessionModes(s).includes(key)),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function bestSurvivalRun(sessions) {
+  /**
+   * The best Survival run in the log: most rounds survived, then the higher score, then the
+   * earlier run. { survived, peakRange, score, finishedAt }, or null when no run was played.
+   */
+  let best = null;
+  for (const s of sessions) {
+    if (s.mode !== 'survival') continue;
+    const run = { survived: s.solved || 0, peakRange: s.range ? s.range.max : null, score: s.score, finishedAt: s.finishedAt };
+    const better =
+      !best ||
+      run.survived > best.survived ||
+      (run.survived === best.survived && (run.score > best.score || (run.score === best.score && run.finishedAt < best.finishedAt)));
+    if (better) best = run;
+  }
+  return best;
+}
+
+// PUBLIC_INTERFACE
+export function attemptDistribution(sessions) {
+  /**
+   * How many attempts won rounds took, per difficulty (STATS_DIFFICULTIES order, empty ones skipped):
+   * [{ difficulty, wins, buckets: [{ attempts, count }] }] with a bucket for every attempt count
+   * from 1 to the highest seen, so gaps show as empty bars.
+   */
+  return STATS_DIFFICULTIES.map((difficulty) => {
+    const wins = sessions.filter((s) => s.outcome === 'won' && s.difficulty === difficulty);
+    const most = wins.reduce((m, s) => Math.max(m, s.attempts), 0);
+    const buckets = Array.from({ length: most }, (_, i) => ({
+      attempts: i + 1,
+      count: wins.filter((s) => s.attempts === i + 1).length,
+    }));
+    return { difficulty, wins: wins.length, buckets };
+  }).filter((d) => d.wins > 0);
+}
+
+// PUBLIC_INTERFACE
+export function scoreTrend(sessions, windowSize = 5) {
+  /**
+   * Scores of won rounds in play order with a rolling average over the last `windowSize` wins:
+   * [{ finishedAt, score, average }] (average rounded to a whole point). Losses score nothing,
+   * so they are left out rather than dragging the line to zero.
+   */
+  const wins = sessions.filter((s) => s.outcome === 'won').sort((a, b) => a.finishedAt - b.finishedAt);
+  return wins.map((s, i) => {
+    const recent = wins.slice(Math.max(0, i - windowSize + 1), i + 1);
+    const average = recent.reduce((sum, w) => sum + w.score, 0) / recent.length;
+    return { finishedAt: s.finishedAt, score: s.score, average: Math.round(average) };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function trendDirection(points, tolerance = 0.05) {
+  /** 'improving' | 'declining' | 'steady' comparing the first and last rolling average (null with under 2 points) */
+  if (points.length < 2) return null;
+  const first = points[0].average;
+  const last = points[points.length - 1].average;
+  const margin = Math.max(1, Math.abs(first) * tolerance);
+  if (last - first > margin) return 'improving';
+  if (first - last > margin) return 'declining';
+  return 'steady';
+}
+
+// PUBLIC_INTERFACE
+export function formatRate(value) {
+  /** Format a 0..1 rate as a whole percentage, or 'N/A' when null */
+  if (value == null) return 'N/A';
+  return `${Math.round(value * 100)}%`;
+}
+
+// PUBLIC_INTERFACE
+export function formatDuration(seconds, { tenths = false } = {}) {
+  /** Format seconds as s or mm:ss for display; `tenths` keeps a decimal under a minute (e.g. 9.4s) */
   if (seconds == null) return 'N/A';
+  if (tenths && seconds < 59.95) return `${Math.max(0, Math.round(seconds * 10) / 10)}s`;
   const s = Math.max(0, Math.round(seconds));
   const m = Math.floor(s / 60);
   const rem = s % 60;
@@ -1,11 +1,24 @@
 import { render, screen, fireEvent, act } from '@testing-library/react';
 import App from './App';
 import { readResults, clearResults, addResult } from './leaderboard';
-import { readStats, writeStats, computeStatisticsFromLeaderboard, formatDuration } from './statistics';
+import { clearSessions, recordSession } from './sessions';
+import {
+  readStats,
+  writeStats,
+  computeStatisticsFromLeaderboard,
+  formatDuration,
+  summarizeSessions,
+  breakdownSessions,
+  formatRate,
+  attemptDistribution,
+  bestSurvivalRun,
+  scoreTrend,
+  trendDirection,
+} from './statistics';
 
 beforeEach(() => {
   jest.useFakeTimers();
-  clearResults();
+  clearSessions();
   // reset stats
   writeStats({ totalGames: 0 });
   // ensure vibrate exists
@@ -20,7 +33,7 @@ beforeEach(() => {
 afterEach(() => {
   jest.runOnlyPendingTimers();
   jest.useRealTimers();
-  clearResults();
+  clearSessions();
   writeStats({ totalGames: 0 });
 });
 
@@ -97,6 +110,13 @@ test('highest score, fastest win, and average attempts computed from leaderboard
   expect(formatDuration(75)).toBe('1:15');
 });
 
+test('fastest win keeps tenths of a second', () => {
+  const computed = computeStatisticsFromLeaderboard([{ score: 1, attempts: 2, timerChallenge: true, totalTime: 30, timeRemaining: 20.456 }]);
+  expect(computed.fastestWinSeconds).toBe(9.5);
+  expect(formatDuration(computed.fastestWinSeconds, { tenths: true })).toBe('9.5s');
+  expect(formatDuration(75, { tenths: true })).toBe('1:15');
+});
+
 test('fastest win is N/A when no timer metadata available', () => {
   clearResults();
   const ts = Date.now();
@@ -142,3 +162,144 @@ test('Backward compatibility when ngg_stats is absent and when there are no entr
   expect(/N\/A|उपलब्ध नहीं|లేదు/i.test(fastText)).toBe(true);
   expect(screen.getByTestId('stats-average-attempts').textContent).toMatch(/0(\.0)?$/);
 });
+
+function logged(overrides) {
+  return {
+    id: String(Math.random()),
+    finishedAt: 0,
+    outcome: 'won',
+    difficulty: 'easy',
+    level: 'Beginner',
+    attempts: 3,
+    score: 800,
+    hints: [],
+    puzzle: null,
+    timerChallenge: false,
+    ...overrides,
+  };
+}
+
+test('win rate, streaks, loss reasons, hint usage and puzzle solve rate from the session log', () => {
+  // Newest first: W W L(timeout) W W W L(out)
+  const sessions = [
+    logged({ finishedAt: 7 }),
+    logged({ finishedAt: 6, hints: ['parity'] }),
+    logged({ finishedAt: 5, outcome: 'timeout', timerChallenge: true, difficulty: 'hard', level: 'Expert' }),
+    logged({ finishedAt: 4, puzzle: 'solved' }),
+    logged({ finishedAt: 3, puzzle: 'failed', hints: ['range'] }),
+    logged({ finishedAt: 2, difficulty: 'medium', level: 'Intermediate' }),
+    logged({ finishedAt: 1, outcome: 'out_of_attempts', difficulty: 'medium', level: 'Intermediate' }),
+  ];
+  const all = summarizeSessions(sessions);
+  expect(all).toMatchObject({
+    games: 7,
+    wins: 5,
+    currentStreak: 2,
+    longestStreak: 3,
+    losses: { timeout: 1, outOfAttempts: 1 },
+    puzzleSolveRate: 0.5,
+  });
+  expect(formatRate(all.winRate)).toBe('71%');
+  expect(formatRate(all.hintUsageRate)).toBe('29%');
+  expect(summarizeSessions([]).winRate).toBeNull();
+
+  const breakdown = breakdownSessions(sessions);
+  expect(breakdown.difficulty.map((r) => [r.key, r.stats.games])).toEqual([['easy', 4], ['medium', 2], ['hard', 1]]);
+  expect(breakdown.level.map((r) => r.key)).toEqual(['Beginner', 'Intermediate', 'Expert']);
+  expect(breakdown.mode.map((r) => [r.key, r.stats.games])).toEqual([['standard', 4], ['timer', 1], ['puzzle', 2]]);
+  expect(breakdown.mode.find((r) => r.key === 'timer').stats.losses.timeout).toBe(1);
+});
+
+test('finished Time Attack and Survival runs leave the win rate, streaks and loss reasons alone', () => {
+  // Newest first: W, Survival run, W, Time Attack run, W W
+  const sessions = [
+    logged({ finishedAt: 6 }),
+    logged({ finishedAt: 5, mode: 'survival', outcome: 'out_of_attempts', solved: 2, score: 1850, range: { min: 1, max: 100 }, secret: 70, guesses: [10, 15, 20] }),
+    logged({ finishedAt: 4 }),
+    logged({ finishedAt: 3, mode: 'time_attack', outcome: 'timeout', solved: 4, score: 1800, range: { min: 1, max: 100 }, secret: 42, guesses: [50, 25, 60] }),
+    logged({ finishedAt: 2 }),
+    logged({ finishedAt: 1 }),
+  ];
+  const all = summarizeSessions(sessions);
+  expect(all).toMatchObject({ games: 6, wins: 4, winRate: 1, currentStreak: 4, longestStreak: 4, losses: { timeout: 0, outOfAttempts: 0 } });
+  // Run guesses were made against many secrets, so they are not judged against the last one
+  expect(all.efficiency).toBeNull();
+
+  for (const mode of ['time_attack', 'survival']) {
+    const run = breakdownSessions(sessions).mode.find((r) => r.key === mode).stats;
+    expect(run).toMatchObject({ games: 1, wins: 0, winRate: null, currentStreak: 0, losses: { timeout: 0, outOfAttempts: 0 } });
+  }
+});
+
+test('Statistics modal filters every metric and breakdown by difficulty', () => {
+  recordSession(logged({ finishedAt: 2, difficulty: 'hard', level: 'Expert', outcome: 'timeout', score: 0 }));
+  recordSession(logged({ finishedAt: 1, score: 900 }));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /Statistics/i }));
+
+  expect(screen.getByTestId('stats-win-rate').textContent).toMatch(/50%$/);
+  expect(screen.getByTestId('stats-losses').textContent).toMatch(/1 \/ 0$/);
+  expect(screen.getByTestId('stats-breakdown-difficulty').querySelectorAll('tbody tr')).toHaveLength(2);
+
+  fireEvent.change(screen.getByTestId('stats-difficulty-filter'), { target: { value: 'hard' } });
+  expect(screen.getByTestId('stats-win-rate').textContent).toMatch(/[^0-9]0%$/);
+  expect(screen.getByTestId('stats-total-games').textContent).toMatch(/1$/);
+  expect(screen.getByTestId('stats-breakdown-level').textContent).toMatch(/Expert/);
+  expect(screen.getByTestId('stats-breakdown-level').textContent).not.toMatch(/Beginner/);
+});
+
+test('attempt distribution per difficulty and a rolling-average score trend over wins', () => {
+  const sessions = [
+    logged({ finishedAt: 5, attempts: 4, score: 700 }),
+    logged({ finishedAt: 4, outcome: 'timeout', score: 0 }),
+    logged({ finishedAt: 3, attempts: 2, score: 900 }),
+    logged({ finishedAt: 2, attempts: 2, score: 500, difficulty: 'hard' }),
+    logged({ finishedAt: 1, attempts: 2, score: 300 }),
+  ];
+  expect(attemptDistribution(sessions)).toEqual([
+    { difficulty: 'easy', wins: 3, buckets: [{ attempts: 1, count: 0 }, { attempts: 2, count: 2 }, { attempts: 3, count: 0 }, { attempts: 4, count: 1 }] },
+    { difficulty: 'hard', wins: 1, buckets: [{ attempts: 1, count: 0 }, { attempts: 2, count: 1 }] },
+  ]);
+  const trend = scoreTrend(sessions, 2);
+  expect(trend.map((p) => [p.score, p.average])).toEqual([[300, 300], [500, 400], [900, 700], [700, 800]]);
+  expect(trendDirection(trend)).toBe('improving');
+  expect(trendDirection(trend.slice(0, 1))).toBeNull();
+});
+
+test('Statistics charts render as SVG with screen-reader summaries and data tables', () => {
+  recordSession(logged({ finishedAt: 3, attempts: 3, score: 900 }));
+  recordSession(logged({ finishedAt: 2, attempts: 3, score: 700 }));
+  recordSession(logged({ finishedAt: 1, attempts: 5, score: 400, difficulty: 'medium' }));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /Statistics/i }));
+
+  const trend = screen.getByTestId('chart-score-trend');
+  expect(trend.querySelector('svg[role="img"]')).not.toBeNull();
+  expect(screen.getByRole('img', { name: /Score trend/i })).toBeInTheDocument();
+  expect(trend.textContent).toMatch(/3 wins shown.*from 400 to 667: improving/);
+  expect(screen.getByTestId('chart-attempts-easy').textContent).toMatch(/2 wins, most often in 3 attempts/);
+  expect(screen.getByTestId('chart-attempts-medium-table').querySelectorAll('tbody tr')).toHaveLength(5);
+  expect(screen.getByTestId('chart-score-trend-table').querySelectorAll('tbody tr')).toHaveLength(3);
+
+  fireEvent.change(screen.getByTestId('stats-difficulty-filter'), { target: { value: 'hard' } });
+  expect(screen.queryByTestId('chart-score-trend')).toBeNull();
+  expect(screen.getByTestId('stats-charts').textContent).toMatch(/Win a round to see your charts/);
+});
+
+test('the best Survival run is the longest, then the higher scoring one', () => {
+  const run = (overrides) => logged({ mode: 'survival', outcome: 'out_of_attempts', hints: [], ...overrides });
+  const sessions = [
+    run({ finishedAt: 4, solved: 3, score: 2500, range: { min: 1, max: 250 } }),
+    logged({ finishedAt: 3 }),
+    run({ finishedAt: 2, solved: 3, score: 2800, range: { min: 1, max: 250 } }),
+    run({ finishedAt: 1, solved: 1, score: 900, range: { min: 1, max: 50 } }),
+  ];
+  expect(bestSurvivalRun(sessions)).toEqual({ survived: 3, peakRange: 250, score: 2800, finishedAt: 2 });
+  expect(bestSurvivalRun([logged({})])).toBeNull();
+  expect(breakdownSessions(sessions).mode.map((r) => [r.key, r.stats.games])).toEqual([['standard', 1], ['survival', 3]]);
+
+  sessions.forEach((s) => recordSession(s));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /Statistics/i }));
+  expect(screen.getByTestId('stats-best-run').textContent).toMatch(/3 rounds, up to 1–250$/);
+});
@@ -0,0 +1,167 @@
+/**
+ * Single entry point for persisted data. Modules read and write through here instead of
+ * touching window.localStorage, so every value is validated on read, write failures are
+ * reported once in one place, and the stored schema can be migrated between versions.
+ *
+ * - readJSON(key, normalize, fallback): parse and normalize; invalid or missing data yields the fallback
+ * - writeJSON / writeString / removeItem: return false (and notify subscribers) when the write fails
+ * - When localStorage is unavailable or full, values are kept in memory for the rest of the session
+ * - registerMigration(version, migrate) + runMigrations() upgrade stored data to SCHEMA_VERSION
+ */
+
+const SCHEMA_VERSION_KEY = 'ngg_schema_version';
+
+// PUBLIC_INTERFACE
+export const SCHEMA_VERSION = 3;
+
+// PUBLIC_INTERFACE
+export const STORAGE_ERRORS = {
+  quota: 'quota',
+  unavailable: 'unavailable',
+  migration: 'migration',
+};
+
+// Values that could not be persisted, served for the rest of the session
+const memory = new Map();
+const listeners = new Set();
+const migrations = [];
+
+function isQuotaError(err) {
+  return (
+    err &&
+    (err.name === 'QuotaExceededError' ||
+      err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      err.code === 22 ||
+      err.code === 1014)
+  );
+}
+
+function report(type, key, error) {
+  for (const listener of listeners) {
+    try {
+      listener({ type, key, error });
+    } catch {
+      // a broken listener must not break persistence
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+export function subscribeStorageErrors(listener) {
+  /** Be notified of { type, key, error } when data cannot be read, saved or migrated. Returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export function readString(key, fallback = null) {
+  /** Raw string value for `key`, or `fallback` when absent or unreadable */
+  if (memory.has(key)) return memory.get(key);
+  try {
+    const value = window.localStorage.getItem(key);
+    return value == null ? fallback : value;
+  } catch (err) {
+    report(STORAGE_ERRORS.unavailable, key, err);
+    return fallback;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeString(key, value) {
+  /** Persist a string; on failure keep it in memory for this session and return false */
+  const str = String(value);
+  try {
+    window.localStorage.setItem(key, str);
+    memory.delete(key);
+    return true;
+  } catch (err) {
+    memory.set(key, str);
+    report(isQuotaError(err) ? STORAGE_ERRORS.quota : STORAGE_ERRORS.unavailable, key, err);
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function removeItem(key) {
+  /** Delete a stored value */
+  memory.delete(key);
+  try {
+    window.localStorage.removeItem(key);
+    return true;
+  } catch (err) {
+    report(STORAGE_ERRORS.unavailable, key, err);
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function readJSON(key, normalize = (value) => value, fallback = null) {
+  /**
+   * Parse the JSON stored under `key` and pass it through `normalize`, which returns the
+   * validated value or null when the shape is unusable. Missing, corrupt or invalid data
+   * yields `fallback`.
+   */
+  const raw = readString(key);
+  if (raw == null) return fallback;
+  try {
+    const value = normalize(JSON.parse(raw));
+    return value == null ? fallback : value;
+  } catch {
+    return fallback;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeJSON(key, value) {
+  /** Serialize and persist a value; returns false when it could not be saved */
+  let str;
+  try {
+    str = JSON.stringify(value);
+  } catch {
+    return false;
+  }
+  return writeString(key, str);
+}
+
+// PUBLIC_INTERFACE
+export function registerMigration(version, migrate) {
+  /**
+   * Register an upgrade to schema `version`. `migrate()` runs once, in version order, when the
+   * stored schema is older; it uses this module's read/write functions and must tolerate missing data.
+   */
+  if (migrations.some((m) => m.version === version)) return;
+  migrations.push({ version, migrate });
+  migrations.sort((a, b) => a.version - b.version);
+}
+
+// PUBLIC_INTERFACE
+export function readSchemaVersion() {
+  /** Stored schema version; data saved before versioning counts as version 1 */
+  const value = Number(readString(SCHEMA_VERSION_KEY));
+  return Number.isInteger(value) && value > 0 ? value : 1;
+}
+
+// PUBLIC_INTERFACE
+export function runMigrations() {
+  /**
+   * Apply registered migrations newer than the stored version. A failing migration stops the
+   * run (reported as a 'migration' error) so it is retried on the next start.
+   * Returns { from, to } versions.
+   */
+  const from = readSchemaVersion();
+  let to = from;
+  for (const { version, migrate } of migrations) {
+    if (version <= from || version > SCHEMA_VERSION) continue;
+    try {
+      migrate();
+    } catch (err) {
+      report(STORAGE_ERRORS.migration, SCHEMA_VERSION_KEY, err);
+      if (to !== from) writeString(SCHEMA_VERSION_KEY, to);
+      return { from, to };
+    }
+    to = version;
+  }
+  to = Math.max(from, SCHEMA_VERSION);
+  if (to !== from) writeString(SCHEMA_VERSION_KEY, to);
+  return { from, to };
+}
@@ -0,0 +1,102 @@
+import {
+  SCHEMA_VERSION,
+  readJSON,
+  readSchemaVersion,
+  readString,
+  runMigrations,
+  subscribeStorageErrors,
+  writeJSON,
+} from './storage';
+import { readResults } from './leaderboard';
+import { readSessions } from './sessions';
+import { incrementPuzzlesSolved, incrementTotalGames, readStats } from './statistics';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+test('readJSON validates on read and falls back on missing, corrupt or invalid data', () => {
+  const normalize = (v) => (Array.isArray(v) ? v : null);
+  expect(readJSON('k', normalize, [])).toEqual([]);
+  window.localStorage.setItem('k', '{not json');
+  expect(readJSON('k', normalize, [])).toEqual([]);
+  window.localStorage.setItem('k', '{"a":1}');
+  expect(readJSON('k', normalize, [])).toEqual([]);
+  expect(writeJSON('k', [1, 2])).toBe(true);
+  expect(readJSON('k', normalize, [])).toEqual([1, 2]);
+});
+
+test('quota errors are reported and the value is kept in memory for the session', () => {
+  const errors = [];
+  const unsubscribe = subscribeStorageErrors((e) => errors.push(e.type));
+  const quota = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw quota;
+  });
+  expect(writeJSON('big', { a: 1 })).toBe(false);
+  expect(errors).toEqual(['quota']);
+  expect(readJSON('big')).toEqual({ a: 1 });
+  jest.restoreAllMocks();
+  expect(writeJSON('big', { a: 2 })).toBe(true);
+  expect(window.localStorage.getItem('big')).toBe('{"a":2}');
+  unsubscribe();
+});
+
+test('the v1 leaderboard is migrated into v2 and the schema version recorded', () => {
+  window.localStorage.setItem(
+    'ngg_leaderboard_v1',
+    JSON.stringify([{ timestamp: 5, difficulty: 'easy', attempts: 3, score: 700 }, { bogus: true }])
+  );
+  expect(readSchemaVersion()).toBe(1);
+  expect(runMigrations()).toEqual({ from: 1, to: SCHEMA_VERSION });
+  expect(readString('ngg_schema_version')).toBe(String(SCHEMA_VERSION));
+  expect(window.localStorage.getItem('ngg_leaderboard_v1')).toBeNull();
+  const [entry] = readResults();
+  expect(entry).toMatchObject({ timestamp: 5, difficulty: 'easy', attempts: 3, score: 700, mode: 'classic' });
+  expect(entry.id).toBeTruthy();
+  // Already current: nothing runs again
+  expect(runMigrations()).toEqual({ from: SCHEMA_VERSION, to: SCHEMA_VERSION });
+});
+
+test('a failing migration is reported and retried on the next run', () => {
+  const errors = [];
+  const unsubscribe = subscribeStorageErrors((e) => errors.push(e.type));
+  window.localStorage.setItem('ngg_leaderboard_v1', JSON.stringify([{ timestamp: 1, difficulty: 'easy', attempts: 1, score: 1 }]));
+  const setItem = Storage.prototype.setItem;
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+    if (key === 'ngg_leaderboard_v2') throw new Error('blocked');
+    return setItem.call(this, key, value);
+  });
+  expect(runMigrations()).toEqual({ from: 1, to: 1 });
+  expect(errors).toContain('migration');
+  expect(window.localStorage.getItem('ngg_leaderboard_v1')).not.toBeNull();
+
+  jest.restoreAllMocks();
+  expect(runMigrations().to).toBe(SCHEMA_VERSION);
+  expect(readResults()).toHaveLength(1);
+  unsubscribe();
+});
+
+test('every profile\'s v2 leaderboard becomes won sessions in its log', () => {
+  window.localStorage.setItem('ngg_schema_version', '2');
+  window.localStorage.setItem(
+    'ngg_profiles_v1',
+    JSON.stringify({ activeId: 'default', profiles: [{ id: 'default', name: 'A' }, { id: 'p2', name: 'B' }] })
+  );
+  window.localStorage.setItem('ngg_leaderboard_v2', JSON.stringify([{ id: 'r1', timestamp: 5, difficulty: 'easy', attempts: 3, score: 700 }]));
+  window.localStorage.setItem('ngg_leaderboard_v2@p2', JSON.stringify([{ id: 'r2', timestamp: 6, difficulty: 'hard', attempts: 4, score: 500 }]));
+
+  expect(runMigrations()).toEqual({ from: 2, to: SCHEMA_VERSION });
+  expect(window.localStorage.getItem('ngg_leaderboard_v2')).toBeNull();
+  expect(window.localStorage.getItem('ngg_leaderboard_v2@p2')).toBeNull();
+  expect(readSessions()).toEqual([expect.objectContaining({ id: 'r1', outcome: 'won', finishedAt: 5, guesses: [] })]);
+  expect(readSessions('p2').map((s) => s.id)).toEqual(['r2']);
+  expect(readResults()).toEqual([expect.objectContaining({ id: 'r1', timestamp: 5, score: 700 })]);
+});
+
+test('stats keep puzzlesSolved alongside totalGames', () => {
+  incrementPuzzlesSolved();
+  incrementTotalGames();
+  expect(readStats()).toEqual({ totalGames: 1, puzzlesSolved: 1 });
+});
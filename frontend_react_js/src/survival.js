@@ -0,0 +1,63 @@
+/**
+ * Survival rules used by the engine's 'survival' mode: an endless run of rounds drawing on one
+ * shared pool of attempts. Every round's range is wider than the last (1–20, 1–50, 1–100,
+ * 1–250, …); a win refills the pool by a few attempts, more for beating the binary-search par.
+ * The run ends when the pool is empty.
+ *
+ * Each finished round is kept on the run state as
+ * { index, range: { min, max }, secret, outcome: 'won'|'out_of_attempts', attempts, hints: string[], points, refill, history }
+ * where `hints` lists the hint types used that round and `points` is its score after the usual
+ * hint penalty.
+ */
+
+import { optimalAttempts } from './analysis';
+
+// PUBLIC_INTERFACE
+// Attempts the pool starts with, by difficulty
+export const SURVIVAL_STARTING_POOL = {
+  easy: 12,
+  medium: 10,
+  hard: 8,
+};
+
+// PUBLIC_INTERFACE
+// Attempts every win puts back in the pool, plus one per attempt under par (up to SURVIVAL_MAX_BONUS_REFILL)
+export const SURVIVAL_BASE_REFILL = 3;
+
+// PUBLIC_INTERFACE
+export const SURVIVAL_MAX_BONUS_REFILL = 3;
+
+// Range maxima of the first rounds; from 1–100 on the ranges follow 1 → 2.5 → 5 → 10 per decade
+const OPENING_MAXES = [20, 50];
+const DECADE_STEPS = [1, 2.5, 5];
+
+// PUBLIC_INTERFACE
+export function survivalStartingPool(difficulty) {
+  /** Attempts a run starts with; difficulties without a preset start like medium */
+  return SURVIVAL_STARTING_POOL[difficulty] || SURVIVAL_STARTING_POOL.medium;
+}
+
+// PUBLIC_INTERFACE
+export function survivalRangeOf(index) {
+  /** Range of the run's round `index` (0-based): 1–20, 1–50, 1–100, 1–250, 1–500, 1–1000, … */
+  if (index < OPENING_MAXES.length) return { min: 1, max: OPENING_MAXES[index] };
+  const step = index - OPENING_MAXES.length;
+  return { min: 1, max: 100 * 10 ** Math.floor(step / DECADE_STEPS.length) * DECADE_STEPS[step % DECADE_STEPS.length] };
+}
+
+// PUBLIC_INTERFACE
+export function survivalRefill(attempts, range) {
+  /** Attempts a win in `attempts` puts back in the pool; par is binary search's worst case for the range */
+  return SURVIVAL_BASE_REFILL + Math.min(SURVIVAL_MAX_BONUS_REFILL, Math.max(0, optimalAttempts(range) - attempts));
+}
+
+// PUBLIC_INTERFACE
+export function summarizeSurvival(rounds) {
+  /** Run totals: { survived (rounds won), peakRange (widest range max reached), hintsUsed, score } */
+  return {
+    survived: rounds.filter((r) => r.outcome === 'won').length,
+    peakRange: rounds.reduce((peak, r) => Math.max(peak, r.range.max), 0),
+    hintsUsed: rounds.reduce((sum, r) => sum + r.hints.length, 0),
+    score: rounds.reduce((sum, r) => sum + r.points, 0),
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Time Attack rules used by the engine's 'time_attack' mode: one countdown runs across a string
+ * of secrets in the same range. A solved secret rolls straight into the next one; running out of
+ * attempts on a secret costs time instead of ending the run. The run ends when the clock does.
+ *
+ * Each finished secret is kept on the round state as
+ * { index, secret, outcome: 'won'|'out_of_attempts'|'timeout', attempts, points, history }
+ * ('timeout' for the secret the clock stopped, when it had guesses).
+ */
+
+// PUBLIC_INTERFACE
+// Length of a run (seconds)
+export const TIME_ATTACK_SECONDS = 120;
+
+// PUBLIC_INTERFACE
+// Seconds taken off the clock when a secret runs out of attempts
+export const TIME_ATTACK_MISS_PENALTY = 10;
+
+// PUBLIC_INTERFACE
+// Points per solved secret, plus up to TIME_ATTACK_EFFICIENCY_POINTS for solving it in few attempts
+export const TIME_ATTACK_SOLVE_POINTS = 100;
+
+// PUBLIC_INTERFACE
+export const TIME_ATTACK_EFFICIENCY_POINTS = 50;
+
+// PUBLIC_INTERFACE
+export function timeAttackEfficiencyBonus(attempts, maxAttempts) {
+  /** Efficiency bonus of a solved secret: the full bonus in one attempt, none on the last one */
+  if (maxAttempts <= 1) return TIME_ATTACK_EFFICIENCY_POINTS;
+  const spare = Math.max(0, maxAttempts - attempts) / (maxAttempts - 1);
+  return Math.round(TIME_ATTACK_EFFICIENCY_POINTS * spare);
+}
+
+// PUBLIC_INTERFACE
+export function timeAttackPoints(attempts, maxAttempts) {
+  /** Points for a secret solved in `attempts` */
+  return TIME_ATTACK_SOLVE_POINTS + timeAttackEfficiencyBonus(attempts, maxAttempts);
+}
+
+// PUBLIC_INTERFACE
+export function summarizeTimeAttack(secrets) {
+  /** Run totals: { solved, missed, bonus, score } over its finished secrets */
+  const solved = secrets.filter((s) => s.outcome === 'won');
+  const score = solved.reduce((sum, s) => sum + s.points, 0);
+  return {
+    solved: solved.length,
+    missed: secrets.filter((s) => s.outcome === 'out_of_attempts').length,
+    bonus: score - solved.length * TIME_ATTACK_SOLVE_POINTS,
+    score,
+  };
+}
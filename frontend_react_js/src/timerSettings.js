@@ -0,0 +1,47 @@
+/**
+ * Timer Challenge settings chosen by the player, per profile: the round time and an optional
+ * per-guess shot clock. New rounds start with them (see startRound's `timerSeconds` and
+ * `shotClock` in ./engine).
+ *
+ * Shape under TIMER_SETTINGS_KEY:
+ * { seconds: number|null (null: the difficulty's default), shotClock: number|null (null: off) }
+ */
+
+import { profileKey } from './profiles';
+import { readJSON, writeJSON } from './storage';
+
+// PUBLIC_INTERFACE
+export const TIMER_SETTINGS_KEY = 'ngg_timer_settings_v1';
+
+// PUBLIC_INTERFACE
+// Round times offered (seconds), besides the difficulty's default
+export const TIMER_SECONDS_OPTIONS = [15, 30, 45, 60, 90, 120, 180];
+
+// PUBLIC_INTERFACE
+// Shot clock lengths offered (seconds per guess)
+export const SHOT_CLOCK_OPTIONS = [5, 8, 10, 15, 20];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_TIMER_SETTINGS = { seconds: null, shotClock: null };
+
+// PUBLIC_INTERFACE
+export function normalizeTimerSettings(raw) {
+  /** Validate stored settings; values outside the offered options fall back to the defaults */
+  return {
+    seconds: TIMER_SECONDS_OPTIONS.includes(raw?.seconds) ? raw.seconds : DEFAULT_TIMER_SETTINGS.seconds,
+    shotClock: SHOT_CLOCK_OPTIONS.includes(raw?.shotClock) ? raw.shotClock : DEFAULT_TIMER_SETTINGS.shotClock,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function readTimerSettings() {
+  /** The active profile's Timer Challenge settings */
+  return readJSON(profileKey(TIMER_SETTINGS_KEY), normalizeTimerSettings, { ...DEFAULT_TIMER_SETTINGS });
+}
+
+// PUBLIC_INTERFACE
+export function writeTimerSettings(settings) {
+  /** Save (part of) the settings and return them as stored */
+  writeJSON(profileKey(TIMER_SETTINGS_KEY), normalizeTimerSettings({ ...readTimerSettings(), ...settings }));
+  return readTimerSettings();
+}
@@ -0,0 +1,41 @@
+import { createProfile, switchProfile, DEFAULT_PROFILE_ID } from './profiles';
+import {
+  DEFAULT_TIMER_SETTINGS,
+  TIMER_SETTINGS_KEY,
+  normalizeTimerSettings,
+  readTimerSettings,
+  writeTimerSettings,
+} from './timerSettings';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('only offered round times and shot clocks are kept; anything else falls back to the defaults', () => {
+  expect(normalizeTimerSettings({ seconds: 45, shotClock: 8 })).toEqual({ seconds: 45, shotClock: 8 });
+  expect(normalizeTimerSettings({ seconds: 44, shotClock: 0 })).toEqual(DEFAULT_TIMER_SETTINGS);
+  expect(normalizeTimerSettings({ seconds: '45', shotClock: 8.5 })).toEqual(DEFAULT_TIMER_SETTINGS);
+  expect(normalizeTimerSettings({ seconds: -30, shotClock: 1e6 })).toEqual(DEFAULT_TIMER_SETTINGS);
+  expect(normalizeTimerSettings(null)).toEqual(DEFAULT_TIMER_SETTINGS);
+});
+
+test('stored settings are validated on read, and partial writes keep the other setting', () => {
+  expect(readTimerSettings()).toEqual(DEFAULT_TIMER_SETTINGS);
+  window.localStorage.setItem(TIMER_SETTINGS_KEY, '{not json');
+  expect(readTimerSettings()).toEqual(DEFAULT_TIMER_SETTINGS);
+  window.localStorage.setItem(TIMER_SETTINGS_KEY, JSON.stringify({ seconds: 90, shotClock: 7 }));
+  expect(readTimerSettings()).toEqual({ seconds: 90, shotClock: null });
+
+  expect(writeTimerSettings({ shotClock: 10 })).toEqual({ seconds: 90, shotClock: 10 });
+  expect(writeTimerSettings({ seconds: 1000 })).toEqual({ seconds: null, shotClock: 10 });
+  expect(writeTimerSettings({ shotClock: null })).toEqual({ seconds: null, shotClock: null });
+});
+
+test('each profile keeps its own timer settings', () => {
+  writeTimerSettings({ seconds: 30, shotClock: 5 });
+  const { profile } = createProfile('Sam', '🦊');
+  switchProfile(profile.id);
+  expect(readTimerSettings()).toEqual(DEFAULT_TIMER_SETTINGS);
+  switchProfile(DEFAULT_PROFILE_ID);
+  expect(readTimerSettings()).toEqual({ seconds: 30, shotClock: 5 });
+});